@@ -0,0 +1,417 @@
+// ── Action Protocol ──────────────────────────────────────────────────────────
+// The action types can reach the model in two ways: as JSON-schema tools
+// through Ollama's `tools` field (native), or as [ACTION:TYPE:...[/ACTION] tags
+// in free text for models without tool support (text). Both map onto the same
+// { type, target, content } shape used by executeAction.
+
+export const TOOL_CALLING_MODES = ['auto', 'native', 'text'];
+
+// How each action type is named on cards, in the terminal and in exported reports
+export const ACTION_LABELS = {
+  READ_FILE: 'Read File',
+  LIST_DIR: 'List Directory',
+  TAIL_FILE: 'Tail File',
+  SEARCH_FILE: 'Search File',
+  RUN_CMD: 'Run Command',
+  RUN_SCRIPT: 'Run Script',
+  WRITE_FILE: 'Write File',
+  EXPAND_OUTPUT: 'Read More Output',
+  OPENCLAW_STATUS: 'OpenClaw Status',
+  RUNBOOK: 'Runbook',
+  PLAN: 'Treatment Plan',
+};
+
+// Read-only lookups that run without asking the user: more of an output they
+// already approved, or DoctorClaw's own check of the OpenClaw install
+export const AUTO_ACTIONS = ['EXPAND_OUTPUT', 'OPENCLAW_STATUS'];
+
+// What the second part of an action ("content") is, for types that have one
+export const ACTION_CONTENT_LABELS = {
+  READ_FILE: 'Range',
+  TAIL_FILE: 'Lines',
+  SEARCH_FILE: 'Pattern',
+  WRITE_FILE: 'Content',
+  RUN_SCRIPT: 'Arguments',
+  EXPAND_OUTPUT: 'Lines',
+  PLAN: 'Steps',
+};
+
+// Action types a treatment plan (see plans.mjs) can contain; plugin types are added as they register
+export const PLAN_STEP_TYPES = ['READ_FILE', 'LIST_DIR', 'TAIL_FILE', 'SEARCH_FILE', 'RUN_CMD', 'RUN_SCRIPT', 'WRITE_FILE', 'OPENCLAW_STATUS'];
+
+export const ACTION_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'read_file',
+      description: 'Read the contents of a file. Files over the read limit must be read by line or byte range; binary files are summarized with a hexdump. The user must approve the read.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Absolute path of the file to read' },
+          start_line: { type: 'integer', description: 'First line to return (1-based); omit to read the whole file' },
+          end_line: { type: 'integer', description: 'Last line to return' },
+          start_byte: { type: 'integer', description: 'Read bytes from this offset (0-based) instead of lines; binary files are shown as a hexdump' },
+          end_byte: { type: 'integer', description: 'Last byte to return' },
+        },
+        required: ['path'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_dir',
+      description: 'List a directory like ls -la: each entry with its type, permissions, size and modification time. The user must approve the listing.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Absolute path of the directory' },
+        },
+        required: ['path'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'tail_file',
+      description: 'Return the last lines of a file, however large it is. Use it for logs. The user must approve the read.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Absolute path of the file' },
+          lines: { type: 'integer', description: 'Number of lines, default 100, at most 2000' },
+        },
+        required: ['path'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'search_file',
+      description: 'Find the lines of a file that match a regular expression, with line numbers and context, like grep -n -C. The file is streamed, so size does not matter. The user must approve the search.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Absolute path of the file' },
+          pattern: { type: 'string', description: 'JavaScript regular expression, e.g. "error|timeout"' },
+          ignore_case: { type: 'boolean', description: 'Match without regard to case' },
+          context: { type: 'integer', description: 'Lines shown before and after each match, default 2, at most 10' },
+          max_matches: { type: 'integer', description: 'Stop after this many matches, default 50, at most 500' },
+        },
+        required: ['path', 'pattern'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'run_command',
+      description: 'Run a shell command and return its output. The user must approve the command, and destructive commands are refused by policy.',
+      parameters: {
+        type: 'object',
+        properties: {
+          command: { type: 'string', description: 'The shell command line to run' },
+        },
+        required: ['command'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'run_script',
+      description: 'Run an existing .sh, .bash, .bat, .cmd or .ps1 script. The shell is chosen from the file extension. The user must approve the run.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Absolute path of the script' },
+          args: { type: 'string', description: 'Optional arguments, as they would be typed after the script path' },
+        },
+        required: ['path'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'write_file',
+      description: 'Create or overwrite a file with the given content. The original is backed up first and the user reviews a diff before approving.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Absolute path of the file to write' },
+          content: { type: 'string', description: 'The complete new content of the file' },
+        },
+        required: ['path', 'content'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'propose_plan',
+      description: 'Propose several actions that belong together (e.g. back up a config, edit it, check the syntax, reload the service) as one treatment plan. The user reviews and approves the whole plan once; the steps run in order and stop at the first failure, and all results come back together.',
+      parameters: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'Short name of the plan, e.g. "Fix nginx upstream port"' },
+          steps: {
+            type: 'array',
+            description: 'The actions, in the order they must run',
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: PLAN_STEP_TYPES, description: 'Action type' },
+                target: { type: 'string', description: 'Absolute path, or the command line for RUN_CMD' },
+                content: { type: 'string', description: 'WRITE_FILE: the complete new file content; RUN_SCRIPT: arguments; READ_FILE: line range; TAIL_FILE: line count; SEARCH_FILE: pattern' },
+                reason: { type: 'string', description: 'Why this step is needed' },
+              },
+              required: ['type', 'target', 'reason'],
+            },
+          },
+        },
+        required: ['title', 'steps'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'expand_output',
+      description: 'Read more of an earlier action result that was shortened to an excerpt. Runs without asking the user, since the output was already approved.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'The output id given in the excerpt, e.g. out_1a2b3c4d5e6f' },
+          start_line: { type: 'integer', description: 'First line to return (1-based)' },
+          end_line: { type: 'integer', description: 'Last line to return; at most 400 lines are returned at once' },
+        },
+        required: ['id'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'openclaw_status',
+      description: 'Check the OpenClaw install: config files validated against the known settings, whether the gateway process is running and listening, and errors in the recent logs sorted by kind. Read-only; runs without asking the user.',
+      parameters: {
+        type: 'object',
+        properties: {
+          section: { type: 'string', enum: ['all', 'config', 'gateway', 'logs'], description: 'Part to report in detail; "all" gives an overview of everything' },
+        },
+      },
+    },
+  },
+];
+
+const TOOL_TO_ACTION = {
+  read_file: args => ({ type: 'READ_FILE', target: args.path, content: readRange(args) }),
+  list_dir: args => ({ type: 'LIST_DIR', target: args.path, content: null }),
+  tail_file: args => ({ type: 'TAIL_FILE', target: args.path, content: args.lines ? String(args.lines) : null }),
+  search_file: args => ({ type: 'SEARCH_FILE', target: args.path, content: searchQuery(args) }),
+  run_command: args => ({ type: 'RUN_CMD', target: args.command, content: null }),
+  run_script: args => ({ type: 'RUN_SCRIPT', target: args.path, content: args.args || null }),
+  write_file: args => ({ type: 'WRITE_FILE', target: args.path, content: args.content ?? '' }),
+  propose_plan: args => ({
+    type: 'PLAN',
+    target: String(args.title || 'Treatment plan').replace(/:/g, ' -'),
+    // Some servers send the list as a JSON string already
+    content: typeof args.steps === 'string' ? args.steps : JSON.stringify(args.steps ?? []),
+  }),
+  expand_output: args => ({
+    type: 'EXPAND_OUTPUT',
+    target: args.id,
+    content: args.start_line ? `${args.start_line}-${args.end_line || args.start_line}` : null,
+  }),
+  openclaw_status: args => ({ type: 'OPENCLAW_STATUS', target: args.section || 'all', content: null }),
+};
+
+// read_file arguments as a READ_FILE range: "41-140" or "bytes 0-4095"
+function readRange(args) {
+  if (args.start_byte != null) return `bytes ${args.start_byte}-${args.end_byte ?? ''}`.replace(/-$/, '');
+  if (args.start_line != null) return `${args.start_line}-${args.end_line ?? ''}`.replace(/-$/, '');
+  return null;
+}
+
+// search_file arguments as a SEARCH_FILE query: grep-style options, then the pattern
+function searchQuery(args) {
+  if (args.pattern == null || args.pattern === '') return null;
+  const opts = [
+    args.ignore_case ? '-i' : null,
+    args.context != null ? `-C ${args.context}` : null,
+    args.max_matches != null ? `-m ${args.max_matches}` : null,
+  ].filter(Boolean);
+  // "--" keeps a pattern that starts with "-" from being read as an option
+  if (opts.length || String(args.pattern).startsWith('-')) opts.push('--');
+  return [...opts, args.pattern].join(' ');
+}
+
+/**
+ * Convert one tool call from the model into an action.
+ * @param {{ function: { name: string, arguments: object|string } }} call
+ * @returns {{ tool: string, type: string, target: string, content: string|null }|null} Null for unknown tools or missing arguments
+ */
+export function toolCallToAction(call) {
+  const name = call?.function?.name;
+  const build = TOOL_TO_ACTION[name];
+  if (!build) return null;
+  let args = call.function.arguments ?? {};
+  // OpenAI-style servers send arguments as a JSON string
+  if (typeof args === 'string') {
+    try { args = JSON.parse(args); } catch { return null; }
+  }
+  const action = build(args);
+  if (typeof action.target !== 'string' || !action.target.trim()) return null;
+  return { tool: name, ...action };
+}
+
+function actionTag(action) {
+  const body = action.content != null && TAGS_WITH_CONTENT.includes(action.type)
+    ? `${action.target}:${action.content}`
+    : action.target;
+  return `[ACTION:${action.type}:${body}[/ACTION]`;
+}
+
+/**
+ * Rewrite a conversation that used native tool calls so a model without tool
+ * support can follow it: tool calls become [ACTION:...] tags in the assistant
+ * text and tool results become user messages.
+ * @param {object[]} messages
+ * @returns {object[]}
+ */
+export function toTextProtocol(messages) {
+  return messages.map(msg => {
+    if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length) {
+      const tags = msg.tool_calls.map(toolCallToAction).filter(Boolean).map(actionTag);
+      const { tool_calls: _omit, ...rest } = msg;
+      return { ...rest, content: [msg.content || '', ...tags].filter(Boolean).join('\n') };
+    }
+    if (msg.role === 'tool') {
+      return { role: 'user', content: msg.content };
+    }
+    return msg;
+  });
+}
+
+// Types that accept text tags, and the ones whose tag body is "target:content"
+const TAG_TYPES = ['READ_FILE', 'LIST_DIR', 'TAIL_FILE', 'SEARCH_FILE', 'RUN_CMD', 'RUN_SCRIPT', 'WRITE_FILE', 'EXPAND_OUTPUT', 'OPENCLAW_STATUS', 'PLAN'];
+const TAGS_WITH_CONTENT = ['READ_FILE', 'TAIL_FILE', 'SEARCH_FILE', 'WRITE_FILE', 'RUN_SCRIPT', 'EXPAND_OUTPUT', 'PLAN'];
+
+/**
+ * Add an action type from a plugin (see plugins.mjs): it becomes a tool, a
+ * text tag and a label everywhere the built-in types are known.
+ * @param {object} def
+ * @param {string} def.type - e.g. HTTP_CHECK
+ * @param {string} def.tool - Tool name, e.g. http_check
+ * @param {string} def.label
+ * @param {string} def.description - Tool description for the model
+ * @param {object} def.parameters - JSON schema of the tool arguments
+ * @param {string} def.targetArg - Argument that becomes the action's target
+ * @param {string} [def.contentArg] - Argument that becomes the action's content
+ * @param {string} [def.contentLabel]
+ */
+export function registerActionType({ type, tool, label, description, parameters, targetArg, contentArg, contentLabel }) {
+  ACTION_LABELS[type] = label;
+  ACTION_TOOLS.push({ type: 'function', function: { name: tool, description, parameters } });
+  TOOL_TO_ACTION[tool] = args => ({
+    type,
+    target: args[targetArg] == null ? '' : String(args[targetArg]),
+    content: contentArg && args[contentArg] != null && args[contentArg] !== '' ? String(args[contentArg]) : null,
+  });
+  TAG_TYPES.push(type);
+  PLAN_STEP_TYPES.push(type);
+  if (contentArg) {
+    TAGS_WITH_CONTENT.push(type);
+    ACTION_CONTENT_LABELS[type] = contentLabel || 'Content';
+  }
+}
+
+// Plan bodies are JSON full of brackets, so plans only come in the [/ACTION]-terminated form
+function legacyTypes() {
+  return TAG_TYPES.filter(type => type !== 'PLAN').join('|');
+}
+
+/**
+ * Find the [ACTION:TYPE:...[/ACTION] tags in a text-protocol reply, plus the
+ * older [ACTION:TYPE:...] form. Same rules as the browser's parser.
+ * @param {string} text
+ * @returns {{ type: string, target: string, content: string|null }[]}
+ */
+export function parseActionTags(text) {
+  const types = TAG_TYPES.join('|');
+  const current = new RegExp(`\\[ACTION:(${types}):([\\s\\S]+?)\\[/ACTION\\]`, 'g');
+  const legacy = new RegExp(`\\[ACTION:(${legacyTypes()}):([^\\]]+)\\]`, 'g');
+  const toAction = m => {
+    const type = m[1];
+    const raw = m[2].replace(/\[\/ACTION\s*$/, '').trimEnd();
+    const ci = raw.indexOf(':');
+    if (TAGS_WITH_CONTENT.includes(type) && ci > -1) return { type, target: raw.slice(0, ci), content: raw.slice(ci + 1) };
+    return { type, target: raw, content: null };
+  };
+  return [
+    ...[...text.matchAll(current)].map(toAction),
+    ...[...text.replace(current, '').matchAll(legacy)].map(toAction),
+  ];
+}
+
+/**
+ * A reply with its action tags removed, for display. A tag still being
+ * streamed is hidden too, as is a trailing "[ACT..." that may become one.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripActionTags(text) {
+  const types = TAG_TYPES.join('|');
+  return text
+    .replace(new RegExp(`\\[ACTION:(${types}):[\\s\\S]+?\\[/ACTION\\]`, 'g'), '')
+    .replace(new RegExp(`\\[ACTION:(${legacyTypes()}):[^\\]]*\\]`, 'g'), '')
+    .replace(/\[ACTION[\s\S]*$/, '')
+    .replace(/\[(?:A(?:C(?:T(?:I(?:O)?)?)?)?)?$/, '');
+}
+
+// ── Action Results ───────────────────────────────────────────────────────────
+// What the model is told after the user answers an action card. Shared by the
+// terminal and the browser, which loads this module from /actions.mjs, so it
+// must stay free of Node imports.
+
+// Results of native tool calls go back as role "tool"; text-tag actions are answered as a user message
+function actMsg(act, content) {
+  return act.tool ? { role: 'tool', tool_name: act.tool, content } : { role: 'user', content };
+}
+
+// When the user edited an action before approving it, the model is told what it had proposed
+function editNote(act) {
+  const original = act.original;
+  if (!original) return '';
+  const changed = [];
+  if (original.target !== act.target) changed.push(`target "${original.target}"`);
+  if ((original.content ?? null) !== (act.content ?? null)) {
+    changed.push(act.type === 'WRITE_FILE' ? 'different file content' : `content "${original.content ?? ''}"`);
+  }
+  return `[The user edited this action before approving it. You proposed ${act.type} with ${changed.join(' and ')}.]\n`;
+}
+
+/**
+ * The conversation message reporting that the user denied an action.
+ * @param {{ type: string, target: string, tool?: string }} act
+ * @param {string} [reason]
+ * @returns {{ role: string, content: string, tool_name?: string }}
+ */
+export function denialMessage(act, reason) {
+  return actMsg(act, `[User DENIED the action: ${act.type} on "${act.target}"${reason ? `. Reason: ${reason}` : ''}]`);
+}
+
+/**
+ * The conversation message carrying an approved action's result, in the
+ * "[Result of TYPE on "target"]: SUCCESS" form context.mjs collapses later.
+ * @param {{ type: string, target: string, content?: string|null, tool?: string, original?: object }} act
+ * @param {{ success: boolean, result: string }} outcome
+ * @returns {{ role: string, content: string, tool_name?: string }}
+ */
+export function resultMessage(act, outcome) {
+  return actMsg(act, `${editNote(act)}[Result of ${act.type} on "${act.target}"]: ${outcome.success ? 'SUCCESS' : 'FAILED'}\n${outcome.result}`);
+}
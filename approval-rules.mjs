@@ -0,0 +1,167 @@
+import { parseShell, ruleMatches } from './command-policy.mjs';
+
+// ── Auto-approval Rules ──────────────────────────────────────────────────────
+// Rules that let low-risk actions run without a click on Approve. A rule is one
+// line: an action type (or several, comma-separated) and what it matches.
+//
+//   READ_FILE,TAIL_FILE /var/log/     files under /var/log/ (a path without a trailing / is exact; * and ** glob)
+//   RUN_CMD systemctl status *        one simple command whose words match the pattern
+//   DNS_LOOKUP                        any DNS_LOOKUP (other types match their target, * globs)
+//   never WRITE_FILE                  never auto-approve, whatever other rules say
+//
+// Global rules come from the config and session rules from the session; the
+// server checks every auto-approved job against them, so the browser cannot run
+// anything without approval that the rules do not cover. "never" rules win over
+// every allow rule, an action must also pass its policy check without needing
+// confirmation, and writes, runbooks and plans always need a person. Plugins
+// marked `auto` count as one more allow rule, so the kill switch and "never"
+// rules apply to them too.
+
+export const DEFAULT_AUTO_APPROVE = { enabled: true, rules: [] };
+
+// Types whose target is a path; rules for them match the canonical path
+export const PATH_TYPES = ['READ_FILE', 'LIST_DIR', 'TAIL_FILE', 'SEARCH_FILE', 'RUN_SCRIPT'];
+// Types that are reviewed as a whole (a diff, a list of steps) and never run without approval
+export const NEVER_AUTO_TYPES = ['WRITE_FILE', 'RUNBOOK', 'PLAN'];
+const TYPE_RE = /^[A-Z][A-Z0-9_]*$/;
+
+export class ApprovalRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApprovalRuleError';
+  }
+}
+
+/**
+ * Parse one rule line.
+ * @param {string} line
+ * @returns {{ text: string, never: boolean, types: string[], match: string|null }}
+ */
+export function parseRule(line) {
+  const text = String(line ?? '').trim().replace(/\s+/g, ' ');
+  const words = text.split(' ');
+  const never = words[0]?.toLowerCase() === 'never';
+  if (never) words.shift();
+  const types = (words.shift() || '').split(',').filter(Boolean);
+  if (!types.length) throw new ApprovalRuleError(`"${text}": name an action type, e.g. READ_FILE /var/log/`);
+  const bad = types.find(t => !TYPE_RE.test(t));
+  if (bad) throw new ApprovalRuleError(`"${text}": "${bad}" is not an action type (use upper case, e.g. READ_FILE)`);
+  const match = words.join(' ') || null;
+  if (!never) {
+    const blocked = types.find(t => NEVER_AUTO_TYPES.includes(t));
+    if (blocked) throw new ApprovalRuleError(`"${text}": ${blocked} always needs approval and cannot be auto-approved`);
+    const needs = types.find(t => (PATH_TYPES.includes(t) || t === 'RUN_CMD') && !match);
+    if (needs) throw new ApprovalRuleError(`"${text}": a ${needs} rule needs a ${needs === 'RUN_CMD' ? 'command pattern' : 'path'}`);
+    if (match && types.some(t => PATH_TYPES.includes(t)) && !match.startsWith('/')) {
+      throw new ApprovalRuleError(`"${text}": paths must be absolute`);
+    }
+  }
+  return { text: (never ? 'never ' : '') + [types.join(','), match].filter(Boolean).join(' '), never, types, match };
+}
+
+/**
+ * Parse a list of rule lines, failing on the first invalid one.
+ * @param {string[]|string} rules - A list, or text with one rule per line ("#" starts a comment)
+ * @returns {string[]} The rules, normalized
+ */
+export function validateRules(rules) {
+  const lines = Array.isArray(rules) ? rules : String(rules ?? '').split('\n');
+  return lines
+    .map(line => String(line).replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => parseRule(line).text);
+}
+
+/**
+ * Auto-approval settings from the config. Invalid rules are dropped and reported.
+ * @param {object} [value] - { enabled, rules }
+ * @returns {{ settings: { enabled: boolean, rules: string[] }, errors: string[] }}
+ */
+export function normalizeAutoApprove(value = {}) {
+  const rules = [];
+  const errors = [];
+  for (const line of Array.isArray(value.rules) ? value.rules : []) {
+    try {
+      rules.push(...validateRules([line]));
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  return { settings: { enabled: value.enabled !== false, rules }, errors };
+}
+
+// Path glob: * stays within one directory, ** crosses them; a trailing / matches everything below
+function pathMatches(pattern, path) {
+  if (pattern.endsWith('/') && !pattern.includes('*')) return path === pattern.slice(0, -1) || path.startsWith(pattern);
+  const src = pattern
+    .replace(/[.+^${}()|[\]\\?]/g, '\\$&')
+    .replace(/\*\*/g, '\0')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\0/g, '.*');
+  return new RegExp(`^${src}${pattern.endsWith('/') ? '.*' : ''}$`).test(path);
+}
+
+function globMatches(pattern, text) {
+  const src = pattern.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${src}$`).test(text);
+}
+
+// A command line that can be matched safely: one simple command, nothing computed, no output redirection
+function simpleCommand(line) {
+  let parsed;
+  try {
+    parsed = parseShell(line);
+  } catch {
+    return null;
+  }
+  if (parsed.length !== 1) return null;
+  const [cmd] = parsed;
+  if (cmd.functionDef || cmd.piped || cmd.assigns.length || cmd.dynamic.some(Boolean)) return null;
+  if (cmd.redirects.some(r => />/.test(r.op))) return null;
+  return cmd;
+}
+
+function ruleMatchesAction(rule, action, canonicalPath) {
+  if (!rule.types.includes(action.type)) return false;
+  if (!rule.match) return true;
+  if (PATH_TYPES.includes(action.type)) return canonicalPath != null && pathMatches(rule.match, canonicalPath);
+  if (action.type === 'RUN_CMD') {
+    const cmd = simpleCommand(action.target);
+    return !!cmd && ruleMatches({ pattern: rule.match }, cmd);
+  }
+  return globMatches(rule.match, action.target);
+}
+
+/**
+ * Decide whether an action may run without asking the user.
+ * @param {{ type: string, target: string, content?: string|null }} action
+ * @param {object} ctx
+ * @param {{ enabled: boolean, rules: string[] }} ctx.settings - Global settings from the config
+ * @param {string[]} [ctx.sessionRules]
+ * @param {(path: string) => { allowed: boolean, path: string }} ctx.checkPath - Read policy
+ * @param {(action: object) => { decision: string }} ctx.checkPolicy - The action's own policy verdict
+ * @param {string[]} [ctx.pluginAuto] - Plugin types marked auto, allowed when no rule of the user's matches
+ * @returns {{ auto: boolean, rule?: string, scope?: 'global'|'session'|'plugin', reason?: string }}
+ */
+export function evaluateAutoApproval(action, { settings, sessionRules = [], checkPath, checkPolicy, pluginAuto = [] }) {
+  if (!settings.enabled) return { auto: false, reason: 'Auto-approval is turned off.' };
+  if (NEVER_AUTO_TYPES.includes(action.type)) return { auto: false, reason: `${action.type} always needs approval.` };
+  const rules = [
+    ...settings.rules.map(text => ({ ...parseRule(text), scope: 'global' })),
+    ...validateRules(sessionRules).map(text => ({ ...parseRule(text), scope: 'session' })),
+  ];
+  let canonical = null;
+  if (PATH_TYPES.includes(action.type)) {
+    const policy = checkPath(action.target);
+    if (!policy.allowed) return { auto: false, reason: 'The path is not readable under the path policy.' };
+    canonical = policy.path;
+  }
+  const never = rules.find(r => r.never && ruleMatchesAction(r, action, canonical));
+  if (never) return { auto: false, reason: `Excluded by the ${never.scope} rule "${never.text}".` };
+  const rule = rules.find(r => !r.never && ruleMatchesAction(r, action, canonical))
+    || (pluginAuto.includes(action.type) ? { text: `${action.type} (marked auto by its plugin)`, scope: 'plugin' } : null);
+  if (!rule) return { auto: false, reason: 'No auto-approval rule matches this action.' };
+  const verdict = checkPolicy(action);
+  if (verdict.decision !== 'allow') return { auto: false, reason: `The ${rule.scope} rule "${rule.text}" matches, but the policy ${verdict.decision === 'deny' ? 'refuses' : 'wants a confirmation for'} this action.` };
+  return { auto: true, rule: rule.text, scope: rule.scope };
+}
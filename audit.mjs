@@ -0,0 +1,161 @@
+import { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const AUDIT_DIR = join(__dirname, '.doctorclaw-audit');
+export const AUDIT_LOG_PATH = join(AUDIT_DIR, 'audit.jsonl');
+const HEAD_PATH = join(AUDIT_DIR, 'head.json');
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * SHA-256 hex digest of a string or buffer.
+ * @param {string|Buffer} data
+ * @returns {string}
+ */
+export function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+// An entry's hash covers every field except the hash itself, including `prev`,
+// so changing or removing any earlier line breaks every hash after it.
+function hashEntry(entry) {
+  const { hash: _omit, ...rest } = entry;
+  return sha256(JSON.stringify(rest));
+}
+
+function readLines() {
+  if (!existsSync(AUDIT_LOG_PATH)) return [];
+  return readFileSync(AUDIT_LOG_PATH, 'utf-8').split('\n').filter(l => l.trim());
+}
+
+function readHead() {
+  if (existsSync(HEAD_PATH)) {
+    try { return JSON.parse(readFileSync(HEAD_PATH, 'utf-8')); } catch {}
+  }
+  // Head missing or unreadable: continue the chain from the last line on disk
+  const lines = readLines();
+  if (lines.length) {
+    try {
+      const last = JSON.parse(lines[lines.length - 1]);
+      return { seq: last.seq, hash: last.hash };
+    } catch {}
+  }
+  return { seq: 0, hash: GENESIS_HASH };
+}
+
+/**
+ * Append an entry to the audit log, chaining it to the previous entry.
+ * @param {object} fields
+ * @param {string|null} [fields.session_id]
+ * @param {string} fields.type - Action type (READ_FILE, RUN_CMD, ...)
+ * @param {string} fields.target
+ * @param {string|null} [fields.content] - Hashed into content_sha256; never stored verbatim
+ * @param {boolean} fields.success
+ * @param {string} [fields.output] - Only its size is recorded
+ * @param {string|null} [fields.backup]
+ * @param {string} [fields.auto_rule] - The auto-approval rule that approved the action; absent when a person did
+ * @param {boolean} [fields.dry_run] - The action ran in the sandbox (see sandbox.mjs) and changed nothing
+ * @returns {object} The written entry
+ */
+export function appendAudit(fields) {
+  if (!existsSync(AUDIT_DIR)) mkdirSync(AUDIT_DIR, { recursive: true });
+  const head = readHead();
+  const entry = {
+    seq: head.seq + 1,
+    ts: new Date().toISOString(),
+    session_id: fields.session_id || null,
+    type: fields.type,
+    target: fields.target,
+    content_sha256: fields.content != null ? sha256(String(fields.content)) : null,
+    success: !!fields.success,
+    output_bytes: Buffer.byteLength(String(fields.output ?? ''), 'utf-8'),
+    backup: fields.backup || null,
+    ...(fields.auto_rule ? { approval: 'auto', auto_rule: fields.auto_rule } : {}),
+    ...(fields.dry_run ? { dry_run: true } : {}),
+    prev: head.hash,
+  };
+  entry.hash = hashEntry(entry);
+  appendFileSync(AUDIT_LOG_PATH, JSON.stringify(entry) + '\n', 'utf-8');
+  writeFileSync(HEAD_PATH, JSON.stringify({ seq: entry.seq, hash: entry.hash }) + '\n', 'utf-8');
+  return entry;
+}
+
+/**
+ * Query the audit log. All filters are optional.
+ * @param {object} [filters]
+ * @param {string} [filters.since] - ISO timestamp, inclusive
+ * @param {string} [filters.until] - ISO timestamp, inclusive
+ * @param {string} [filters.type] - Exact action type
+ * @param {string} [filters.path] - Target prefix
+ * @param {string} [filters.session_id]
+ * @param {number} [filters.limit] - Return only the newest N matches
+ * @returns {object[]}
+ */
+export function queryAudit(filters = {}) {
+  const since = filters.since ? Date.parse(filters.since) : null;
+  const until = filters.until ? Date.parse(filters.until) : null;
+  const matches = [];
+  for (const line of readLines()) {
+    let entry;
+    try { entry = JSON.parse(line); } catch { continue; }
+    const ts = Date.parse(entry.ts);
+    if (since !== null && !(ts >= since)) continue;
+    if (until !== null && !(ts <= until)) continue;
+    if (filters.type && entry.type !== filters.type) continue;
+    if (filters.path && !String(entry.target || '').startsWith(filters.path)) continue;
+    if (filters.session_id && entry.session_id !== filters.session_id) continue;
+    matches.push(entry);
+  }
+  const limit = parseInt(filters.limit, 10);
+  return limit > 0 ? matches.slice(-limit) : matches;
+}
+
+/**
+ * Walk the whole chain and report anything that does not line up:
+ * malformed lines, edited entries (hash mismatch), removed or reordered
+ * entries (broken prev link or sequence gap), and a truncated tail
+ * (last entry does not match the recorded head).
+ * @returns {{ ok: boolean, entries: number, errors: { line: number, seq: number|null, message: string }[] }}
+ */
+export function verifyAudit() {
+  const lines = readLines();
+  const errors = [];
+  let prevHash = GENESIS_HASH;
+  let prevSeq = 0;
+
+  lines.forEach((line, i) => {
+    let entry;
+    try { entry = JSON.parse(line); } catch {
+      errors.push({ line: i + 1, seq: null, message: 'Malformed JSON' });
+      return;
+    }
+    if (entry.seq !== prevSeq + 1) {
+      errors.push({ line: i + 1, seq: entry.seq, message: `Sequence gap: expected ${prevSeq + 1}, found ${entry.seq}` });
+    }
+    if (entry.prev !== prevHash) {
+      errors.push({ line: i + 1, seq: entry.seq, message: 'Chain broken: prev does not match the preceding entry' });
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      errors.push({ line: i + 1, seq: entry.seq, message: 'Entry was modified: hash mismatch' });
+    }
+    prevHash = entry.hash;
+    prevSeq = entry.seq;
+  });
+
+  if (existsSync(HEAD_PATH)) {
+    try {
+      const head = JSON.parse(readFileSync(HEAD_PATH, 'utf-8'));
+      if (head.seq !== prevSeq || head.hash !== prevHash) {
+        errors.push({ line: lines.length, seq: prevSeq, message: `Log ends at entry ${prevSeq} but head records entry ${head.seq}: entries were removed from the end` });
+      }
+    } catch {
+      errors.push({ line: 0, seq: null, message: 'Head file is unreadable' });
+    }
+  } else if (lines.length) {
+    errors.push({ line: 0, seq: null, message: 'Head file is missing' });
+  }
+
+  return { ok: errors.length === 0, entries: lines.length, errors };
+}
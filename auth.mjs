@@ -0,0 +1,191 @@
+import { scrypt, scryptSync, randomBytes, timingSafeEqual, createHash } from 'crypto';
+import { promisify } from 'util';
+
+// ── Authentication ───────────────────────────────────────────────────────────
+// Secrets (the login password and the generated access token) are stored in
+// the config only as salted scrypt hashes. A successful login creates an
+// in-memory session referenced by an HttpOnly cookie; each session carries its
+// own CSRF token that state-changing requests must echo in a header.
+
+export const SESSION_COOKIE = 'doctorclaw_session';
+export const CSRF_HEADER = 'x-csrf-token';
+export const SESSION_TTL_HOURS = 24;
+
+// Failed logins allowed per client address within LOCKOUT_WINDOW_MS
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_WINDOW_MS = 15 * 60 * 1000;
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Hash a password or token for storage.
+ * @param {string} secret
+ * @returns {string} "scrypt:<salt>:<hash>" (hex)
+ */
+export function hashSecret(secret) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(String(secret), salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a secret against a stored hash in constant time. The hash runs on the
+ * libuv thread pool, so guesses do not block the event loop.
+ * @param {string} secret
+ * @param {string} stored - Value produced by hashSecret
+ * @returns {Promise<boolean>}
+ */
+export async function verifySecret(secret, stored) {
+  if (typeof secret !== 'string' || !secret || typeof stored !== 'string') return false;
+  const [scheme, saltHex, hashHex] = stored.split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scryptAsync(secret, Buffer.from(saltHex, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Random URL-safe access token.
+ * @returns {string}
+ */
+export function generateToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+/**
+ * Parse a Cookie header.
+ * @param {string} [header]
+ * @returns {Record<string, string>}
+ */
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq < 1) continue;
+    const name = part.slice(0, eq).trim();
+    try { cookies[name] = decodeURIComponent(part.slice(eq + 1).trim()); } catch {}
+  }
+  return cookies;
+}
+
+/**
+ * Check whether a host name refers to this machine only.
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isLoopback(address) {
+  return ['localhost', '127.0.0.1', '::1'].includes(address) || /^127\./.test(address);
+}
+
+/**
+ * In-memory login sessions plus failed-login tracking.
+ * @param {object} [options]
+ * @param {number} [options.ttlHours=24]
+ */
+export function createAuthSessions({ ttlHours = SESSION_TTL_HOURS } = {}) {
+  const sessions = new Map();
+  const failures = new Map();
+  // Bearer tokens already checked with scrypt, keyed by their SHA-256, so API clients are not hashed on every request
+  const verifiedBearers = new Set();
+  const ttlMs = ttlHours * 3600 * 1000;
+
+  function sweep() {
+    const now = Date.now();
+    for (const [id, s] of sessions) if (s.expires < now) sessions.delete(id);
+    for (const [ip, f] of failures) if (now - f.first > LOCKOUT_WINDOW_MS) failures.delete(ip);
+  }
+
+  return {
+    /**
+     * @returns {{ id: string, csrf: string, expires: number }}
+     */
+    create() {
+      sweep();
+      const session = { id: randomBytes(32).toString('base64url'), csrf: randomBytes(24).toString('base64url'), expires: Date.now() + ttlMs };
+      sessions.set(session.id, session);
+      return session;
+    },
+
+    /**
+     * @param {string} [id]
+     * @returns {{ id: string, csrf: string, expires: number }|null}
+     */
+    get(id) {
+      if (!id) return null;
+      const session = sessions.get(id);
+      if (!session) return null;
+      if (session.expires < Date.now()) {
+        sessions.delete(id);
+        return null;
+      }
+      return session;
+    },
+
+    destroy(id) {
+      sessions.delete(id);
+    },
+
+    // Changing a secret signs everybody out
+    clear() {
+      sessions.clear();
+      verifiedBearers.clear();
+    },
+
+    /**
+     * Check a bearer token against the stored token hash, caching successes.
+     * @param {string} token
+     * @param {string} [tokenHash]
+     * @returns {Promise<boolean>}
+     */
+    async checkBearer(token, tokenHash) {
+      if (!token || !tokenHash) return false;
+      const key = createHash('sha256').update(token).update(tokenHash).digest('hex');
+      if (verifiedBearers.has(key)) return true;
+      if (!(await verifySecret(token, tokenHash))) return false;
+      verifiedBearers.add(key);
+      return true;
+    },
+
+    /**
+     * @param {string} ip
+     * @returns {number} Seconds until the address may try again, 0 if not locked out
+     */
+    lockedFor(ip) {
+      const f = failures.get(ip);
+      if (!f || f.count < MAX_FAILED_LOGINS) return 0;
+      const left = f.first + LOCKOUT_WINDOW_MS - Date.now();
+      if (left <= 0) {
+        failures.delete(ip);
+        return 0;
+      }
+      return Math.ceil(left / 1000);
+    },
+
+    recordFailure(ip) {
+      const f = failures.get(ip);
+      if (!f || Date.now() - f.first > LOCKOUT_WINDOW_MS) failures.set(ip, { first: Date.now(), count: 1 });
+      else f.count++;
+    },
+
+    recordSuccess(ip) {
+      failures.delete(ip);
+    },
+
+    /**
+     * Run a secret check for a client address under the lockout. The attempt
+     * counts as a failure before the check starts, so guesses sent in parallel
+     * cannot outrun the limit, and a successful check clears the address.
+     * @param {string} ip
+     * @param {() => Promise<boolean>} check
+     * @returns {Promise<{ ok: boolean, wait: number }>} wait: seconds left when locked out
+     */
+    async attempt(ip, check) {
+      const wait = this.lockedFor(ip);
+      if (wait) return { ok: false, wait };
+      this.recordFailure(ip);
+      if (!(await check())) return { ok: false, wait: 0 };
+      this.recordSuccess(ip);
+      return { ok: true, wait: 0 };
+    },
+  };
+}
@@ -0,0 +1,113 @@
+import { readdirSync, statSync, copyFileSync, existsSync, mkdirSync, unlinkSync } from 'fs';
+import { join, dirname, basename, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const BACKUP_DIR = join(__dirname, '.doctorclaw-backups');
+
+export const DEFAULT_RETENTION = { max_age_days: 30, max_per_file: 20 };
+
+// Backup names are the original path, percent-encoded so that it decodes back
+// exactly (no "/" in the name), then ".<timestamp>.bak". Names from before this
+// encoding turned "/" into "__", which cannot be told apart from a "__" in the
+// path; they are left alone and no longer listed.
+const BACKUP_NAME_RE = /^(.+)\.(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.bak$/;
+
+/**
+ * Split a backup file name into the original path and creation time.
+ * @param {string} name - File name inside BACKUP_DIR
+ * @returns {{ name: string, path: string, created: string }|null} Null if the name is not a backup
+ */
+export function parseBackupName(name) {
+  if (typeof name !== 'string' || basename(name) !== name) return null;
+  const m = name.match(BACKUP_NAME_RE);
+  if (!m) return null;
+  let path;
+  try {
+    path = decodeURIComponent(m[1]);
+  } catch {
+    return null;
+  }
+  if (!isAbsolute(path) || path.includes('\0')) return null;
+  const [date, time] = m[2].split('T');
+  const [hh, mm, ss, ms] = time.replace('Z', '').split('-');
+  return { name, path, created: `${date}T${hh}:${mm}:${ss}.${ms}Z` };
+}
+
+/**
+ * Absolute path of a backup, or null if the name is not a valid backup name.
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function backupPath(name) {
+  return parseBackupName(name) ? join(BACKUP_DIR, name) : null;
+}
+
+/**
+ * Copy a file into BACKUP_DIR before it is modified.
+ * @param {string} filepath
+ * @returns {string|null} The backup path, or null if the file does not exist yet
+ */
+export function createBackup(filepath) {
+  if (!existsSync(filepath)) return null;
+  if (!existsSync(BACKUP_DIR)) mkdirSync(BACKUP_DIR, { recursive: true });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupName = encodeURIComponent(filepath) + `.${timestamp}.bak`;
+  const backupPath = join(BACKUP_DIR, backupName);
+  copyFileSync(filepath, backupPath);
+  return backupPath;
+}
+
+/**
+ * List all backups grouped by the file they were taken from, newest first.
+ * @returns {{ path: string, exists: boolean, backups: { name: string, created: string, size: number }[] }[]}
+ */
+export function listBackups() {
+  if (!existsSync(BACKUP_DIR)) return [];
+  const groups = new Map();
+  for (const file of readdirSync(BACKUP_DIR)) {
+    const parsed = parseBackupName(file);
+    if (!parsed) continue;
+    let size = 0;
+    try { size = statSync(join(BACKUP_DIR, file)).size; } catch { continue; }
+    if (!groups.has(parsed.path)) groups.set(parsed.path, []);
+    groups.get(parsed.path).push({ name: file, created: parsed.created, size });
+  }
+  return [...groups.entries()]
+    .map(([path, backups]) => ({
+      path,
+      exists: existsSync(path),
+      backups: backups.sort((a, b) => b.created.localeCompare(a.created)),
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Delete backups that fall outside the retention policy. The newest backup of
+ * each file is always kept, whatever its age.
+ * @param {object} [retention]
+ * @param {number} [retention.max_age_days] - 0 or missing disables the age limit
+ * @param {number} [retention.max_per_file] - 0 or missing disables the count limit
+ * @param {string} [onlyPath] - Restrict pruning to backups of this file
+ * @returns {string[]} Names of the deleted backups
+ */
+export function pruneBackups(retention = DEFAULT_RETENTION, onlyPath) {
+  const maxAge = Number(retention.max_age_days) || 0;
+  const maxCount = Number(retention.max_per_file) || 0;
+  const cutoff = maxAge ? Date.now() - maxAge * 86400000 : null;
+  const removed = [];
+  for (const group of listBackups()) {
+    if (onlyPath && group.path !== onlyPath) continue;
+    group.backups.forEach((b, i) => {
+      if (i === 0) return;
+      const tooMany = maxCount && i >= maxCount;
+      const tooOld = cutoff !== null && Date.parse(b.created) < cutoff;
+      if (!tooMany && !tooOld) return;
+      try {
+        unlinkSync(join(BACKUP_DIR, b.name));
+        removed.push(b.name);
+      } catch {}
+    });
+  }
+  return removed;
+}
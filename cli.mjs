@@ -0,0 +1,513 @@
+import { createInterface } from 'readline';
+import { spawnSync } from 'child_process';
+import { writeFileSync, readFileSync, unlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getSession, saveSession, isValidSessionId } from './sessions.mjs';
+import { ACTION_LABELS, ACTION_CONTENT_LABELS, AUTO_ACTIONS, parseActionTags, stripActionTags, denialMessage, resultMessage } from './actions.mjs';
+import { exportSession, EXPORT_FORMATS } from './session-export.mjs';
+import { serializePlan } from './plans.mjs';
+import { queryAudit } from './audit.mjs';
+import { collectSnapshot, formatSnapshot, snapshotMessage } from './snapshot.mjs';
+
+// ── Terminal Client ──────────────────────────────────────────────────────────
+// `--cli` runs DoctorClaw in the terminal instead of the browser: replies
+// stream to stdout and each proposed action is approved, denied or edited at
+// a readline prompt. The session is stored exactly like a browser tab, so it
+// shows up in the web UI and can be continued there (or here with --session).
+// `--runbook <name>` starts the session by running a runbook (see runbooks.mjs).
+
+// Same shapes as the browser's mkS() and newAct()
+function newSession() {
+  const now = new Date();
+  return {
+    id: 's_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+    label: now.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }),
+    conversation: [],
+    rendered: [],
+    createdAt: now.toISOString(),
+  };
+}
+
+function newAct({ type, target, content, tool }) {
+  return {
+    id: 'act_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+    type,
+    target,
+    content: content ?? null,
+    status: 'pending',
+    result: null,
+    resultSuccess: null,
+    ...(tool ? { tool } : {}),
+  };
+}
+
+function indent(text, prefix = '    ') {
+  return text.replace(/\n$/, '').split('\n').map(line => prefix + line).join('\n');
+}
+
+function reasonList(reasons) {
+  return indent(reasons.map(r => '- ' + r).join('\n'), '      ');
+}
+
+/**
+ * Run the terminal client until the user exits.
+ * @param {object} deps
+ * @param {(req: object) => Promise<{ toolMode: string, context: object, chunks: AsyncGenerator<object> }>} deps.openChat
+ * @param {(action: object, ctx: { signal: AbortSignal, onOutput: (text: string) => void }) => Promise<object>} deps.execute
+ *   Runs an approved action as a job and resolves with its outcome
+ * @param {(target: string, content: string) => object} deps.previewWrite
+ * @param {(command: string) => { decision: string, reasons: string[] }} deps.checkCommand
+ * @param {(action: object) => { decision: string, reasons: string[] }|null} deps.checkPlugin - Verdict for a plugin action type, null for built-in types
+ * @param {(action: object, sessionId: string) => { auto: boolean, rule?: string }} deps.autoApprove - Whether the auto-approval rules cover an action
+ * @param {(name: string) => object} deps.planRunbook - Steps of a runbook and their policy verdicts; throws if it cannot be loaded
+ * @param {(content: string) => object} deps.reviewPlan - Steps of a treatment plan with their policy verdicts and diffs; throws if the plan is invalid
+ * @param {(type: string) => boolean} [deps.canDryRun] - Whether actions of a type can be dry-run in the sandbox
+ * @param {string} deps.model - Configured model, shown in the banner
+ * @param {string} [deps.sessionId] - Session to continue
+ * @param {string} [deps.runbook] - Runbook to run first
+ * @param {boolean} [deps.interactive=true] - False to exit once the runbook's results are interpreted
+ * @param {NodeJS.ReadableStream} [deps.input]
+ * @param {NodeJS.WritableStream} [deps.output]
+ */
+export async function runCli({ openChat, execute, previewWrite, checkCommand, checkPlugin, autoApprove, planRunbook, reviewPlan, canDryRun = () => false, model, sessionId, runbook, interactive = true, input = process.stdin, output = process.stdout }) {
+  // Fails before anything is printed if the runbook is missing or invalid
+  const plan = runbook != null || !interactive ? planRunbook(runbook) : null;
+  let session;
+  if (sessionId) {
+    if (!isValidSessionId(sessionId) || !(session = getSession(sessionId))) {
+      throw new Error(`No saved session "${sessionId}"`);
+    }
+  } else {
+    session = newSession();
+  }
+
+  const rl = createInterface({ input, output, terminal: !!output.isTTY });
+  const print = text => output.write(text);
+  // Ctrl+C stops whatever is running (a reply or an action); at the prompt it exits
+  let interrupt = null;
+  rl.on('SIGINT', () => {
+    if (interrupt) interrupt();
+    else rl.close();
+  });
+
+  // Lines typed (or piped in) while no prompt is open are kept for the next one
+  const pending = [];
+  let waiting = null;
+  let closed = false;
+  rl.on('line', line => {
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(line);
+    } else {
+      pending.push(line);
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    if (waiting) waiting(null);
+    waiting = null;
+  });
+
+  function ended() {
+    return closed && !pending.length;
+  }
+
+  /**
+   * @returns {Promise<string|null>} The answer, or null once input has ended
+   */
+  function ask(question, prefill = '') {
+    if (pending.length) {
+      const line = pending.shift();
+      print(question + line + '\n');
+      return Promise.resolve(line);
+    }
+    if (closed) return Promise.resolve(null);
+    rl.setPrompt(question);
+    rl.prompt();
+    if (prefill) rl.write(prefill);
+    return new Promise(resolve => { waiting = resolve; });
+  }
+
+  function save() {
+    session = saveSession(session);
+  }
+
+  // Edit long text (file content) in $EDITOR, falling back to a one-line prompt
+  async function editText(label, text) {
+    const editor = process.env.VISUAL || process.env.EDITOR;
+    if (!editor || !output.isTTY) {
+      const answer = await ask(`  ${label}: `, text);
+      return answer ?? text;
+    }
+    const file = join(tmpdir(), `doctorclaw-edit-${process.pid}-${Date.now()}`);
+    writeFileSync(file, text, 'utf-8');
+    rl.pause();
+    try {
+      spawnSync(editor, [file], { stdio: 'inherit', shell: true });
+      return readFileSync(file, 'utf-8');
+    } finally {
+      rl.resume();
+      try { unlinkSync(file); } catch {}
+    }
+  }
+
+  // The same notices the browser shows when the server summarized or shortened part of the conversation
+  function noteContext(ctx) {
+    if (ctx.summarized) {
+      session.caseNotes = { up_to: ctx.summarized.up_to, text: ctx.summarized.text };
+      const content = `Earlier conversation (${ctx.summarized.messages} messages) summarized into case notes to fit the model's context window`;
+      session.rendered.push({ role: 'notice', content, detail: ctx.summarized.text });
+      print(`\n  ℹ ${content}\n`);
+    }
+    const seen = new Set(session.collapsedSeen || []);
+    const fresh = (ctx.collapsed || []).filter(c => !seen.has(c.id));
+    if (fresh.length) {
+      session.collapsedSeen = [...seen, ...fresh.map(c => c.id)];
+      const content = `${fresh.length} long action result${fresh.length > 1 ? 's' : ''} shortened to excerpts for the model (it can ask to read more)`;
+      const detail = fresh.map(c => `${ACTION_LABELS[c.type] || c.type} on ${c.target}: ${c.lines} lines, ${c.chars} characters (${c.id})`).join('\n');
+      session.rendered.push({ role: 'notice', content, detail });
+      print(`\n  ℹ ${content}\n`);
+    }
+  }
+
+  /**
+   * Stream one reply and record it.
+   * @returns {Promise<object[]>} Actions the reply proposed
+   */
+  async function streamReply() {
+    const controller = new AbortController();
+    interrupt = () => controller.abort();
+    let full = '';
+    let shown = '';
+    let toolMode = 'text';
+    const toolCalls = [];
+    const toolActs = [];
+    try {
+      const chat = await openChat({
+        messages: session.conversation,
+        model: session.model || undefined,
+        options: session.options || undefined,
+        caseNotes: session.caseNotes || undefined,
+        signal: controller.signal,
+      });
+      toolMode = chat.toolMode;
+      if (chat.context) noteContext(chat.context);
+      print('\nDoctorClaw: ');
+      for await (const chunk of chat.chunks) {
+        if (chunk.message?.tool_calls) toolCalls.push(...chunk.message.tool_calls);
+        if (chunk.actions) toolActs.push(...chunk.actions);
+        if (chunk.message?.content) {
+          full += chunk.message.content;
+          // Print only what is new, holding back anything that may turn out to be an action tag
+          const visible = stripActionTags(full);
+          if (visible.startsWith(shown)) {
+            print(visible.slice(shown.length));
+            shown = visible;
+          }
+        }
+      }
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        const detail = err.detail || err.message;
+        if (!full) print('\nDoctorClaw: ');
+        full += (full ? '\n\n' : '') + 'Error: ' + detail;
+        print(`\n  ✗ ${detail}`);
+      }
+    } finally {
+      interrupt = null;
+    }
+    const aborted = controller.signal.aborted;
+    if (aborted) print('\n  (stopped)');
+    print('\n');
+
+    const message = { role: 'assistant', content: full };
+    if (toolCalls.length && !aborted) message.tool_calls = toolCalls;
+    session.conversation.push(message);
+    const entry = { role: 'assistant', content: full, actions: [] };
+    if (!aborted) {
+      // Tool calls arrive already parsed; the text-tag parser is only used for models without tool support
+      for (const a of toolActs) entry.actions.push(newAct(a));
+      if (toolMode === 'text') for (const a of parseActionTags(full)) entry.actions.push(newAct(a));
+    }
+    session.rendered.push(entry);
+    save();
+    return entry.actions;
+  }
+
+  function showAction(act) {
+    print(`\n  ▸ ${ACTION_LABELS[act.type] || act.type}: ${act.target}\n`);
+    if (act.original && act.original.target !== act.target) print(`    (edited; proposed: ${act.original.target})\n`);
+    if (act.content && !['WRITE_FILE', 'PLAN'].includes(act.type) && ACTION_CONTENT_LABELS[act.type]) print(`    ${ACTION_CONTENT_LABELS[act.type].toLowerCase()}: ${act.content}\n`);
+    const pluginVerdict = checkPlugin(act);
+    if (pluginVerdict) {
+      act.policy = pluginVerdict;
+      if (pluginVerdict.decision === 'deny') print(`    ✗ This action will be refused:\n${reasonList(pluginVerdict.reasons)}\n`);
+      if (pluginVerdict.decision === 'confirm') print(`    ⚠ This action needs an extra confirmation:\n${reasonList(pluginVerdict.reasons)}\n`);
+    }
+    if (act.type === 'RUN_CMD') {
+      const verdict = checkCommand(act.target);
+      act.policy = { decision: verdict.decision, reasons: verdict.reasons };
+      if (verdict.decision === 'deny') print(`    ✗ The command policy will refuse this command:\n${reasonList(verdict.reasons)}\n`);
+      if (verdict.decision === 'confirm') print(`    ⚠ This command needs an extra confirmation:\n${reasonList(verdict.reasons)}\n`);
+    }
+    if (act.type === 'RUNBOOK') {
+      let rb;
+      try {
+        rb = planRunbook(act.target);
+      } catch (err) {
+        print(`    ✗ ${err.message}\n`);
+        return;
+      }
+      act.policy = rb.policy;
+      if (rb.description) print(indent(rb.description) + '\n');
+      rb.steps.forEach((step, i) => {
+        print(`    ${i + 1}. ${step.title} — ${ACTION_LABELS[step.type]}: ${step.target}${step.content ? ` ${step.content}` : ''}\n`);
+        if (step.skip) return print(`       skipped (${step.skip})\n`);
+        if (step.conditions) print(`       only if ${step.conditions}\n`);
+        if (step.expect.length) print(`       expects ${step.expect.join('; ')}\n`);
+      });
+      if (rb.blocked.length) print(`    ✗ These steps will be refused when reached:\n${reasonList(rb.blocked)}\n`);
+      if (rb.policy.decision === 'confirm') print(`    ⚠ These steps need an extra confirmation:\n${reasonList(rb.policy.reasons)}\n`);
+    }
+    if (act.type === 'PLAN') {
+      let plan;
+      try {
+        plan = reviewPlan(act.content);
+      } catch (err) {
+        print(`    ✗ ${err.message}\n`);
+        act.policy = { decision: 'deny', reasons: [err.message] };
+        return;
+      }
+      act.policy = plan.policy;
+      plan.steps.forEach(step => {
+        print(`    ${step.number}. ${ACTION_LABELS[step.type] || step.type}: ${step.target}${step.content && step.type !== 'WRITE_FILE' ? ` ${step.content}` : ''}\n`);
+        if (step.reason) print(`       why: ${step.reason}\n`);
+        if (step.diff) print(indent(step.diff, '       ') + '\n');
+      });
+      // The reviewed files' fingerprints go with the approval, as for a single Write File
+      act.content = serializePlan(plan.steps);
+      if (plan.blocked.length) print(`    ✗ The plan will be refused because of these steps:\n${reasonList(plan.blocked)}\n`);
+      if (plan.policy.decision === 'confirm') print(`    ⚠ These steps need an extra confirmation:\n${reasonList(plan.policy.reasons)}\n`);
+    }
+    if (act.type === 'WRITE_FILE') {
+      const preview = previewWrite(act.target, act.content || '');
+      if (!preview.success) {
+        print(`    ✗ ${preview.result}\n`);
+        act.fingerprint = undefined;
+      } else {
+        act.fingerprint = preview.fingerprint;
+        if (!preview.exists) print('    New file — it does not exist yet.\n');
+        print(preview.diff ? indent(preview.diff) + '\n' : '    The proposed content is identical to the current file.\n');
+      }
+    }
+  }
+
+  async function editAction(act) {
+    const before = { target: act.target, content: act.content };
+    if (act.type === 'PLAN') {
+      let steps;
+      try {
+        steps = JSON.parse(act.content);
+      } catch {
+        act.content = await editText('Steps (JSON)', act.content || '[]');
+        return;
+      }
+      const drop = ((await ask('  Drop steps (numbers, e.g. 2 4; Enter for none): ')) ?? '').match(/\d+/g) || [];
+      steps = steps.filter((_, i) => !drop.includes(String(i + 1)));
+      const edit = ((await ask('  Edit the remaining steps? [y/N]: ')) ?? '').trim().toLowerCase();
+      // Edited steps are reviewed again, so stale fingerprints are dropped
+      const text = JSON.stringify(steps.map(({ fingerprint: _omit, ...step }) => step), null, 2);
+      act.content = edit === 'y' || edit === 'yes' ? await editText('Steps (JSON)', text) : text;
+    } else if (act.type === 'WRITE_FILE') {
+      const target = await ask('  Path: ', act.target);
+      if (target?.trim()) act.target = target.trim();
+      act.content = await editText('Content', act.content || '');
+    } else if (act.type === 'RUN_SCRIPT') {
+      const target = await ask('  Script: ', act.target);
+      if (target?.trim()) act.target = target.trim();
+      const args = await ask('  Arguments: ', act.content || '');
+      act.content = args?.trim() ? args.trim() : null;
+    } else {
+      const target = await ask(act.type === 'RUN_CMD' ? '  Command: ' : ['READ_FILE', 'LIST_DIR', 'TAIL_FILE', 'SEARCH_FILE'].includes(act.type) ? '  Path: ' : '  Target: ', act.target);
+      if (target?.trim()) act.target = target.trim();
+      if (ACTION_CONTENT_LABELS[act.type] && act.type !== 'EXPAND_OUTPUT') {
+        const value = await ask(`  ${ACTION_CONTENT_LABELS[act.type]}: `, act.content || '');
+        act.content = value?.trim() ? value.trim() : null;
+      }
+    }
+    // Keep what the model first proposed (plans report their approved steps instead)
+    if (act.type === 'PLAN') return;
+    act.original ??= before;
+    if (act.original.target === act.target && (act.original.content ?? null) === (act.content ?? null)) delete act.original;
+  }
+
+  async function runAction(act, confirmed, autoRule, dryRun = false) {
+    const controller = new AbortController();
+    interrupt = () => controller.abort();
+    let lastOutput = '';
+    try {
+      const outcome = await execute(
+        { type: act.type, target: act.target, content: act.content, session_id: session.id, expected_fingerprint: act.fingerprint, confirmed, auto_rule: autoRule, dry_run: dryRun },
+        { signal: controller.signal, onOutput: text => { lastOutput = text; print(text); } },
+      );
+      if (lastOutput && !lastOutput.endsWith('\n')) print('\n');
+      return outcome;
+    } finally {
+      interrupt = null;
+    }
+  }
+
+  /**
+   * Ask about one action until it has run or was denied.
+   * @returns {Promise<boolean>} True when the action ran
+   */
+  async function handleAction(act) {
+    let confirmed = false;
+    while (true) {
+      // Actions an auto-approval rule covers run like the read-only lookups, with the rule shown
+      const verdict = AUTO_ACTIONS.includes(act.type) || confirmed ? null : autoApprove(act, session.id);
+      const autoRule = verdict?.auto ? verdict.rule : null;
+      const auto = AUTO_ACTIONS.includes(act.type) || !!autoRule;
+      if (!auto) showAction(act);
+      // Read-only lookups (more of an approved result, the OpenClaw check) need no approval
+      const dryRunnable = !auto && act.policy?.decision !== 'deny' && canDryRun(act.type);
+      const answer = auto
+        ? 'y'
+        : ((await ask(`    Approve? [y]es / [n]o / [e]dit${dryRunnable ? ' / [d]ry run' : ''}: `)) ?? 'n').trim().toLowerCase();
+      if (answer === 'e' || answer === 'edit') {
+        await editAction(act);
+        continue;
+      }
+      // Runs it in the sandbox to show what it would do; the action is then asked about again
+      if (dryRunnable && (answer === 'd' || answer === 'dry run')) {
+        print('    Dry run in the sandbox…\n');
+        const outcome = await runAction(act, false, null, true);
+        if (!outcome.dry_run || outcome.changes === undefined) print(`    ✗ ${outcome.result.split('\n')[0]}\n`);
+        else if (outcome.changes === null) print('    ⧉ The changed files could not be listed (the run was stopped)\n');
+        else if (!outcome.changes.length) print(`    ⧉ ${outcome.success ? 'Finished' : 'Failed'}; it changed no files\n`);
+        else print(`    ⧉ ${outcome.success ? 'Finished' : 'Failed'}; it would change:\n${outcome.changes.map(c => `      ${c.change.padEnd(8)} ${c.path}`).join('\n')}\n`);
+        continue;
+      }
+      if (answer !== 'y' && answer !== 'yes') {
+        // An optional reason goes to the model with the denial, so it can adjust its approach
+        const reason = ((await ask('    Reason (optional, Enter to skip): ')) ?? '').trim();
+        act.status = 'denied';
+        act.result = reason ? `Action denied by user: ${reason}` : 'Action denied by user.';
+        if (reason) act.denyReason = reason;
+        session.conversation.push(denialMessage(act, reason));
+        print('    ✕ Denied\n');
+        save();
+        return false;
+      }
+      if (act.policy?.decision === 'confirm') {
+        const sure = ((await ask(`    Run this ${act.type === 'RUNBOOK' ? 'runbook' : act.type === 'PLAN' ? 'plan' : ['RUN_CMD', 'RUN_SCRIPT'].includes(act.type) ? 'command' : 'action'}? Type "yes" to confirm: `)) ?? '').trim().toLowerCase();
+        if (sure !== 'yes') continue;
+        confirmed = true;
+      }
+
+      if (auto) print(`\n  ▸ ${ACTION_LABELS[act.type]}: ${act.target}${act.content ? ` (lines ${act.content})` : ''}\n`);
+      if (autoRule) print(`    ✓ Auto-approved (rule "${autoRule}")\n`);
+      else if (!auto) print('    Running…\n');
+      const outcome = await runAction(act, confirmed, autoRule);
+      // The file changed since the diff, or the policy changed since the check: show the action again
+      if (outcome.conflict || outcome.needs_confirmation) {
+        print(`    ⚠ ${outcome.result}\n`);
+        confirmed = false;
+        continue;
+      }
+      act.status = 'approved';
+      if (autoRule) act.auto = autoRule;
+      act.result = outcome.result;
+      act.resultSuccess = outcome.success;
+      session.conversation.push(resultMessage(act, outcome));
+      // A runbook's first line is its summary, worth showing either way
+      if (act.type === 'RUNBOOK' || act.type === 'PLAN') print(`    ${outcome.success ? '✓' : '✗'} ${outcome.result.split('\n')[0]}\n`);
+      else print(outcome.success ? '    ✓ Done\n' : `    ✗ ${outcome.result.split('\n')[0]}\n`);
+      save();
+      return true;
+    }
+  }
+
+  // Keep going while the model proposes actions and at least one of them ran
+  async function converse() {
+    let actions = await streamReply();
+    while (actions.length && !ended()) {
+      let ran = false;
+      for (const act of actions) {
+        if (ended()) break;
+        if (await handleAction(act)) ran = true;
+      }
+      if (!ran) break;
+      actions = await streamReply();
+    }
+  }
+
+  function addUserMessage(text, actions) {
+    // An attached snapshot does not name the session; the first thing the user types does
+    if (!session.rendered.some(e => e.role === 'user')) session.label = text.length > 30 ? text.slice(0, 30) + '…' : text;
+    session.conversation.push({ role: 'user', content: text });
+    session.rendered.push({ role: 'user', content: text, ...(actions ? { actions } : {}) });
+    save();
+  }
+
+  print(`\n  DoctorClaw terminal mode — model ${session.model || model}\n`);
+  // /export [markdown|html|json] [file]: the same files as the web UI's export buttons
+  function exportCommand(argv) {
+    const [format = 'markdown', file] = argv;
+    if (!EXPORT_FORMATS.includes(format)) return print(`  Usage: /export [${EXPORT_FORMATS.join('|')}] [file]\n`);
+    save();
+    const out = exportSession(session, format, { audit: queryAudit({ session_id: session.id }) });
+    try {
+      writeFileSync(file || out.filename, out.body, 'utf-8');
+      print(`  Exported to ${file || out.filename}\n`);
+    } catch (err) {
+      print(`  ✗ ${err.message}\n`);
+    }
+  }
+
+  // /snapshot: attach the system snapshot (snapshot.mjs) before the first message, like the web UI's button
+  async function snapshotCommand() {
+    if (session.conversation.length) return print('  A snapshot can only be attached before the first message; start a new session for a fresh one.\n');
+    const snap = await collectSnapshot();
+    const detail = formatSnapshot(snap);
+    const content = `System snapshot attached (collected ${new Date(snap.collected_at).toLocaleString()})`;
+    session.conversation.push(snapshotMessage(snap));
+    session.rendered.push({ role: 'notice', content, detail });
+    save();
+    print(`  ℹ ${content}\n${indent(detail)}\n`);
+  }
+
+  print(`  Session ${session.id}${sessionId ? ` (continued, ${session.conversation.length} messages)` : ''}.${interactive ? ' Type /exit or press Ctrl+D to quit, /snapshot to attach a system snapshot, /export to save a report.' : ''}\n`);
+
+  // The runbook is proposed like any action: one approval runs every step, then the model reads the report
+  if (plan) {
+    const act = newAct({ type: 'RUNBOOK', target: plan.name });
+    addUserMessage(`Run the "${plan.title}" runbook (${plan.name}) and interpret its report.`, [act]);
+    print(`\nYou: ${session.conversation.at(-1).content}\n`);
+    if (await handleAction(act)) await converse();
+  }
+
+  while (interactive) {
+    const text = await ask('\nYou: ');
+    if (text === null || ['/exit', '/quit'].includes(text.trim())) break;
+    if (!text.trim()) continue;
+    if (/^\/export(\s|$)/.test(text.trim())) {
+      exportCommand(text.trim().split(/\s+/).slice(1));
+      continue;
+    }
+    if (text.trim() === '/snapshot') {
+      await snapshotCommand();
+      continue;
+    }
+    addUserMessage(text.trim());
+    await converse();
+  }
+
+  rl.close();
+  if (session.conversation.length) {
+    save();
+    print(`\n  Session saved as ${session.id}. It appears as a tab in the web UI; continue here with --cli --session ${session.id}\n`);
+  }
+}
@@ -0,0 +1,674 @@
+// ── Command Policy ───────────────────────────────────────────────────────────
+// Parses shell command lines (quotes, escapes, pipelines, && / || / ; chains,
+// subshells, command substitution, heredocs, if / while / for / case blocks)
+// into simple commands, unwraps wrappers such as sudo, busybox or `bash -c`,
+// and checks each resulting command against
+// allow / deny / confirm rules. Matching happens on the parsed argv rather than
+// the raw string, so `r''m -rf` is still `rm`, and "grep reboot" is not a reboot.
+
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'ash', 'fish'];
+// Builtins that run a script in the current shell; fed from a pipe they are a shell too
+const SOURCE = ['.', 'source'];
+const MAX_DEPTH = 8;
+
+export const DEFAULT_COMMAND_POLICY = {
+  mode: 'denylist',
+  deny: [
+    { command: 'rm', flags: ['r', 'R', 'f', 'recursive', 'force'], reason: 'recursive or forced deletion' },
+    { command: ['rm', 'mv', 'truncate', 'shred'], args: ['/etc', '/etc/*'], reason: 'removes or rewrites files under /etc' },
+    { command: ['mkfs', 'mkfs.*', 'mke2fs', 'mkswap', 'wipefs', 'fdisk', 'sfdisk', 'cfdisk', 'parted', 'gdisk', 'sgdisk', 'format'], reason: 'formats or repartitions disks' },
+    { command: 'dd', args: ['if=*', 'of=*'], reason: 'raw disk copy' },
+    { command: ['shutdown', 'reboot', 'halt', 'poweroff'], reason: 'shuts down or restarts the machine' },
+    { command: ['init', 'telinit'], args: ['0', '6'], reason: 'changes runlevel to halt or reboot' },
+    { command: 'systemctl', args: ['poweroff', 'halt', 'reboot', 'kexec'], reason: 'shuts down or restarts the machine' },
+    { command: 'chmod', args: ['777', 'a+rwx', 'ugo+rwx'], reason: 'makes files world-writable' },
+    { command: 'chown', flags: ['R', 'recursive'], reason: 'recursive ownership change' },
+    { command: ['iptables', 'ip6tables'], flags: ['F', 'flush'], reason: 'flushes firewall rules' },
+    { command: 'ufw', args: ['disable'], reason: 'disables the firewall' },
+    { command: 'passwd', args: ['root'], reason: 'changes the root password' },
+    { command: ['userdel', 'groupdel'], reason: 'deletes users or groups' },
+    { command: [...SHELLS, ...SOURCE], piped: true, reason: 'pipes data straight into a shell interpreter' },
+  ],
+  confirm: [
+    { command: 'systemctl', args: ['restart', 'stop', 'disable', 'mask', 'kill', 'isolate'], reason: 'changes the state of a service' },
+    { command: ['service'], args: ['restart', 'stop'], reason: 'changes the state of a service' },
+    { command: ['kill', 'pkill', 'killall'], reason: 'terminates processes' },
+    { command: ['apt', 'apt-get', 'yum', 'dnf', 'zypper', 'apk', 'brew'], args: ['install', 'remove', 'purge', 'upgrade', 'dist-upgrade', 'erase', 'autoremove'], reason: 'installs or removes packages' },
+    { command: ['python', 'python3', 'perl', 'ruby', 'node', 'php'], flags: ['c', 'e'], reason: 'runs inline interpreter code that cannot be inspected' },
+    { command: 'sed', flags: ['i', 'in-place'], reason: 'edits files in place without a DoctorClaw backup' },
+  ],
+  // Only consulted in allowlist mode
+  allow: [
+    { command: ['cat', 'head', 'tail', 'less', 'wc', 'grep', 'egrep', 'zgrep', 'awk', 'sort', 'uniq', 'cut', 'tr', 'ls', 'stat', 'file', 'find', 'du', 'df', 'free', 'uptime', 'uname', 'hostname', 'whoami', 'id', 'date', 'ps', 'pgrep', 'top', 'lsblk', 'lscpu', 'lsof', 'mount', 'findmnt', 'ss', 'netstat', 'ip', 'ping', 'dig', 'nslookup', 'host', 'curl', 'journalctl', 'dmesg', 'which', 'echo', 'printf', 'true', 'test', 'openssl', 'nginx', 'docker', 'ollama'] },
+    { command: 'systemctl', args: ['status', 'is-active', 'is-enabled', 'is-failed', 'list-units', 'list-unit-files', 'list-timers', 'show', 'cat', '--failed'] },
+  ],
+};
+
+// ── Parsing ──────────────────────────────────────────────────────────────────
+
+class ShellParseError extends Error {}
+
+// Reserved words that may stand where a command name would. They are not
+// commands themselves: the word after them is (`then reboot`), so the parser
+// skips them. Each block opener is closed by the word it maps to.
+const BLOCK_CLOSERS = { if: 'fi', while: 'done', until: 'done', for: 'done', select: 'done', case: 'esac' };
+const RESERVED_RE = /^(if|then|elif|else|fi|while|until|for|select|do|done|case|esac|!)(?=[\s;&|()<>]|$)/;
+
+// Find the ")" closing a "$(" or "(" starting at `i` (just after the opening paren)
+function findClosingParen(src, i) {
+  let depth = 1;
+  while (i < src.length) {
+    const c = src[i];
+    if (c === '\\') { i += 2; continue; }
+    if (c === "'") {
+      const end = src.indexOf("'", i + 1);
+      if (end === -1) throw new ShellParseError('unterminated single quote');
+      i = end + 1; continue;
+    }
+    if (c === '"') {
+      i++;
+      while (i < src.length && src[i] !== '"') i += src[i] === '\\' ? 2 : 1;
+      if (i >= src.length) throw new ShellParseError('unterminated double quote');
+      i++; continue;
+    }
+    if (c === '(') depth++;
+    if (c === ')' && --depth === 0) return i;
+    i++;
+  }
+  throw new ShellParseError('unterminated parenthesis');
+}
+
+class Parser {
+  constructor(src, depth) {
+    this.s = src;
+    this.i = 0;
+    this.depth = depth;
+    this.commands = [];
+    this.heredocs = [];
+    // Open if / loop / case / { } blocks; commands inside a block whose input is piped read that pipe too
+    this.blocks = [];
+  }
+
+  get blockPiped() {
+    return this.blocks.length > 0 && this.blocks[this.blocks.length - 1].piped;
+  }
+
+  peek(n = 0) { return this.s[this.i + n]; }
+
+  skipBlanks() {
+    while (this.i < this.s.length) {
+      const c = this.peek();
+      if (c === ' ' || c === '\t') this.i++;
+      else if (c === '\\' && this.peek(1) === '\n') this.i += 2;
+      else if (c === '#') { while (this.i < this.s.length && this.peek() !== '\n') this.i++; }
+      else break;
+    }
+  }
+
+  // Skip heredoc bodies queued on the line that just ended
+  consumeHeredocs() {
+    for (const { delim, strip } of this.heredocs) {
+      while (this.i < this.s.length) {
+        let end = this.s.indexOf('\n', this.i);
+        if (end === -1) end = this.s.length;
+        let line = this.s.slice(this.i, end);
+        if (strip) line = line.replace(/^\t+/, '');
+        this.i = end + 1;
+        if (line === delim) break;
+      }
+    }
+    this.heredocs = [];
+  }
+
+  nested(src) {
+    if (this.depth + 1 > MAX_DEPTH) throw new ShellParseError('commands are nested too deeply');
+    const inner = new Parser(src, this.depth + 1);
+    inner.parseList(null);
+    for (const cmd of inner.commands) this.commands.push({ ...cmd, nested: true });
+  }
+
+  parseList(terminator) {
+    let piped = false;
+    while (true) {
+      this.skipBlanks();
+      if (this.i >= this.s.length) {
+        if (terminator) throw new ShellParseError(`missing "${terminator}"`);
+        const open = this.blocks[this.blocks.length - 1];
+        if (open) throw new ShellParseError(`missing "${open.closer}"`);
+        return;
+      }
+      const c = this.peek();
+      if (terminator && c === terminator) { this.i++; return; }
+      if (c === '\n') { this.i++; piped = false; this.consumeHeredocs(); continue; }
+      if (c === ';') {
+        const op = this.s.slice(this.i).match(/^(;;&|;;|;&|;)/)[0];
+        this.i += op.length;
+        // ";;" and friends end a case branch; the next word is a pattern
+        const block = this.blocks[this.blocks.length - 1];
+        if (op !== ';' && block?.closer === 'esac') block.expectPattern = true;
+        piped = false;
+        continue;
+      }
+      if (c === '&' && this.peek(1) === '&') { this.i += 2; piped = false; continue; }
+      if (c === '|' && this.peek(1) === '|') { this.i += 2; piped = false; continue; }
+      if (c === '|') { this.i += this.peek(1) === '&' ? 2 : 1; piped = true; continue; }
+      if (c === '&' && this.peek(1) !== '>') { this.i++; piped = false; continue; }
+      if (c === ')' || c === '}') throw new ShellParseError(`unexpected "${c}"`);
+      if (c === '(') {
+        this.i++;
+        const start = this.commands.length;
+        this.parseList(')');
+        if (piped) this.commands.slice(start).forEach(cmd => { cmd.piped = true; });
+        piped = false;
+        continue;
+      }
+      if (c === '{' && /\s/.test(this.peek(1) || '')) {
+        this.i++;
+        this.blocks.push({ closer: '}', piped: piped || this.blockPiped });
+        this.parseList('}');
+        this.blocks.pop();
+        piped = false;
+        continue;
+      }
+      const block = this.blocks[this.blocks.length - 1];
+      if (block?.expectPattern) {
+        this.readCasePattern(block);
+        continue;
+      }
+      const reserved = this.s.slice(this.i).match(RESERVED_RE)?.[1];
+      if (reserved) {
+        this.i += reserved.length;
+        this.readReserved(reserved, piped);
+        // "! cmd" keeps the pipe into cmd; every other reserved word starts a new command
+        if (reserved !== '!') piped = false;
+        continue;
+      }
+      this.parseSimpleCommand(piped || this.blockPiped);
+      piped = false;
+    }
+  }
+
+  // Handle a reserved word that stood in command position (already consumed)
+  readReserved(word, piped) {
+    if (BLOCK_CLOSERS[word]) this.blocks.push({ closer: BLOCK_CLOSERS[word], piped: piped || this.blockPiped });
+    if (word === 'fi' || word === 'done' || word === 'esac') {
+      const block = this.blocks.pop();
+      if (block?.closer !== word) throw new ShellParseError(`unexpected "${word}"`);
+      return;
+    }
+    if (word === 'for' || word === 'select') {
+      this.skipBlanks();
+      // for ((i = 0; i < n; i++)): only substitutions inside the arithmetic run anything
+      if (this.peek() === '(' && this.peek(1) === '(') {
+        const close = findClosingParen(this.s, this.i + 2);
+        const inner = this.s.slice(this.i + 2, close);
+        if (/\$\(|`/.test(inner)) this.nested(inner.replace(/^[^$`]*/, '').replace(/^\$\((.*)\)$/s, '$1'));
+        this.i = this.s[close + 1] === ')' ? close + 2 : close + 1;
+        return;
+      }
+      // The loop variable and the word list are data, not commands; substitutions in them are still parsed
+      while (this.i < this.s.length && !/[\n;&|]/.test(this.peek())) {
+        this.readWord();
+        this.skipBlanks();
+      }
+      return;
+    }
+    if (word === 'case') {
+      this.skipBlanks();
+      this.readWord();
+      while (/\s/.test(this.peek() || '')) this.i++;
+      if (!/^in(?=[\s;]|$)/.test(this.s.slice(this.i))) throw new ShellParseError('missing "in" after case');
+      this.i += 2;
+      this.blocks[this.blocks.length - 1].expectPattern = true;
+    }
+  }
+
+  // A case branch pattern such as "start|restart)", or the "esac" that ends the block
+  readCasePattern(block) {
+    if (/^esac(?=[\s;&|()<>]|$)/.test(this.s.slice(this.i))) {
+      this.i += 4;
+      this.blocks.pop();
+      return;
+    }
+    if (this.peek() === '(') this.i++;
+    while (true) {
+      this.skipBlanks();
+      this.readWord();
+      this.skipBlanks();
+      if (this.peek() === '|') { this.i++; continue; }
+      if (this.peek() === ')') { this.i++; break; }
+      throw new ShellParseError('case pattern without ")"');
+    }
+    block.expectPattern = false;
+  }
+
+  parseSimpleCommand(piped) {
+    const cmd = { argv: [], raw: [], dynamic: [], assigns: [], redirects: [], piped, nested: false };
+    while (true) {
+      this.skipBlanks();
+      if (this.i >= this.s.length) break;
+      const c = this.peek();
+      if (c === '\n' || c === ';' || c === '|' || c === ')' || (c === '&' && this.peek(1) !== '>')) break;
+      if (c === '}' && cmd.argv.length === 0) break;
+
+      // Function definition: name() { ... }
+      if (c === '(' && this.peek(1) === ')' && cmd.argv.length === 1) {
+        this.i += 2;
+        cmd.functionDef = true;
+        break;
+      }
+      if (c === '(') throw new ShellParseError('unexpected "("');
+
+      const redirect = this.readRedirect();
+      if (redirect) { cmd.redirects.push(redirect); continue; }
+
+      const word = this.readWord();
+      if (cmd.argv.length === 0 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(word.raw)) {
+        cmd.assigns.push(word.raw);
+        continue;
+      }
+      cmd.argv.push(word.text);
+      cmd.raw.push(word.raw);
+      cmd.dynamic.push(word.dynamic);
+    }
+    // A here-document, a here-string or input from a computed path such as
+    // < <(...) feeds the command's input just like a pipe does
+    const intoStdin = r => !r.fd || r.fd === '0';
+    if (cmd.redirects.some(r => intoStdin(r) && (['<<', '<<-', '<<<'].includes(r.op) || (r.op === '<' && r.dynamic)))) cmd.piped = true;
+    if (cmd.argv.length || cmd.redirects.length || cmd.assigns.length) this.commands.push(cmd);
+  }
+
+  readRedirect() {
+    const m = this.s.slice(this.i).match(/^(\d*)(&>>|&>|>>|>\||>&|<<<|<<-|<<|<&|<>|>|<)/);
+    if (!m) return null;
+    const op = m[2];
+    if (!m[1] && (op === '<' || op === '>') && this.peek(1) === '(') return null;
+    this.i += m[0].length;
+    this.skipBlanks();
+    const word = this.readWord();
+    if (op === '<<' || op === '<<-') {
+      this.heredocs.push({ delim: word.text, strip: op === '<<-' });
+      return { op, fd: m[1], target: null };
+    }
+    // fd duplication such as 2>&1 or >&- is not a file
+    if ((op === '>&' || op === '<&') && /^(\d+|-)$/.test(word.text)) return { op, fd: m[1], target: null };
+    return { op, fd: m[1], target: word.text, dynamic: word.dynamic };
+  }
+
+  readWord() {
+    let text = '';
+    let raw = '';
+    let dynamic = false;
+    const start = this.i;
+    while (this.i < this.s.length) {
+      const c = this.peek();
+      if (/[\s;&|<>()]/.test(c)) {
+        // Process substitution <(...) / >(...) runs a command
+        if ((c === '<' || c === '>') && this.peek(1) === '(' && this.i === start) {
+          const close = findClosingParen(this.s, this.i + 2);
+          this.nested(this.s.slice(this.i + 2, close));
+          dynamic = true;
+          this.i = close + 1;
+          continue;
+        }
+        break;
+      }
+      if (c === '\\') {
+        if (this.peek(1) === '\n') { this.i += 2; continue; }
+        text += this.peek(1) ?? '';
+        this.i += 2;
+        continue;
+      }
+      if (c === "'") {
+        const end = this.s.indexOf("'", this.i + 1);
+        if (end === -1) throw new ShellParseError('unterminated single quote');
+        text += this.s.slice(this.i + 1, end);
+        this.i = end + 1;
+        continue;
+      }
+      if (c === '"') {
+        this.i++;
+        while (this.i < this.s.length && this.peek() !== '"') {
+          const d = this.peek();
+          if (d === '\\' && '$`"\\\n'.includes(this.peek(1))) { text += this.peek(1); this.i += 2; continue; }
+          if (d === '$' || d === '`') { dynamic = this.readExpansion() || dynamic; continue; }
+          text += d;
+          this.i++;
+        }
+        if (this.i >= this.s.length) throw new ShellParseError('unterminated double quote');
+        this.i++;
+        continue;
+      }
+      if (c === '$' || c === '`') {
+        dynamic = this.readExpansion() || dynamic;
+        continue;
+      }
+      text += c;
+      this.i++;
+    }
+    raw = this.s.slice(start, this.i);
+    return { text, raw, dynamic };
+  }
+
+  // Handles $VAR, ${...}, $(...), $((...)) and `...`; returns true if the word becomes dynamic
+  readExpansion() {
+    const c = this.peek();
+    if (c === '`') {
+      let j = this.i + 1;
+      let inner = '';
+      while (j < this.s.length && this.s[j] !== '`') {
+        if (this.s[j] === '\\') { inner += this.s[j + 1] ?? ''; j += 2; continue; }
+        inner += this.s[j++];
+      }
+      if (j >= this.s.length) throw new ShellParseError('unterminated backtick');
+      this.nested(inner);
+      this.i = j + 1;
+      return true;
+    }
+    const next = this.peek(1);
+    if (next === '(' && this.peek(2) === '(') {
+      const close = findClosingParen(this.s, this.i + 3);
+      const inner = this.s.slice(this.i + 3, close);
+      if (/\$\(|`/.test(inner)) this.nested(inner.replace(/^[^$`]*/, '').replace(/^\$\((.*)\)$/s, '$1'));
+      this.i = this.s[close + 1] === ')' ? close + 2 : close + 1;
+      return true;
+    }
+    if (next === '(') {
+      const close = findClosingParen(this.s, this.i + 2);
+      this.nested(this.s.slice(this.i + 2, close));
+      this.i = close + 1;
+      return true;
+    }
+    if (next === '{') {
+      const close = this.s.indexOf('}', this.i + 2);
+      if (close === -1) throw new ShellParseError('unterminated ${');
+      this.i = close + 1;
+      return true;
+    }
+    const m = this.s.slice(this.i + 1).match(/^([A-Za-z_][A-Za-z0-9_]*|[0-9@*#?$!-])/);
+    if (m) { this.i += 1 + m[0].length; return true; }
+    // A lone "$" is literal
+    this.i++;
+    return false;
+  }
+}
+
+/**
+ * Split a shell command line into simple commands.
+ * @param {string} src
+ * @param {number} [depth=0] - Nesting level, used to bound `bash -c` recursion
+ * @returns {{ argv: string[], dynamic: boolean[], assigns: string[], redirects: object[], piped: boolean, nested: boolean, functionDef?: boolean }[]}
+ * @throws {Error} When the line cannot be parsed (unbalanced quotes, parentheses, ...)
+ */
+export function parseShell(src, depth = 0) {
+  const parser = new Parser(String(src), depth);
+  parser.parseList(null);
+  return parser.commands;
+}
+
+// ── Wrapper unwrapping ───────────────────────────────────────────────────────
+
+// Options that take a separate value, per wrapper
+const WRAPPER_VALUE_OPTS = {
+  sudo: ['-u', '-g', '-C', '-D', '-h', '-p', '-r', '-t', '-U', '-R', '-T', '--user', '--group', '--close-from', '--chdir', '--host', '--prompt', '--role', '--type', '--other-user', '--chroot', '--command-timeout'],
+  doas: ['-u', '-C'],
+  env: ['-u', '-C', '--unset', '--chdir'],
+  nice: ['-n', '--adjustment'],
+  ionice: ['-c', '-n', '-p'],
+  timeout: ['-s', '-k', '--signal', '--kill-after'],
+  watch: ['-n', '-d', '-g'],
+  stdbuf: ['-i', '-o', '-e'],
+  xargs: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s'],
+  chroot: [],
+};
+// busybox and toybox run their first argument as an applet: `busybox rm -rf /` is rm
+const WRAPPERS = ['sudo', 'doas', 'env', 'nohup', 'nice', 'ionice', 'time', 'timeout', 'stdbuf', 'command', 'exec', 'builtin', 'xargs', 'setsid', 'watch', 'chroot', 'busybox', 'toybox'];
+
+function baseName(word) {
+  return word.split('/').pop();
+}
+
+// Where `env -S STRING` / `--split-string=STRING` puts its command line, or null.
+// env splits STRING into words and runs them, followed by its remaining arguments.
+function splitString(argv, i) {
+  const a = argv[i];
+  if (a === '--split-string' || a === '-S') return { at: i + 1, next: i + 2 };
+  if (a.startsWith('--split-string=')) return { value: a.slice('--split-string='.length), next: i + 1 };
+  if (/^-[^-]/.test(a) && a.includes('S')) {
+    const rest = a.slice(a.indexOf('S') + 1);
+    return rest ? { value: rest, next: i + 1 } : { at: i + 1, next: i + 2 };
+  }
+  return null;
+}
+
+// Strip one wrapper (sudo, env, timeout, ...) and return the wrapped argv, or null.
+// For `env -S` the result carries the split string as a `script` to parse instead.
+function unwrap(argv, dynamic) {
+  const name = baseName(argv[0]);
+  if (!WRAPPERS.includes(name)) return null;
+  const valueOpts = WRAPPER_VALUE_OPTS[name] || [];
+  let i = 1;
+  while (i < argv.length) {
+    const a = argv[i];
+    if (a === '--') { i++; break; }
+    if (name === 'env' && /^[A-Za-z_][A-Za-z0-9_]*=/.test(a)) { i++; continue; }
+    const split = name === 'env' ? splitString(argv, i) : null;
+    if (split) {
+      const script = split.at === undefined ? split.value : argv[split.at];
+      if (script === undefined) return null;
+      // An inline value (-S'rm -rf /') is computed at runtime if its word was
+      const scriptDynamic = split.at === undefined ? dynamic[i] : dynamic[split.at];
+      return { script, scriptDynamic, argv: argv.slice(split.next), dynamic: dynamic.slice(split.next), wrapper: name };
+    }
+    if (a.startsWith('--')) {
+      i += valueOpts.includes(a) ? 2 : 1;
+      continue;
+    }
+    if (a.startsWith('-') && a.length > 1) {
+      // Short options combine as getopt does: in `-iu root` the value option u ends
+      // the cluster and takes the next word; in `-uroot` it takes the rest of the cluster
+      const letters = [...a.slice(1)];
+      const at = letters.findIndex(ch => valueOpts.includes('-' + ch));
+      i += at === letters.length - 1 ? 2 : 1;
+      continue;
+    }
+    break;
+  }
+  if (name === 'timeout' && i < argv.length) i++; // the duration
+  if (name === 'chroot' && i < argv.length) i++; // the new root
+  if (i >= argv.length) return null;
+  return { argv: argv.slice(i), dynamic: dynamic.slice(i), wrapper: name };
+}
+
+// The script file a shell runs: its first argument that is not an option (or the value of -o / -O)
+function scriptIndex(argv) {
+  for (let i = 1; i < argv.length; i++) {
+    if (/^[-+][oO]$/.test(argv[i])) { i++; continue; }
+    if (argv[i] === '--') return i + 1;
+    if (!/^[-+]/.test(argv[i])) return i;
+  }
+  return -1;
+}
+
+// ── Rules ────────────────────────────────────────────────────────────────────
+
+function wildcard(pattern) {
+  const src = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp('^' + src + '$');
+}
+
+function hasFlag(args, flags) {
+  for (const a of args) {
+    if (a === '--') break;
+    if (a.startsWith('--')) {
+      if (flags.includes(a.slice(2).split('=')[0])) return true;
+    } else if (a.startsWith('-') && a.length > 1 && !/^-\d+$/.test(a)) {
+      if ([...a.slice(1)].some(ch => flags.includes(ch))) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether a rule matches a parsed command. Every field present on the
+ * rule must match: `command` (glob or list of globs on the program name),
+ * `args` (any argument matches any glob), `flags` (short letters or long names),
+ * `piped` (the command reads from a pipe) and `pattern` (glob over the whole
+ * normalized command line). A command run by xargs gets more arguments from
+ * its input, so for one marked `unknownArgs` the `args` and `flags` fields
+ * count as matching even when its known arguments do not.
+ * @param {object} rule
+ * @param {{ argv: string[], piped: boolean, unknownArgs?: boolean }} cmd
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, cmd) {
+  if (!rule || !cmd.argv.length) return false;
+  const name = baseName(cmd.argv[0]);
+  const args = cmd.argv.slice(1);
+  if (rule.command !== undefined) {
+    const names = Array.isArray(rule.command) ? rule.command : [rule.command];
+    if (!names.some(n => wildcard(n).test(name))) return false;
+  }
+  if (rule.args && !cmd.unknownArgs && !args.some(a => rule.args.some(p => wildcard(p).test(a)))) return false;
+  if (rule.flags && !cmd.unknownArgs && !hasFlag(args, rule.flags)) return false;
+  if (rule.piped !== undefined && !!rule.piped !== !!cmd.piped) return false;
+  if (rule.pattern && !wildcard(rule.pattern).test([name, ...args].join(' '))) return false;
+  return rule.command !== undefined || rule.pattern !== undefined;
+}
+
+function describeRule(rule) {
+  if (rule.reason) return rule.reason;
+  const names = Array.isArray(rule.command) ? rule.command.join('/') : rule.command || rule.pattern;
+  return `matches policy rule for "${names}"`;
+}
+
+const SEVERITY = { allow: 0, confirm: 1, deny: 2 };
+
+/**
+ * Analyze a shell command line against a command policy.
+ * @param {string} command
+ * @param {object} [options]
+ * @param {object} [options.policy] - { mode: 'denylist'|'allowlist', allow, deny, confirm }
+ * @param {(path: string) => { allowed: boolean, reason?: string }} [options.checkWrite] - Validates output redirection targets
+ * @returns {{ decision: 'allow'|'confirm'|'deny', reasons: string[], commands: { command: string, decision: string, reasons: string[] }[] }}
+ */
+export function analyzeCommand(command, options = {}) {
+  const policy = { ...DEFAULT_COMMAND_POLICY, ...(options.policy || {}) };
+  const results = [];
+
+  function judge(cmd, depth) {
+    const entry = { command: [...cmd.assigns, ...(cmd.raw || cmd.argv)].join(' '), decision: 'allow', reasons: [] };
+    const flag = (decision, reason) => {
+      if (SEVERITY[decision] > SEVERITY[entry.decision]) entry.decision = decision;
+      entry.reasons.push(reason);
+    };
+    results.push(entry);
+
+    if (cmd.functionDef) flag('deny', 'defines a shell function, which cannot be checked');
+
+    for (const r of cmd.redirects) {
+      if (!r.target || !/>/.test(r.op)) continue;
+      if (r.dynamic) { flag('deny', `redirects output to a computed path "${r.target}"`); continue; }
+      if (/^\/dev\/(null|stdout|stderr|tty)$/.test(r.target)) continue;
+      if (options.checkWrite) {
+        const verdict = options.checkWrite(r.target);
+        if (!verdict.allowed) flag('deny', `redirects output to "${r.target}": ${verdict.reason || 'not a writable path'}`);
+      }
+    }
+
+    if (!cmd.argv.length) return;
+    if (cmd.dynamic[0]) {
+      flag('deny', `the command name "${cmd.raw?.[0] ?? cmd.argv[0]}" is computed at runtime and cannot be checked`);
+      return;
+    }
+
+    const name = baseName(cmd.argv[0]);
+    const why = rule => describeRule(rule) + (cmd.unknownArgs ? ' (possible with the arguments xargs reads from its input)' : '');
+    for (const rule of policy.deny || []) if (ruleMatches(rule, cmd)) flag('deny', why(rule));
+    for (const rule of policy.confirm || []) if (ruleMatches(rule, cmd)) flag('confirm', why(rule));
+    // Allow rules must match the arguments that are known, never the unknown ones
+    const known = { ...cmd, unknownArgs: false };
+    if (policy.mode === 'allowlist' && !WRAPPERS.includes(name) && !(policy.allow || []).some(rule => ruleMatches(rule, known))) {
+      flag('deny', `"${name}" is not on the command allowlist`);
+    }
+
+    // Look through wrappers and nested shells at the command that actually runs
+    const inner = [];
+    const wrapped = unwrap(cmd.argv, cmd.dynamic);
+    if (wrapped?.script !== undefined) {
+      if (wrapped.scriptDynamic) flag('deny', `${wrapped.wrapper} -S runs a command line computed at runtime`);
+      else inner.push({ script: wrapped.script, args: wrapped.argv, argsDynamic: wrapped.dynamic });
+    } else if (wrapped) {
+      if (wrapped.dynamic[0]) flag('deny', `${wrapped.wrapper} runs a command computed at runtime`);
+      else if (wrapped.wrapper === 'watch' && wrapped.argv.length === 1) inner.push({ script: wrapped.argv[0] });
+      else {
+        const unknownArgs = cmd.unknownArgs || wrapped.wrapper === 'xargs';
+        inner.push({ cmd: { ...cmd, argv: wrapped.argv, raw: null, dynamic: wrapped.dynamic, assigns: [], redirects: [], functionDef: false, unknownArgs } });
+      }
+    }
+    if (SHELLS.includes(name) || name === 'su') {
+      const ci = cmd.argv.findIndex((a, i) => i > 0 && /^-[a-z]*c[a-z]*$/.test(a));
+      if (ci > -1) {
+        if (ci + 1 >= cmd.argv.length) flag('deny', `${name} -c without a command`);
+        else if (cmd.dynamic[ci + 1]) flag('deny', `${name} -c runs a command string computed at runtime`);
+        else inner.push({ script: cmd.argv[ci + 1] });
+      } else if (name !== 'su' && cmd.dynamic[scriptIndex(cmd.argv)]) {
+        flag('deny', `${name} runs a script computed at runtime, such as <(...)`);
+      }
+    }
+    if (SOURCE.includes(name) && cmd.dynamic[1]) flag('deny', `${name} runs a script computed at runtime, such as <(...)`);
+    if (name === 'eval') {
+      if (cmd.dynamic.slice(1).some(Boolean)) flag('deny', 'eval of a string computed at runtime');
+      else inner.push({ script: cmd.argv.slice(1).join(' ') });
+    }
+    if (name === 'find') {
+      const ei = cmd.argv.findIndex(a => ['-exec', '-execdir', '-ok', '-okdir'].includes(a));
+      if (ei > -1) {
+        let end = cmd.argv.findIndex((a, i) => i > ei && (a === ';' || a === '+'));
+        if (end === -1) end = cmd.argv.length;
+        const argv = cmd.argv.slice(ei + 1, end).filter(a => a !== '{}');
+        if (argv.length) inner.push({ cmd: { ...cmd, argv, raw: null, dynamic: cmd.dynamic.slice(ei + 1, end), assigns: [], redirects: [], piped: false, functionDef: false } });
+      }
+    }
+
+    // Inner commands are judged as entries of their own and count toward the overall decision
+    for (const item of inner) {
+      if (item.cmd) {
+        judge(item.cmd, depth);
+      } else {
+        if (depth + 1 > MAX_DEPTH) { flag('deny', 'commands are nested too deeply'); continue; }
+        let parsed;
+        try { parsed = parseShell(item.script, depth + 1); } catch (err) {
+          flag('deny', `nested command could not be parsed: ${err.message}`);
+          continue;
+        }
+        // Arguments that follow an env -S string are appended to the command it names
+        if (item.args?.length && parsed.length) {
+          const last = parsed[parsed.length - 1];
+          parsed[parsed.length - 1] = { ...last, argv: [...last.argv, ...item.args], dynamic: [...last.dynamic, ...item.argsDynamic], raw: null };
+        }
+        for (const c of parsed) judge(c, depth + 1);
+      }
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = parseShell(command);
+  } catch (err) {
+    return { decision: 'deny', reasons: [`could not parse the command: ${err.message}`], commands: [] };
+  }
+  if (!parsed.length) return { decision: 'deny', reasons: ['empty command'], commands: [] };
+  for (const cmd of parsed) judge(cmd, 0);
+
+  let decision = 'allow';
+  const reasons = [];
+  for (const r of results) {
+    if (SEVERITY[r.decision] > SEVERITY[decision]) decision = r.decision;
+    for (const reason of r.reasons) {
+      const line = `${r.command}: ${reason}`;
+      if (r.decision !== 'allow' && !reasons.includes(line)) reasons.push(line);
+    }
+  }
+  return { decision, reasons, commands: results };
+}
@@ -0,0 +1,284 @@
+import { createHash } from 'crypto';
+
+// ── Context Window ───────────────────────────────────────────────────────────
+// The browser sends the whole conversation with every turn. Before it reaches
+// the model, large action results are cut down to excerpts (the full text is
+// kept here so the model can ask for a line range with EXPAND_OUTPUT), and once
+// the estimated size nears the context window the oldest turns are folded into
+// "case notes" written by the model itself.
+
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+const MIN_CONTEXT_WINDOW = 1024;
+
+// Summarize once a request would fill this share of the window
+export const SUMMARIZE_AT = 0.75;
+// Turns kept verbatim after summarizing, as a share of the window
+export const KEEP_RECENT = 0.4;
+// The newest action result may use this share of the window before it is collapsed too
+const LATEST_RESULT_SHARE = 0.25;
+// Older action results longer than this are collapsed to excerpts
+const EXCERPT_CHARS = 2000;
+// Size of one chunk of transcript sent to the model for summarizing, as a share of the window
+const SUMMARY_CHUNK_SHARE = 0.5;
+
+// EXPAND_OUTPUT returns at most this much per request
+export const MAX_EXPAND_LINES = 400;
+export const MAX_EXPAND_CHARS = 16000;
+
+// Rough rule for English text and code: one token per four characters
+const CHARS_PER_TOKEN = 4;
+// Role markers and separators the chat template adds around each message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const RESULT_HEADER = /^\[Result of ([A-Z_]+) on "([\s\S]*?)"\]: (SUCCESS|FAILED)$/;
+
+/**
+ * Context window from the config, in tokens.
+ * @param {*} value
+ * @returns {number}
+ */
+export function normalizeContextWindow(value) {
+  const n = parseInt(value, 10);
+  return n > 0 ? Math.max(MIN_CONTEXT_WINDOW, n) : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Estimate how many tokens a text takes.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate how many tokens a list of chat messages takes, tool calls included.
+ * @param {object[]} messages
+ * @returns {number}
+ */
+export function estimateMessages(messages) {
+  let tokens = 0;
+  for (const msg of messages) {
+    tokens += MESSAGE_OVERHEAD_TOKENS + estimateTokens(typeof msg.content === 'string' ? msg.content : '');
+    if (Array.isArray(msg.tool_calls)) tokens += estimateTokens(JSON.stringify(msg.tool_calls));
+  }
+  return tokens;
+}
+
+/**
+ * Full text of collapsed action results, kept in memory and addressed by a
+ * hash of the content, so the same output gets the same id on every turn.
+ * @param {object} [options]
+ * @param {number} [options.maxBytes=32 MiB] - Least recently used outputs are dropped beyond this
+ */
+export function createOutputStore({ maxBytes = 32 * 1024 * 1024 } = {}) {
+  const outputs = new Map();
+  let bytes = 0;
+
+  return {
+    /**
+     * @param {string} text
+     * @returns {string} The output's id
+     */
+    put(text) {
+      const id = 'out_' + createHash('sha256').update(text).digest('hex').slice(0, 12);
+      if (outputs.has(id)) {
+        outputs.delete(id);
+      } else {
+        bytes += Buffer.byteLength(text, 'utf-8');
+      }
+      outputs.set(id, text);
+      for (const [oldId, oldText] of outputs) {
+        if (bytes <= maxBytes || oldId === id) break;
+        outputs.delete(oldId);
+        bytes -= Buffer.byteLength(oldText, 'utf-8');
+      }
+      return id;
+    },
+
+    /**
+     * @param {string} id
+     * @returns {string|null}
+     */
+    get(id) {
+      return outputs.get(id) ?? null;
+    },
+  };
+}
+
+/**
+ * Split an action result message ("[Result of TYPE on "target"]: SUCCESS\n...")
+ * into its header line and output.
+ * @param {object} msg
+ * @returns {{ header: string, type: string, target: string, output: string }|null}
+ */
+function parseResult(msg) {
+  if ((msg.role !== 'tool' && msg.role !== 'user') || typeof msg.content !== 'string') return null;
+  const nl = msg.content.indexOf('\n');
+  if (nl < 0) return null;
+  const header = msg.content.slice(0, nl);
+  const m = header.match(RESULT_HEADER);
+  if (!m) return null;
+  return { header, type: m[1], target: m[2], output: msg.content.slice(nl + 1) };
+}
+
+/**
+ * First and last lines of an output that fit in about `chars` characters.
+ * @param {string[]} lines
+ * @param {number} chars
+ * @returns {{ head: number, tail: number }} How many lines to keep at each end
+ */
+function excerptLines(lines, chars) {
+  let head = 0, tail = 0, used = 0;
+  // Two thirds of the room go to the start of the output, where headers and first errors are
+  while (head < lines.length && used + lines[head].length + 1 <= chars * 2 / 3) used += lines[head++].length + 1;
+  while (head + tail < lines.length && used + lines[lines.length - 1 - tail].length + 1 <= chars) used += lines[lines.length - 1 - tail++].length + 1;
+  if (!head) {
+    head = 1;
+    tail = Math.min(tail, lines.length - 1);
+  }
+  return { head, tail };
+}
+
+/**
+ * Replace large action results with excerpts. The newest result gets more room
+ * than older ones, since the model is usually about to read it.
+ * @param {object[]} messages
+ * @param {ReturnType<typeof createOutputStore>} store
+ * @param {object} [options]
+ * @param {number} [options.window] - Context window in tokens
+ * @returns {{ messages: object[], collapsed: { id: string, index: number, type: string, target: string, lines: number, chars: number }[] }}
+ */
+export function collapseOutputs(messages, store, { window = DEFAULT_CONTEXT_WINDOW } = {}) {
+  let latest = -1;
+  messages.forEach((msg, i) => { if (parseResult(msg)) latest = i; });
+  const latestChars = Math.max(EXCERPT_CHARS, Math.floor(window * LATEST_RESULT_SHARE) * CHARS_PER_TOKEN);
+
+  const collapsed = [];
+  const out = messages.map((msg, index) => {
+    const result = parseResult(msg);
+    const limit = index === latest ? latestChars : EXCERPT_CHARS;
+    if (!result || result.output.length <= limit) return msg;
+    const lines = result.output.split('\n');
+    const id = store.put(result.output);
+    const { head, tail } = excerptLines(lines, limit);
+    const omitted = lines.length - head - tail;
+    const first = head + 1, last = lines.length - tail;
+    // A single line longer than the whole excerpt (minified JSON, say) is cut as well
+    const clip = line => line.length > limit ? line.slice(0, limit) + ' […]' : line;
+    const note = omitted > 0
+      ? `[… lines ${first}-${last} of ${lines.length} omitted. Full output saved as ${id}: request EXPAND_OUTPUT with this id and a line range (e.g. ${first}-${Math.min(last, first + 99)}) to read them …]`
+      : `[… long lines shortened. Full output saved as ${id}: request EXPAND_OUTPUT with this id and a line range to read it in full …]`;
+    const parts = [result.header, ...lines.slice(0, head).map(clip), note, ...lines.slice(lines.length - tail).map(clip)];
+    collapsed.push({ id, index, type: result.type, target: result.target, lines: lines.length, chars: result.output.length });
+    return { ...msg, content: parts.join('\n') };
+  });
+  return { messages: out, collapsed };
+}
+
+/**
+ * Read a line range of a stored output.
+ * @param {ReturnType<typeof createOutputStore>} store
+ * @param {string} id
+ * @param {string} [range] - "start-end", 1-based and inclusive; defaults to the first lines
+ * @returns {{ success: boolean, result: string }}
+ */
+export function expandOutput(store, id, range) {
+  const text = store.get(String(id || '').trim());
+  if (text == null) {
+    return { success: false, result: `Unknown output id "${id}". It may have been dropped from memory (for example after a server restart); re-run the original action instead.` };
+  }
+  const lines = text.split('\n');
+  const m = String(range || '').trim().match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+  if (range && String(range).trim() && !m) {
+    return { success: false, result: `Invalid line range "${range}". Use start-end, e.g. 1-100.` };
+  }
+  const start = Math.max(1, m ? parseInt(m[1], 10) : 1);
+  if (start > lines.length) return { success: false, result: `The output has only ${lines.length} lines.` };
+  let end = Math.min(lines.length, m?.[2] ? parseInt(m[2], 10) : start + MAX_EXPAND_LINES - 1, start + MAX_EXPAND_LINES - 1);
+  if (end < start) end = start;
+  let body = lines.slice(start - 1, end).join('\n');
+  let cut = '';
+  if (body.length > MAX_EXPAND_CHARS) {
+    body = body.slice(0, MAX_EXPAND_CHARS);
+    end = start + body.split('\n').length - 1;
+    cut = ` Cut at ${MAX_EXPAND_CHARS} characters.`;
+  }
+  const more = end < lines.length ? ` Request ${end + 1}-${Math.min(lines.length, end + 100)} to continue.` : '';
+  return { success: true, result: `Lines ${start}-${end} of ${lines.length}:${cut}${more}\n${body}` };
+}
+
+/**
+ * Where to cut the conversation so the turns after the cut fit in `keepTokens`.
+ * The kept part starts at a user message, so tool results stay with the call
+ * they answer and the model still sees the latest question.
+ * @param {object[]} messages
+ * @param {number} keepTokens
+ * @returns {number} Index of the first kept message; 0 when nothing can be summarized
+ */
+export function findSummaryCut(messages, keepTokens) {
+  let cut = 0;
+  let tokens = 0;
+  for (let i = messages.length - 1; i > 0; i--) {
+    tokens += estimateMessages([messages[i]]);
+    if (messages[i].role !== 'user') continue;
+    // Always keep the newest user message, even when it alone is over the budget
+    if (cut && tokens > keepTokens) break;
+    cut = i;
+  }
+  return cut;
+}
+
+const CASE_NOTES_PROMPT = `You keep the case notes for a system troubleshooting session between a user and DoctorClaw, a diagnostics assistant that reads files and runs commands with the user's approval.
+Update the case notes with the conversation excerpt below. Keep everything that is still needed to continue the diagnosis:
+- the problem as the user described it, and facts about the system (OS, services, versions, paths)
+- symptoms and error messages, quoted exactly when short
+- actions taken (commands, files read or written) and what their results showed
+- changes made to the system and backups created
+- current hypotheses, what was ruled out, and open questions or next steps
+Write plain bullet points under these headings. Leave out greetings and anything no longer relevant. Reply with the updated case notes only.`;
+
+function transcript(messages) {
+  return messages.map(msg => {
+    const who = msg.role === 'assistant' ? 'DoctorClaw' : msg.role === 'user' ? 'User' : msg.role;
+    return `${who}: ${msg.content || ''}`;
+  }).join('\n\n');
+}
+
+/**
+ * Fold messages into case notes, in chunks that fit the window.
+ * @param {object} options
+ * @param {(messages: object[]) => Promise<string>} options.complete - Asks the model and returns its whole reply
+ * @param {object[]} options.messages - Messages in text form (no tool calls), already collapsed
+ * @param {string} [options.notes] - Case notes written earlier, to be updated
+ * @param {number} [options.window]
+ * @returns {Promise<string>}
+ */
+export async function summarize({ complete, messages, notes = '', window = DEFAULT_CONTEXT_WINDOW }) {
+  const chunkChars = Math.floor(window * SUMMARY_CHUNK_SHARE) * CHARS_PER_TOKEN;
+  const chunks = [];
+  let chunk = [];
+  let size = 0;
+  for (const msg of messages) {
+    const content = (msg.content || '').length > chunkChars
+      ? msg.content.slice(0, chunkChars) + '\n[… cut for length …]'
+      : msg.content || '';
+    if (chunk.length && size + content.length > chunkChars) {
+      chunks.push(chunk);
+      chunk = [];
+      size = 0;
+    }
+    chunk.push({ ...msg, content });
+    size += content.length;
+  }
+  if (chunk.length) chunks.push(chunk);
+
+  for (const part of chunks) {
+    const reply = await complete([
+      { role: 'system', content: CASE_NOTES_PROMPT },
+      { role: 'user', content: `CURRENT CASE NOTES:\n${notes || '(none yet)'}\n\nCONVERSATION EXCERPT:\n${transcript(part)}` },
+    ]);
+    if (reply.trim()) notes = reply.trim();
+  }
+  return notes;
+}
@@ -0,0 +1,363 @@
+import { createConnection } from 'net';
+
+// ── D-Bus ────────────────────────────────────────────────────────────────────
+// Just enough of the D-Bus wire protocol to call one method on the system bus
+// and read its reply, so the snapshot can ask systemd for its failed units
+// without starting `systemctl`. Supports unix socket addresses, EXTERNAL
+// authentication and the basic and container types of the type system.
+// https://dbus.freedesktop.org/doc/dbus-specification.html
+
+export const DEFAULT_SYSTEM_BUS = '/run/dbus/system_bus_socket';
+
+const MESSAGE_TYPES = { method_call: 1, method_return: 2, error: 3, signal: 4 };
+const HEADER_FIELDS = { path: 1, interface: 2, member: 3, error_name: 4, reply_serial: 5, destination: 6, sender: 7, signature: 8 };
+const HEADER_SIGNATURES = { path: 'o', interface: 's', member: 's', error_name: 's', reply_serial: 'u', destination: 's', sender: 's', signature: 'g' };
+// Messages larger than this are refused (the specification's limit is 128 MiB)
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+export class DBusError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [name] - D-Bus error name from an error reply, e.g. org.freedesktop.DBus.Error.ServiceUnknown
+   */
+  constructor(message, name) {
+    super(message);
+    this.name = 'DBusError';
+    this.dbusName = name;
+  }
+}
+
+// ── Marshalling ──
+
+const FIXED = {
+  y: { size: 1, read: (b, o) => b.readUInt8(o), write: (b, o, v) => b.writeUInt8(v, o) },
+  b: { size: 4, read: (b, o, le) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o)) !== 0, write: (b, o, v) => b.writeUInt32LE(v ? 1 : 0, o) },
+  n: { size: 2, read: (b, o, le) => (le ? b.readInt16LE(o) : b.readInt16BE(o)), write: (b, o, v) => b.writeInt16LE(v, o) },
+  q: { size: 2, read: (b, o, le) => (le ? b.readUInt16LE(o) : b.readUInt16BE(o)), write: (b, o, v) => b.writeUInt16LE(v, o) },
+  i: { size: 4, read: (b, o, le) => (le ? b.readInt32LE(o) : b.readInt32BE(o)), write: (b, o, v) => b.writeInt32LE(v, o) },
+  u: { size: 4, read: (b, o, le) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o)), write: (b, o, v) => b.writeUInt32LE(v, o) },
+  h: { size: 4, read: (b, o, le) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o)), write: (b, o, v) => b.writeUInt32LE(v, o) },
+  x: { size: 8, read: (b, o, le) => (le ? b.readBigInt64LE(o) : b.readBigInt64BE(o)), write: (b, o, v) => b.writeBigInt64LE(BigInt(v), o) },
+  t: { size: 8, read: (b, o, le) => (le ? b.readBigUInt64LE(o) : b.readBigUInt64BE(o)), write: (b, o, v) => b.writeBigUInt64LE(BigInt(v), o) },
+  d: { size: 8, read: (b, o, le) => (le ? b.readDoubleLE(o) : b.readDoubleBE(o)), write: (b, o, v) => b.writeDoubleLE(v, o) },
+};
+
+function alignment(type) {
+  if (FIXED[type[0]]) return FIXED[type[0]].size;
+  if (type[0] === 's' || type[0] === 'o' || type[0] === 'a') return 4;
+  if (type[0] === '(' || type[0] === '{') return 8;
+  return 1; // g, v
+}
+
+/**
+ * Split a signature into its complete types, e.g. "sa(su)" into ["s", "a(su)"].
+ * @param {string} signature
+ * @returns {string[]}
+ */
+export function splitSignature(signature) {
+  const types = [];
+  let i = 0;
+  const one = () => {
+    const start = i;
+    const c = signature[i++];
+    if (c === 'a') one();
+    else if (c === '(' || c === '{') {
+      const close = c === '(' ? ')' : '}';
+      while (signature[i] !== close) {
+        if (i >= signature.length) throw new DBusError(`unbalanced signature "${signature}"`);
+        one();
+      }
+      i++;
+    } else if (!FIXED[c] && !'sogv'.includes(c)) throw new DBusError(`unknown type "${c}" in signature "${signature}"`);
+    return signature.slice(start, i);
+  };
+  while (i < signature.length) types.push(one());
+  return types;
+}
+
+class Writer {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  bytes(buf) {
+    this.chunks.push(buf);
+    this.length += buf.length;
+  }
+
+  align(n) {
+    const pad = (n - (this.length % n)) % n;
+    if (pad) this.bytes(Buffer.alloc(pad));
+  }
+
+  value(type, v) {
+    const c = type[0];
+    this.align(alignment(type));
+    if (FIXED[c]) {
+      const buf = Buffer.alloc(FIXED[c].size);
+      FIXED[c].write(buf, 0, v);
+      this.bytes(buf);
+    } else if (c === 's' || c === 'o') {
+      const str = Buffer.from(String(v), 'utf-8');
+      this.value('u', str.length);
+      this.bytes(Buffer.concat([str, Buffer.alloc(1)]));
+    } else if (c === 'g') {
+      const str = Buffer.from(String(v), 'ascii');
+      this.bytes(Buffer.concat([Buffer.from([str.length]), str, Buffer.alloc(1)]));
+    } else if (c === 'v') {
+      // Variants are written from [signature, value]
+      this.value('g', v[0]);
+      this.value(v[0], v[1]);
+    } else if (c === 'a') {
+      const element = type.slice(1);
+      const lengthAt = this.length;
+      this.value('u', 0);
+      this.align(alignment(element));
+      const start = this.length;
+      const items = element[0] === '{' && !Array.isArray(v) ? Object.entries(v) : v;
+      for (const item of items) this.value(element, item);
+      this.patchLength(lengthAt, this.length - start);
+    } else {
+      const fields = splitSignature(type.slice(1, -1));
+      fields.forEach((field, i) => this.value(field, v[i]));
+    }
+  }
+
+  patchLength(at, n) {
+    const whole = this.buffer();
+    whole.writeUInt32LE(n, at);
+    this.chunks = [whole];
+  }
+
+  buffer() {
+    return Buffer.concat(this.chunks, this.length);
+  }
+}
+
+class Reader {
+  constructor(buf, offset, littleEndian) {
+    this.buf = buf;
+    this.pos = offset;
+    this.le = littleEndian;
+  }
+
+  align(n) {
+    this.pos += (n - (this.pos % n)) % n;
+  }
+
+  need(n) {
+    if (this.pos + n > this.buf.length) throw new DBusError('message is shorter than its contents');
+  }
+
+  value(type) {
+    const c = type[0];
+    this.align(alignment(type));
+    if (FIXED[c]) {
+      this.need(FIXED[c].size);
+      const v = FIXED[c].read(this.buf, this.pos, this.le);
+      this.pos += FIXED[c].size;
+      return v;
+    }
+    if (c === 's' || c === 'o') {
+      const n = this.value('u');
+      this.need(n + 1);
+      const v = this.buf.toString('utf-8', this.pos, this.pos + n);
+      this.pos += n + 1;
+      return v;
+    }
+    if (c === 'g') {
+      this.need(1);
+      const n = this.buf[this.pos];
+      this.need(n + 2);
+      const v = this.buf.toString('ascii', this.pos + 1, this.pos + 1 + n);
+      this.pos += n + 2;
+      return v;
+    }
+    if (c === 'v') {
+      const signature = this.value('g');
+      return this.value(signature);
+    }
+    if (c === 'a') {
+      const element = type.slice(1);
+      const n = this.value('u');
+      this.align(alignment(element));
+      const end = this.pos + n;
+      if (end > this.buf.length) throw new DBusError('array runs past the end of the message');
+      const items = [];
+      while (this.pos < end) items.push(this.value(element));
+      return element[0] === '{' ? Object.fromEntries(items) : items;
+    }
+    return splitSignature(type.slice(1, -1)).map(field => this.value(field));
+  }
+}
+
+/**
+ * Marshal values of a signature (little-endian), as a message body starting on an 8-byte boundary.
+ * @param {string} signature
+ * @param {any[]} values - One per complete type; structs are arrays, variants [signature, value]
+ * @returns {Buffer}
+ */
+export function marshal(signature, values) {
+  const w = new Writer();
+  splitSignature(signature).forEach((type, i) => w.value(type, values[i]));
+  return w.buffer();
+}
+
+/**
+ * Read the values of a signature from a message body.
+ * @param {string} signature
+ * @param {Buffer} body
+ * @param {boolean} [littleEndian=true]
+ * @returns {any[]}
+ */
+export function unmarshal(signature, body, littleEndian = true) {
+  const r = new Reader(body, 0, littleEndian);
+  return splitSignature(signature).map(type => r.value(type));
+}
+
+// ── Messages ──
+
+/**
+ * Encode a message.
+ * @param {object} msg
+ * @param {'method_call'|'method_return'|'error'|'signal'} msg.type
+ * @param {number} msg.serial
+ * @param {object} msg.fields - Header fields by name (path, interface, member, destination, reply_serial, ...)
+ * @param {string} [msg.signature] - Body signature
+ * @param {any[]} [msg.body]
+ * @returns {Buffer}
+ */
+export function encodeMessage({ type, serial, fields, signature = '', body = [] }) {
+  const bodyBuf = signature ? marshal(signature, body) : Buffer.alloc(0);
+  const headerFields = Object.entries({ ...fields, ...(signature ? { signature } : {}) })
+    .filter(([, v]) => v !== undefined)
+    .map(([name, v]) => [HEADER_FIELDS[name], [HEADER_SIGNATURES[name], v]]);
+  const w = new Writer();
+  w.bytes(Buffer.from([0x6c, MESSAGE_TYPES[type], 0, 1]));
+  w.value('u', bodyBuf.length);
+  w.value('u', serial);
+  w.value('a(yv)', headerFields);
+  w.align(8);
+  return Buffer.concat([w.buffer(), bodyBuf]);
+}
+
+// Length of the first complete message in buf, or 0 if more bytes are needed
+function messageLength(buf) {
+  if (buf.length < 16) return 0;
+  const le = buf[0] === 0x6c;
+  const bodyLength = le ? buf.readUInt32LE(4) : buf.readUInt32BE(4);
+  const fieldsLength = le ? buf.readUInt32LE(12) : buf.readUInt32BE(12);
+  const total = 16 + fieldsLength + ((8 - (fieldsLength % 8)) % 8) + bodyLength;
+  if (total > MAX_MESSAGE_BYTES) throw new DBusError('message too large');
+  return buf.length >= total ? total : 0;
+}
+
+/**
+ * Decode one complete message.
+ * @param {Buffer} buf
+ * @returns {{ type: string, serial: number, fields: object, body: any[] }}
+ */
+export function decodeMessage(buf) {
+  if (buf[0] !== 0x6c && buf[0] !== 0x42) throw new DBusError('unknown byte order');
+  const le = buf[0] === 0x6c;
+  const r = new Reader(buf, 4, le);
+  const bodyLength = r.value('u');
+  const serial = r.value('u');
+  const fields = {};
+  for (const [code, value] of r.value('a(yv)')) {
+    const name = Object.keys(HEADER_FIELDS).find(k => HEADER_FIELDS[k] === code);
+    if (name) fields[name] = value;
+  }
+  r.align(8);
+  const bodyBuf = buf.subarray(r.pos, r.pos + bodyLength);
+  const type = Object.keys(MESSAGE_TYPES).find(k => MESSAGE_TYPES[k] === buf[1]) || 'unknown';
+  return { type, serial, fields, body: fields.signature ? unmarshal(fields.signature, bodyBuf, le) : [] };
+}
+
+// ── Connection ──
+
+/**
+ * Socket path of the system bus, from DBUS_SYSTEM_BUS_ADDRESS when it names a unix path.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {string}
+ */
+export function systemBusPath(env = process.env) {
+  const address = env.DBUS_SYSTEM_BUS_ADDRESS || '';
+  for (const part of address.split(';')) {
+    const m = part.match(/^unix:(?:.*,)?path=([^,]+)/);
+    if (m) return decodeURIComponent(m[1]);
+  }
+  return DEFAULT_SYSTEM_BUS;
+}
+
+/**
+ * Call one method on a bus and return the reply's body. Opens a connection,
+ * authenticates as the current user, says Hello, makes the call and closes.
+ * @param {object} call
+ * @param {string} call.destination - Bus name, e.g. org.freedesktop.systemd1
+ * @param {string} call.path - Object path
+ * @param {string} call.interface
+ * @param {string} call.member - Method name
+ * @param {string} [call.signature] - Signature of the arguments
+ * @param {any[]} [call.body] - The arguments
+ * @param {object} [options]
+ * @param {string} [options.socketPath] - Defaults to the system bus
+ * @param {number} [options.timeoutMs=3000]
+ * @returns {Promise<any[]>}
+ * @throws {DBusError} On an error reply, a failed connection or authentication, or a timeout
+ */
+export function callMethod(call, { socketPath = systemBusPath(), timeoutMs = 3000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = createConnection(socketPath);
+    let buffer = Buffer.alloc(0);
+    let authenticated = false;
+    let settled = false;
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      if (err) reject(err instanceof DBusError ? err : new DBusError(err.message));
+      else resolve(value);
+    };
+    const timer = setTimeout(() => finish(new DBusError(`no answer from the bus within ${timeoutMs} ms`)), timeoutMs);
+
+    socket.on('connect', () => {
+      const uid = typeof process.getuid === 'function' ? process.getuid() : 0;
+      socket.write(Buffer.concat([Buffer.alloc(1), Buffer.from(`AUTH EXTERNAL ${Buffer.from(String(uid)).toString('hex')}\r\n`)]));
+    });
+    socket.on('error', err => finish(err));
+    socket.on('close', () => finish(new DBusError('the bus closed the connection')));
+    socket.on('data', data => {
+      buffer = Buffer.concat([buffer, data]);
+      try {
+        if (!authenticated) {
+          const end = buffer.indexOf('\r\n');
+          if (end === -1) return;
+          const line = buffer.toString('ascii', 0, end);
+          buffer = buffer.subarray(end + 2);
+          if (!line.startsWith('OK ')) return finish(new DBusError(`the bus refused authentication: ${line}`));
+          authenticated = true;
+          // Hello (serial 1) registers the connection; the call (serial 2) follows without waiting for it
+          socket.write(Buffer.concat([
+            Buffer.from('BEGIN\r\n'),
+            encodeMessage({ type: 'method_call', serial: 1, fields: { path: '/org/freedesktop/DBus', interface: 'org.freedesktop.DBus', member: 'Hello', destination: 'org.freedesktop.DBus' } }),
+            encodeMessage({ type: 'method_call', serial: 2, fields: { path: call.path, interface: call.interface, member: call.member, destination: call.destination }, signature: call.signature, body: call.body }),
+          ]));
+        }
+        let length;
+        while ((length = messageLength(buffer))) {
+          const msg = decodeMessage(buffer.subarray(0, length));
+          buffer = buffer.subarray(length);
+          if (msg.fields.reply_serial === 1 && msg.type === 'error') return finish(new DBusError(`Hello failed: ${msg.body[0] ?? msg.fields.error_name}`, msg.fields.error_name));
+          if (msg.fields.reply_serial !== 2) continue;
+          if (msg.type === 'error') return finish(new DBusError(`${msg.fields.error_name}: ${msg.body[0] ?? ''}`, msg.fields.error_name));
+          return finish(null, msg.body);
+        }
+      } catch (err) {
+        finish(err);
+      }
+    });
+  });
+}
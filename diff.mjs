@@ -0,0 +1,144 @@
+// ── Line diff (Myers) and unified diff formatting ────────────────────────────
+
+// Beyond this many edits the diff degrades to "replace everything" rather than
+// holding a quadratic amount of search state in memory.
+const MAX_EDIT_DISTANCE = 4000;
+
+// Lines without a trailing newline carry a NUL marker so "a" and "a\n" compare unequal
+const NO_EOL = '\u0000';
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  else lines[lines.length - 1] += NO_EOL;
+  return lines;
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  if (max === 0) return [];
+  const off = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDIT_DISTANCE) return null;
+    trace.push({ lo: -d - 1, arr: v.slice(off - d - 1, off + d + 2) });
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1])) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) return backtrack(a, b, trace, d);
+    }
+  }
+  return null;
+}
+
+function backtrack(a, b, trace, depth) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = depth; d >= 0; d--) {
+    const snap = trace[d];
+    const at = k => snap.arr[k - snap.lo];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { ops.push({ op: '=', text: a[x - 1] }); x--; y--; }
+    if (d > 0) {
+      if (x === prevX) { ops.push({ op: '+', text: b[y - 1] }); y--; }
+      else { ops.push({ op: '-', text: a[x - 1] }); x--; }
+    }
+  }
+  return ops.reverse();
+}
+
+/**
+ * Compute a line-level edit script between two arrays of lines.
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {{ op: '='|'-'|'+', text: string }[]}
+ */
+export function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const mid = myers(midA, midB) || [
+    ...midA.map(text => ({ op: '-', text })),
+    ...midB.map(text => ({ op: '+', text })),
+  ];
+  return [
+    ...a.slice(0, start).map(text => ({ op: '=', text })),
+    ...mid,
+    ...a.slice(endA).map(text => ({ op: '=', text })),
+  ];
+}
+
+/**
+ * Produce a unified diff (as `diff -u` would) between two texts.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} [options]
+ * @param {string} [options.oldLabel='a'] - Label for the `---` line
+ * @param {string} [options.newLabel='b'] - Label for the `+++` line
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} The diff, or an empty string when the texts are identical
+ */
+export function unifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  if (!ops.some(o => o.op !== '=')) return '';
+
+  let ai = 0;
+  let bi = 0;
+  const rows = ops.map(o => {
+    const row = { ...o, a: ai, b: bi };
+    if (o.op !== '+') ai++;
+    if (o.op !== '-') bi++;
+    return row;
+  });
+
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  let i = 0;
+  while (i < rows.length) {
+    if (rows[i].op === '=') { i++; continue; }
+    const start = Math.max(0, i - context);
+    let end = i;
+    let j = i;
+    // Merge changes separated by no more than 2×context unchanged lines into one hunk
+    while (j < rows.length) {
+      if (rows[j].op !== '=') { end = j; j++; continue; }
+      let k = j;
+      while (k < rows.length && rows[k].op === '=') k++;
+      if (k < rows.length && k - j <= 2 * context) { j = k; continue; }
+      break;
+    }
+    const stop = Math.min(rows.length, end + 1 + context);
+    const hunk = rows.slice(start, stop);
+    const oldCount = hunk.filter(r => r.op !== '+').length;
+    const newCount = hunk.filter(r => r.op !== '-').length;
+    const oldStart = oldCount ? hunk[0].a + 1 : hunk[0].a;
+    const newStart = newCount ? hunk[0].b + 1 : hunk[0].b;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const r of hunk) {
+      const prefix = r.op === '=' ? ' ' : r.op;
+      if (r.text.endsWith(NO_EOL)) {
+        out.push(prefix + r.text.slice(0, -1), '\\ No newline at end of file');
+      } else {
+        out.push(prefix + r.text);
+      }
+    }
+    i = stop;
+  }
+  return out.join('\n') + '\n';
+}
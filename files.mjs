@@ -0,0 +1,509 @@
+import { openSync, readSync, closeSync, fstatSync, createReadStream, readdirSync, lstatSync, readlinkSync } from 'fs';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { join } from 'path';
+import { formatBytes } from './snapshot.mjs';
+
+// ── File Reads ───────────────────────────────────────────────────────────────
+// READ_FILE, LIST_DIR, TAIL_FILE and SEARCH_FILE. Callers check the read path
+// policy first; these only look at the file. Nothing reads a whole file into
+// memory unless it is under the read limit: large files are read by line or
+// byte range, from the end, or streamed line by line (keeping only the start of
+// very long lines), and binary files are described with a hexdump instead of
+// being decoded as text. SEARCH_FILE runs the model's regular expression in a
+// worker thread under a time limit, so a pattern that backtracks for ever
+// cannot stall the server.
+
+export const DEFAULT_MAX_READ_KB = 1024;
+export const DEFAULT_TAIL_LINES = 100;
+export const MAX_TAIL_LINES = 2000;
+export const MAX_LIST_ENTRIES = 500;
+const DEFAULT_SEARCH_CONTEXT = 2;
+const MAX_SEARCH_CONTEXT = 10;
+const DEFAULT_SEARCH_MATCHES = 50;
+const MAX_SEARCH_MATCHES = 500;
+// Bytes of a line SEARCH_FILE matches against; the rest of a longer line is not searched
+const MAX_SEARCH_LINE_BYTES = 65536;
+const SEARCH_TIMEOUT_MS = 20000;
+// Longer lines are cut in search results
+const MAX_LINE_CHARS = 500;
+// How much of a file decides whether it is binary
+const SNIFF_BYTES = 8192;
+// Hexdump of a binary file's first bytes, and the most a byte range may dump
+const HEXDUMP_BYTES = 256;
+const MAX_HEXDUMP_BYTES = 4096;
+// TAIL_FILE reads backwards in chunks of this size
+const TAIL_CHUNK = 65536;
+
+// Leading bytes of common binary formats
+const MAGIC = [
+  [[0x7f, 0x45, 0x4c, 0x46], 'ELF executable or library'],
+  [[0x4d, 0x5a], 'Windows executable'],
+  [[0x1f, 0x8b], 'gzip archive'],
+  [[0x42, 0x5a, 0x68], 'bzip2 archive'],
+  [[0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], 'xz archive'],
+  [[0x28, 0xb5, 0x2f, 0xfd], 'zstd archive'],
+  [[0x50, 0x4b, 0x03, 0x04], 'zip archive'],
+  [[0x89, 0x50, 0x4e, 0x47], 'PNG image'],
+  [[0xff, 0xd8, 0xff], 'JPEG image'],
+  [[0x25, 0x50, 0x44, 0x46], 'PDF document'],
+  [[...Buffer.from('SQLite format 3\0')], 'SQLite database'],
+  [[...Buffer.from('LPKSHHRH')], 'systemd journal'],
+];
+
+/**
+ * Read limit from the config, in KB.
+ * @param {*} value
+ * @returns {number}
+ */
+export function normalizeMaxReadKb(value) {
+  const n = parseInt(value, 10);
+  return n > 0 ? n : DEFAULT_MAX_READ_KB;
+}
+
+/**
+ * Parse a READ_FILE range: "41-140" or "lines 41-140" (1-based, inclusive),
+ * or "bytes 0-4095" (0-based, inclusive). The end is optional.
+ * @param {string|null} range
+ * @returns {{ unit: 'lines'|'bytes', start: number, end: number|null }|null|{ error: string }}
+ */
+export function parseReadRange(range) {
+  const text = String(range ?? '').trim();
+  if (!text) return null;
+  const m = text.match(/^(lines?|bytes?)?\s*(\d+)\s*(?:-\s*(\d+))?$/i);
+  if (!m) return { error: `Invalid range "${text}". Use a line range like 41-140 or a byte range like bytes 0-4095.` };
+  const unit = /^b/i.test(m[1] || '') ? 'bytes' : 'lines';
+  const start = parseInt(m[2], 10);
+  const end = m[3] != null ? parseInt(m[3], 10) : null;
+  if (unit === 'lines' && start < 1) return { error: 'Line numbers start at 1.' };
+  if (end != null && end < start) return { error: `The range ${text} ends before it starts.` };
+  return { unit, start, end };
+}
+
+/**
+ * Whether a sample of a file looks binary: a NUL byte, or many control characters.
+ * @param {Buffer} buf
+ * @returns {boolean}
+ */
+export function looksBinary(buf) {
+  if (!buf.length) return false;
+  let control = 0;
+  for (const byte of buf) {
+    if (byte === 0) return true;
+    // Tab, newline, form feed, carriage return, backspace and escape (colour codes) are common in text
+    if (byte < 32 && ![8, 9, 10, 12, 13, 27].includes(byte)) control++;
+  }
+  return control / buf.length > 0.1;
+}
+
+/**
+ * Classic 16-bytes-per-line hexdump.
+ * @param {Buffer} buf
+ * @param {number} [offset] - Position of the first byte in the file
+ * @returns {string}
+ */
+export function hexdump(buf, offset = 0) {
+  const lines = [];
+  for (let i = 0; i < buf.length; i += 16) {
+    const row = buf.subarray(i, i + 16);
+    const hex = [...row].map(b => b.toString(16).padStart(2, '0'));
+    const left = hex.slice(0, 8).join(' ');
+    const right = hex.slice(8).join(' ');
+    const ascii = [...row].map(b => (b >= 32 && b < 127 ? String.fromCharCode(b) : '.')).join('');
+    lines.push(`${(offset + i).toString(16).padStart(8, '0')}  ${left.padEnd(23)}  ${right.padEnd(23)}  |${ascii}|`);
+  }
+  return lines.join('\n');
+}
+
+function fileKind(buf) {
+  for (const [bytes, kind] of MAGIC) {
+    if (bytes.every((b, i) => buf[i] === b)) return kind;
+  }
+  if (buf.length > 262 && buf.subarray(257, 262).toString('latin1') === 'ustar') return 'tar archive';
+  return null;
+}
+
+// Read up to `limit` bytes from `position`, until end of file. Works for /proc files, whose size is 0
+function readUpTo(fd, position, limit) {
+  const chunks = [];
+  let total = 0;
+  while (total < limit) {
+    const buf = Buffer.alloc(Math.min(TAIL_CHUNK, limit - total));
+    const n = readSync(fd, buf, 0, buf.length, position + total);
+    if (!n) break;
+    chunks.push(buf.subarray(0, n));
+    total += n;
+  }
+  return Buffer.concat(chunks, total);
+}
+
+function binarySummary(path, size, sample, note = '') {
+  const kind = fileKind(sample);
+  return [
+    `${path} is a binary file${kind ? ` (${kind})` : ''}, ${formatBytes(size)}. It is not shown as text.${note}`,
+    `First ${Math.min(sample.length, HEXDUMP_BYTES)} bytes:`,
+    hexdump(sample.subarray(0, HEXDUMP_BYTES)),
+    `Request a byte range (e.g. bytes 0-1023) for a longer hexdump, or use RUN_CMD with a tool that understands the format.`,
+  ].join('\n');
+}
+
+// Open a file for one of the actions, refusing directories; returns the fd, its size and the binary sniff
+function openFile(path) {
+  const fd = openSync(path, 'r');
+  const stat = fstatSync(fd);
+  if (stat.isDirectory()) {
+    closeSync(fd);
+    return { error: `${path} is a directory. Use LIST_DIR to see its contents.` };
+  }
+  const sample = readUpTo(fd, 0, SNIFF_BYTES);
+  return { fd, size: stat.size, sample, binary: looksBinary(sample) };
+}
+
+function clipLine(line) {
+  return line.length > MAX_LINE_CHARS ? `${line.slice(0, MAX_LINE_CHARS)}… [${line.length - MAX_LINE_CHARS} more characters]` : line;
+}
+
+// Stream a file's lines as { text, dropped }, keeping at most maxLineBytes of
+// each line and counting the bytes left out, so one huge line never has to fit in memory
+async function* fileLines(path, maxLineBytes) {
+  const stream = createReadStream(path);
+  let parts = [];
+  let kept = 0;
+  let dropped = 0;
+  const line = () => {
+    const text = Buffer.concat(parts, kept).toString('utf-8');
+    const out = { text: text.endsWith('\r') ? text.slice(0, -1) : text, dropped };
+    parts = [];
+    kept = 0;
+    dropped = 0;
+    return out;
+  };
+  try {
+    for await (const chunk of stream) {
+      let from = 0;
+      while (from < chunk.length) {
+        const nl = chunk.indexOf(10, from);
+        const end = nl === -1 ? chunk.length : nl;
+        const take = Math.min(end - from, maxLineBytes - kept);
+        if (take > 0) {
+          // Copied, so a kept line start does not pin the whole chunk in memory
+          parts.push(Buffer.from(chunk.subarray(from, from + take)));
+          kept += take;
+        }
+        dropped += end - from - Math.max(take, 0);
+        if (nl === -1) break;
+        yield line();
+        from = nl + 1;
+      }
+    }
+    if (kept || dropped) yield line();
+  } finally {
+    stream.destroy();
+  }
+}
+
+const droppedNote = dropped => (dropped ? `… [${dropped} more bytes]` : '');
+
+/**
+ * READ_FILE: the whole file when it is under the limit, otherwise a line or byte range.
+ * @param {string} path - Already checked against the read policy
+ * @param {string|null} range - See parseReadRange
+ * @param {{ maxBytes: number }} options
+ * @returns {Promise<{ success: boolean, result: string }>}
+ */
+export async function readFileRange(path, range, { maxBytes }) {
+  const parsed = parseReadRange(range);
+  if (parsed?.error) return { success: false, result: parsed.error };
+  const file = openFile(path);
+  if (file.error) return { success: false, result: file.error };
+  const { fd, size, sample, binary } = file;
+  try {
+    if (parsed?.unit === 'bytes') {
+      const want = (parsed.end ?? parsed.start + maxBytes - 1) - parsed.start + 1;
+      const limit = Math.min(want, binary ? MAX_HEXDUMP_BYTES : maxBytes);
+      const buf = readUpTo(fd, parsed.start, limit);
+      if (!buf.length) return { success: false, result: `${path} has only ${size} bytes.` };
+      const end = parsed.start + buf.length - 1;
+      const cut = buf.length < want && end + 1 < size ? ` Cut at ${limit} bytes.` : '';
+      const header = `Bytes ${parsed.start}-${end} of ${size}:${cut}`;
+      return { success: true, result: `${header}\n${binary ? hexdump(buf, parsed.start) : buf.toString('utf-8')}` };
+    }
+    if (binary) return { success: true, result: binarySummary(path, size, sample) };
+    if (parsed?.unit === 'lines') return await readLines(path, parsed.start, parsed.end, maxBytes);
+    const data = readUpTo(fd, 0, maxBytes + 1);
+    if (data.length > maxBytes) {
+      return {
+        success: false,
+        result: `${path} is ${formatBytes(Math.max(size, data.length))}, over the ${Math.round(maxBytes / 1024)} KB read limit. Read part of it with a line range (e.g. 1-200) or a byte range, or use TAIL_FILE for the end and SEARCH_FILE to find lines.`,
+      };
+    }
+    return { success: true, result: data.toString('utf-8') };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// Stream the file up to the last wanted line, so a range near the start of a huge file is cheap.
+// A line longer than the read limit is cut there.
+async function readLines(path, start, end, maxBytes) {
+  const lines = [];
+  let n = 0;
+  let bytes = 0;
+  let cut = false;
+  let more = false;
+  for await (const { text, dropped } of fileLines(path, maxBytes)) {
+    n++;
+    if (n < start) continue;
+    if (end != null && n > end) {
+      more = true;
+      break;
+    }
+    const line = text + droppedNote(dropped);
+    bytes += Buffer.byteLength(line) + 1;
+    if (bytes > maxBytes && lines.length) {
+      cut = true;
+      more = true;
+      break;
+    }
+    lines.push(line);
+  }
+  if (!lines.length) return { success: false, result: `${path} has only ${n} lines.` };
+  const last = start + lines.length - 1;
+  const note = cut
+    ? ` Cut at the ${Math.round(maxBytes / 1024)} KB read limit; request ${last + 1}-${last + 200} to continue.`
+    : more ? '' : ' End of file.';
+  return { success: true, result: `Lines ${start}-${last}:${note}\n${lines.join('\n')}` };
+}
+
+/**
+ * TAIL_FILE: the last lines of a file, read backwards from the end.
+ * @param {string} path - Already checked against the read policy
+ * @param {string|number|null} count - Number of lines; defaults to DEFAULT_TAIL_LINES
+ * @param {{ maxBytes: number }} options - Never reads more than this from the end
+ * @returns {{ success: boolean, result: string }}
+ */
+export function tailFile(path, count, { maxBytes }) {
+  const text = String(count ?? '').trim();
+  if (text && !/^\d+$/.test(text)) return { success: false, result: `Invalid line count "${text}". Give a number of lines, e.g. 200.` };
+  const want = Math.min(MAX_TAIL_LINES, Math.max(1, parseInt(text, 10) || DEFAULT_TAIL_LINES));
+  const file = openFile(path);
+  if (file.error) return { success: false, result: file.error };
+  const { fd, size, sample, binary } = file;
+  try {
+    if (binary) return { success: true, result: binarySummary(path, size, sample) };
+    let buf;
+    if (!size) {
+      // /proc and other files without a size: read forward and keep the end
+      buf = readUpTo(fd, 0, maxBytes);
+    } else {
+      const chunks = [];
+      let pos = size;
+      let newlines = 0;
+      while (pos > 0 && newlines <= want && size - pos < maxBytes) {
+        const len = Math.min(TAIL_CHUNK, pos, maxBytes - (size - pos));
+        pos -= len;
+        const chunk = Buffer.alloc(len);
+        readSync(fd, chunk, 0, len, pos);
+        for (const byte of chunk) if (byte === 10) newlines++;
+        chunks.unshift(chunk);
+      }
+      buf = Buffer.concat(chunks);
+    }
+    let lines = buf.toString('utf-8').split('\n');
+    if (lines.at(-1) === '') lines.pop();
+    const partial = size > buf.length;
+    // The first line is only complete when the whole file was read
+    if (partial && lines.length > want) lines = lines.slice(-want);
+    else if (partial) lines = lines.slice(1);
+    else lines = lines.slice(-want);
+    const note = lines.length < want
+      ? partial ? ` Only ${lines.length} lines fit in the ${Math.round(maxBytes / 1024)} KB read limit.` : ' That is the whole file.'
+      : '';
+    return { success: true, result: `Last ${lines.length} lines of ${path} (${formatBytes(Math.max(size, buf.length))}):${note}\n${lines.join('\n')}` };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Parse a SEARCH_FILE query: grep-style options, then the regular expression.
+ * "-i" ignores case, "-C 3" sets the context lines, "-m 20" the match cap and
+ * "--" ends the options.
+ * @param {string} query
+ * @returns {{ pattern: string, ignoreCase: boolean, context: number, maxMatches: number }|{ error: string }}
+ */
+export function parseSearchQuery(query) {
+  let rest = String(query ?? '').trim();
+  const opts = { ignoreCase: false, context: DEFAULT_SEARCH_CONTEXT, maxMatches: DEFAULT_SEARCH_MATCHES };
+  while (true) {
+    const m = rest.match(/^(-i|-C\s*(\d+)|-m\s*(\d+)|--)(?:\s+|$)/);
+    if (!m) break;
+    rest = rest.slice(m[0].length);
+    if (m[1] === '--') break;
+    if (m[1] === '-i') opts.ignoreCase = true;
+    else if (m[2] != null) opts.context = Math.min(MAX_SEARCH_CONTEXT, parseInt(m[2], 10));
+    else opts.maxMatches = Math.min(MAX_SEARCH_MATCHES, Math.max(1, parseInt(m[3], 10)));
+  }
+  if (!rest) return { error: 'No search pattern given.' };
+  try {
+    new RegExp(rest, opts.ignoreCase ? 'i' : '');
+  } catch (err) {
+    return { error: err.message };
+  }
+  return { pattern: rest, ...opts };
+}
+
+/**
+ * SEARCH_FILE: lines matching a regular expression, with context, like grep -n -C.
+ * The file is streamed, so its size does not matter; the output is capped by
+ * the match limit and the read limit. The search runs in a worker thread that
+ * is stopped after timeoutMs or when the signal aborts.
+ * @param {string} path - Already checked against the read policy
+ * @param {string} query - See parseSearchQuery
+ * @param {{ maxBytes: number, signal?: AbortSignal, timeoutMs?: number }} options
+ * @returns {Promise<{ success: boolean, result: string, cancelled?: boolean }>}
+ */
+export async function searchFile(path, query, { maxBytes, signal, timeoutMs = SEARCH_TIMEOUT_MS }) {
+  const q = parseSearchQuery(query);
+  if (q.error) return { success: false, result: q.error };
+  const file = openFile(path);
+  if (file.error) return { success: false, result: file.error };
+  closeSync(file.fd);
+  if (file.binary) return { success: false, result: binarySummary(path, file.size, file.sample, ' SEARCH_FILE only searches text files.') };
+  if (signal?.aborted) return { success: false, cancelled: true, result: 'Search cancelled.' };
+
+  return new Promise(resolve => {
+    const worker = new Worker(new URL(import.meta.url), { workerData: { search: { path, q, maxBytes } } });
+    let settled = false;
+    const finish = outcome => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+      resolve(outcome);
+    };
+    const onAbort = () => finish({ success: false, cancelled: true, result: 'Search cancelled.' });
+    const timer = setTimeout(() => finish({
+      success: false,
+      result: `The search for /${q.pattern}/ was stopped after ${timeoutMs / 1000} s. Patterns with nested repetition such as (a+)+ can take exponential time on some lines; use a simpler pattern or a plain word.`,
+    }), timeoutMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    worker.on('message', finish);
+    worker.on('error', err => finish({ success: false, result: `Search failed: ${err.message}` }));
+    worker.on('exit', () => finish({ success: false, result: 'Search failed: the search stopped without a result.' }));
+  });
+}
+
+// The search itself, run in the worker
+async function searchLines(path, q, maxBytes) {
+  const re = new RegExp(q.pattern, q.ignoreCase ? 'i' : '');
+  const out = [];
+  const before = [];
+  let n = 0;
+  let matches = 0;
+  let after = 0;
+  let lastShown = 0;
+  let bytes = 0;
+  let longLines = 0;
+  let stopped = '';
+  const show = (num, line, sep) => {
+    if (lastShown && num > lastShown + 1) out.push('--');
+    const text = `${num}${sep}${clipLine(line)}`;
+    out.push(text);
+    bytes += text.length + 1;
+    lastShown = num;
+  };
+  for await (const { text: line, dropped } of fileLines(path, MAX_SEARCH_LINE_BYTES)) {
+    n++;
+    if (dropped) longLines++;
+    if (matches < q.maxMatches && re.test(line)) {
+      for (const [num, text] of before) show(num, text, '-');
+      before.length = 0;
+      show(n, line, ':');
+      matches++;
+      after = q.context;
+    } else if (after > 0) {
+      show(n, line, '-');
+      after--;
+    } else if (matches >= q.maxMatches) {
+      stopped = `Stopped after ${q.maxMatches} matches at line ${n}; narrow the pattern or raise the cap with -m.`;
+      break;
+    } else if (q.context) {
+      before.push([n, line]);
+      if (before.length > q.context) before.shift();
+    }
+    if (bytes > maxBytes) {
+      stopped = `Stopped at line ${n}: the results reached the ${Math.round(maxBytes / 1024)} KB read limit.`;
+      break;
+    }
+  }
+  const what = `/${q.pattern}/${q.ignoreCase ? 'i' : ''}`;
+  const long = longLines ? ` Only the first ${MAX_SEARCH_LINE_BYTES / 1024} KB of ${longLines} longer ${longLines === 1 ? 'line was' : 'lines were'} searched.` : '';
+  if (!matches) return { success: true, result: `No lines of ${path} match ${what}${stopped ? `. ${stopped}` : ` (${n} lines searched).`}${long}` };
+  const summary = `${matches} ${matches === 1 ? 'match' : 'matches'} for ${what} in ${path}${stopped ? '' : ` (${n} lines searched)`}, ${q.context} ${q.context === 1 ? 'line' : 'lines'} of context. Matching lines are marked with ":".${long}`;
+  return { success: true, result: [summary, ...(stopped ? [stopped] : []), '', ...out].join('\n') };
+}
+
+if (!isMainThread && workerData?.search) {
+  const { path, q, maxBytes } = workerData.search;
+  searchLines(path, q, maxBytes).then(
+    outcome => parentPort.postMessage(outcome),
+    err => parentPort.postMessage({ success: false, result: `Search failed: ${err.message}` }),
+  );
+}
+
+const TYPE_CHARS = [
+  ['isDirectory', 'd'], ['isSymbolicLink', 'l'], ['isFile', '-'],
+  ['isSocket', 's'], ['isFIFO', 'p'], ['isCharacterDevice', 'c'], ['isBlockDevice', 'b'],
+];
+
+function modeString(stat) {
+  const type = TYPE_CHARS.find(([fn]) => stat[fn]())?.[1] ?? '?';
+  const bits = 'rwxrwxrwx'.split('').map((c, i) => (stat.mode & (1 << (8 - i)) ? c : '-')).join('');
+  return type + bits;
+}
+
+function formatTime(date) {
+  return date.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * LIST_DIR: the entries of a directory with type, permissions, size and
+ * modification time, directories first, like ls -la.
+ * @param {string} path - Already checked against the read policy
+ * @param {{ canRead?: (path: string) => boolean }} [options] - Entries the read policy refuses are marked
+ * @returns {{ success: boolean, result: string }}
+ */
+export function listDir(path, { canRead } = {}) {
+  let names;
+  try {
+    names = readdirSync(path);
+  } catch (err) {
+    if (err.code === 'ENOTDIR') return { success: false, result: `${path} is not a directory. Use READ_FILE or TAIL_FILE to see its contents.` };
+    throw err;
+  }
+  const entries = names.map(name => {
+    const full = join(path, name);
+    try {
+      const stat = lstatSync(full);
+      const link = stat.isSymbolicLink() ? (() => { try { return readlinkSync(full); } catch { return '?'; } })() : null;
+      return { name, full, stat, link, dir: stat.isDirectory() };
+    } catch (err) {
+      return { name, full, error: err.code || err.message, dir: false };
+    }
+  });
+  entries.sort((a, b) => (b.dir - a.dir) || a.name.localeCompare(b.name));
+  const dirs = entries.filter(e => e.dir).length;
+  const shown = entries.slice(0, MAX_LIST_ENTRIES);
+  const rows = shown.map(e => {
+    if (e.error) return { cols: ['??????????', '', '', e.name], note: ` [${e.error}]` };
+    const size = e.stat.isFile() ? formatBytes(e.stat.size) : '';
+    const denied = canRead && !canRead(e.full) ? ' [denied by the read path policy]' : '';
+    return { cols: [modeString(e.stat), size, formatTime(e.stat.mtime), e.name + (e.dir ? '/' : '')], note: (e.link ? ` -> ${e.link}` : '') + denied };
+  });
+  const widths = [10, Math.max(0, ...rows.map(r => r.cols[1].length)), 16];
+  const lines = rows.map(({ cols, note }) => `${cols[0].padEnd(widths[0])}  ${cols[1].padStart(widths[1])}  ${cols[2].padEnd(widths[2])}  ${cols[3]}${note}`);
+  const more = entries.length > shown.length ? [`[… ${entries.length - shown.length} more entries not shown]`] : [];
+  const header = `${path}: ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'} (${dirs} ${dirs === 1 ? 'directory' : 'directories'}, ${entries.length - dirs} other). Times are UTC.`;
+  return { success: true, result: [header, ...lines, ...more].join('\n') };
+}
@@ -0,0 +1,201 @@
+import { randomUUID } from 'crypto';
+
+// ── Job Queue ────────────────────────────────────────────────────────────────
+// Approved actions run as jobs: each gets an id, waits in a FIFO queue until a
+// slot is free, and keeps its output and result after it finishes, so a
+// client that went away mid-run can look it up or re-subscribe later.
+
+export const DEFAULT_CONCURRENCY = 2;
+
+// Finished jobs kept in memory; older ones are dropped first
+const MAX_FINISHED_JOBS = 200;
+
+/**
+ * Public view of a job, without the action content (which can be a whole file).
+ * @param {object} job
+ * @param {boolean} [withOutput=false]
+ * @returns {object}
+ */
+function view(job, withOutput = false) {
+  return {
+    id: job.id,
+    type: job.action.type,
+    target: job.action.target,
+    session_id: job.action.session_id || null,
+    ...(job.action.auto_rule ? { auto_rule: job.action.auto_rule } : {}),
+    ...(job.action.options?.dry_run ? { dry_run: true } : {}),
+    status: job.status,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    output_bytes: Buffer.byteLength(job.output, 'utf-8'),
+    ...(job.outcome ? { outcome: job.outcome } : {}),
+    ...(withOutput ? { output: job.output } : {}),
+  };
+}
+
+/**
+ * Create a job queue.
+ * @param {object} options
+ * @param {number} [options.concurrency=2] - Jobs allowed to run at the same time
+ * @param {(action: object, ctx: { signal: AbortSignal, onOutput: (stream: string, data: string) => void }) => Promise<object>} options.run
+ *   Executes one action and resolves with its outcome ({ success, result, ... })
+ */
+export function createJobQueue({ concurrency = DEFAULT_CONCURRENCY, run }) {
+  const jobs = new Map();
+  const queue = [];
+  let limit = Math.max(1, concurrency);
+  let running = 0;
+
+  function emit(job, event) {
+    for (const listener of job.listeners) {
+      try { listener(event); } catch {}
+    }
+  }
+
+  function prune() {
+    const finished = [...jobs.values()].filter(j => j.finished_at);
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) jobs.delete(job.id);
+  }
+
+  function finish(job, status, outcome) {
+    job.status = status;
+    job.outcome = outcome;
+    job.finished_at = new Date().toISOString();
+    emit(job, { type: 'done', job: view(job) });
+    job.listeners.clear();
+    for (const resolve of job.waiters) resolve(outcome);
+    job.waiters = [];
+    prune();
+  }
+
+  async function start(job) {
+    running++;
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    emit(job, { type: 'status', status: 'running' });
+    let outcome;
+    try {
+      outcome = await run(job.action, {
+        signal: job.controller.signal,
+        onOutput: (stream, data) => {
+          job.output += data;
+          emit(job, { type: 'output', stream, data });
+        },
+      });
+    } catch (err) {
+      outcome = { success: false, result: `Error: ${err.message}` };
+    }
+    running--;
+    finish(job, outcome.cancelled ? 'cancelled' : outcome.success ? 'succeeded' : 'failed', outcome);
+    pump();
+  }
+
+  function pump() {
+    while (running < limit && queue.length) start(queue.shift());
+  }
+
+  return {
+    /**
+     * Queue an action.
+     * @param {{ type: string, target: string, content?: string, session_id?: string, options?: object }} action
+     * @returns {object} The job's public view
+     */
+    submit(action) {
+      const job = {
+        id: randomUUID(),
+        action,
+        status: 'queued',
+        created_at: new Date().toISOString(),
+        started_at: null,
+        finished_at: null,
+        output: '',
+        outcome: null,
+        controller: new AbortController(),
+        listeners: new Set(),
+        waiters: [],
+      };
+      jobs.set(job.id, job);
+      queue.push(job);
+      pump();
+      return view(job);
+    },
+
+    /**
+     * @param {string} id
+     * @param {boolean} [withOutput=false]
+     * @returns {object|null}
+     */
+    get(id, withOutput = false) {
+      const job = jobs.get(id);
+      return job ? view(job, withOutput) : null;
+    },
+
+    /**
+     * List jobs, oldest first.
+     * @param {{ session_id?: string, status?: string }} [filters]
+     * @returns {object[]}
+     */
+    list(filters = {}) {
+      return [...jobs.values()]
+        .filter(j => !filters.session_id || j.action.session_id === filters.session_id)
+        .filter(j => !filters.status || j.status === filters.status)
+        .map(j => view(j));
+    },
+
+    /**
+     * Cancel a job: queued jobs never start, running jobs have their process group killed.
+     * @param {string} id
+     * @returns {object|null} The job's view, or null if unknown
+     */
+    kill(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (job.status === 'queued') {
+        queue.splice(queue.indexOf(job), 1);
+        finish(job, 'cancelled', { success: false, cancelled: true, result: 'Cancelled before it started.' });
+      } else if (job.status === 'running') {
+        job.controller.abort();
+      }
+      return view(job);
+    },
+
+    /**
+     * Follow a job's events. Finished jobs get no further events.
+     * @param {string} id
+     * @param {(event: object) => void} listener
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe(id, listener) {
+      const job = jobs.get(id);
+      if (!job || job.finished_at) return () => {};
+      job.listeners.add(listener);
+      return () => job.listeners.delete(listener);
+    },
+
+    /**
+     * Resolve with the job's outcome once it finishes.
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    wait(id) {
+      const job = jobs.get(id);
+      if (!job) return Promise.resolve(null);
+      if (job.finished_at) return Promise.resolve(job.outcome);
+      return new Promise(resolve => job.waiters.push(resolve));
+    },
+
+    /**
+     * Change how many jobs may run at once; extra queued jobs start immediately.
+     * @param {number} n
+     */
+    setConcurrency(n) {
+      limit = Math.max(1, parseInt(n, 10) || DEFAULT_CONCURRENCY);
+      pump();
+    },
+
+    stats() {
+      return { concurrency: limit, running, queued: queue.length };
+    },
+  };
+}
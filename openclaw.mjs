@@ -0,0 +1,788 @@
+import { execSync } from 'child_process';
+import { existsSync, readFileSync, readdirSync, readlinkSync, statSync, openSync, readSync, closeSync } from 'fs';
+import { join, dirname, isAbsolute, extname } from 'path';
+import YAML from 'yaml';
+import { listeningSockets } from './snapshot.mjs';
+
+// ── OpenClaw ─────────────────────────────────────────────────────────────────
+// Finding the OpenClaw install, then checking on it: config.yml and
+// gateway.yml are parsed and validated against the settings DoctorClaw knows,
+// the gateway process is looked up in /proc, and the newest lines of the log
+// files are classified by kind of error. The status is served by
+// /api/openclaw/status, shown in the OpenClaw panel and available to the model
+// as the OPENCLAW_STATUS action. Nothing here writes or runs anything.
+
+// ── Detection ────────────────────────────────────────────────────────────────
+
+/**
+ * Check if a directory looks like an OpenClaw installation.
+ * A directory qualifies if it has "openclaw" in its path OR contains
+ * recognizable OpenClaw files (configs, binaries, etc.).
+ */
+function looksLikeOpenclawDir(dir) {
+  if (!existsSync(dir)) return false;
+  // Path itself contains "openclaw" (case-insensitive)
+  if (/openclaw/i.test(dir)) return true;
+  // Contains known OpenClaw config or binary files
+  const markers = [
+    'config.yml', 'config.yaml', 'openclaw.yml', 'openclaw.conf',
+    'gateway.yml', 'gateway.conf', 'openclaw-gateway',
+    'bin/openclaw-gateway', 'bin/openclaw',
+  ];
+  return markers.some(m => existsSync(join(dir, m)));
+}
+
+/**
+ * Given an absolute binary path, walk up directories to find the
+ * OpenClaw install root. E.g. /opt/openclaw/bin/openclaw-gateway → /opt/openclaw
+ */
+function findInstallRoot(binPath) {
+  let dir = dirname(binPath);
+  // Walk up at most 4 levels looking for a directory that looks like the install root
+  for (let i = 0; i < 4 && dir !== '/'; i++) {
+    if (looksLikeOpenclawDir(dir)) return dir;
+    dir = dirname(dir);
+  }
+  return null;
+}
+
+/**
+ * Auto-detect where OpenClaw is installed by checking common locations,
+ * running processes, and PATH lookups.
+ */
+export function detectOpenclawDir() {
+  // 1. Check common installation directories
+  const candidates = [
+    '/opt/openclaw',
+    '/usr/local/openclaw',
+    '/etc/openclaw',
+    '/opt/OpenClaw',
+  ];
+  for (const dir of candidates) {
+    if (existsSync(dir)) {
+      console.log(`  Auto-detected OpenClaw directory: ${dir}`);
+      return dir;
+    }
+  }
+
+  // 2. Try to find a running openclaw process and derive its location
+  try {
+    const psOutput = execSync("ps aux 2>/dev/null | grep -i openclaw | grep -v grep", {
+      encoding: 'utf-8', timeout: 5000,
+    }).trim();
+    if (psOutput) {
+      const lines = psOutput.split('\n');
+      for (const line of lines) {
+        const parts = line.trim().split(/\s+/);
+        const pid = parts[1];
+
+        // Try /proc/<PID>/exe first — this is the actual binary path, most reliable
+        if (pid && /^\d+$/.test(pid)) {
+          try {
+            const exe = execSync(`readlink /proc/${pid}/exe 2>/dev/null`, {
+              encoding: 'utf-8', timeout: 3000,
+            }).trim();
+            if (exe) {
+              const root = findInstallRoot(exe);
+              if (root) {
+                console.log(`  Auto-detected OpenClaw directory from process exe: ${root}`);
+                return root;
+              }
+            }
+          } catch {}
+        }
+
+        // Try the command path from ps output (field 11+)
+        if (parts.length >= 11) {
+          const cmd = parts[10];
+          if (cmd.startsWith('/')) {
+            const root = findInstallRoot(cmd);
+            if (root) {
+              console.log(`  Auto-detected OpenClaw directory from process command: ${root}`);
+              return root;
+            }
+          }
+        }
+
+        // Try /proc/<PID>/cwd — but ONLY accept it if it looks like an OpenClaw dir
+        // (not a generic home directory or /)
+        if (pid && /^\d+$/.test(pid)) {
+          try {
+            const cwd = execSync(`readlink /proc/${pid}/cwd 2>/dev/null`, {
+              encoding: 'utf-8', timeout: 3000,
+            }).trim();
+            if (cwd && looksLikeOpenclawDir(cwd)) {
+              console.log(`  Auto-detected OpenClaw directory from process cwd: ${cwd}`);
+              return cwd;
+            }
+          } catch {}
+        }
+      }
+    }
+  } catch {}
+
+  // 3. Try which/whereis to find openclaw binaries on PATH
+  try {
+    const binPath = execSync('which openclaw-gateway 2>/dev/null || which openclaw 2>/dev/null', {
+      encoding: 'utf-8', timeout: 3000,
+    }).trim();
+    if (binPath) {
+      const root = findInstallRoot(binPath);
+      if (root) {
+        console.log(`  Auto-detected OpenClaw directory from PATH: ${root}`);
+        return root;
+      }
+    }
+  } catch {}
+
+  // 4. Check if openclaw directories exist under home directories
+  try {
+    const homeHits = execSync("find /home -maxdepth 3 -name 'openclaw*' -type d 2>/dev/null | head -1", {
+      encoding: 'utf-8', timeout: 5000,
+    }).trim();
+    if (homeHits && looksLikeOpenclawDir(homeHits)) {
+      console.log(`  Auto-detected OpenClaw directory under /home: ${homeHits}`);
+      return homeHits;
+    }
+  } catch {}
+
+  // 5. Fallback — nothing found
+  return '/opt/openclaw';
+}
+
+/**
+ * Validate that the OpenClaw directory exists and contains expected files.
+ * Returns an object with validation details.
+ */
+export function validateOpenclawDir(dir) {
+  const result = { exists: false, hasConfig: false, hasLogs: false, configPath: null, logPaths: [] };
+  if (!existsSync(dir)) return result;
+  result.exists = true;
+
+  // Look for common config file patterns within the directory
+  const configCandidates = [
+    'config.yml', 'config.yaml', 'config.json', 'config.toml',
+    'openclaw.yml', 'openclaw.yaml', 'openclaw.conf', 'openclaw.json',
+    'gateway.yml', 'gateway.yaml', 'gateway.conf', 'gateway.json',
+    'etc/config.yml', 'etc/openclaw.yml', 'conf/openclaw.yml',
+  ];
+  for (const c of configCandidates) {
+    const full = join(dir, c);
+    if (existsSync(full)) {
+      result.hasConfig = true;
+      result.configPath = full;
+      break;
+    }
+  }
+
+  // Look for log directories/files
+  const logCandidates = ['logs', 'log', 'var/log', 'var/logs'];
+  for (const l of logCandidates) {
+    const full = join(dir, l);
+    if (existsSync(full)) {
+      result.hasLogs = true;
+      result.logPaths.push(full);
+    }
+  }
+
+  return result;
+}
+
+
+// ── Config schema ────────────────────────────────────────────────────────────
+// The settings DoctorClaw knows about. Keys outside the schema are reported as
+// warnings (usually a typo or a setting from another version), not errors.
+
+const DURATION = { type: 'duration' };
+const PORT = { type: 'integer', min: 1, max: 65535 };
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'warning', 'error', 'fatal'];
+
+const GATEWAY_SCHEMA = {
+  type: 'object',
+  keys: {
+    host: { type: 'string' },
+    bind: { type: 'string' },
+    port: PORT,
+    workers: { type: 'integer', min: 1 },
+    max_connections: { type: 'integer', min: 1 },
+    timeout: DURATION,
+    read_timeout: DURATION,
+    write_timeout: DURATION,
+    pid_file: { type: 'path' },
+    tls: {
+      type: 'object',
+      keys: {
+        enabled: { type: 'boolean' },
+        cert: { type: 'path', file: true },
+        key: { type: 'path', file: true },
+        ca: { type: 'path', file: true },
+      },
+      // Certificates only matter when TLS is on
+      requiredWhen: { key: 'enabled', value: true, keys: ['cert', 'key'] },
+    },
+    auth: {
+      type: 'object',
+      keys: {
+        mode: { type: 'string', enum: ['none', 'token', 'password', 'mtls'] },
+        token: { type: 'string' },
+        token_file: { type: 'path', file: true },
+        password: { type: 'string' },
+      },
+    },
+    upstreams: {
+      type: 'array',
+      items: {
+        type: 'object',
+        keys: { name: { type: 'string' }, url: { type: 'url' }, timeout: DURATION, weight: { type: 'integer', min: 0 } },
+        required: ['url'],
+      },
+    },
+  },
+  required: ['port'],
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  keys: {
+    version: { type: 'integer', min: 1 },
+    name: { type: 'string' },
+    data_dir: { type: 'path', dir: true },
+    gateway: GATEWAY_SCHEMA,
+    logging: {
+      type: 'object',
+      keys: {
+        level: { type: 'string', enum: LOG_LEVELS },
+        format: { type: 'string', enum: ['text', 'json'] },
+        dir: { type: 'path', dir: true },
+        file: { type: 'path' },
+        max_size: { type: 'size' },
+        max_files: { type: 'integer', min: 0 },
+      },
+    },
+    plugins: {
+      type: 'array',
+      items: {
+        type: 'object',
+        keys: { name: { type: 'string' }, enabled: { type: 'boolean' }, path: { type: 'path' }, config: { type: 'any' } },
+        required: ['name'],
+      },
+    },
+  },
+};
+
+// Where each file is looked for, relative to the OpenClaw directory
+const CONFIG_FILES = {
+  config: ['config.yml', 'config.yaml', 'config.json', 'openclaw.yml', 'openclaw.yaml', 'openclaw.json', 'etc/config.yml', 'etc/openclaw.yml', 'conf/openclaw.yml'],
+  gateway: ['gateway.yml', 'gateway.yaml', 'gateway.json', 'etc/gateway.yml', 'conf/gateway.yml'],
+};
+const SCHEMAS = { config: CONFIG_SCHEMA, gateway: GATEWAY_SCHEMA };
+
+const DURATION_RE = /^\d+(\.\d+)?(ms|s|m|h)$/;
+const SIZE_RE = /^\d+(\.\d+)?\s*([KMGT]i?B?|B)?$/i;
+
+const typeName = value => Array.isArray(value) ? 'a list' : value === null ? 'empty' : typeof value === 'object' ? 'a mapping' : `a ${typeof value}`;
+
+/**
+ * Check a parsed config against a schema.
+ * @param {*} value
+ * @param {object} schema
+ * @param {object} [options]
+ * @param {string} [options.base] - Relative paths in the config are resolved against this directory
+ * @param {string} [options.path] - Where `value` sits in the file, for messages
+ * @returns {{ level: 'error'|'warning', path: string, message: string }[]}
+ */
+export function validateConfig(value, schema, { base = '', path = '' } = {}) {
+  const issues = [];
+  const at = path || '(top level)';
+  const err = message => issues.push({ level: 'error', path: at, message });
+
+  switch (schema.type) {
+    case 'any':
+      break;
+    case 'object': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        err(`must be a mapping, found ${typeName(value)}`);
+        break;
+      }
+      for (const key of schema.required || []) {
+        if (value[key] == null) issues.push({ level: 'error', path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+      const when = schema.requiredWhen;
+      if (when && value[when.key] === when.value) {
+        for (const key of when.keys) {
+          if (value[key] == null) issues.push({ level: 'error', path: path ? `${path}.${key}` : key, message: `is required when ${when.key} is ${when.value}` });
+        }
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (!schema.keys[key]) {
+          issues.push({ level: 'warning', path: childPath, message: 'is not a known setting' });
+          continue;
+        }
+        if (child == null) continue;
+        issues.push(...validateConfig(child, schema.keys[key], { base, path: childPath }));
+      }
+      break;
+    }
+    case 'array':
+      if (!Array.isArray(value)) {
+        err(`must be a list, found ${typeName(value)}`);
+        break;
+      }
+      value.forEach((item, i) => issues.push(...validateConfig(item, schema.items, { base, path: `${path}[${i}]` })));
+      break;
+    case 'string':
+      if (typeof value !== 'string') err(`must be a string, found ${typeName(value)}`);
+      else if (schema.enum && !schema.enum.includes(value)) err(`must be one of ${schema.enum.join(', ')}, found "${value}"`);
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) err(`must be a whole number, found ${typeof value === 'string' ? `"${value}"` : typeName(value)}`);
+      else if (schema.min != null && value < schema.min) err(`must be at least ${schema.min}, found ${value}`);
+      else if (schema.max != null && value > schema.max) err(`must be at most ${schema.max}, found ${value}`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') err(`must be true or false, found ${typeof value === 'string' ? `"${value}"` : typeName(value)}`);
+      break;
+    case 'duration':
+      if (!(Number.isInteger(value) && value >= 0) && !(typeof value === 'string' && DURATION_RE.test(value))) err(`must be seconds or a duration like 30s, 500ms, 5m; found ${JSON.stringify(value)}`);
+      break;
+    case 'size':
+      if (!(Number.isInteger(value) && value >= 0) && !(typeof value === 'string' && SIZE_RE.test(value.trim()))) err(`must be bytes or a size like 10MB; found ${JSON.stringify(value)}`);
+      break;
+    case 'url':
+      if (typeof value !== 'string') err(`must be a URL, found ${typeName(value)}`);
+      else {
+        try {
+          new URL(value);
+        } catch {
+          err(`is not a valid URL: "${value}"`);
+        }
+      }
+      break;
+    case 'path': {
+      if (typeof value !== 'string' || !value) {
+        err(`must be a path, found ${typeName(value)}`);
+        break;
+      }
+      const full = isAbsolute(value) || !base ? value : join(base, value);
+      if ((schema.file || schema.dir) && !existsSync(full)) {
+        err(`points to ${full}, which does not exist`);
+      } else if (schema.file && statSync(full).isDirectory()) {
+        err(`points to ${full}, which is a directory, not a file`);
+      } else if (schema.dir && !statSync(full).isDirectory()) {
+        err(`points to ${full}, which is not a directory`);
+      }
+      break;
+    }
+  }
+  return issues;
+}
+
+/**
+ * Find, parse and validate the OpenClaw config files.
+ * @param {string} dir - OpenClaw directory
+ * @param {(path: string) => { allowed: boolean, reason?: string }} canRead - The read path policy
+ * @returns {{ kind: string, path: string, data: object|null, error: string|null, issues: object[] }[]}
+ */
+export function loadOpenclawConfigs(dir, canRead) {
+  const found = [];
+  for (const [kind, candidates] of Object.entries(CONFIG_FILES)) {
+    const file = candidates.map(c => join(dir, c)).find(f => existsSync(f));
+    if (!file) continue;
+    const entry = { kind, path: file, data: null, error: null, issues: [] };
+    found.push(entry);
+    const policy = canRead(file);
+    if (!policy.allowed) {
+      entry.error = `not readable under the path policy: ${policy.reason}`;
+      continue;
+    }
+    try {
+      const text = readFileSync(file, 'utf-8');
+      entry.data = extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+    } catch (err) {
+      // YAML errors already name the line and column
+      entry.error = `could not be parsed: ${err.message.split('\n')[0]}`;
+      continue;
+    }
+    if (entry.data == null) {
+      entry.error = 'is empty';
+      continue;
+    }
+    entry.issues = validateConfig(entry.data, SCHEMAS[kind], { base: dir });
+  }
+  return found;
+}
+
+// The gateway settings in effect: gateway.yml overrides the gateway section of config.yml
+function gatewaySettings(configs) {
+  const main = configs.find(c => c.kind === 'config')?.data?.gateway;
+  const own = configs.find(c => c.kind === 'gateway')?.data;
+  const pick = v => v && typeof v === 'object' && !Array.isArray(v) ? v : {};
+  return { ...pick(main), ...pick(own) };
+}
+
+// ── Gateway process ──────────────────────────────────────────────────────────
+
+// Clock ticks per second in /proc/[pid]/stat, as in snapshot.mjs
+const CLOCK_TICKS = 100;
+const MAX_COMMAND_CHARS = 160;
+const GATEWAY_NAME_RE = /^openclaw(-gateway|d)?$/;
+// A gateway started as a script ("node /opt/openclaw/gateway.js") is found by its script path
+const INTERPRETERS = new Set(['node', 'nodejs', 'bun', 'deno', 'python', 'python3', 'java']);
+
+function readText(file) {
+  try {
+    return readFileSync(file, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+function isGateway(pid) {
+  const comm = (readText(`/proc/${pid}/comm`) || '').trim();
+  const argv = (readText(`/proc/${pid}/cmdline`) || '').split('\0').filter(Boolean);
+  if (!argv.length) return false;
+  const exe = argv[0].split('/').pop();
+  if (GATEWAY_NAME_RE.test(comm) || GATEWAY_NAME_RE.test(exe)) return true;
+  const script = INTERPRETERS.has(exe) ? argv.slice(1).find(a => !a.startsWith('-')) : null;
+  return !!script && /openclaw/i.test(script) && /gateway/i.test(script);
+}
+
+function processInfo(pid) {
+  const stat = readText(`/proc/${pid}/stat`) || '';
+  const status = readText(`/proc/${pid}/status`) || '';
+  const f = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+  const bootSeconds = parseFloat(readText('/proc/uptime') || '0');
+  const field = name => status.match(new RegExp(`^${name}:\\s+(\\d+)`, 'm'))?.[1];
+  const command = (readText(`/proc/${pid}/cmdline`) || '').replace(/\0+$/, '').replace(/\0/g, ' ');
+  let exe = null;
+  try {
+    exe = readlinkSync(`/proc/${pid}/exe`);
+  } catch {
+    // Only visible for our own user's processes unless running as root
+  }
+  return {
+    pid: Number(pid),
+    state: f[0] || null,
+    uptime: f[19] ? Math.max(0, Math.round(bootSeconds - Number(f[19]) / CLOCK_TICKS)) : null,
+    rss: field('VmRSS') ? Number(field('VmRSS')) * 1024 : null,
+    threads: field('Threads') ? Number(field('Threads')) : null,
+    exe,
+    command: command.length > MAX_COMMAND_CHARS ? command.slice(0, MAX_COMMAND_CHARS) + '…' : command,
+  };
+}
+
+/**
+ * Look up the gateway process in /proc and compare it with its settings.
+ * @param {object} settings - Effective gateway settings
+ * @param {string} dir
+ * @param {(path: string) => { allowed: boolean, reason?: string }} canRead
+ * @returns {object}
+ */
+export function gatewayStatus(settings, dir, canRead) {
+  if (process.platform !== 'linux') {
+    return { status: 'unknown', processes: [], port: settings.port ?? null, notes: [{ level: 'warning', message: 'Process status is read from /proc, which only Linux has.' }] };
+  }
+  const notes = [];
+  const pids = readdirSync('/proc').filter(name => /^\d+$/.test(name) && Number(name) !== process.pid);
+  const processes = pids.filter(isGateway).map(processInfo);
+  let sockets = [];
+  try {
+    sockets = listeningSockets();
+  } catch {
+    notes.push({ level: 'warning', message: 'Listening sockets could not be read.' });
+  }
+  for (const p of processes) {
+    p.listening = sockets.filter(s => s.pid === p.pid).map(s => `${s.protocol} ${s.address}:${s.port}`);
+    if (p.state === 'Z') notes.push({ level: 'error', message: `Process ${p.pid} is a zombie: it has exited but its parent has not collected it.` });
+  }
+
+  let pidFile = null;
+  if (typeof settings.pid_file === 'string' && settings.pid_file) {
+    const path = isAbsolute(settings.pid_file) ? settings.pid_file : join(dir, settings.pid_file);
+    pidFile = { path, pid: null, alive: false };
+    const policy = canRead(path);
+    if (!policy.allowed) pidFile.error = `not readable under the path policy: ${policy.reason}`;
+    else if (!existsSync(path)) pidFile.error = 'does not exist';
+    else {
+      pidFile.pid = parseInt(readText(path), 10) || null;
+      pidFile.alive = !!pidFile.pid && existsSync(`/proc/${pidFile.pid}`);
+      if (pidFile.pid && !pidFile.alive) notes.push({ level: 'warning', message: `The pid file names ${pidFile.pid}, which is not running (stale pid file).` });
+    }
+  }
+
+  const port = Number.isInteger(settings.port) ? settings.port : null;
+  let portOwner = null;
+  if (port) {
+    const holders = sockets.filter(s => s.port === port && s.protocol.startsWith('tcp'));
+    const ours = holders.some(s => processes.some(p => p.pid === s.pid));
+    if (holders.length && !ours) {
+      const other = holders.find(s => s.pid) || holders[0];
+      portOwner = { pid: other.pid, process: other.process };
+      notes.push({ level: 'error', message: `Port ${port} is held by ${other.process ? `${other.process} (pid ${other.pid})` : 'a process DoctorClaw cannot see'}, not by the gateway.` });
+    } else if (processes.length && !holders.length) {
+      notes.push({ level: 'warning', message: `The gateway is running but nothing listens on its configured port ${port}.` });
+    }
+  }
+  return { status: processes.length ? 'running' : 'stopped', processes, port, port_owner: portOwner, pid_file: pidFile, notes };
+}
+
+// ── Logs ─────────────────────────────────────────────────────────────────────
+
+// Only the end of each log is read
+const TAIL_BYTES = 256 * 1024;
+const TAIL_LINES = 1000;
+const MAX_LOG_FILES = 8;
+const MAX_PATTERNS = 8;
+const LOG_FILE_RE = /\.(log|out|err)$/i;
+
+const LEVEL_RULES = [
+  ['error', /\b(fatal|panic|crit(ical)?|emerg(ency)?|alert|err(or)?)\b|"level"\s*:\s*"(error|fatal)"/i],
+  ['warning', /\bwarn(ing)?\b|"level"\s*:\s*"warn/i],
+];
+
+// First match wins, so the more specific kinds come first
+const LOG_CATEGORIES = [
+  ['port_in_use', 'Port already in use', /EADDRINUSE|address already in use/i],
+  ['permission', 'Permission denied', /EACCES|EPERM|permission denied|operation not permitted/i],
+  ['tls', 'TLS / certificates', /\b(tls|ssl|x509|certificate|handshake)\b/i],
+  ['config', 'Configuration', /\bconfig(uration)?\b|\byaml\b|unknown (key|field|setting)|invalid (value|setting)/i],
+  ['resources', 'Out of resources', /ENOMEM|out of memory|\boom\b|EMFILE|too many open files|ENOSPC|no space left/i],
+  ['auth', 'Authentication', /unauthori[sz]ed|forbidden|\b40[13]\b|invalid (token|credentials|password)|authentication/i],
+  ['upstream', 'Upstream / network', /ECONNREFUSED|ECONNRESET|ETIMEDOUT|EHOSTUNREACH|connection (refused|reset)|timed? ?out|upstream|\b50[234]\b|dns|ENOTFOUND/i],
+  ['crash', 'Crash', /panic|segfault|segmentation fault|core dumped|uncaught|unhandled|stack ?trace|traceback/i],
+];
+export const LOG_CATEGORY_LABELS = Object.fromEntries([...LOG_CATEGORIES.map(([id, label]) => [id, label]), ['other', 'Other']]);
+
+/**
+ * Classify one log line.
+ * @param {string} line
+ * @returns {{ level: 'error'|'warning', category: string }|null} Null for lines that are neither errors nor warnings
+ */
+export function classifyLogLine(line) {
+  const level = LEVEL_RULES.find(([, re]) => re.test(line))?.[0];
+  if (!level) return null;
+  const category = LOG_CATEGORIES.find(([, , re]) => re.test(line))?.[0] || 'other';
+  return { level, category };
+}
+
+// The same message with different timestamps, ids and counts is one pattern
+function signature(line) {
+  return line
+    .replace(/^\S*\d{4}-\d\d-\d\d[T ][\d:.,]+\S*\s*/, '')
+    .replace(/\b[0-9a-f]{8,}\b/gi, '#')
+    .replace(/\d+/g, '#')
+    .slice(0, 200);
+}
+
+function tailFile(file) {
+  const size = statSync(file).size;
+  const start = Math.max(0, size - TAIL_BYTES);
+  const buf = Buffer.alloc(size - start);
+  const fd = openSync(file, 'r');
+  try {
+    readSync(fd, buf, 0, buf.length, start);
+  } finally {
+    closeSync(fd);
+  }
+  const lines = buf.toString('utf-8').split('\n');
+  // The first line is probably cut in the middle when reading from an offset
+  if (start > 0) lines.shift();
+  if (lines.at(-1) === '') lines.pop();
+  return lines.slice(-TAIL_LINES);
+}
+
+/**
+ * Log files in the OpenClaw log directories, newest first.
+ * @param {string[]} paths - Directories or files
+ * @returns {string[]}
+ */
+function logFiles(paths) {
+  const files = new Map();
+  for (const path of paths) {
+    let st;
+    try {
+      st = statSync(path);
+    } catch {
+      continue;
+    }
+    if (st.isFile()) {
+      files.set(path, st.mtimeMs);
+      continue;
+    }
+    let entries = [];
+    try {
+      entries = readdirSync(path);
+    } catch {
+      continue;
+    }
+    for (const name of entries.filter(n => LOG_FILE_RE.test(n))) {
+      try {
+        const full = join(path, name);
+        const fst = statSync(full);
+        if (fst.isFile()) files.set(full, fst.mtimeMs);
+      } catch {
+        // Rotated away while listing
+      }
+    }
+  }
+  return [...files].sort((a, b) => b[1] - a[1]).slice(0, MAX_LOG_FILES).map(([file]) => file);
+}
+
+/**
+ * Tail the gateway's logs and sort their errors and warnings by kind.
+ * @param {string[]} paths - Log directories or files
+ * @param {(path: string) => { allowed: boolean, reason?: string }} canRead
+ * @returns {object}
+ */
+export function scanLogs(paths, canRead) {
+  const files = [];
+  const categories = {};
+  const patterns = new Map();
+  let errors = 0, warnings = 0;
+  for (const file of logFiles(paths)) {
+    const entry = { path: file, modified: new Date(statSync(file).mtimeMs).toISOString(), lines: 0, errors: 0, warnings: 0 };
+    files.push(entry);
+    const policy = canRead(file);
+    if (!policy.allowed) {
+      entry.error = `not readable under the path policy: ${policy.reason}`;
+      continue;
+    }
+    let lines;
+    try {
+      lines = tailFile(file);
+    } catch (err) {
+      entry.error = err.message;
+      continue;
+    }
+    entry.lines = lines.length;
+    for (const line of lines) {
+      const hit = classifyLogLine(line);
+      if (!hit) continue;
+      if (hit.level === 'error') entry.errors++;
+      else entry.warnings++;
+      const cat = categories[hit.category] ||= { errors: 0, warnings: 0 };
+      cat[hit.level === 'error' ? 'errors' : 'warnings']++;
+      const sig = `${hit.level}|${signature(line)}`;
+      const pattern = patterns.get(sig) || { level: hit.level, category: hit.category, count: 0, file, last: '' };
+      pattern.count++;
+      pattern.last = line.trim().slice(0, 300);
+      patterns.set(sig, pattern);
+    }
+    errors += entry.errors;
+    warnings += entry.warnings;
+  }
+  // Errors before warnings, then the most frequent
+  const top = [...patterns.values()]
+    .sort((a, b) => (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1) || b.count - a.count)
+    .slice(0, MAX_PATTERNS);
+  return { files, errors, warnings, categories, patterns: top };
+}
+
+// ── Status ───────────────────────────────────────────────────────────────────
+
+export const STATUS_SECTIONS = ['all', 'config', 'gateway', 'logs'];
+
+/**
+ * Check the OpenClaw install: config files, gateway process and logs.
+ * @param {object} options
+ * @param {string} options.dir - OpenClaw directory
+ * @param {(path: string) => { allowed: boolean, reason?: string }} options.canRead - Files the path policy refuses are reported, not read
+ * @returns {object}
+ */
+export function openclawStatus({ dir, canRead }) {
+  const problems = [];
+  const install = validateOpenclawDir(dir);
+  const status = { dir, checked_at: new Date().toISOString(), install, configs: [], gateway: null, logs: null, problems };
+  if (!install.exists) {
+    problems.push({ level: 'error', source: 'install', message: `The OpenClaw directory ${dir} does not exist.` });
+    status.status = 'error';
+    return status;
+  }
+
+  const configs = loadOpenclawConfigs(dir, canRead);
+  // The parsed files stay here: they may hold tokens and passwords
+  status.configs = configs.map(({ data: _omit, ...rest }) => rest);
+  if (!configs.length) problems.push({ level: 'warning', source: 'config', message: `No config.yml or gateway.yml found in ${dir}.` });
+  for (const c of configs) {
+    if (c.error) problems.push({ level: 'error', source: 'config', message: `${c.path} ${c.error}` });
+    for (const issue of c.issues) problems.push({ level: issue.level, source: 'config', message: `${c.path}: ${issue.path} ${issue.message}` });
+  }
+
+  const settings = gatewaySettings(configs);
+  status.gateway = gatewayStatus(settings, dir, canRead);
+  if (status.gateway.status === 'stopped') problems.push({ level: 'error', source: 'gateway', message: 'The OpenClaw gateway is not running.' });
+  for (const note of status.gateway.notes) problems.push({ ...note, source: 'gateway' });
+
+  // Log locations from the config come on top of the ones found next to the install
+  const logging = configs.find(c => c.kind === 'config')?.data?.logging || {};
+  const resolve = p => isAbsolute(p) ? p : join(dir, p);
+  const logPaths = [...install.logPaths, ...[logging.dir, logging.file].filter(p => typeof p === 'string' && p).map(resolve)];
+  status.logs = { paths: [...new Set(logPaths)], ...scanLogs([...new Set(logPaths)], canRead) };
+  if (!status.logs.files.length) problems.push({ level: 'warning', source: 'logs', message: 'No log files found' + (logPaths.length ? ` in ${[...new Set(logPaths)].join(', ')}` : '') + '.' });
+  if (status.logs.errors) {
+    const kinds = Object.entries(status.logs.categories).filter(([, c]) => c.errors).sort((a, b) => b[1].errors - a[1].errors).map(([id, c]) => `${LOG_CATEGORY_LABELS[id]} ×${c.errors}`);
+    problems.push({ level: 'warning', source: 'logs', message: `${plural(status.logs.errors, 'error line')} in the recent logs: ${kinds.join(', ')}.` });
+  }
+
+  status.status = problems.some(p => p.level === 'error') ? 'error' : problems.length ? 'warning' : 'ok';
+  return status;
+}
+
+function formatDuration(seconds) {
+  if (seconds == null) return '?';
+  const d = Math.floor(seconds / 86400), h = Math.floor(seconds % 86400 / 3600), m = Math.floor(seconds % 3600 / 60);
+  return d ? `${d}d ${h}h` : h ? `${h}h ${m}m` : m ? `${m}m` : `${seconds}s`;
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+const megabytes = bytes => bytes == null ? '?' : `${Math.round(bytes / 1048576)} MiB`;
+
+/**
+ * The status as plain text, for the model and the terminal.
+ * @param {ReturnType<typeof openclawStatus>} status
+ * @param {string} [section='all'] - One of STATUS_SECTIONS
+ * @returns {string}
+ */
+export function formatOpenclawStatus(status, section = 'all') {
+  const show = part => section === 'all' || section === part;
+  const lines = [`OpenClaw at ${status.dir}: ${status.status.toUpperCase()} (checked ${status.checked_at})`];
+  if (section === 'all') {
+    lines.push(status.problems.length ? 'Problems:' : 'No problems found.');
+    for (const p of status.problems) lines.push(`  ${p.level === 'error' ? '✗' : '⚠'} [${p.source}] ${p.message}`);
+  }
+
+  if (show('config')) {
+    lines.push('', 'Config files:');
+    if (!status.configs.length) lines.push('  none found');
+    for (const c of status.configs) {
+      const errs = c.issues.filter(i => i.level === 'error').length, warns = c.issues.length - errs;
+      lines.push(`  ${c.path} (${c.kind}): ${c.error || (c.issues.length ? `${plural(errs, 'error')}, ${plural(warns, 'warning')}` : 'valid')}`);
+      if (section === 'config') for (const i of c.issues) lines.push(`    ${i.level}: ${i.path} ${i.message}`);
+    }
+  }
+
+  if (show('gateway') && status.gateway) {
+    const g = status.gateway;
+    lines.push('', `Gateway: ${g.status}${g.port ? `, configured port ${g.port}` : ''}`);
+    for (const p of g.processes) {
+      lines.push(`  pid ${p.pid} (${p.state}), up ${formatDuration(p.uptime)}, ${megabytes(p.rss)}, ${p.threads == null ? '? threads' : plural(p.threads, 'thread')}: ${p.command}`);
+      lines.push(`    listening: ${p.listening?.length ? p.listening.join(', ') : 'nothing'}`);
+    }
+    if (g.pid_file) lines.push(`  pid file ${g.pid_file.path}: ${g.pid_file.error || (g.pid_file.alive ? `pid ${g.pid_file.pid}, running` : `pid ${g.pid_file.pid}, not running`)}`);
+    if (section === 'gateway') for (const note of g.notes) lines.push(`  ${note.level}: ${note.message}`);
+  }
+
+  if (show('logs') && status.logs) {
+    const l = status.logs;
+    lines.push('', `Logs: ${plural(l.errors, 'error')}, ${plural(l.warnings, 'warning')} in the last ${TAIL_LINES} lines of each file`);
+    for (const f of l.files) lines.push(`  ${f.path}: ${f.error || `${plural(f.errors, 'error')}, ${plural(f.warnings, 'warning')} (modified ${f.modified})`}`);
+    const cats = Object.entries(l.categories);
+    if (cats.length) lines.push('  By kind: ' + cats.map(([id, c]) => `${LOG_CATEGORY_LABELS[id]} ${c.errors}E/${c.warnings}W`).join(', '));
+    if (l.patterns.length) {
+      lines.push('  Most frequent:');
+      for (const p of l.patterns) lines.push(`    ${p.count}× ${p.level} [${LOG_CATEGORY_LABELS[p.category]}] ${p.last}`);
+    }
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,137 @@
+import { realpathSync } from 'fs';
+import { resolve, join, dirname, parse, isAbsolute, sep } from 'path';
+
+// ── Path Policy ──────────────────────────────────────────────────────────────
+// Decides whether a file path may be read or written. Paths are canonicalized
+// (symlinks resolved, ".." applied the way the kernel would) before matching,
+// plain rules match whole directory segments, and rules containing * ? or [ ]
+// are globs. Deny rules always win over allow rules.
+
+export const DEFAULT_DENY_PATHS = ['/etc/shadow', '/etc/gshadow', '**/*.key', '**/.ssh/id_*'];
+
+const GLOB_CHARS = /[*?[]/;
+
+function toSlashes(p) {
+  return sep === '/' ? p : p.split(sep).join('/');
+}
+
+/**
+ * Convert a glob to an anchored RegExp. `**` spans directories, `*` and `?`
+ * stay within one segment. Globs that do not start with "/" match at any depth.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let src = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') { src += '(?:.*/)?'; i += 2; }
+      else { src += '.*'; i += 1; }
+    } else if (c === '*') {
+      src += '[^/]*';
+    } else if (c === '?') {
+      src += '[^/]';
+    } else if (c === '[') {
+      const close = glob.indexOf(']', i + 1);
+      if (close === -1) { src += '\\['; continue; }
+      const body = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+      src += '[' + (body[0] === '!' ? '^' + body.slice(1) : body) + ']';
+      i = close;
+    } else {
+      src += c.replace(/[.+^${}()|\\\]]/g, '\\$&');
+    }
+  }
+  const anchored = glob.startsWith('/') || glob.startsWith('**') ? src : '(?:.*/)?' + src;
+  return new RegExp('^' + anchored + '$');
+}
+
+/**
+ * Resolve a path the way the kernel would: each existing component is passed
+ * through realpath, so symlinks are followed and a ".." after a symlink climbs
+ * out of the link's target rather than the link's parent. Components that do
+ * not exist yet (e.g. a file about to be written) are appended as-is, and every
+ * later prefix is still passed through realpath, so "missing/../link" follows
+ * the link too.
+ * @param {string} filepath - Absolute or cwd-relative path
+ * @returns {string}
+ */
+export function canonicalize(filepath) {
+  const abs = isAbsolute(filepath) ? filepath : join(process.cwd(), filepath);
+  const { root } = parse(resolve(abs));
+  const segments = abs.slice(root.length).split(/[\\/]+/);
+  let current = root;
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    if (!seg || seg === '.') continue;
+    if (seg === '..') { current = dirname(current); continue; }
+    const next = join(current, seg);
+    try {
+      current = realpathSync.native(next);
+    } catch {
+      current = next;
+    }
+  }
+  return current;
+}
+
+const ruleRoots = new Map();
+
+// Plain rules are canonicalized too, so "/tmp/" still matches when /tmp is itself a symlink
+function ruleRoot(rule) {
+  if (!ruleRoots.has(rule)) {
+    const trimmed = rule.length > 1 ? rule.replace(/[\\/]+$/, '') : rule;
+    ruleRoots.set(rule, canonicalize(trimmed || '/'));
+  }
+  return ruleRoots.get(rule);
+}
+
+/**
+ * Check one path against one rule.
+ * @param {string} filepath - Already canonical path
+ * @param {string} rule - Directory/file prefix (segment-matched) or glob
+ * @returns {boolean}
+ */
+export function matchesRule(filepath, rule) {
+  if (typeof rule !== 'string' || !rule.trim()) return false;
+  rule = rule.trim();
+  if (GLOB_CHARS.test(rule)) return globToRegExp(toSlashes(rule)).test(toSlashes(filepath));
+  const root = ruleRoot(rule);
+  if (filepath === root) return true;
+  const prefix = root.endsWith(sep) ? root : root + sep;
+  return filepath.startsWith(prefix);
+}
+
+/**
+ * Evaluate a path against allow and deny rules.
+ * Deny rules are checked against both the requested path and its canonical
+ * form; allow rules only against the canonical form, so a symlink inside an
+ * allowed directory cannot reach outside it.
+ * @param {string} filepath
+ * @param {object} policy
+ * @param {string[]} [policy.allow=[]]
+ * @param {string[]} [policy.deny=[]]
+ * @param {string} [policy.label] - Word used in the denial reason, e.g. "read"
+ * @returns {{ allowed: boolean, path: string, rule?: string, reason?: string }}
+ */
+export function evaluatePath(filepath, { allow = [], deny = [], label = '' } = {}) {
+  if (typeof filepath !== 'string' || !filepath.trim()) {
+    return { allowed: false, path: filepath, reason: 'no path given' };
+  }
+  if (filepath.includes('\0')) {
+    return { allowed: false, path: filepath, reason: 'path contains a NUL byte' };
+  }
+  const requested = resolve(filepath);
+  const real = canonicalize(filepath);
+  const via = real !== requested ? ` (resolves to "${real}")` : '';
+
+  for (const rule of deny) {
+    if (matchesRule(real, rule) || matchesRule(requested, rule)) {
+      return { allowed: false, path: real, rule, reason: `"${filepath}"${via} matches deny rule "${rule}"` };
+    }
+  }
+  for (const rule of allow) {
+    if (matchesRule(real, rule)) return { allowed: true, path: real, rule };
+  }
+  return { allowed: false, path: real, reason: `"${filepath}"${via} is outside allowed ${label ? label + ' ' : ''}paths` };
+}
@@ -0,0 +1,156 @@
+import { ACTION_LABELS, PLAN_STEP_TYPES } from './actions.mjs';
+
+// ── Treatment Plans ──────────────────────────────────────────────────────────
+// A plan is the model's proposal of several actions that only make sense
+// together (back up a config, edit it, check the syntax, reload the service),
+// each with the reason for it. The user reviews the whole list, may edit or
+// drop steps, and approves it once; the steps then run in order as one PLAN
+// job that stops at the first failure, and the model gets all results at once.
+// The PLAN action's target is the plan's title and its content the JSON list
+// of steps.
+
+export const MAX_PLAN_STEPS = 12;
+
+export class PlanError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlanError';
+  }
+}
+
+/**
+ * Parse and check the steps of a plan.
+ * @param {string|object[]} content - The PLAN action's content: a JSON list of { type, target, content, reason }
+ * @returns {{ type: string, target: string, content: string|null, reason: string, fingerprint?: string }[]}
+ * @throws {PlanError}
+ */
+export function parsePlan(content) {
+  let list = content;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (err) {
+      throw new PlanError(`The plan's steps are not valid JSON: ${err.message}`);
+    }
+  }
+  // Some models wrap the list: { "steps": [...] }
+  if (list && !Array.isArray(list) && Array.isArray(list.steps)) list = list.steps;
+  if (!Array.isArray(list) || !list.length) throw new PlanError('A plan needs a non-empty list of steps.');
+  if (list.length > MAX_PLAN_STEPS) throw new PlanError(`A plan can have at most ${MAX_PLAN_STEPS} steps; this one has ${list.length}. Split it up.`);
+  return list.map((raw, i) => {
+    const where = `Step ${i + 1}`;
+    if (!raw || typeof raw !== 'object') throw new PlanError(`${where} must be an object with type and target.`);
+    const type = String(raw.type || '').toUpperCase();
+    if (!PLAN_STEP_TYPES.includes(type)) throw new PlanError(`${where}: type must be one of ${PLAN_STEP_TYPES.join(', ')}; got "${raw.type}".`);
+    const target = typeof raw.target === 'string' ? raw.target.trim() : '';
+    if (!target) throw new PlanError(`${where}: target is required (the path, command or other target of the ${type} action).`);
+    const content = raw.content == null || (raw.content === '' && type !== 'WRITE_FILE') ? null : String(raw.content);
+    if (type === 'WRITE_FILE' && content == null) throw new PlanError(`${where}: a WRITE_FILE step needs the complete new content of the file.`);
+    return {
+      type,
+      target,
+      content,
+      reason: raw.reason == null ? '' : String(raw.reason).trim(),
+      ...(typeof raw.fingerprint === 'string' ? { fingerprint: raw.fingerprint } : {}),
+    };
+  });
+}
+
+/**
+ * Steps as the PLAN action's content.
+ * @param {object[]} steps
+ * @returns {string}
+ */
+export function serializePlan(steps) {
+  return JSON.stringify(steps.map(({ type, target, content, reason, fingerprint }) => ({
+    type,
+    target,
+    ...(content != null ? { content } : {}),
+    ...(reason ? { reason } : {}),
+    ...(fingerprint ? { fingerprint } : {}),
+  })));
+}
+
+/**
+ * What a plan will do, for review before the single approval: every step with
+ * how the safety policies judge it. A plan with refused steps is not run at
+ * all, since the steps before them would otherwise run without the rest.
+ * @param {object[]} steps - From parsePlan
+ * @param {(step: object) => { decision: 'allow'|'confirm'|'deny', reasons: string[] }} check - Policy verdict for one step
+ * @returns {{ steps: object[], policy: { decision: 'allow'|'confirm', reasons: string[] }, blocked: string[] }}
+ */
+export function reviewPlan(steps, check) {
+  const reviewed = steps.map((step, i) => ({ number: i + 1, ...step, policy: check(step) }));
+  const flagged = decision => reviewed.filter(s => s.policy.decision === decision).flatMap(s => s.policy.reasons.map(r => `Step ${s.number}: ${r}`));
+  return {
+    steps: reviewed,
+    // One confirmation covers every step that needs it
+    policy: { decision: reviewed.some(s => s.policy.decision === 'confirm') ? 'confirm' : 'allow', reasons: flagged('confirm') },
+    blocked: flagged('deny'),
+  };
+}
+
+/**
+ * Run a plan's steps in order, stopping at the first one that fails.
+ * @param {object[]} steps - From parsePlan
+ * @param {object} options
+ * @param {(step: object, ctx: { signal?: AbortSignal, onOutput?: Function }) => Promise<{ success: boolean, result: string, cancelled?: boolean }>} options.execute
+ * @param {AbortSignal} [options.signal]
+ * @param {(stream: string, text: string) => void} [options.onOutput] - Progress lines and live step output
+ * @returns {Promise<object>} The report
+ */
+export async function runPlan(steps, { execute, signal, onOutput: emit = () => {} }) {
+  // Remember whether the output so far ends a line, so progress lines start on their own
+  let atLineStart = true;
+  const onOutput = (stream, text) => {
+    if (text) atLineStart = text.endsWith('\n');
+    emit(stream, text);
+  };
+  const report = { started_at: new Date().toISOString(), finished_at: null, cancelled: false, steps: [] };
+  let stopped = null;
+
+  for (const [i, step] of steps.entries()) {
+    const entry = { number: i + 1, type: step.type, target: step.target, content: step.content, reason: step.reason, status: null, note: null, output: '' };
+    report.steps.push(entry);
+    if (signal?.aborted || report.cancelled || stopped) {
+      entry.status = 'not_run';
+      entry.note = stopped ? `stopped after step ${stopped} failed` : 'plan cancelled';
+      continue;
+    }
+    onOutput('stdout', `▸ [${i + 1}/${steps.length}] ${ACTION_LABELS[step.type] || step.type}: ${step.target}\n`);
+    const outcome = await execute(step, { signal, onOutput });
+    entry.output = outcome.result || '';
+    if (outcome.cancelled) {
+      entry.status = 'not_run';
+      entry.note = 'plan cancelled';
+      report.cancelled = true;
+      continue;
+    }
+    entry.status = outcome.success ? 'succeeded' : 'failed';
+    onOutput('stdout', `${atLineStart ? '' : '\n'}  ${outcome.success ? '✓ succeeded' : `✗ failed: ${entry.output.split('\n')[0]}`}\n`);
+    if (!outcome.success) stopped = i + 1;
+  }
+
+  report.cancelled = report.cancelled || !!signal?.aborted;
+  report.finished_at = new Date().toISOString();
+  report.summary = ['succeeded', 'failed', 'not_run'].reduce((acc, s) => ({ ...acc, [s]: report.steps.filter(e => e.status === s).length }), {});
+  return report;
+}
+
+/**
+ * Plain-text report for the chat and the model: a summary line, then each step with its output.
+ * @param {string} title
+ * @param {object} report - From runPlan
+ * @returns {string}
+ */
+export function formatPlanReport(title, report) {
+  const { succeeded, failed, not_run: notRun } = report.summary;
+  const lines = [`Plan "${title}": ${succeeded} of ${report.steps.length} steps succeeded${failed ? `, ${failed} failed` : ''}${notRun ? `, ${notRun} not run` : ''}${report.cancelled ? ' — cancelled' : ''}`];
+  for (const s of report.steps) {
+    lines.push('', `## ${s.number}. ${ACTION_LABELS[s.type] || s.type}: ${s.target} — ${s.status.replace('_', ' ').toUpperCase()}`);
+    if (s.reason) lines.push(`Why: ${s.reason}`);
+    if (s.note) lines.push(`(${s.note})`);
+    if (s.output) lines.push(s.output.replace(/\n+$/, ''));
+  }
+  return lines.join('\n');
+}
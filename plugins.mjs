@@ -0,0 +1,155 @@
+import { readdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { ACTION_LABELS, ACTION_TOOLS, registerActionType } from './actions.mjs';
+
+// ── Plugins ──────────────────────────────────────────────────────────────────
+// A plugin is an .mjs file in plugins/ whose default export describes one more
+// action type: its name and tool arguments, what the model is told about it,
+// how the policy judges a request, how it runs and how its card looks. Loaded
+// plugins become tools, text tags, cards and CLI prompts like the built-in
+// types, and their requests go through the same approval, jobs and audit log.
+//
+//   export default {
+//     type: 'HTTP_CHECK',                 // action type, upper case
+//     label: 'HTTP Check',                // card and report label
+//     description: 'Fetch a URL and …',   // tool description for the model
+//     parameters: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] },
+//     target: 'url',                      // argument shown as the card's target
+//     content: 'record',                  // optional second argument; text tags read "target:content", so the target cannot contain ":"
+//     prompt: 'Use HTTP_CHECK to …',      // extra line for the system prompt
+//     example: 'https://example.com/health',
+//     check(action, ctx) { return { decision: 'allow', reasons: [] }; },   // optional; 'allow' | 'confirm' | 'deny'
+//     async execute(action, ctx) { return { success: true, result: '…' }; },
+//     card: { badge: 'read' },            // optional: read, cmd, script, write or expand colours
+//     auto: false,                        // true auto-approves it like an auto-approval rule (kill switch and "never" rules apply)
+//   };
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const PLUGINS_DIR = join(__dirname, 'plugins');
+
+// Card colours a plugin can borrow from the built-in types
+export const BADGE_STYLES = ['read', 'cmd', 'script', 'write', 'expand'];
+const TYPE_RE = /^[A-Z][A-Z0-9_]{1,39}$/;
+const DECISIONS = ['allow', 'confirm', 'deny'];
+
+export class PluginError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PluginError';
+  }
+}
+
+/**
+ * Check a plugin's default export and fill in defaults.
+ * @param {object} def
+ * @returns {object} The plugin, normalized
+ */
+export function validatePlugin(def) {
+  if (!def || typeof def !== 'object') throw new PluginError('the module has no default export describing the action');
+  const { type } = def;
+  if (typeof type !== 'string' || !TYPE_RE.test(type)) throw new PluginError(`"type" must be an upper-case name like HTTP_CHECK, got ${JSON.stringify(type)}`);
+  if (typeof def.execute !== 'function') throw new PluginError(`${type}: "execute" must be a function`);
+  if (def.check != null && typeof def.check !== 'function') throw new PluginError(`${type}: "check" must be a function`);
+  if (typeof def.description !== 'string' || !def.description.trim()) throw new PluginError(`${type}: "description" is required`);
+  const parameters = def.parameters ?? { type: 'object', properties: {} };
+  if (parameters.type !== 'object' || typeof parameters.properties !== 'object') throw new PluginError(`${type}: "parameters" must be a JSON schema of type "object"`);
+  const args = Object.keys(parameters.properties);
+  const target = def.target ?? args[0];
+  if (!target || !args.includes(target)) throw new PluginError(`${type}: "target" must name one of the parameters (${args.join(', ') || 'none declared'})`);
+  if (def.content != null && (!args.includes(def.content) || def.content === target)) throw new PluginError(`${type}: "content" must name another parameter`);
+  const badge = def.card?.badge ?? 'cmd';
+  if (!BADGE_STYLES.includes(badge)) throw new PluginError(`${type}: card.badge must be one of ${BADGE_STYLES.join(', ')}`);
+  return {
+    type,
+    tool: def.tool ?? type.toLowerCase(),
+    label: def.label ?? type.toLowerCase().replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+    description: def.description.trim(),
+    parameters,
+    target,
+    content: def.content ?? null,
+    contentLabel: def.contentLabel ?? (def.content ? def.content.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase()) : null),
+    prompt: typeof def.prompt === 'string' ? def.prompt.trim() : '',
+    example: def.example ?? null,
+    auto: def.auto === true,
+    badge,
+    check: def.check ?? null,
+    execute: def.execute,
+  };
+}
+
+/**
+ * Import every plugin in the plugins directory and register its action type.
+ * A plugin that fails to load is reported and skipped; the others still load.
+ * @param {string} [dir]
+ * @returns {Promise<{ plugins: Map<string, object>, errors: { file: string, error: string }[] }>}
+ */
+export async function loadPlugins(dir = PLUGINS_DIR) {
+  const plugins = new Map();
+  const errors = [];
+  if (!existsSync(dir)) return { plugins, errors };
+  const tools = new Set(ACTION_TOOLS.map(t => t.function.name));
+  for (const name of readdirSync(dir).filter(f => f.endsWith('.mjs')).sort()) {
+    const file = join(dir, name);
+    try {
+      const mod = await import(pathToFileURL(file).href);
+      const plugin = validatePlugin(mod.default);
+      if (ACTION_LABELS[plugin.type]) throw new PluginError(`action type ${plugin.type} already exists`);
+      if (tools.has(plugin.tool)) throw new PluginError(`tool name ${plugin.tool} is already taken`);
+      registerActionType({
+        type: plugin.type,
+        tool: plugin.tool,
+        label: plugin.label,
+        description: plugin.description,
+        parameters: plugin.parameters,
+        targetArg: plugin.target,
+        contentArg: plugin.content,
+        contentLabel: plugin.contentLabel,
+      });
+      tools.add(plugin.tool);
+      plugins.set(plugin.type, { ...plugin, file });
+    } catch (err) {
+      errors.push({ file, error: err.message });
+    }
+  }
+  return { plugins, errors };
+}
+
+/**
+ * How the policy judges one request for a plugin action. A plugin without a
+ * check is allowed; a check that throws refuses the action.
+ * @param {object} plugin
+ * @param {{ target: string, content: string|null }} action
+ * @param {object} ctx
+ * @returns {{ decision: 'allow'|'confirm'|'deny', reasons: string[] }}
+ */
+export function checkPluginAction(plugin, action, ctx) {
+  if (!plugin.check) return { decision: 'allow', reasons: [] };
+  try {
+    const verdict = plugin.check(action, ctx) || {};
+    const decision = DECISIONS.includes(verdict.decision) ? verdict.decision : 'deny';
+    const reasons = Array.isArray(verdict.reasons) ? verdict.reasons.map(String) : [];
+    if (decision !== verdict.decision) reasons.push(`The ${plugin.type} plugin returned an unknown decision: ${JSON.stringify(verdict.decision)}`);
+    return { decision, reasons };
+  } catch (err) {
+    return { decision: 'deny', reasons: [`The ${plugin.type} plugin's check failed: ${err.message}`] };
+  }
+}
+
+/**
+ * The plugin as the browser sees it: everything needed to parse tags and draw cards.
+ * @param {object} plugin
+ * @returns {object}
+ */
+export function describePlugin(plugin) {
+  return {
+    type: plugin.type,
+    tool: plugin.tool,
+    label: plugin.label,
+    badge: plugin.badge,
+    has_content: !!plugin.content,
+    content_label: plugin.contentLabel,
+    auto: plugin.auto,
+    checked: !!plugin.check,
+  };
+}
@@ -0,0 +1,72 @@
+import { promises as dns } from 'dns';
+
+// DNS_LOOKUP: resolve a hostname with the system's resolvers. It needs approval
+// like any other action: the model picks the hostname, and a lookup of
+// "<data>.attacker.example" carries that data out through the resolver. Add an
+// auto-approval rule such as "DNS_LOOKUP *.internal.example" to skip the click.
+
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SRV', 'SOA'];
+const HOSTNAME_RE = /^(?=.{1,253}$)[A-Za-z0-9_](?:[A-Za-z0-9_-]{0,62})(?:\.[A-Za-z0-9_](?:[A-Za-z0-9_-]{0,62}))*\.?$/;
+
+function formatRecord(type, record) {
+  switch (type) {
+    case 'MX': return `${record.priority} ${record.exchange}`;
+    case 'TXT': return record.join('');
+    case 'SRV': return `${record.priority} ${record.weight} ${record.port} ${record.name}`;
+    case 'SOA': return `${record.nsname} ${record.hostmaster} serial ${record.serial}`;
+    default: return String(record);
+  }
+}
+
+export default {
+  type: 'DNS_LOOKUP',
+  label: 'DNS Lookup',
+  description: `Resolve a hostname with the system's DNS servers. Without a record type it shows what the system resolver returns (including /etc/hosts) plus the A and AAAA records. Record types: ${RECORD_TYPES.join(', ')}.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      hostname: { type: 'string', description: 'e.g. api.example.com' },
+      record: { type: 'string', enum: RECORD_TYPES, description: 'Record type to look up' },
+    },
+    required: ['hostname'],
+  },
+  target: 'hostname',
+  content: 'record',
+  contentLabel: 'Record type',
+  example: 'api.example.com:MX',
+  card: { badge: 'expand' },
+
+  check({ target, content }) {
+    const reasons = [];
+    if (!HOSTNAME_RE.test(target.trim())) reasons.push(`"${target}" is not a hostname`);
+    if (content && !RECORD_TYPES.includes(content.trim().toUpperCase())) reasons.push(`Unknown record type ${content.trim()}; use one of ${RECORD_TYPES.join(', ')}`);
+    return { decision: reasons.length ? 'deny' : 'allow', reasons };
+  },
+
+  async execute({ target, content }) {
+    const host = target.trim();
+    const lines = [`DNS lookup for ${host} (servers: ${dns.getServers().join(', ') || 'none configured'})`];
+    const types = content ? [content.trim().toUpperCase()] : ['A', 'AAAA'];
+    let found = 0;
+    if (!content) {
+      try {
+        const system = await dns.lookup(host, { all: true });
+        found += system.length;
+        lines.push('', 'System resolver:', ...system.map(a => `  ${a.address} (IPv${a.family})`));
+      } catch (err) {
+        lines.push('', `System resolver: ${err.code || err.message}`);
+      }
+    }
+    for (const type of types) {
+      try {
+        const records = await dns.resolve(host, type);
+        const list = type === 'SOA' ? [records] : records;
+        found += list.length;
+        lines.push('', `${type}:`, ...list.map(r => `  ${formatRecord(type, r)}`));
+      } catch (err) {
+        lines.push('', `${type}: ${err.code === 'ENODATA' ? 'no records' : err.code || err.message}`);
+      }
+    }
+    return { success: found > 0, result: lines.join('\n') };
+  },
+};
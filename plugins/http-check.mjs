@@ -0,0 +1,82 @@
+// HTTP_CHECK: GET a URL once and report the status, timing and headers.
+// Read-only, but it does reach the network, so the user approves each request.
+
+const TIMEOUT_MS = 10000;
+const MAX_BODY_CHARS = 2000;
+
+function parseUrl(target) {
+  let url;
+  try {
+    url = new URL(target.trim());
+  } catch {
+    return { error: `"${target}" is not a valid URL` };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return { error: `Only http and https URLs can be checked, not ${url.protocol}` };
+  return { url };
+}
+
+// Read the body only up to MAX_BODY_CHARS, so a huge or endless response is never held in memory
+async function readBodyStart(res) {
+  if (!res.body) return { text: '', more: false };
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  try {
+    while (text.length <= MAX_BODY_CHARS) {
+      const { done, value } = await reader.read();
+      if (done) return { text: text + decoder.decode(), more: false };
+      text += decoder.decode(value, { stream: true });
+    }
+    return { text: text.slice(0, MAX_BODY_CHARS), more: true };
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+export default {
+  type: 'HTTP_CHECK',
+  label: 'HTTP Check',
+  description: 'Send one GET request to a URL and report the HTTP status, response time, headers and the start of the body. Use it to test whether a web service or health endpoint answers.',
+  parameters: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'Full http:// or https:// URL' },
+    },
+    required: ['url'],
+  },
+  target: 'url',
+  example: 'http://127.0.0.1:8080/health',
+  prompt: 'Prefer it over RUN_CMD with curl for simple reachability checks.',
+  card: { badge: 'read' },
+
+  check({ target }) {
+    const { error } = parseUrl(target);
+    return error ? { decision: 'deny', reasons: [error] } : { decision: 'allow', reasons: [] };
+  },
+
+  async execute({ target }, { signal }) {
+    const { url } = parseUrl(target);
+    const started = Date.now();
+    const timeout = AbortSignal.timeout(TIMEOUT_MS);
+    try {
+      const res = await fetch(url, { redirect: 'manual', signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+      const elapsed = Date.now() - started;
+      const body = await readBodyStart(res);
+      const lines = [
+        `GET ${url.href}`,
+        `Status: ${res.status} ${res.statusText}`.trimEnd(),
+        `Time: ${elapsed} ms`,
+        '',
+        'Headers:',
+        ...[...res.headers].map(([name, value]) => `  ${name}: ${value}`),
+      ];
+      if (body.text) {
+        lines.push('', body.more ? `Body (first ${MAX_BODY_CHARS} characters shown; the rest was not read):` : `Body (${body.text.length} characters):`, body.text);
+      }
+      return { success: res.status < 400, result: lines.join('\n') };
+    } catch (err) {
+      const reason = timeout.aborted ? `no response within ${TIMEOUT_MS / 1000} s` : (err.cause?.message || err.message);
+      return { success: false, result: `GET ${url.href} failed after ${Date.now() - started} ms: ${reason}` };
+    }
+  },
+};
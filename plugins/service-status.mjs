@@ -0,0 +1,39 @@
+// SERVICE_STATUS: show a systemd unit's state and its latest journal lines.
+// It runs systemctl through the command policy, so the same rules (and the
+// RUN_CMD timeout and output cap) apply as when the model asks for it directly.
+
+const UNIT_RE = /^[A-Za-z0-9:_.@-]+$/;
+
+function statusCommand(unit) {
+  return `systemctl status --no-pager --lines=20 -- ${unit}`;
+}
+
+export default {
+  type: 'SERVICE_STATUS',
+  label: 'Service Status',
+  description: 'Show whether a systemd service is loaded, enabled and running, with its main PID, memory use and its last 20 journal lines. Linux with systemd only.',
+  parameters: {
+    type: 'object',
+    properties: {
+      unit: { type: 'string', description: 'Unit name, e.g. nginx or nginx.service' },
+    },
+    required: ['unit'],
+  },
+  target: 'unit',
+  example: 'nginx.service',
+  prompt: 'Use it instead of RUN_CMD with systemctl status.',
+  card: { badge: 'cmd' },
+
+  check({ target }, { os, checkCommand }) {
+    if (os !== 'linux') return { decision: 'deny', reasons: [`systemd services are only available on linux, not ${os}`] };
+    if (!UNIT_RE.test(target.trim())) return { decision: 'deny', reasons: [`"${target}" is not a systemd unit name`] };
+    return checkCommand(statusCommand(target.trim()));
+  },
+
+  async execute({ target }, { runCommand }) {
+    const outcome = await runCommand(statusCommand(target.trim()));
+    // systemctl status exits 3 for a unit that is not running; the status is still the answer
+    if (!outcome.success && /\[Exit code 3\]$/.test(outcome.result)) return { success: true, result: outcome.result };
+    return outcome;
+  },
+};
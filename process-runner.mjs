@@ -0,0 +1,147 @@
+import { spawn, execFile } from 'child_process';
+import { StringDecoder } from 'string_decoder';
+
+// ── Process Runner ───────────────────────────────────────────────────────────
+// Runs RUN_CMD / RUN_SCRIPT command lines as spawned shells instead of
+// execSync, so output can be streamed while the process runs and the whole
+// process tree can be killed on cancel, timeout or when the output cap is hit.
+
+export const DEFAULT_ACTION_LIMITS = {
+  RUN_CMD: { timeout_seconds: 30, max_output_kb: 1024 },
+  RUN_SCRIPT: { timeout_seconds: 60, max_output_kb: 2048 },
+};
+
+// Time between SIGTERM and SIGKILL when stopping a process group
+const KILL_GRACE_MS = 2000;
+
+/**
+ * Merge configured limits over the defaults, dropping invalid values.
+ * @param {object} [limits] - { RUN_CMD: { timeout_seconds, max_output_kb }, RUN_SCRIPT: {...} }
+ * @returns {typeof DEFAULT_ACTION_LIMITS}
+ */
+export function normalizeActionLimits(limits = {}) {
+  const out = {};
+  for (const [type, defaults] of Object.entries(DEFAULT_ACTION_LIMITS)) {
+    const given = limits[type] || {};
+    const timeout = Number(given.timeout_seconds);
+    const maxKb = Number(given.max_output_kb);
+    out[type] = {
+      timeout_seconds: timeout > 0 ? timeout : defaults.timeout_seconds,
+      max_output_kb: maxKb > 0 ? maxKb : defaults.max_output_kb,
+    };
+  }
+  return out;
+}
+
+// Processes are started in their own group (detached) so the negative pid reaches every child
+// (the shell may already have exited while background children still run)
+function killTree(child, signal) {
+  if (process.platform === 'win32') {
+    if (child.exitCode === null) execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+    return;
+  }
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    try { child.kill(signal); } catch {}
+  }
+}
+
+/**
+ * Run a shell command line, streaming its output.
+ * @param {string} command
+ * @param {object} [options]
+ * @param {string} [options.cwd]
+ * @param {number} [options.timeoutSeconds=30]
+ * @param {number} [options.maxOutputKb=1024] - The process is killed once its combined output exceeds this
+ * @param {AbortSignal} [options.signal] - Aborting kills the process group
+ * @param {(stream: 'stdout'|'stderr', text: string) => void} [options.onOutput]
+ * @returns {Promise<{ success: boolean, output: string, exitCode: number|null, signal: string|null, stopped: null|'cancelled'|'timeout'|'output_limit' }>}
+ */
+export function runProcess(command, options = {}) {
+  const { cwd, timeoutSeconds = 30, maxOutputKb = 1024, signal, onOutput } = options;
+  const maxBytes = maxOutputKb * 1024;
+
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      resolve({ success: false, output: '', exitCode: null, signal: null, stopped: 'cancelled' });
+      return;
+    }
+
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: process.platform !== 'win32',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+
+    let output = '';
+    let bytes = 0;
+    let stopped = null;
+    let killTimer = null;
+
+    function stop(reason) {
+      if (stopped) return;
+      stopped = reason;
+      killTree(child, 'SIGTERM');
+      killTimer = setTimeout(() => {
+        killTree(child, 'SIGKILL');
+        // A grandchild that left the group can hold the pipes open; stop waiting for it
+        killTimer = setTimeout(() => { child.stdout.destroy(); child.stderr.destroy(); }, KILL_GRACE_MS);
+      }, KILL_GRACE_MS);
+    }
+
+    // One decoder per stream so multi-byte characters split across chunks survive
+    const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+
+    function collect(stream, chunk) {
+      if (stopped === 'output_limit') return;
+      const room = maxBytes - bytes;
+      const piece = chunk.length > room ? chunk.subarray(0, Math.max(0, room)) : chunk;
+      bytes += chunk.length;
+      const text = decoders[stream].write(piece);
+      output += text;
+      if (text && onOutput) onOutput(stream, text);
+      if (bytes > maxBytes) stop('output_limit');
+    }
+
+    child.stdout.on('data', chunk => collect('stdout', chunk));
+    child.stderr.on('data', chunk => collect('stderr', chunk));
+
+    const timer = setTimeout(() => stop('timeout'), timeoutSeconds * 1000);
+    const onAbort = () => stop('cancelled');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    function finish(result) {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', onAbort);
+      resolve(result);
+    }
+
+    child.on('error', err => {
+      finish({ success: false, output: output || err.message, exitCode: null, signal: null, stopped });
+    });
+    child.on('close', (code, sig) => {
+      finish({ success: code === 0 && !stopped, output, exitCode: code, signal: sig, stopped });
+    });
+  });
+}
+
+/**
+ * Turn a runProcess result into the text reported back to the model and user.
+ * @param {Awaited<ReturnType<typeof runProcess>>} run
+ * @param {{ timeoutSeconds: number, maxOutputKb: number }} limits
+ * @returns {string}
+ */
+export function describeRun(run, { timeoutSeconds, maxOutputKb }) {
+  const notes = [];
+  if (run.stopped === 'cancelled') notes.push('[Cancelled by user]');
+  else if (run.stopped === 'timeout') notes.push(`[Timed out after ${timeoutSeconds}s; process group killed]`);
+  else if (run.stopped === 'output_limit') notes.push(`[Output exceeded ${maxOutputKb} KB; process group killed]`);
+  else if (!run.success && run.exitCode !== null) notes.push(`[Exit code ${run.exitCode}]`);
+  else if (!run.success && run.signal) notes.push(`[Killed by ${run.signal}]`);
+  if (!notes.length) return run.output || '(no output)';
+  return [run.output.replace(/\n$/, ''), ...notes].filter(Boolean).join('\n');
+}
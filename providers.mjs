@@ -0,0 +1,296 @@
+// ── LLM Providers ────────────────────────────────────────────────────────────
+// A provider lists models and streams chat completions from one kind of LLM
+// server. Whatever the server speaks, chat() yields chunks in Ollama's
+// /api/chat shape ({ message: { role, content, tool_calls? }, done }), which is
+// what /api/chat forwards to the browser as server-sent events.
+
+export const PROVIDER_TYPES = ['ollama', 'openai'];
+export const DEFAULT_PROVIDER = 'ollama';
+
+export const PROVIDER_LABELS = {
+  ollama: 'Ollama',
+  openai: 'OpenAI-compatible server',
+};
+
+export const DEFAULT_PROVIDER_URLS = {
+  ollama: 'http://localhost:11434',
+  openai: 'http://localhost:8080/v1',
+};
+
+// Generation options a session may set, with their accepted ranges
+export const CHAT_OPTIONS = {
+  temperature: { min: 0, max: 2, integer: false },
+  num_ctx: { min: 256, max: 1048576, integer: true },
+  seed: { min: -2147483648, max: 2147483647, integer: true },
+};
+
+/**
+ * Check per-session generation options.
+ * @param {object} [options] - { temperature, num_ctx, seed }; empty values are dropped
+ * @returns {{ options: object, error?: string }}
+ */
+export function normalizeChatOptions(options) {
+  if (options == null) return { options: {} };
+  if (typeof options !== 'object' || Array.isArray(options)) return { options: {}, error: 'options must be an object' };
+  const out = {};
+  for (const [key, value] of Object.entries(options)) {
+    const spec = CHAT_OPTIONS[key];
+    if (!spec) return { options: {}, error: `Unknown option "${key}" (allowed: ${Object.keys(CHAT_OPTIONS).join(', ')})` };
+    if (value === null || value === undefined || value === '') continue;
+    const n = Number(value);
+    if (!Number.isFinite(n) || (spec.integer && !Number.isInteger(n))) {
+      return { options: {}, error: `${key} must be ${spec.integer ? 'an integer' : 'a number'}` };
+    }
+    if (n < spec.min || n > spec.max) return { options: {}, error: `${key} must be between ${spec.min} and ${spec.max}` };
+    out[key] = n;
+  }
+  return { options: out };
+}
+
+// Error texts servers use when a model or server cannot take the `tools` field
+const TOOLS_UNSUPPORTED = /does not support tools|tools? (?:are|is) not supported|requires --jinja|--enable-auto-tool-choice/i;
+
+export class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status] - HTTP status returned by the LLM server
+   * @param {string} [detail] - Response body returned by the LLM server
+   */
+  constructor(message, status, detail) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.detail = detail;
+  }
+
+  /** True when the request failed only because tool calling is not available */
+  get toolsUnsupported() {
+    return TOOLS_UNSUPPORTED.test(this.detail || '');
+  }
+}
+
+/**
+ * Read a streamed response body line by line.
+ * @param {ReadableStream<Uint8Array>} body
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      for (const line of lines) if (line.trim()) yield line;
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer;
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+async function failIfNotOk(resp, label) {
+  if (resp.ok) return;
+  const detail = await resp.text().catch(() => '');
+  throw new ProviderError(`${label} responded with HTTP ${resp.status}`, resp.status, detail);
+}
+
+// ── Ollama ──
+
+function ollamaProvider({ url, fetch }) {
+  const base = url.replace(/\/+$/, '');
+  const label = PROVIDER_LABELS.ollama;
+
+  return {
+    async listModels({ signal } = {}) {
+      const resp = await fetch(`${base}/api/tags`, { signal });
+      await failIfNotOk(resp, label);
+      const data = await resp.json();
+      return (data.models || []).map(m => m.name);
+    },
+
+    async *chat({ model, messages, tools, options, signal }) {
+      const body = { model, messages, stream: true };
+      if (tools) body.tools = tools;
+      if (options && Object.keys(options).length) body.options = options;
+      const resp = await fetch(`${base}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal,
+      });
+      await failIfNotOk(resp, label);
+      for await (const line of readLines(resp.body)) {
+        try { yield JSON.parse(line); } catch { /* skip malformed */ }
+      }
+    },
+  };
+}
+
+// ── OpenAI-compatible (/v1/chat/completions, /v1/models) ──
+
+/**
+ * Rewrite an Ollama-style conversation for the OpenAI chat format: tool calls
+ * need ids and string arguments, and each tool result must name the call it
+ * answers. Results are matched to calls by tool name, in order; calls left
+ * without a result get a placeholder so the server accepts the history.
+ * @param {object[]} messages
+ * @returns {object[]}
+ */
+export function toOpenAIMessages(messages) {
+  const out = [];
+  let pending = [];
+
+  function closePending() {
+    for (const call of pending) out.push({ role: 'tool', tool_call_id: call.id, content: '(no result)' });
+    pending = [];
+  }
+
+  messages.forEach((msg, i) => {
+    if (msg.role === 'tool') {
+      const idx = pending.findIndex(c => c.function.name === msg.tool_name);
+      const call = idx >= 0 ? pending.splice(idx, 1)[0] : pending.shift();
+      if (call) out.push({ role: 'tool', tool_call_id: call.id, content: msg.content ?? '' });
+      else out.push({ role: 'user', content: msg.content ?? '' });
+      return;
+    }
+    closePending();
+    if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length) {
+      const calls = msg.tool_calls.map((c, j) => ({
+        id: c.id || `call_${i}_${j}`,
+        type: 'function',
+        function: {
+          name: c.function?.name,
+          arguments: typeof c.function?.arguments === 'string' ? c.function.arguments : JSON.stringify(c.function?.arguments ?? {}),
+        },
+      }));
+      out.push({ role: 'assistant', content: msg.content || null, tool_calls: calls });
+      pending = [...calls];
+      return;
+    }
+    out.push({ role: msg.role, content: msg.content ?? '' });
+  });
+  closePending();
+  return out;
+}
+
+function openaiProvider({ url, apiKey, fetch }) {
+  // Accept the base URL with or without the /v1 suffix
+  const base = url.replace(/\/+$/, '').replace(/\/v1$/, '');
+  const label = PROVIDER_LABELS.openai;
+  const headers = { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) };
+
+  return {
+    async listModels({ signal } = {}) {
+      const resp = await fetch(`${base}/v1/models`, { headers, signal });
+      await failIfNotOk(resp, label);
+      const data = await resp.json();
+      return (data.data || []).map(m => m.id);
+    },
+
+    async *chat({ model, messages, tools, options = {}, signal }) {
+      const body = { model, messages: toOpenAIMessages(messages), stream: true };
+      if (tools) body.tools = tools;
+      // num_ctx has no equivalent: these servers fix the context size when they start
+      if (options.temperature !== undefined) body.temperature = options.temperature;
+      if (options.seed !== undefined) body.seed = options.seed;
+      const resp = await fetch(`${base}/v1/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal,
+      });
+      await failIfNotOk(resp, label);
+
+      // Tool calls arrive as fragments keyed by index; they are emitted whole once the choice finishes
+      const calls = [];
+      let finished = false;
+
+      function flushCalls() {
+        const toolCalls = calls.filter(Boolean).map(c => {
+          let args = {};
+          try { args = c.arguments ? JSON.parse(c.arguments) : {}; } catch { args = c.arguments; }
+          return { id: c.id, function: { name: c.name, arguments: args } };
+        });
+        calls.length = 0;
+        return toolCalls;
+      }
+
+      for await (const line of readLines(resp.body)) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') break;
+        let parsed;
+        try { parsed = JSON.parse(data); } catch { continue; }
+        const choice = parsed.choices?.[0];
+        if (!choice) continue;
+        const delta = choice.delta || {};
+        for (const frag of delta.tool_calls || []) {
+          const idx = frag.index ?? calls.length;
+          const call = calls[idx] || (calls[idx] = { id: null, name: '', arguments: '' });
+          if (frag.id) call.id = frag.id;
+          if (frag.function?.name) call.name += frag.function.name;
+          if (frag.function?.arguments) call.arguments += frag.function.arguments;
+        }
+        if (delta.content) yield { message: { role: 'assistant', content: delta.content }, done: false };
+        if (choice.finish_reason) {
+          const toolCalls = flushCalls();
+          if (toolCalls.length) yield { message: { role: 'assistant', content: '', tool_calls: toolCalls }, done: false };
+          yield { message: { role: 'assistant', content: '' }, done: true, done_reason: choice.finish_reason };
+          finished = true;
+        }
+      }
+      // Some servers end the stream without a finish_reason
+      if (!finished) {
+        const toolCalls = flushCalls();
+        if (toolCalls.length) yield { message: { role: 'assistant', content: '', tool_calls: toolCalls }, done: false };
+        yield { message: { role: 'assistant', content: '' }, done: true };
+      }
+    },
+  };
+}
+
+const FACTORIES = { ollama: ollamaProvider, openai: openaiProvider };
+
+/**
+ * Create a provider.
+ * @param {object} options
+ * @param {'ollama'|'openai'} [options.type='ollama']
+ * @param {string} [options.url] - Server base URL; defaults per provider type
+ * @param {string} [options.apiKey] - Sent as a bearer token (OpenAI-compatible only)
+ * @param {typeof fetch} [options.fetch] - fetch implementation, e.g. to point tests at a mock
+ * @returns {{ type: string, label: string, url: string,
+ *   listModels: (options?: { signal?: AbortSignal }) => Promise<string[]>,
+ *   chat: (req: { model: string, messages: object[], tools?: object[], options?: object, signal?: AbortSignal }) => AsyncGenerator<object> }}
+ *   chat() throws ProviderError when the server rejects the request
+ */
+export function createProvider({ type = DEFAULT_PROVIDER, url, apiKey, fetch: fetchImpl = globalThis.fetch } = {}) {
+  const factory = FACTORIES[type];
+  if (!factory) throw new Error(`Unknown provider "${type}" (expected ${PROVIDER_TYPES.join(' or ')})`);
+  const baseUrl = url || DEFAULT_PROVIDER_URLS[type];
+  return { type, label: PROVIDER_LABELS[type], url: baseUrl, ...factory({ url: baseUrl, apiKey, fetch: fetchImpl }) };
+}
+
+/**
+ * Provider options from a DoctorClaw config object (plus environment overrides).
+ * @param {object} config
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {{ type: string, url: string, apiKey?: string }}
+ */
+export function providerOptions(config, env = process.env) {
+  const type = PROVIDER_TYPES.includes(env.DOCTORCLAW_PROVIDER) ? env.DOCTORCLAW_PROVIDER
+    : PROVIDER_TYPES.includes(config.provider) ? config.provider : DEFAULT_PROVIDER;
+  if (type === 'openai') {
+    return {
+      type,
+      url: env.OPENAI_BASE_URL || config.openai_url || DEFAULT_PROVIDER_URLS.openai,
+      apiKey: env.OPENAI_API_KEY || config.openai_api_key || undefined,
+    };
+  }
+  return { type, url: env.OLLAMA_URL || config.ollama_url || DEFAULT_PROVIDER_URLS.ollama };
+}
@@ -0,0 +1,342 @@
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+// ── Runbooks ─────────────────────────────────────────────────────────────────
+// A runbook is a YAML or JSON file in runbooks/ listing diagnostic steps
+// (READ_FILE, RUN_CMD, RUN_SCRIPT) to run in order once the user approves the
+// whole list. Steps can be skipped by conditions and checked against expected
+// output; the run produces a report that is handed to the model to interpret.
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const RUNBOOKS_DIR = join(__dirname, 'runbooks');
+
+export const RUNBOOK_STEP_TYPES = ['READ_FILE', 'RUN_CMD', 'RUN_SCRIPT'];
+const RUNBOOK_EXTENSIONS = ['.yaml', '.yml', '.json'];
+// Runbook names become file names, like session ids
+const RUNBOOK_NAME_RE = /^[A-Za-z0-9_-]{1,100}$/;
+
+const CONDITION_KEYS = ['os', 'openclaw', 'exists', 'passed', 'failed'];
+const EXPECT_KEYS = ['success', 'contains', 'not_contains', 'matches', 'not_matches'];
+
+export class RunbookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RunbookError';
+  }
+}
+
+function runbookFile(name) {
+  if (typeof name !== 'string' || !RUNBOOK_NAME_RE.test(name)) throw new RunbookError(`Invalid runbook name: "${name}"`);
+  for (const ext of RUNBOOK_EXTENSIONS) {
+    const file = join(RUNBOOKS_DIR, name + ext);
+    if (existsSync(file)) return file;
+  }
+  throw new RunbookError(`No runbook named "${name}" in ${RUNBOOKS_DIR}`);
+}
+
+const asList = value => value == null ? [] : Array.isArray(value) ? value : [value];
+
+/**
+ * Check a parsed runbook file and bring its steps into one shape.
+ * @param {object} doc
+ * @param {string} name
+ * @returns {{ name: string, title: string, description: string, steps: object[] }}
+ * @throws {RunbookError}
+ */
+export function validateRunbook(doc, name) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw new RunbookError(`${name}: expected a mapping with "steps"`);
+  if (!Array.isArray(doc.steps) || !doc.steps.length) throw new RunbookError(`${name}: "steps" must be a non-empty list`);
+  const ids = new Set();
+  const steps = doc.steps.map((raw, i) => {
+    const where = `${name}: step ${i + 1}`;
+    if (!raw || typeof raw !== 'object') throw new RunbookError(`${where} must be a mapping`);
+    const type = String(raw.type || '').toUpperCase();
+    if (!RUNBOOK_STEP_TYPES.includes(type)) throw new RunbookError(`${where}: type must be one of ${RUNBOOK_STEP_TYPES.join(', ')}`);
+    const target = type === 'RUN_CMD' ? raw.command : raw.path;
+    if (typeof target !== 'string' || !target.trim()) throw new RunbookError(`${where}: ${type === 'RUN_CMD' ? '"command"' : '"path"'} is required`);
+    const id = String(raw.id ?? `step${i + 1}`);
+    if (ids.has(id)) throw new RunbookError(`${where}: duplicate id "${id}"`);
+    ids.add(id);
+
+    const when = raw.when ?? {};
+    if (typeof when !== 'object' || Array.isArray(when)) throw new RunbookError(`${where}: "when" must be a mapping`);
+    for (const key of Object.keys(when)) {
+      if (!CONDITION_KEYS.includes(key)) throw new RunbookError(`${where}: unknown condition "${key}" (allowed: ${CONDITION_KEYS.join(', ')})`);
+    }
+    for (const ref of [...asList(when.passed), ...asList(when.failed)]) {
+      if (!ids.has(String(ref)) || String(ref) === id) throw new RunbookError(`${where}: condition refers to "${ref}", which is not an earlier step`);
+    }
+
+    const expect = asList(raw.expect).map(item => {
+      const keys = item && typeof item === 'object' ? Object.keys(item).filter(k => EXPECT_KEYS.includes(k)) : [];
+      if (keys.length !== 1) throw new RunbookError(`${where}: each "expect" entry needs exactly one of ${EXPECT_KEYS.join(', ')}`);
+      const kind = keys[0];
+      if (kind.endsWith('matches')) {
+        try { new RegExp(item[kind], 'm'); } catch (err) { throw new RunbookError(`${where}: bad pattern: ${err.message}`); }
+      }
+      return { kind, value: kind === 'success' ? item.success !== false : String(item[kind]), message: item.message ? String(item.message) : null };
+    });
+
+    return {
+      id,
+      title: String(raw.title || id),
+      type,
+      target: target.trim(),
+      content: type === 'RUN_SCRIPT' && raw.args != null ? String(raw.args) : null,
+      when,
+      expect,
+      stop_on_failure: raw.stop_on_failure === true,
+    };
+  });
+  return { name, title: String(doc.title || name), description: String(doc.description || ''), steps };
+}
+
+/**
+ * Load and check a runbook by name (its file name without extension).
+ * @param {string} name
+ * @returns {ReturnType<typeof validateRunbook>}
+ * @throws {RunbookError}
+ */
+export function loadRunbook(name) {
+  const file = runbookFile(name);
+  let doc;
+  try {
+    doc = YAML.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new RunbookError(`${name}: cannot parse ${file}: ${err.message}`);
+  }
+  return validateRunbook(doc, name);
+}
+
+/**
+ * List the runbooks on disk. Broken files are listed with their error.
+ * @returns {{ name: string, title?: string, description?: string, steps?: number, error?: string }[]}
+ */
+export function listRunbooks() {
+  if (!existsSync(RUNBOOKS_DIR)) return [];
+  const names = [...new Set(readdirSync(RUNBOOKS_DIR)
+    .filter(f => RUNBOOK_EXTENSIONS.includes(extname(f)))
+    .map(f => f.slice(0, -extname(f).length))
+    .filter(n => RUNBOOK_NAME_RE.test(n)))].sort();
+  return names.map(name => {
+    try {
+      const rb = loadRunbook(name);
+      return { name, title: rb.title, description: rb.description, steps: rb.steps.length };
+    } catch (err) {
+      return { name, error: err.message };
+    }
+  });
+}
+
+/**
+ * Fill {{name}} placeholders in a step's target and arguments.
+ * @param {object} step
+ * @param {Record<string, string>} vars
+ * @returns {object}
+ */
+export function resolveStep(step, vars) {
+  const fill = text => text == null ? text : text.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (key in vars ? String(vars[key]) : m));
+  return { ...step, target: fill(step.target), content: fill(step.content) };
+}
+
+/**
+ * Human-readable form of a step's conditions.
+ * @param {object} when
+ * @returns {string}
+ */
+export function describeConditions(when) {
+  const parts = [];
+  if (when.os != null) parts.push(`OS is ${asList(when.os).join(' or ')}`);
+  if (when.openclaw != null) parts.push(when.openclaw ? 'OpenClaw is configured' : 'OpenClaw is not configured');
+  if (when.exists != null) parts.push(`${asList(when.exists).join(', ')} exists`);
+  if (when.passed != null) parts.push(`${asList(when.passed).join(', ')} passed`);
+  if (when.failed != null) parts.push(`${asList(when.failed).join(', ')} failed`);
+  return parts.join(' and ');
+}
+
+/**
+ * Human-readable form of one expectation.
+ * @param {{ kind: string, value: string|boolean, message: string|null }} e
+ * @returns {string}
+ */
+export function describeExpectation(e) {
+  if (e.message) return e.message;
+  switch (e.kind) {
+    case 'success': return e.value ? 'the action succeeds' : 'the action fails';
+    case 'contains': return `output contains "${e.value}"`;
+    case 'not_contains': return `output does not contain "${e.value}"`;
+    case 'matches': return `output matches /${e.value}/`;
+    default: return `output does not match /${e.value}/`;
+  }
+}
+
+/**
+ * What a runbook will do, for review before the single approval: each step with
+ * placeholders filled in, its conditions and expectations, and how the safety
+ * policy judges it. Steps ruled out by the OS or OpenClaw conditions are marked
+ * as skipped; the other conditions are only evaluated when the runbook runs.
+ * @param {object} runbook - From loadRunbook
+ * @param {object} options
+ * @param {{ os: string, openclaw: boolean, vars: Record<string, string> }} options.env
+ * @param {(step: object) => { decision: 'allow'|'confirm'|'deny', reasons: string[] }} options.check - Policy verdict for one resolved step
+ * @returns {{ name: string, title: string, description: string, steps: object[],
+ *   policy: { decision: 'allow'|'confirm', reasons: string[] }, blocked: string[] }}
+ */
+export function planRunbook(runbook, { env, check }) {
+  const steps = runbook.steps.map(raw => {
+    const step = resolveStep(raw, env.vars);
+    const skip = environmentSkip(step, env);
+    return {
+      id: step.id,
+      title: step.title,
+      type: step.type,
+      target: step.target,
+      content: step.content,
+      conditions: describeConditions(step.when),
+      expect: step.expect.map(describeExpectation),
+      stop_on_failure: step.stop_on_failure,
+      skip,
+      policy: skip ? { decision: 'allow', reasons: [] } : check(step),
+    };
+  });
+  const flagged = decision => steps.filter(s => s.policy.decision === decision).flatMap(s => s.policy.reasons.map(r => `${s.title}: ${r}`));
+  return {
+    name: runbook.name,
+    title: runbook.title,
+    description: runbook.description,
+    steps,
+    // One confirmation covers every step that needs it; refused steps just fail when reached
+    policy: { decision: steps.some(s => s.policy.decision === 'confirm') ? 'confirm' : 'allow', reasons: flagged('confirm') },
+    blocked: flagged('deny'),
+  };
+}
+
+// Conditions that depend only on the configuration, so they are known before the run
+function environmentSkip({ when }, env) {
+  if (when.os != null && !asList(when.os).includes(env.os)) return `OS is ${env.os}`;
+  if (when.openclaw != null && !!when.openclaw !== !!env.openclaw) return env.openclaw ? 'OpenClaw is configured' : 'OpenClaw is not configured';
+  return null;
+}
+
+/**
+ * @returns {string|null} Why the step is skipped, or null if it should run
+ */
+function skipReason(step, { env, statuses }) {
+  const { when } = step;
+  const skip = environmentSkip(step, env);
+  if (skip) return skip;
+  for (const path of asList(when.exists)) if (!existsSync(resolveStep({ target: String(path) }, env.vars).target)) return `${path} does not exist`;
+  for (const ref of asList(when.passed)) if (statuses.get(String(ref)) !== 'passed') return `${ref} did not pass`;
+  for (const ref of asList(when.failed)) if (statuses.get(String(ref)) !== 'failed') return `${ref} did not fail`;
+  return null;
+}
+
+function checkExpectations(expect, outcome) {
+  return expect.map(e => {
+    const out = outcome.result || '';
+    let ok;
+    switch (e.kind) {
+      case 'success': ok = outcome.success === e.value; break;
+      case 'contains': ok = out.includes(e.value); break;
+      case 'not_contains': ok = !out.includes(e.value); break;
+      case 'matches': ok = new RegExp(e.value, 'm').test(out); break;
+      default: ok = !new RegExp(e.value, 'm').test(out);
+    }
+    return { description: describeExpectation(e), ok };
+  });
+}
+
+/**
+ * Run a runbook's steps in order.
+ * @param {object} runbook - From loadRunbook
+ * @param {object} options
+ * @param {(step: object, ctx: { signal?: AbortSignal, onOutput?: Function }) => Promise<{ success: boolean, result: string, cancelled?: boolean }>} options.execute
+ *   Runs one resolved step as an action
+ * @param {{ os: string, openclaw: boolean, vars: Record<string, string> }} options.env - What conditions and placeholders see
+ * @param {AbortSignal} [options.signal]
+ * @param {(stream: string, text: string) => void} [options.onOutput] - Progress lines and live step output
+ * @returns {Promise<object>} The report
+ */
+export async function runRunbook(runbook, { execute, env, signal, onOutput: emit = () => {} }) {
+  // Remember whether the output so far ends a line, so progress lines start on their own
+  let atLineStart = true;
+  const onOutput = (stream, text) => {
+    if (text) atLineStart = text.endsWith('\n');
+    emit(stream, text);
+  };
+  const report = {
+    runbook: runbook.name,
+    title: runbook.title,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    cancelled: false,
+    steps: [],
+  };
+  const statuses = new Map();
+  let stopped = null;
+
+  for (const [i, raw] of runbook.steps.entries()) {
+    const step = resolveStep(raw, env.vars);
+    const entry = { id: step.id, title: step.title, type: step.type, target: step.target, content: step.content, status: null, reason: null, checks: [], output: '' };
+    report.steps.push(entry);
+    const progress = `[${i + 1}/${runbook.steps.length}] ${step.title}`;
+
+    if (signal?.aborted || stopped) {
+      entry.status = 'not_run';
+      entry.reason = signal?.aborted ? 'run cancelled' : `stopped after ${stopped} failed`;
+      continue;
+    }
+    const skip = skipReason(step, { env, statuses });
+    if (skip) {
+      entry.status = 'skipped';
+      entry.reason = skip;
+      statuses.set(step.id, 'skipped');
+      onOutput('stdout', `▸ ${progress}: skipped (${skip})\n`);
+      continue;
+    }
+
+    onOutput('stdout', `▸ ${progress}\n`);
+    const outcome = await execute(step, { signal, onOutput });
+    entry.output = outcome.result || '';
+    if (outcome.cancelled) {
+      entry.status = 'not_run';
+      entry.reason = 'run cancelled';
+      report.cancelled = true;
+      continue;
+    }
+    entry.checks = checkExpectations(step.expect, outcome);
+    // Without a success expectation, a failed action fails the step
+    const actionOk = step.expect.some(e => e.kind === 'success') || outcome.success;
+    entry.status = actionOk && entry.checks.every(c => c.ok) ? 'passed' : 'failed';
+    if (!actionOk) entry.reason = 'the action failed';
+    statuses.set(step.id, entry.status);
+    const why = [!actionOk && `${entry.reason}: ${entry.output.split('\n')[0]}`, ...entry.checks.filter(c => !c.ok).map(c => `expected ${c.description}`)].filter(Boolean);
+    onOutput('stdout', `${atLineStart ? '' : '\n'}  ${entry.status === 'passed' ? '✓ passed' : `✗ failed${why.length ? ': ' + why.join('; ') : ''}`}\n`);
+    if (entry.status === 'failed' && step.stop_on_failure) stopped = step.id;
+  }
+
+  report.cancelled = report.cancelled || !!signal?.aborted;
+  report.finished_at = new Date().toISOString();
+  report.summary = ['passed', 'failed', 'skipped', 'not_run'].reduce((acc, s) => ({ ...acc, [s]: report.steps.filter(e => e.status === s).length }), {});
+  return report;
+}
+
+/**
+ * Plain-text report for the chat and the model: a summary line, then each step with its checks and output.
+ * @param {object} report - From runRunbook
+ * @returns {string}
+ */
+export function formatReport(report) {
+  const { passed, failed, skipped, not_run: notRun } = report.summary;
+  const lines = [`Runbook "${report.runbook}" (${report.title}): ${passed} passed, ${failed} failed, ${skipped} skipped${notRun ? `, ${notRun} not run` : ''}${report.cancelled ? ' — cancelled' : ''}`];
+  report.steps.forEach((s, i) => {
+    lines.push('', `## ${i + 1}. ${s.title} — ${s.status.replace('_', ' ').toUpperCase()}`);
+    lines.push(`${s.type}: ${s.target}${s.content ? ` ${s.content}` : ''}`);
+    if (s.reason) lines.push(`(${s.reason})`);
+    for (const c of s.checks) lines.push(`${c.ok ? '✓' : '✗'} expected: ${c.description}`);
+    if (s.output) lines.push(s.output.replace(/\n+$/, ''));
+  });
+  return lines.join('\n');
+}
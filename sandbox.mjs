@@ -0,0 +1,321 @@
+import { spawnSync } from 'child_process';
+import { readFileSync, readdirSync, readlinkSync, mkdtempSync, mkdirSync, rmSync, existsSync, lstatSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runProcess, describeRun } from './process-runner.mjs';
+
+// ── Sandbox ──────────────────────────────────────────────────────────────────
+// Dry runs of RUN_CMD and RUN_SCRIPT before they are approved. The command runs
+// in new user, mount, network, PID, IPC and UTS namespaces (util-linux
+// `unshare`), chrooted into a copy of the host's file tree in which every
+// directory is an overlay: reads see the real files, writes land in a tmpfs
+// that disappears with the namespaces. Before that happens the overlays are
+// listed, so the report says which files the command created, modified or
+// deleted. There is no network (only a loopback that is down), /dev holds only
+// null, zero, full, random, urandom and tty, /proc and /sys are read-only, and
+// the command runs without capabilities under CPU time, memory, disk and time
+// limits. A directory that cannot be overlaid is mounted read-only instead, and
+// writes to it fail rather than being listed; one that cannot be made read-only
+// is left out, and a host bind that stays writable stops the dry run.
+
+export const DEFAULT_SANDBOX = { enabled: true, cpu_seconds: 60, memory_mb: 1024, disk_mb: 256 };
+
+// Filesystems without data of their own; a mount of one shows up as an empty directory
+const PSEUDO_FILESYSTEMS = new Set([
+  'proc', 'sysfs', 'devpts', 'devtmpfs', 'cgroup', 'cgroup2', 'securityfs', 'pstore', 'debugfs', 'tracefs',
+  'configfs', 'fusectl', 'mqueue', 'hugetlbfs', 'bpf', 'autofs', 'binfmt_misc', 'rpc_pipefs', 'nsfs',
+  'selinuxfs', 'efivarfs', 'nfsd',
+]);
+// Mounted fresh inside the sandbox instead of copied from the host
+const OWN_MOUNTS = ['/proc', '/sys', '/dev'];
+// Characters overlayfs options and the setup script cannot carry in a path
+const UNSAFE_PATH = /[,:\\\n\t]/;
+// Most changed files listed in a report
+const MAX_LISTED_CHANGES = 200;
+const UNSHARE_ARGS = ['--user', '--map-root-user', '--mount', '--net', '--pid', '--ipc', '--uts', '--fork', '--kill-child'];
+
+// Runs inside the namespaces as their root. Arguments: the scratch directory,
+// the command line, its working directory, the limits, then one
+// "kind path extra" triple per entry of the sandbox's file tree.
+const SETUP_SCRIPT = `
+set -u
+H=$1 CMD=$2 CWD=$3 CPU=$4 MEM=$5 SECS=$6 DISK=$7
+shift 7
+S=$H/ns R=$H/ns/root
+fail() { echo "sandbox: $*" >&2; exit 125; }
+mounted() { awk -v m="$1" '{ gsub(/\\\\040/, " ", $5) } $5 == m { f = 1 } END { exit !f }' /proc/self/mountinfo; }
+# Bind a host path read-only. A bind that is left writable is unmounted again,
+# and if that fails the sandbox stops rather than let the dry run write to the host.
+bind_ro() {
+  mount --bind -o ro "$1" "$2" 2>/dev/null && mount -o remount,bind,ro "$2" 2>/dev/null && return 0
+  while mounted "$2"; do umount "$2" 2>/dev/null || fail "could not undo a writable bind of $1"; done
+  return 1
+}
+mount -t tmpfs -o size="$DISK"m,mode=700 doctorclaw-sandbox "$S" || fail "could not mount the scratch tmpfs"
+mkdir "$R" || fail "could not create the root"
+n=0
+while [ $# -ge 3 ]; do
+  kind=$1 p=$2 extra=$3
+  shift 3
+  n=$((n + 1))
+  case $kind in
+    dir) mkdir -p "$R$p" ;;
+    link) ln -s "$extra" "$R$p" ;;
+    file) touch "$R$p" && bind_ro "$p" "$R$p" || rm -f "$R$p" ;;
+    overlay)
+      mkdir -p "$R$p" "$S/$n/u" "$S/$n/w"
+      if ! mount -t overlay overlay -o "lowerdir=$p,upperdir=$S/$n/u,workdir=$S/$n/w" "$R$p" 2>/dev/null; then
+        if bind_ro "$p" "$R$p"; then
+          echo "$p" >> "$H/readonly"
+        else
+          echo "$p" >> "$H/hidden"
+        fi
+      fi ;;
+  esac
+done
+mkdir -p "$R/dev" "$R/proc" "$R/sys"
+mount -t tmpfs -o mode=755 dev "$R/dev" || fail "could not mount /dev"
+for d in null zero full random urandom tty; do
+  touch "$R/dev/$d" && mount --bind "/dev/$d" "$R/dev/$d" || fail "could not bind /dev/$d"
+done
+ln -s /proc/self/fd "$R/dev/fd" && ln -s /proc/self/fd/0 "$R/dev/stdin" && ln -s /proc/self/fd/1 "$R/dev/stdout" && ln -s /proc/self/fd/2 "$R/dev/stderr"
+mkdir "$R/dev/shm" && mount -t tmpfs -o mode=1777 shm "$R/dev/shm"
+mount -t proc -o ro,nosuid,nodev,noexec proc "$R/proc" || fail "could not mount /proc"
+mount -t sysfs -o ro,nosuid,nodev,noexec sysfs "$R/sys" 2>/dev/null
+: > "$H/ready"
+rc=0
+timeout -k 2 "$SECS" chroot "$R" setpriv --no-new-privs --inh-caps=-all --bounding-set=-all -- \\
+  /bin/sh -c 'ulimit -t "$1" && ulimit -v "$2" && cd "$3" && exec /bin/sh -c "$4"' sandbox "$CPU" "$MEM" "$CWD" "$CMD" || rc=$?
+{
+  echo "@root"
+  find "$R" -xdev -mindepth 1 -printf '%y\\t%P\\n'
+  i=0
+  while [ "$i" -lt "$n" ]; do
+    i=$((i + 1))
+    [ -d "$S/$i/u" ] || continue
+    echo "@$i"
+    find "$S/$i/u" -mindepth 1 -printf '%y\\t%P\\n'
+  done
+} > "$H/changes"
+exit $rc
+`;
+
+export class SandboxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SandboxError';
+  }
+}
+
+/**
+ * Sandbox settings from the config, with invalid values replaced by the defaults.
+ * @param {object} [value] - { enabled, cpu_seconds, memory_mb, disk_mb }
+ * @returns {typeof DEFAULT_SANDBOX}
+ */
+export function normalizeSandbox(value = {}) {
+  const positive = (n, fallback) => (Number(n) > 0 ? Math.round(Number(n)) : fallback);
+  return {
+    enabled: value.enabled !== false,
+    cpu_seconds: positive(value.cpu_seconds, DEFAULT_SANDBOX.cpu_seconds),
+    memory_mb: positive(value.memory_mb, DEFAULT_SANDBOX.memory_mb),
+    disk_mb: positive(value.disk_mb, DEFAULT_SANDBOX.disk_mb),
+  };
+}
+
+let support = null;
+
+/**
+ * Whether dry runs work on this host: Linux, the tools the setup script uses, and
+ * user namespaces that may mount an overlay. Probed once, then cached.
+ * @returns {{ available: boolean, reason?: string }}
+ */
+export function sandboxSupport() {
+  if (support) return support;
+  if (process.platform !== 'linux') return (support = { available: false, reason: 'Dry runs need Linux namespaces.' });
+  const tools = spawnSync('sh', ['-c', 'for t in unshare setpriv chroot timeout find; do command -v "$t" >/dev/null || echo "$t"; done'], { encoding: 'utf-8', timeout: 5000 });
+  const missing = (tools.stdout || '').split('\n').filter(Boolean);
+  if (tools.status !== 0 || missing.length) return (support = { available: false, reason: `Dry runs need ${missing.join(', ') || 'a POSIX shell'} (util-linux, coreutils and findutils).` });
+  const dir = mkdtempSync(join(tmpdir(), 'doctorclaw-probe-'));
+  try {
+    const probe = spawnSync('unshare', [...UNSHARE_ARGS, 'sh', '-c',
+      'mount -t tmpfs probe "$1" && mkdir "$1/l" "$1/u" "$1/w" "$1/m" && mount -t overlay overlay -o "lowerdir=$1/l,upperdir=$1/u,workdir=$1/w" "$1/m"', 'probe', dir,
+    ], { encoding: 'utf-8', timeout: 5000 });
+    if (probe.status !== 0) {
+      const detail = (probe.stderr || probe.error?.message || '').trim().split('\n')[0];
+      return (support = { available: false, reason: `This host does not allow unprivileged user namespaces with overlay mounts${detail ? ` (${detail})` : ''}.` });
+    }
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  return (support = { available: true });
+}
+
+// /proc/mounts escapes spaces, tabs, newlines and backslashes as octal
+const unescapeMount = value => value.replace(/\\([0-7]{3})/g, (_, oct) => String.fromCharCode(parseInt(oct, 8)));
+
+function readMounts() {
+  const mounts = new Map();
+  for (const line of readFileSync('/proc/mounts', 'utf-8').split('\n')) {
+    const [, mountpoint, fstype] = line.split(' ');
+    if (mountpoint) mounts.set(unescapeMount(mountpoint), fstype);
+  }
+  return mounts;
+}
+
+const isBelow = (path, dir) => path.startsWith(dir === '/' ? '/' : dir + '/') && path !== dir;
+
+/**
+ * The sandbox's file tree. A directory with no mount below it becomes one overlay;
+ * directories that contain mount points are rebuilt entry by entry, because a
+ * namespace may not overlay a mount whose sub-mounts it inherited.
+ * @param {Map<string, string>} [mounts] - Mount point → filesystem type
+ * @returns {{ kind: 'dir'|'link'|'file'|'overlay', path: string, target?: string }[]}
+ */
+export function sandboxTree(mounts = readMounts()) {
+  const points = [...mounts.keys()].filter(p => p !== '/' && !OWN_MOUNTS.some(own => p === own || isBelow(p, own)));
+  const entries = [];
+  function visit(dir) {
+    let names;
+    try {
+      names = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of names) {
+      const path = join(dir, entry.name);
+      if (UNSAFE_PATH.test(path)) continue;
+      if (OWN_MOUNTS.includes(path)) continue;
+      if (PSEUDO_FILESYSTEMS.has(mounts.get(path))) {
+        entries.push({ kind: 'dir', path });
+      } else if (entry.isSymbolicLink()) {
+        try { entries.push({ kind: 'link', path, target: readlinkSync(path) }); } catch {}
+      } else if (entry.isDirectory()) {
+        if (points.some(p => isBelow(p, path))) {
+          entries.push({ kind: 'dir', path });
+          visit(path);
+        } else {
+          entries.push({ kind: 'overlay', path });
+        }
+      } else if (entry.isFile()) {
+        entries.push({ kind: 'file', path });
+      }
+      // Sockets, fifos and device files outside /dev are left out
+    }
+  }
+  visit('/');
+  return entries;
+}
+
+function exists(path) {
+  try {
+    lstatSync(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const readList = file => (existsSync(file) ? readFileSync(file, 'utf-8').split('\n').filter(Boolean) : []);
+
+// Overlayfs keeps a deleted file as a character device (a "whiteout") in the upper layer
+function parseChanges(text, tree, scratch) {
+  const changes = [];
+  const planned = new Set(tree.map(e => e.path));
+  const seenRoot = new Set();
+  let section = null;
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    if (line.startsWith('@')) {
+      section = line.slice(1);
+      continue;
+    }
+    const [type, rel] = line.split('\t');
+    if (section === 'root') {
+      const path = '/' + rel;
+      seenRoot.add(path);
+      if (!planned.has(path) && !OWN_MOUNTS.includes(path)) changes.push({ path, change: 'created' });
+      continue;
+    }
+    const base = tree[Number(section) - 1]?.path;
+    if (!base) continue;
+    const path = join(base, rel);
+    if (path === scratch || isBelow(path, scratch)) continue;
+    if (type === 'c') changes.push({ path, change: 'deleted' });
+    else if (!exists(path)) changes.push({ path, change: 'created' });
+    // Directories are copied up whenever something below them changes
+    else if (type !== 'd') changes.push({ path, change: 'modified' });
+  }
+  // The root listing covers every entry the setup created outside the overlays
+  for (const entry of tree) {
+    if (!seenRoot.has(entry.path)) changes.push({ path: entry.path, change: 'deleted' });
+  }
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+const quote = arg => `'${String(arg).replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Run a command line in the sandbox, streaming its output.
+ * @param {string} command
+ * @param {object} options
+ * @param {string} [options.cwd]
+ * @param {typeof DEFAULT_SANDBOX} options.settings
+ * @param {number} options.timeoutSeconds
+ * @param {number} options.maxOutputKb
+ * @param {AbortSignal} [options.signal]
+ * @param {(stream: 'stdout'|'stderr', text: string) => void} [options.onOutput]
+ * @returns {Promise<{ run: object, changes: { path: string, change: 'created'|'modified'|'deleted' }[], readonly: string[], hidden: string[] }>}
+ * @throws {SandboxError} When dry runs are unavailable or the sandbox could not be set up
+ */
+export async function runSandboxed(command, { cwd = process.cwd(), settings, timeoutSeconds, maxOutputKb, signal, onOutput }) {
+  const { available, reason } = sandboxSupport();
+  if (!available) throw new SandboxError(reason);
+  const scratch = mkdtempSync(join(tmpdir(), 'doctorclaw-sandbox-'));
+  try {
+    mkdirSync(join(scratch, 'ns'));
+    const tree = sandboxTree();
+    const args = [
+      scratch, command, cwd, settings.cpu_seconds, settings.memory_mb * 1024, timeoutSeconds, settings.disk_mb,
+      ...tree.flatMap(e => [e.kind, e.path, e.target ?? '-']),
+    ];
+    const line = ['unshare', ...UNSHARE_ARGS, 'sh', '-c', SETUP_SCRIPT, 'doctorclaw-sandbox', ...args].map(quote).join(' ');
+    // The script stops the command itself at the time limit, so the changes are still listed; this is the backstop
+    const run = await runProcess(line, { timeoutSeconds: timeoutSeconds + 10, maxOutputKb, signal, onOutput });
+    if (!existsSync(join(scratch, 'ready'))) {
+      if (run.stopped === 'cancelled') return { run, changes: [], readonly: [], hidden: [] };
+      throw new SandboxError(`The sandbox could not be set up: ${run.output.trim().split('\n').pop() || `exit code ${run.exitCode}`}`);
+    }
+    const changesFile = join(scratch, 'changes');
+    return {
+      run,
+      changes: existsSync(changesFile) ? parseChanges(readFileSync(changesFile, 'utf-8'), tree, scratch) : null,
+      readonly: readList(join(scratch, 'readonly')),
+      hidden: readList(join(scratch, 'hidden')),
+    };
+  } finally {
+    rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Plain-text report of a dry run for the card: the output, then what the command changed.
+ * @param {Awaited<ReturnType<typeof runSandboxed>>} dryRun
+ * @param {{ timeoutSeconds: number, maxOutputKb: number }} limits
+ * @returns {string}
+ */
+export function formatSandboxRun({ run, changes, readonly, hidden }, limits) {
+  // The setup script's `timeout` exits with 124 when the command ran out of time
+  const output = describeRun(run.exitCode === 124 ? { ...run, stopped: 'timeout' } : run, limits);
+  const lines = ['[Dry run in a sandbox; nothing on the host was changed]', output.replace(/\n+$/, ''), ''];
+  if (changes == null) lines.push('The changed files could not be listed (the run was stopped).');
+  else if (!changes.length) lines.push('It changed no files.');
+  else {
+    lines.push(`Files it changed (${changes.length}, all discarded):`);
+    for (const { path, change } of changes.slice(0, MAX_LISTED_CHANGES)) lines.push(`  ${change.padEnd(8)} ${path}`);
+    if (changes.length > MAX_LISTED_CHANGES) lines.push(`  … ${changes.length - MAX_LISTED_CHANGES} more`);
+  }
+  if (readonly.length) lines.push(`Mounted read-only, so writes there failed instead of being listed: ${readonly.join(', ')}`);
+  if (hidden.length) lines.push(`Not available in the sandbox: ${hidden.join(', ')}`);
+  return lines.join('\n');
+}
+
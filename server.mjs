@@ -1,11 +1,34 @@
 import express from 'express';
 import { execSync, exec } from 'child_process';
-import { readFileSync, writeFileSync, copyFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, copyFileSync, existsSync, mkdirSync, watchFile } from 'fs';
+import { createServer } from 'http';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { createInterface } from 'readline';
 import WebSocket, { WebSocketServer } from 'ws';
 import { getVersion } from './version.mjs';
+import { listSessions, getSession, saveSession, deleteSession, isValidSessionId } from './sessions.mjs';
+import { appendAudit, queryAudit, verifyAudit, sha256, AUDIT_LOG_PATH } from './audit.mjs';
+import { createBackup, listBackups, pruneBackups, backupPath, parseBackupName, DEFAULT_RETENTION } from './backups.mjs';
+import { unifiedDiff } from './diff.mjs';
+import { evaluatePath, DEFAULT_DENY_PATHS } from './path-policy.mjs';
+import { analyzeCommand, DEFAULT_COMMAND_POLICY } from './command-policy.mjs';
+import { ACTION_TOOLS, TOOL_CALLING_MODES, toolCallToAction, toTextProtocol } from './actions.mjs';
+import { loadPlugins, checkPluginAction, describePlugin } from './plugins.mjs';
+import { evaluateAutoApproval, normalizeAutoApprove, validateRules, ApprovalRuleError, DEFAULT_AUTO_APPROVE, PATH_TYPES } from './approval-rules.mjs';
+import { parsePlan, reviewPlan, runPlan, formatPlanReport, PlanError } from './plans.mjs';
+import { runProcess, describeRun, normalizeActionLimits } from './process-runner.mjs';
+import { runSandboxed, formatSandboxRun, sandboxSupport, normalizeSandbox, SandboxError, DEFAULT_SANDBOX } from './sandbox.mjs';
+import { createJobQueue, DEFAULT_CONCURRENCY } from './jobs.mjs';
+import { runCli } from './cli.mjs';
+import { exportSession, importSession, EXPORT_FORMATS, SessionImportError } from './session-export.mjs';
+import { detectOpenclawDir, validateOpenclawDir, openclawStatus, formatOpenclawStatus, STATUS_SECTIONS } from './openclaw.mjs';
+import { collectSnapshot, formatSnapshot, snapshotMessage } from './snapshot.mjs';
+import { readFileRange, listDir, tailFile, searchFile, normalizeMaxReadKb, DEFAULT_MAX_READ_KB } from './files.mjs';
+import { loadRunbook, listRunbooks, planRunbook, runRunbook, formatReport, RunbookError } from './runbooks.mjs';
+import { hashSecret, verifySecret, generateToken, parseCookies, isLoopback, createAuthSessions, SESSION_COOKIE, CSRF_HEADER } from './auth.mjs';
+import { DEFAULT_CONTEXT_WINDOW, SUMMARIZE_AT, KEEP_RECENT, normalizeContextWindow, estimateMessages, estimateTokens, createOutputStore, collapseOutputs, expandOutput, findSummaryCut, summarize } from './context.mjs';
+import { createProvider, providerOptions, normalizeChatOptions, ProviderError, PROVIDER_TYPES, DEFAULT_PROVIDER, DEFAULT_PROVIDER_URLS } from './providers.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const CONFIG_PATH = join(__dirname, 'doctorclaw.config.json');
@@ -16,23 +39,61 @@ const args = process.argv.slice(2);
 const FLAG_YES = args.includes('-y') || args.includes('--yes');
 const FLAG_INTERACTIVE = args.includes('-i') || args.includes('--interactive');
 const FLAG_VERSION = args.includes('-v') || args.includes('--version');
+const FLAG_VERIFY_AUDIT = args.includes('--verify-audit');
+const FLAG_RESET_TOKEN = args.includes('--reset-token');
+const FLAG_CLI = args.includes('--cli');
+const FLAG_RUNBOOK = args.includes('--runbook');
+// --session <id> continues a saved session in CLI mode
+const CLI_SESSION = args.includes('--session') ? args[args.indexOf('--session') + 1] : undefined;
+// --runbook <name> runs a runbook from the terminal, then exits (or carries on in the CLI with --cli)
+const CLI_RUNBOOK = FLAG_RUNBOOK ? args[args.indexOf('--runbook') + 1] : undefined;
+// Both run in the terminal without opening a port
+const CLI_MODE = FLAG_CLI || FLAG_RUNBOOK;
 
 if (FLAG_VERSION) {
   console.log(`DoctorClaw v${getVersion()}`);
   process.exit(0);
 }
 
+if (FLAG_RUNBOOK && !CLI_RUNBOOK) {
+  console.log('  ✗ --runbook needs the name of a runbook in runbooks/');
+  process.exit(1);
+}
+
+if (FLAG_VERIFY_AUDIT) {
+  const report = verifyAudit();
+  if (report.ok) {
+    console.log(`  ✓ Audit log intact: ${report.entries} entries (${AUDIT_LOG_PATH})`);
+    process.exit(0);
+  }
+  console.log(`  ✗ Audit log FAILED verification (${AUDIT_LOG_PATH}):`);
+  for (const e of report.errors) {
+    console.log(`    line ${e.line}${e.seq != null ? ` (seq ${e.seq})` : ''}: ${e.message}`);
+  }
+  process.exit(1);
+}
+
 // ── Interactive Setup ────────────────────────────────────────────────────────
 
 const DEFAULTS = {
   port: 3333,
-  ollama_url: 'http://localhost:11434',
+  provider: DEFAULT_PROVIDER,
+  ollama_url: DEFAULT_PROVIDER_URLS.ollama,
+  openai_url: DEFAULT_PROVIDER_URLS.openai,
   model: 'glm-4.7:cloud',
   has_openclaw: false,
   openclaw_dir: '',
   os: process.platform === 'win32' ? 'windows' : process.platform === 'darwin' ? 'macos' : 'linux',
   read_paths: ['/etc/', '/var/log/', '/var/lib/', '/tmp/', '/home/', '/opt/', '/usr/local/etc/', '/proc/cpuinfo', '/proc/meminfo', '/proc/loadavg', '/proc/version', '/proc/uptime', '/proc/net/'],
   write_paths: ['/tmp/'],
+  deny_paths: DEFAULT_DENY_PATHS,
+  tool_calling: 'auto',
+  max_concurrent_jobs: DEFAULT_CONCURRENCY,
+  context_window: DEFAULT_CONTEXT_WINDOW,
+  max_read_kb: DEFAULT_MAX_READ_KB,
+  auto_approve: DEFAULT_AUTO_APPROVE,
+  sandbox: DEFAULT_SANDBOX,
+  bind_address: '127.0.0.1',
 };
 
 function ask(rl, question, fallback) {
@@ -44,13 +105,22 @@ function ask(rl, question, fallback) {
   });
 }
 
-async function detectModels(ollamaUrl) {
+// Like ask(), but the typed characters are not echoed
+function askSecret(rl, question) {
+  return new Promise(resolve => {
+    const write = rl._writeToOutput;
+    rl._writeToOutput = text => { if (text.includes(question)) write.call(rl, text); };
+    rl.question(`  ${question}: `, answer => {
+      rl._writeToOutput = write;
+      rl.output.write('\n');
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function detectModels(providerOpts) {
   try {
-    const resp = await fetch(`${ollamaUrl}/api/tags`);
-    if (resp.ok) {
-      const data = await resp.json();
-      return (data.models || []).map(m => m.name);
-    }
+    return await createProvider(providerOpts).listModels();
   } catch {}
   return [];
 }
@@ -213,196 +283,24 @@ async function checkOllamaUpdate(rl) {
   console.log('');
 }
 
-/**
- * Check if a directory looks like an OpenClaw installation.
- * A directory qualifies if it has "openclaw" in its path OR contains
- * recognizable OpenClaw files (configs, binaries, etc.).
- */
-function looksLikeOpenclawDir(dir) {
-  if (!existsSync(dir)) return false;
-  // Path itself contains "openclaw" (case-insensitive)
-  if (/openclaw/i.test(dir)) return true;
-  // Contains known OpenClaw config or binary files
-  const markers = [
-    'config.yml', 'config.yaml', 'openclaw.yml', 'openclaw.conf',
-    'gateway.yml', 'gateway.conf', 'openclaw-gateway',
-    'bin/openclaw-gateway', 'bin/openclaw',
-  ];
-  return markers.some(m => existsSync(join(dir, m)));
-}
-
-/**
- * Given an absolute binary path, walk up directories to find the
- * OpenClaw install root. E.g. /opt/openclaw/bin/openclaw-gateway → /opt/openclaw
- */
-function findInstallRoot(binPath) {
-  let dir = dirname(binPath);
-  // Walk up at most 4 levels looking for a directory that looks like the install root
-  for (let i = 0; i < 4 && dir !== '/'; i++) {
-    if (looksLikeOpenclawDir(dir)) return dir;
-    dir = dirname(dir);
-  }
-  return null;
-}
-
-/**
- * Auto-detect where OpenClaw is installed by checking common locations,
- * running processes, and PATH lookups.
- */
-function detectOpenclawDir() {
-  // 1. Check common installation directories
-  const candidates = [
-    '/opt/openclaw',
-    '/usr/local/openclaw',
-    '/etc/openclaw',
-    '/opt/OpenClaw',
-  ];
-  for (const dir of candidates) {
-    if (existsSync(dir)) {
-      console.log(`  Auto-detected OpenClaw directory: ${dir}`);
-      return dir;
-    }
-  }
-
-  // 2. Try to find a running openclaw process and derive its location
-  try {
-    const psOutput = execSync("ps aux 2>/dev/null | grep -i openclaw | grep -v grep", {
-      encoding: 'utf-8', timeout: 5000,
-    }).trim();
-    if (psOutput) {
-      const lines = psOutput.split('\n');
-      for (const line of lines) {
-        const parts = line.trim().split(/\s+/);
-        const pid = parts[1];
-
-        // Try /proc/<PID>/exe first — this is the actual binary path, most reliable
-        if (pid && /^\d+$/.test(pid)) {
-          try {
-            const exe = execSync(`readlink /proc/${pid}/exe 2>/dev/null`, {
-              encoding: 'utf-8', timeout: 3000,
-            }).trim();
-            if (exe) {
-              const root = findInstallRoot(exe);
-              if (root) {
-                console.log(`  Auto-detected OpenClaw directory from process exe: ${root}`);
-                return root;
-              }
-            }
-          } catch {}
-        }
-
-        // Try the command path from ps output (field 11+)
-        if (parts.length >= 11) {
-          const cmd = parts[10];
-          if (cmd.startsWith('/')) {
-            const root = findInstallRoot(cmd);
-            if (root) {
-              console.log(`  Auto-detected OpenClaw directory from process command: ${root}`);
-              return root;
-            }
-          }
-        }
-
-        // Try /proc/<PID>/cwd — but ONLY accept it if it looks like an OpenClaw dir
-        // (not a generic home directory or /)
-        if (pid && /^\d+$/.test(pid)) {
-          try {
-            const cwd = execSync(`readlink /proc/${pid}/cwd 2>/dev/null`, {
-              encoding: 'utf-8', timeout: 3000,
-            }).trim();
-            if (cwd && looksLikeOpenclawDir(cwd)) {
-              console.log(`  Auto-detected OpenClaw directory from process cwd: ${cwd}`);
-              return cwd;
-            }
-          } catch {}
-        }
-      }
-    }
-  } catch {}
-
-  // 3. Try which/whereis to find openclaw binaries on PATH
-  try {
-    const binPath = execSync('which openclaw-gateway 2>/dev/null || which openclaw 2>/dev/null', {
-      encoding: 'utf-8', timeout: 3000,
-    }).trim();
-    if (binPath) {
-      const root = findInstallRoot(binPath);
-      if (root) {
-        console.log(`  Auto-detected OpenClaw directory from PATH: ${root}`);
-        return root;
-      }
-    }
-  } catch {}
-
-  // 4. Check if openclaw directories exist under home directories
-  try {
-    const homeHits = execSync("find /home -maxdepth 3 -name 'openclaw*' -type d 2>/dev/null | head -1", {
-      encoding: 'utf-8', timeout: 5000,
-    }).trim();
-    if (homeHits && looksLikeOpenclawDir(homeHits)) {
-      console.log(`  Auto-detected OpenClaw directory under /home: ${homeHits}`);
-      return homeHits;
-    }
-  } catch {}
-
-  // 5. Fallback — nothing found
-  return '/opt/openclaw';
-}
-
-/**
- * Validate that the OpenClaw directory exists and contains expected files.
- * Returns an object with validation details.
- */
-function validateOpenclawDir(dir) {
-  const result = { exists: false, hasConfig: false, hasLogs: false, configPath: null, logPaths: [] };
-  if (!existsSync(dir)) return result;
-  result.exists = true;
-
-  // Look for common config file patterns within the directory
-  const configCandidates = [
-    'config.yml', 'config.yaml', 'config.json', 'config.toml',
-    'openclaw.yml', 'openclaw.yaml', 'openclaw.conf', 'openclaw.json',
-    'gateway.yml', 'gateway.yaml', 'gateway.conf', 'gateway.json',
-    'etc/config.yml', 'etc/openclaw.yml', 'conf/openclaw.yml',
-  ];
-  for (const c of configCandidates) {
-    const full = join(dir, c);
-    if (existsSync(full)) {
-      result.hasConfig = true;
-      result.configPath = full;
-      break;
-    }
-  }
-
-  // Look for log directories/files
-  const logCandidates = ['logs', 'log', 'var/log', 'var/logs'];
-  for (const l of logCandidates) {
-    const full = join(dir, l);
-    if (existsSync(full)) {
-      result.hasLogs = true;
-      result.logPaths.push(full);
-    }
-  }
-
-  return result;
-}
-
 async function runSetup() {
   const configExists = existsSync(CONFIG_PATH);
 
   // Decide whether to run interactive setup
   if (FLAG_YES) {
-    // With -y, auto-install Ollama if missing and assume cloud service
-    if (!isOllamaInstalled()) {
-      console.log('  Ollama not found. Installing automatically (-y flag)...');
-      installOllamaCli();
-    } else {
-      // Already installed — check if up to date (warn only, no prompt with -y)
-      await checkOllamaUpdate(null);
+    const existing = configExists ? JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')) : null;
+    // With -y, auto-install Ollama if missing and assume cloud service (other providers need nothing installed)
+    if ((existing?.provider || DEFAULTS.provider) === 'ollama') {
+      if (!isOllamaInstalled()) {
+        console.log('  Ollama not found. Installing automatically (-y flag)...');
+        installOllamaCli();
+      } else {
+        // Already installed — check if up to date (warn only, no prompt with -y)
+        await checkOllamaUpdate(null);
+      }
     }
 
-    if (configExists) {
-      const existing = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8'));
+    if (existing) {
       console.log('  Skipping setup (-y flag), using existing config.');
       // Only validate OpenClaw directory if user indicated they have it
       if (existing.has_openclaw !== false && existing.openclaw_dir) {
@@ -476,53 +374,77 @@ async function runSetup() {
 
   const rl = createInterface({ input: process.stdin, output: process.stdout });
 
-  // Check Ollama installation
-  if (!isOllamaInstalled()) {
-    console.log('  Ollama is not installed. DoctorClaw requires Ollama to function.');
-    console.log('');
-    const installAnswer = await ask(rl, 'Install Ollama now? (y/n)', 'y');
-    if (installAnswer.toLowerCase().startsWith('y')) {
-      installOllamaCli();
-    } else {
+  // LLM provider
+  console.log('  DoctorClaw talks to Ollama, or to any OpenAI-compatible server');
+  console.log('  (llama.cpp, vLLM, LM Studio, an API gateway, ...).');
+  const providerAnswer = (await ask(rl, `LLM provider (${PROVIDER_TYPES.join('/')})`, DEFAULTS.provider)).toLowerCase();
+  const provider = PROVIDER_TYPES.includes(providerAnswer) ? providerAnswer : DEFAULTS.provider;
+  console.log('');
+
+  // Check Ollama installation (other providers need nothing installed)
+  if (provider === 'ollama') {
+    if (!isOllamaInstalled()) {
+      console.log('  Ollama is not installed. DoctorClaw requires Ollama to function.');
+      console.log('');
+      const installAnswer = await ask(rl, 'Install Ollama now? (y/n)', 'y');
+      if (installAnswer.toLowerCase().startsWith('y')) {
+        installOllamaCli();
+      } else {
+        console.log('');
+        console.log('  Ollama is required. Install from: https://ollama.com');
+        console.log('  You can continue setup, but DoctorClaw will not work until Ollama is installed.');
+      }
       console.log('');
-      console.log('  Ollama is required. Install from: https://ollama.com');
-      console.log('  You can continue setup, but DoctorClaw will not work until Ollama is installed.');
+    } else {
+      // Already installed — check if up to date
+      await checkOllamaUpdate(rl);
     }
-    console.log('');
-  } else {
-    // Already installed — check if up to date
-    await checkOllamaUpdate(rl);
   }
 
   // Port
   const port = parseInt(await ask(rl, 'Server port', DEFAULTS.port), 10) || DEFAULTS.port;
 
-  // Ollama URL
-  const ollamaUrl = await ask(rl, 'Ollama URL', DEFAULTS.ollama_url);
+  let ollamaUrl = DEFAULTS.ollama_url;
+  let openaiUrl = DEFAULTS.openai_url;
+  let openaiKey = '';
+  let hasCloud = false;
+  let defaultModel = DEFAULTS.model;
 
-  // Ask about Ollama cloud service
-  console.log('');
-  console.log('  Ollama can run models locally or via the cloud service.');
-  console.log('  The default model (glm-4.7:cloud) requires an Ollama cloud subscription.');
-  console.log('  Without cloud, models run locally on your hardware.');
-  const cloudAnswer = await ask(rl, 'Do you have Ollama cloud service? (y/n)', 'n');
-  const hasCloud = cloudAnswer.toLowerCase().startsWith('y');
-  const defaultModel = hasCloud ? DEFAULTS.model : LOCAL_MODEL_DEFAULT;
+  if (provider === 'ollama') {
+    // Ollama URL
+    ollamaUrl = await ask(rl, 'Ollama URL', DEFAULTS.ollama_url);
 
-  // Try to ensure Ollama is running for model detection
-  await ensureOllamaRunning(ollamaUrl);
+    // Ask about Ollama cloud service
+    console.log('');
+    console.log('  Ollama can run models locally or via the cloud service.');
+    console.log('  The default model (glm-4.7:cloud) requires an Ollama cloud subscription.');
+    console.log('  Without cloud, models run locally on your hardware.');
+    const cloudAnswer = await ask(rl, 'Do you have Ollama cloud service? (y/n)', 'n');
+    hasCloud = cloudAnswer.toLowerCase().startsWith('y');
+    defaultModel = hasCloud ? DEFAULTS.model : LOCAL_MODEL_DEFAULT;
+
+    // Try to ensure Ollama is running for model detection
+    await ensureOllamaRunning(ollamaUrl);
+  } else {
+    openaiUrl = await ask(rl, 'OpenAI-compatible base URL', DEFAULTS.openai_url);
+    openaiKey = await askSecret(rl, 'API key (Enter if the server needs none)');
+    defaultModel = '';
+  }
 
   // Detect available models
+  const providerLabel = provider === 'ollama' ? 'Ollama' : 'the server';
   console.log('');
-  console.log('  Checking for available Ollama models...');
-  const models = await detectModels(ollamaUrl);
+  console.log(`  Checking for available models on ${providerLabel}...`);
+  const models = await detectModels(provider === 'ollama'
+    ? { type: provider, url: ollamaUrl }
+    : { type: provider, url: openaiUrl, apiKey: openaiKey || undefined });
   let model;
   if (models.length > 0) {
     console.log(`  Found ${models.length} model(s): ${models.join(', ')}`);
     model = await ask(rl, 'Model to use', models.includes(defaultModel) ? defaultModel : models[0]);
   } else {
-    console.log('  Could not reach Ollama or no models found.');
-    if (!hasCloud) {
+    console.log(`  Could not reach ${providerLabel} or no models found.`);
+    if (provider === 'ollama' && !hasCloud) {
       console.log(`  Tip: Pull a model with: ollama pull ${defaultModel}`);
     }
     model = await ask(rl, 'Model to use', defaultModel);
@@ -572,6 +494,15 @@ async function runSetup() {
   const extraWrite = await ask(rl, 'Additional writable paths (comma-separated, or Enter to skip)', '');
   const extraWritePaths = extraWrite ? extraWrite.split(',').map(p => p.trim()).filter(Boolean) : [];
 
+  // Access
+  console.log('');
+  const bindAddress = await ask(rl, 'Listen address (127.0.0.1 = this machine only, 0.0.0.0 = all interfaces)', DEFAULTS.bind_address);
+  let password = await askSecret(rl, 'Login password (Enter to use a generated access token instead)');
+  while (password && password.length < 8) {
+    console.log('  ⚠  Use at least 8 characters.');
+    password = await askSecret(rl, 'Login password (Enter to use a generated access token instead)');
+  }
+
   rl.close();
 
   // Build config
@@ -580,13 +511,19 @@ async function runSetup() {
   // Deduplicate
   const cfg = {
     port,
+    provider,
     ollama_url: ollamaUrl,
+    ...(provider === 'openai' ? { openai_url: openaiUrl, ...(openaiKey ? { openai_api_key: openaiKey } : {}) } : {}),
     model,
     has_openclaw: hasOpenclaw,
     openclaw_dir: openclawDir,
     os,
     read_paths: [...new Set(readPaths)],
     write_paths: [...new Set(writePaths)],
+    deny_paths: DEFAULTS.deny_paths,
+    tool_calling: DEFAULTS.tool_calling,
+    bind_address: bindAddress,
+    ...(password ? { auth: { password_hash: hashSecret(password) } } : {}),
   };
 
   writeFileSync(CONFIG_PATH, JSON.stringify(cfg, null, 2) + '\n', 'utf-8');
@@ -604,46 +541,54 @@ async function boot() {
 const config = await runSetup();
 
 const app = express();
-const PORT = process.env.PORT || config.port || 3333;
-const OLLAMA_URL = process.env.OLLAMA_URL || config.ollama_url || 'http://localhost:11434';
-const MODEL = process.env.DOCTORCLAW_MODEL || config.model || 'glm-4.7:cloud';
-const HAS_OPENCLAW = config.has_openclaw !== false && !!config.openclaw_dir;
-const OPENCLAW_DIR = config.openclaw_dir || '';
-const OS_TYPE = config.os || 'linux';
-const BACKUP_DIR = join(__dirname, '.doctorclaw-backups');
 
-// ── Safety ──────────────────────────────────────────────────────────────────
+/**
+ * Settings that can change while DoctorClaw runs. Environment variables win
+ * over the config file, at startup and on every reload.
+ * @param {object} cfg - Parsed doctorclaw.config.json
+ */
+function runtimeSettings(cfg) {
+  return {
+    port: parseInt(process.env.PORT || cfg.port, 10) || DEFAULTS.port,
+    bindAddress: process.env.BIND_ADDRESS || cfg.bind_address || DEFAULTS.bind_address,
+    ollamaUrl: process.env.OLLAMA_URL || cfg.ollama_url || DEFAULT_PROVIDER_URLS.ollama,
+    provider: providerOptions(cfg),
+    model: process.env.DOCTORCLAW_MODEL || cfg.model || DEFAULTS.model,
+  };
+}
 
-const BLOCKED_COMMANDS = [
-  /rm\s+(-[a-zA-Z]*f|-[a-zA-Z]*r|--force|--recursive).*\//i,
-  /rm\s+-rf\s/i,
-  /mkfs/i,
-  /dd\s+if=/i,
-  /chmod\s+(-R\s+)?777\s+\//i,
-  /chown\s+-R\s+.*\s+\//i,
-  />\s*\/dev\/sd/i,
-  /:(){ :\|:& };:/,
-  /shutdown/i,
-  /reboot/i,
-  /init\s+[06]/i,
-  /systemctl\s+(poweroff|halt|reboot)/i,
-  /wipefs/i,
-  /fdisk/i,
-  /parted/i,
-  /\bformat\b.*\/(dev|disk)/i,
-  /curl.*\|\s*(bash|sh|zsh)/i,
-  /wget.*\|\s*(bash|sh|zsh)/i,
-  /python.*-c.*import\s+os.*system/i,
-  /iptables\s+-F/i,
-  /ufw\s+disable/i,
-  /passwd\s+root/i,
-  /userdel/i,
-  /groupdel/i,
-  /mv\s+\/etc/i,
-  /rm\s+\/etc/i,
-  /truncate.*\/etc/i,
-  /echo\s+.*>\s*\/etc\/(passwd|shadow|sudoers|fstab)/i,
-];
+const initial = runtimeSettings(config);
+let PORT = initial.port;
+let BIND_ADDRESS = initial.bindAddress;
+let OLLAMA_URL = initial.ollamaUrl;
+let PROVIDER_OPTIONS = initial.provider;
+let PROVIDER = createProvider(PROVIDER_OPTIONS);
+let MODEL = initial.model;
+let HAS_OPENCLAW = config.has_openclaw !== false && !!config.openclaw_dir;
+let OPENCLAW_DIR = config.openclaw_dir || '';
+let OS_TYPE = config.os || 'linux';
+
+// ── Access token ─────────────────────────────────────────────────────────────
+
+let AUTH = config.auth || {};
+const AUTH_ENABLED = AUTH.enabled !== false;
+// Shown once at startup when a new token is generated
+let newAccessToken = null;
+
+// CLI mode opens no port, so a token would never be shown; the next web start creates it
+if (AUTH_ENABLED && !CLI_MODE && (FLAG_RESET_TOKEN || (!AUTH.token_hash && !AUTH.password_hash))) {
+  newAccessToken = generateToken();
+  AUTH = { ...AUTH, token_hash: hashSecret(newAccessToken) };
+  let current = {};
+  try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
+  current.auth = AUTH;
+  writeFileSync(CONFIG_PATH, JSON.stringify(current, null, 2) + '\n', 'utf-8');
+}
+if (!AUTH_ENABLED && !CLI_MODE && !isLoopback(BIND_ADDRESS)) {
+  console.warn(`  ⚠  Authentication is disabled and DoctorClaw listens on ${BIND_ADDRESS}. Anyone who can reach it can run commands.`);
+}
+
+// ── Safety ──────────────────────────────────────────────────────────────────
 
 const DEFAULT_READ_PATHS = [
   '/etc/', '/var/log/', '/var/lib/', '/tmp/',
@@ -660,34 +605,111 @@ const DEFAULT_WRITE_PATHS = [
 let SAFE_READ_PATHS = config.read_paths || [...DEFAULT_READ_PATHS, OPENCLAW_DIR];
 let SAFE_WRITE_PATHS = config.write_paths || [...DEFAULT_WRITE_PATHS, process.cwd(), OPENCLAW_DIR];
 
-function isCommandBlocked(cmd) {
-  return BLOCKED_COMMANDS.some(pattern => pattern.test(cmd));
+let DENY_PATHS = config.deny_paths || DEFAULT_DENY_PATHS;
+
+/**
+ * Evaluate a file path against the read or write policy.
+ * @param {string} filepath
+ * @param {'read'|'write'} access
+ * @returns {{ allowed: boolean, path: string, reason?: string }} `path` is the canonical path to operate on
+ */
+function checkPath(filepath, access) {
+  const allow = access === 'write' ? SAFE_WRITE_PATHS : SAFE_READ_PATHS;
+  return evaluatePath(filepath, { allow, deny: DENY_PATHS, label: access });
+}
+
+let COMMAND_POLICY = { ...DEFAULT_COMMAND_POLICY, ...(config.command_policy || {}) };
+
+/**
+ * Run a shell command line through the command policy. Output redirections
+ * are held to the same rules as WRITE_FILE.
+ * @param {string} cmd
+ * @returns {{ decision: 'allow'|'confirm'|'deny', reasons: string[], commands: object[] }}
+ */
+function checkCommand(cmd) {
+  return analyzeCommand(cmd, { policy: COMMAND_POLICY, checkWrite: p => checkPath(p, 'write') });
 }
 
-function isPathReadable(filepath) {
-  return SAFE_READ_PATHS.some(p => filepath.startsWith(p));
+// Shared by RUN_CMD and RUN_SCRIPT: null when the command may run, otherwise the refusal
+function commandRefusal(cmd, label, confirmed) {
+  const verdict = checkCommand(cmd);
+  if (verdict.decision === 'deny') {
+    return { success: false, result: `Blocked: ${label} was refused by the command policy:\n- ${verdict.reasons.join('\n- ')}` };
+  }
+  if (verdict.decision === 'confirm' && !confirmed) {
+    return { success: false, needs_confirmation: true, result: `Needs confirmation: ${label} requires explicit approval:\n- ${verdict.reasons.join('\n- ')}` };
+  }
+  return null;
 }
 
-function isPathWritable(filepath) {
-  return SAFE_WRITE_PATHS.some(p => filepath.startsWith(p));
+let ACTION_LIMITS = normalizeActionLimits(config.action_limits);
+// Largest file READ_FILE returns whole, and the most TAIL_FILE and SEARCH_FILE return
+let MAX_READ_KB = normalizeMaxReadKb(config.max_read_kb);
+// Limits of dry runs (see sandbox.mjs)
+let SANDBOX = normalizeSandbox(config.sandbox);
+
+/**
+ * Auto-approval settings from the config; invalid rules are skipped with a warning.
+ * @param {object} [value] - config.auto_approve
+ */
+function loadAutoApprove(value) {
+  const { settings, errors } = normalizeAutoApprove(value);
+  for (const error of errors) console.warn(`  ⚠  Ignoring auto-approval rule ${error}`);
+  return settings;
 }
 
+let AUTO_APPROVE = loadAutoApprove(config.auto_approve);
+
+let BACKUP_RETENTION = { ...DEFAULT_RETENTION, ...(config.backup_retention || {}) };
+
 function backupFile(filepath) {
-  if (!existsSync(filepath)) return null;
-  if (!existsSync(BACKUP_DIR)) mkdirSync(BACKUP_DIR, { recursive: true });
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupName = filepath.replace(/\//g, '__') + `.${timestamp}.bak`;
-  const backupPath = join(BACKUP_DIR, backupName);
-  copyFileSync(filepath, backupPath);
-  return backupPath;
+  const backup = createBackup(filepath);
+  if (backup) pruneBackups(BACKUP_RETENTION, filepath);
+  return backup;
+}
+
+try {
+  const pruned = pruneBackups(BACKUP_RETENTION);
+  if (pruned.length) console.log(`  Pruned ${pruned.length} expired backup(s).`);
+} catch (err) {
+  console.warn(`  ⚠  Could not prune backups: ${err.message}`);
+}
+
+// ── Plugins ─────────────────────────────────────────────────────────────────
+// Extra action types from plugins/*.mjs; see plugins.mjs for the format
+
+const { plugins: PLUGINS, errors: pluginErrors } = await loadPlugins();
+if (PLUGINS.size) console.log(`  Plugins: ${[...PLUGINS.keys()].join(', ')}`);
+for (const { file, error } of pluginErrors) console.warn(`  ⚠  Skipped plugin ${file}: ${error}`);
+
+/**
+ * What a plugin's check and execute get to work with. Commands go through the
+ * command policy and the RUN_CMD limits, and files through the path policy.
+ * @param {object} [options] - executeAction options
+ */
+function pluginContext(options = {}) {
+  return {
+    os: OS_TYPE,
+    checkPath,
+    checkCommand,
+    runCommand: async (cmd, { cwd } = {}) => {
+      const refusal = commandRefusal(cmd, `"${cmd}"`, options.confirmed);
+      return refusal || runLimited('RUN_CMD', cmd, cwd, options);
+    },
+    signal: options.signal,
+    onOutput: options.onOutput,
+  };
 }
 
 // ── Middleware ───────────────────────────────────────────────────────────────
 
-app.use(express.json({ limit: '5mb' }));
+// Sessions carry full action output, so allow larger bodies than a chat turn needs
+app.use(express.json({ limit: '25mb' }));
 const staticPath = join(__dirname, 'public');
 console.log(`  Static files: ${staticPath}`);
 app.use(express.static(staticPath));
+// The browser imports the action result messages from the same module the terminal uses
+app.get('/actions.mjs', (_req, res) => res.sendFile(join(__dirname, 'actions.mjs')));
 
 // Fallback if index.html is missing
 app.get('/', (_req, res) => {
@@ -703,6 +725,213 @@ app.get('/', (_req, res) => {
   }
 });
 
+// ── Auth ────────────────────────────────────────────────────────────────────
+// Every /api route needs either a session cookie (browser) or the access token
+// as a bearer token (scripts). Cookie-authenticated requests that change state
+// must also send the session's CSRF token in the X-CSRF-Token header.
+
+const authSessions = createAuthSessions();
+const PUBLIC_API_ROUTES = new Set(['/auth/status', '/auth/login', '/auth/logout']);
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+function sessionFor(req) {
+  return authSessions.get(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+}
+
+function setSessionCookie(req, res, session) {
+  const maxAge = Math.floor((session.expires - Date.now()) / 1000);
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${session.id}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAge}${req.secure ? '; Secure' : ''}`);
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+}
+
+function saveAuth() {
+  let current = {};
+  try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
+  current.auth = AUTH;
+  saveConfigFile(current);
+}
+
+function tooManyAttempts(res, wait) {
+  res.setHeader('Retry-After', String(wait));
+  return res.status(429).json({ error: `Too many failed attempts. Try again in ${Math.ceil(wait / 60)} minute(s).` });
+}
+
+app.use('/api', async (req, res, next) => {
+  if (!AUTH_ENABLED || PUBLIC_API_ROUTES.has(req.path)) return next();
+  const token = bearerToken(req);
+  if (token) {
+    // Bearer guesses share the sign-in lockout
+    const { ok, wait } = await authSessions.attempt(req.socket.remoteAddress || '', () => authSessions.checkBearer(token, AUTH.token_hash));
+    if (ok) return next();
+    if (wait) return tooManyAttempts(res, wait);
+    return res.status(401).json({ error: 'Invalid access token' });
+  }
+  const session = sessionFor(req);
+  if (!session) return res.status(401).json({ error: 'Authentication required' });
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && req.get(CSRF_HEADER) !== session.csrf) {
+    return res.status(403).json({ error: 'Missing or invalid CSRF token' });
+  }
+  next();
+});
+
+app.get('/api/auth/status', (req, res) => {
+  const session = AUTH_ENABLED ? sessionFor(req) : null;
+  res.json({
+    enabled: AUTH_ENABLED,
+    authenticated: !AUTH_ENABLED || !!session,
+    csrf_token: session?.csrf || null,
+    password_set: !!AUTH.password_hash,
+  });
+});
+
+// Accepts either the password or the access token
+app.post('/api/auth/login', async (req, res) => {
+  if (!AUTH_ENABLED) return res.json({ success: true });
+  const secret = req.body?.secret;
+  const { ok, wait } = await authSessions.attempt(req.socket.remoteAddress || '', async () =>
+    (await verifySecret(secret, AUTH.password_hash)) || (await authSessions.checkBearer(secret, AUTH.token_hash)));
+  if (wait) return tooManyAttempts(res, wait);
+  if (!ok) return res.status(401).json({ error: 'Wrong password or token' });
+  const session = authSessions.create();
+  setSessionCookie(req, res, session);
+  res.json({ success: true, csrf_token: session.csrf });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const session = sessionFor(req);
+  if (session) authSessions.destroy(session.id);
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// Changing the password signs out every other browser; the access token keeps working
+app.post('/api/auth/password', async (req, res) => {
+  const { current, password } = req.body || {};
+  if (AUTH.password_hash && !(await verifySecret(current, AUTH.password_hash))) {
+    return res.status(403).json({ error: 'Current password is wrong' });
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({ error: 'The new password must be at least 8 characters' });
+  }
+  AUTH = { ...AUTH, password_hash: hashSecret(password) };
+  try {
+    saveAuth();
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to save password: ' + err.message });
+  }
+  authSessions.clear();
+  const session = authSessions.create();
+  setSessionCookie(req, res, session);
+  res.json({ success: true, csrf_token: session.csrf });
+});
+
+// ── Live config ─────────────────────────────────────────────────────────────
+// Settings saved from the UI or edited in doctorclaw.config.json take effect
+// without a restart. A new provider or model is only accepted once the server
+// answers and lists the model; a new port or address is bound before the old
+// listener is let go.
+
+// Text of the config file as last written or applied here, so the file watcher skips our own writes
+let lastConfigText = null;
+try { lastConfigText = readFileSync(CONFIG_PATH, 'utf-8'); } catch {}
+
+function saveConfigFile(cfg) {
+  const text = JSON.stringify(cfg, null, 2) + '\n';
+  writeFileSync(CONFIG_PATH, text, 'utf-8');
+  lastConfigText = text;
+}
+
+const PROVIDER_CHECK_TIMEOUT_MS = 5000;
+
+// Model names match with or without Ollama's implicit ":latest" tag
+function hasModel(models, model) {
+  return models.some(m => m === model || m === `${model}:latest` || `${m}:latest` === model);
+}
+
+/**
+ * Check that a provider answers and serves a model.
+ * @returns {Promise<string|null>} Why the pair cannot be used, or null if it can
+ */
+async function checkModel(provider, model) {
+  let models;
+  try {
+    models = await provider.listModels({ signal: AbortSignal.timeout(PROVIDER_CHECK_TIMEOUT_MS) });
+  } catch (err) {
+    const reason = err instanceof ProviderError ? err.message : err.cause?.message || err.message;
+    return `Cannot reach ${provider.label} at ${provider.url} (${reason}).`;
+  }
+  if (!model) return 'No model is configured.';
+  if (!hasModel(models, model)) {
+    return `Model "${model}" is not available from ${provider.label} at ${provider.url}. Available: ${models.join(', ') || '(none)'}.`;
+  }
+  return null;
+}
+
+let applyQueue = Promise.resolve();
+
+/**
+ * Apply a config object to the running server. Nothing is changed when the
+ * new provider/model fails validation or the new port cannot be bound.
+ * Calls are serialized so a UI save and a file edit cannot interleave.
+ * @param {object} cfg - Parsed doctorclaw.config.json
+ * @returns {Promise<{ ok: boolean, error?: string, rebound?: boolean }>}
+ */
+function applyConfig(cfg) {
+  const run = applyQueue.then(() => applyConfigNow(cfg));
+  applyQueue = run.catch(() => {});
+  return run;
+}
+
+async function applyConfigNow(cfg) {
+  const next = runtimeSettings(cfg);
+
+  let provider = PROVIDER;
+  const providerChanged = JSON.stringify(next.provider) !== JSON.stringify(PROVIDER_OPTIONS);
+  if (providerChanged || next.model !== MODEL) {
+    provider = providerChanged ? createProvider(next.provider) : PROVIDER;
+    const problem = await checkModel(provider, next.model);
+    if (problem) return { ok: false, error: problem };
+  }
+
+  let rebound = false;
+  if (next.port !== PORT || next.bindAddress !== BIND_ADDRESS) {
+    try {
+      await rebind(next.port, next.bindAddress);
+      rebound = true;
+    } catch (err) {
+      return { ok: false, error: `Cannot listen on ${next.bindAddress}:${next.port} (${err.code || err.message}).` };
+    }
+  }
+
+  PROVIDER_OPTIONS = next.provider;
+  PROVIDER = provider;
+  MODEL = next.model;
+  OLLAMA_URL = next.ollamaUrl;
+  HAS_OPENCLAW = cfg.has_openclaw !== false && !!cfg.openclaw_dir;
+  OPENCLAW_DIR = cfg.openclaw_dir || '';
+  OS_TYPE = cfg.os || 'linux';
+  if (cfg.read_paths) SAFE_READ_PATHS = cfg.read_paths;
+  if (cfg.write_paths) SAFE_WRITE_PATHS = cfg.write_paths;
+  if (cfg.deny_paths) DENY_PATHS = cfg.deny_paths;
+  if (cfg.backup_retention) BACKUP_RETENTION = { ...DEFAULT_RETENTION, ...cfg.backup_retention };
+  COMMAND_POLICY = { ...DEFAULT_COMMAND_POLICY, ...(cfg.command_policy || {}) };
+  if (TOOL_CALLING_MODES.includes(cfg.tool_calling)) TOOL_CALLING = cfg.tool_calling;
+  ACTION_LIMITS = normalizeActionLimits(cfg.action_limits);
+  MAX_READ_KB = normalizeMaxReadKb(cfg.max_read_kb);
+  SANDBOX = normalizeSandbox(cfg.sandbox);
+  AUTO_APPROVE = loadAutoApprove(cfg.auto_approve);
+  if (cfg.max_concurrent_jobs) jobs.setConcurrency(cfg.max_concurrent_jobs);
+  CONTEXT_WINDOW = normalizeContextWindow(cfg.context_window);
+  return { ok: true, rebound };
+}
+
 // ── Config API ──────────────────────────────────────────────────────────────
 
 app.get('/api/config', (_req, res) => {
@@ -710,20 +939,34 @@ app.get('/api/config', (_req, res) => {
   try { current = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')); } catch {}
   res.json({
     port: PORT,
+    bind_address: BIND_ADDRESS,
+    provider: PROVIDER.type,
     ollama_url: OLLAMA_URL,
+    openai_url: current.openai_url || DEFAULT_PROVIDER_URLS.openai,
+    openai_api_key: current.openai_api_key || '',
     model: MODEL,
     has_openclaw: HAS_OPENCLAW,
     openclaw_dir: OPENCLAW_DIR,
     os: OS_TYPE,
     read_paths: SAFE_READ_PATHS,
     write_paths: SAFE_WRITE_PATHS,
+    deny_paths: DENY_PATHS,
+    backup_retention: BACKUP_RETENTION,
+    command_policy: COMMAND_POLICY,
+    tool_calling: TOOL_CALLING,
+    action_limits: ACTION_LIMITS,
+    max_concurrent_jobs: jobs.stats().concurrency,
+    context_window: CONTEXT_WINDOW,
+    max_read_kb: MAX_READ_KB,
+    auto_approve: AUTO_APPROVE,
+    sandbox: SANDBOX,
     audio_enabled: !!current.audio_enabled,
     elevenlabs_api_key: current.elevenlabs_api_key || '',
     elevenlabs_voice_id: current.elevenlabs_voice_id || '',
   });
 });
 
-app.post('/api/config', (req, res) => {
+app.post('/api/config', async (req, res) => {
   const updates = req.body;
   try {
     let current = {};
@@ -731,27 +974,55 @@ app.post('/api/config', (req, res) => {
 
     if (updates.has_openclaw !== undefined) current.has_openclaw = !!updates.has_openclaw;
     if (updates.openclaw_dir !== undefined) current.openclaw_dir = updates.openclaw_dir;
+    if (PROVIDER_TYPES.includes(updates.provider)) current.provider = updates.provider;
     if (updates.ollama_url !== undefined) current.ollama_url = updates.ollama_url;
+    if (updates.openai_url !== undefined) current.openai_url = updates.openai_url;
+    if (updates.openai_api_key !== undefined) current.openai_api_key = updates.openai_api_key;
     if (updates.model !== undefined) current.model = updates.model;
-    if (updates.port !== undefined) current.port = parseInt(updates.port, 10);
+    if (updates.port !== undefined && parseInt(updates.port, 10) > 0) current.port = parseInt(updates.port, 10);
+    if (updates.bind_address !== undefined) current.bind_address = String(updates.bind_address).trim() || DEFAULTS.bind_address;
     if (updates.os !== undefined) current.os = updates.os;
     if (updates.read_paths !== undefined) current.read_paths = updates.read_paths;
     if (updates.write_paths !== undefined) current.write_paths = updates.write_paths;
+    if (updates.deny_paths !== undefined) current.deny_paths = updates.deny_paths;
+    if (updates.backup_retention !== undefined) {
+      current.backup_retention = {
+        max_age_days: Math.max(0, parseInt(updates.backup_retention.max_age_days, 10) || 0),
+        max_per_file: Math.max(0, parseInt(updates.backup_retention.max_per_file, 10) || 0),
+      };
+    }
+    if (updates.command_policy !== undefined) {
+      const mode = updates.command_policy.mode === 'allowlist' ? 'allowlist' : 'denylist';
+      current.command_policy = { ...(current.command_policy || {}), ...updates.command_policy, mode };
+    }
+    if (updates.max_concurrent_jobs !== undefined) current.max_concurrent_jobs = Math.max(1, parseInt(updates.max_concurrent_jobs, 10) || DEFAULT_CONCURRENCY);
+    if (updates.context_window !== undefined) current.context_window = normalizeContextWindow(updates.context_window);
+    if (updates.auto_approve !== undefined) {
+      try {
+        current.auto_approve = { enabled: updates.auto_approve.enabled !== false, rules: validateRules(updates.auto_approve.rules ?? []) };
+      } catch (err) {
+        if (err instanceof ApprovalRuleError) return res.json({ success: false, message: 'Not saved: invalid auto-approval rule ' + err.message });
+        throw err;
+      }
+    }
+    if (updates.max_read_kb !== undefined) current.max_read_kb = normalizeMaxReadKb(updates.max_read_kb);
+    if (updates.sandbox !== undefined) current.sandbox = normalizeSandbox(updates.sandbox);
+    if (updates.action_limits !== undefined) current.action_limits = normalizeActionLimits(updates.action_limits);
+    if (TOOL_CALLING_MODES.includes(updates.tool_calling)) current.tool_calling = updates.tool_calling;
     if (updates.audio_enabled !== undefined) current.audio_enabled = !!updates.audio_enabled;
     if (updates.elevenlabs_api_key !== undefined) current.elevenlabs_api_key = updates.elevenlabs_api_key;
     if (updates.elevenlabs_voice_id !== undefined) current.elevenlabs_voice_id = updates.elevenlabs_voice_id;
 
-    writeFileSync(CONFIG_PATH, JSON.stringify(current, null, 2) + '\n', 'utf-8');
-
-    // Hot-reload paths so restart isn't needed for path changes
-    if (updates.read_paths) SAFE_READ_PATHS = updates.read_paths;
-    if (updates.write_paths) SAFE_WRITE_PATHS = updates.write_paths;
+    // Validate and apply first, so a rejected change is never written to disk
+    const result = await applyConfig(current);
+    if (!result.ok) return res.json({ success: false, message: 'Not saved: ' + result.error });
+    saveConfigFile(current);
 
-    const needsRestart = updates.port || updates.ollama_url || updates.model;
-    const msg = needsRestart
-      ? 'Config saved. Restart DoctorClaw for port/model/URL changes to take effect.'
-      : 'Config saved. Path changes are active immediately.';
-    res.json({ success: true, message: msg });
+    res.json({
+      success: true,
+      message: result.rebound ? `Config saved. Now listening on port ${PORT}.` : 'Config saved. Changes are active now.',
+      port: PORT,
+    });
   } catch (err) {
     res.json({ success: false, message: 'Failed to save config: ' + err.message });
   }
@@ -763,20 +1034,115 @@ app.get('/api/version', (_req, res) => {
   res.json({ version: getVersion() });
 });
 
-// ── Ollama health check ─────────────────────────────────────────────────────
+// ── Sessions API ────────────────────────────────────────────────────────────
+
+app.get('/api/sessions', (_req, res) => {
+  try {
+    res.json({ sessions: listSessions() });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load sessions: ' + err.message });
+  }
+});
+
+app.get('/api/sessions/:id', (req, res) => {
+  if (!isValidSessionId(req.params.id)) return res.status(400).json({ error: 'Invalid session id' });
+  try {
+    const session = getSession(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    res.json(session);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load session: ' + err.message });
+  }
+});
+
+app.put('/api/sessions/:id', (req, res) => {
+  if (!isValidSessionId(req.params.id)) return res.status(400).json({ error: 'Invalid session id' });
+  try {
+    const stored = saveSession({ ...req.body, id: req.params.id });
+    res.json({ success: true, updatedAt: stored.updatedAt });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save session: ' + err.message });
+  }
+});
+
+// The session's own auto-approval rules, next to the global ones. They are stored with the
+// session but can only be changed here: saving or importing a session keeps the stored rules.
+app.get('/api/sessions/:id/auto-approve', (req, res) => {
+  if (!isValidSessionId(req.params.id)) return res.status(400).json({ error: 'Invalid session id' });
+  try {
+    const session = getSession(req.params.id);
+    res.json({ enabled: AUTO_APPROVE.enabled, global: AUTO_APPROVE.rules, session: session?.auto_approve_rules || [] });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load session: ' + err.message });
+  }
+});
+
+app.put('/api/sessions/:id/auto-approve', (req, res) => {
+  if (!isValidSessionId(req.params.id)) return res.status(400).json({ error: 'Invalid session id' });
+  let rules;
+  try {
+    rules = validateRules(req.body.rules ?? []);
+  } catch (err) {
+    if (err instanceof ApprovalRuleError) return res.status(400).json({ error: `Invalid rule ${err.message}` });
+    throw err;
+  }
+  try {
+    const session = getSession(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    saveSession({ ...session, auto_approve_rules: rules }, { serverFields: true });
+    res.json({ success: true, rules });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save session: ' + err.message });
+  }
+});
+
+// Incident report (markdown, html) or a JSON bundle that /api/sessions/import turns back into a tab
+app.get('/api/sessions/:id/export', (req, res) => {
+  if (!isValidSessionId(req.params.id)) return res.status(400).json({ error: 'Invalid session id' });
+  const format = req.query.format || 'markdown';
+  if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `Unknown format "${format}" (expected ${EXPORT_FORMATS.join(', ')})` });
+  try {
+    const session = getSession(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const file = exportSession(session, format, { audit: queryAudit({ session_id: session.id }) });
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to export session: ' + err.message });
+  }
+});
+
+app.post('/api/sessions/import', (req, res) => {
+  try {
+    res.json({ success: true, session: saveSession(importSession(req.body)) });
+  } catch (err) {
+    if (err instanceof SessionImportError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to import session: ' + err.message });
+  }
+});
+
+app.delete('/api/sessions/:id', (req, res) => {
+  if (!isValidSessionId(req.params.id)) return res.status(400).json({ error: 'Invalid session id' });
+  try {
+    res.json({ success: deleteSession(req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete session: ' + err.message });
+  }
+});
+
+// ── LLM health check ────────────────────────────────────────────────────────
 
 app.get('/api/health', async (_req, res) => {
   try {
-    const resp = await fetch(`${OLLAMA_URL}/api/tags`);
-    if (resp.ok) {
-      const data = await resp.json();
-      const models = (data.models || []).map(m => m.name);
-      res.json({ status: 'ok', models, configured_model: MODEL });
-    } else {
-      res.json({ status: 'error', message: 'Ollama responded with an error' });
-    }
-  } catch {
-    res.json({ status: 'error', message: 'Cannot reach Ollama at ' + OLLAMA_URL });
+    const models = await PROVIDER.listModels();
+    res.json({ status: 'ok', provider: PROVIDER.type, models, configured_model: MODEL });
+  } catch (err) {
+    res.json({
+      status: 'error',
+      provider: PROVIDER.type,
+      message: err instanceof ProviderError ? `${PROVIDER.label} responded with an error` : `Cannot reach ${PROVIDER.label} at ${PROVIDER.url}`,
+    });
   }
 });
 
@@ -872,11 +1238,48 @@ app.post('/api/stt', async (req, res) => {
 
 // ── Chat (streaming) ────────────────────────────────────────────────────────
 
-function buildSystemPrompt() {
+// auto: try native tools first and fall back to text tags for models that reject them
+let TOOL_CALLING = TOOL_CALLING_MODES.includes(config.tool_calling) ? config.tool_calling : 'auto';
+// What auto mode learned about each provider and model, so the failed tools attempt is not repeated every turn
+const toolSupport = new Map();
+// Tokens a request may use; sessions can override it with num_ctx
+let CONTEXT_WINDOW = normalizeContextWindow(config.context_window);
+// Full text of action results that were shortened for the model, for EXPAND_OUTPUT
+const outputs = createOutputStore();
+
+/**
+ * @param {'native'|'text'} toolMode - How the model requests actions
+ * @param {string} [caseNotes] - Summary of the turns that are no longer sent
+ */
+function buildSystemPrompt(toolMode = 'text', caseNotes = '') {
   const openclawContext = HAS_OPENCLAW
     ? `Your job is to help the user fix problems on their system — especially issues related to OpenClaw configuration and services, but also general Linux system issues.`
     : `Your job is to help the user fix problems on their system — general Linux system diagnostics and troubleshooting.`;
   const openclawEnv = HAS_OPENCLAW ? `\n- OpenClaw directory: ${OPENCLAW_DIR}` : '';
+  const toolNames = actionTools().map(tool => tool.function.name);
+  const actionRuleNative = `When you need to perform an action, call the matching tool: ${toolNames.slice(0, -1).join(', ')} or ${toolNames.at(-1)}. Do not describe actions as text tags.`;
+  const pluginTags = [...PLUGINS.values()].map(p => `\n   [ACTION:${p.type}:${p.example ?? `${p.target} here`}[/ACTION]`).join('');
+  const actionRuleText = `When you need to perform an action, output it in EXACTLY this format on its own line:
+   [ACTION:READ_FILE:/path/to/file[/ACTION]
+   [ACTION:READ_FILE:/path/to/file:41-140[/ACTION]
+   [ACTION:LIST_DIR:/path/to/directory[/ACTION]
+   [ACTION:TAIL_FILE:/var/log/syslog:200[/ACTION]
+   [ACTION:SEARCH_FILE:/var/log/syslog:-i -C 3 -m 20 -- timeout|refused[/ACTION]
+   [ACTION:RUN_CMD:command here[/ACTION]
+   [ACTION:RUN_SCRIPT:/path/to/script.sh[/ACTION]
+   [ACTION:RUN_SCRIPT:/path/to/script.sh:arg1 arg2[/ACTION]
+   [ACTION:WRITE_FILE:/path/to/file:content here[/ACTION]
+   [ACTION:PLAN:Plan title:[{"type":"WRITE_FILE","target":"/path/to/file","content":"new content","reason":"why"},{"type":"RUN_CMD","target":"command here","reason":"why"}][/ACTION]
+   [ACTION:EXPAND_OUTPUT:out_1a2b3c4d5e6f:41-140[/ACTION]${HAS_OPENCLAW ? '\n   [ACTION:OPENCLAW_STATUS:all[/ACTION]' : ''}${pluginTags}`;
+  const openclawRule = HAS_OPENCLAW
+    ? `\n20. To check on OpenClaw, request OPENCLAW_STATUS first (section all, config, gateway or logs): it validates the config files, reports whether the gateway process runs and listens, and sorts recent log errors by kind. It runs without asking the user. Read individual files afterwards for details.`
+    : '';
+  const pluginDocs = PLUGINS.size
+    ? `\n\nEXTRA ACTIONS (added by plugins on this installation):\n${[...PLUGINS.values()].map(p => `- ${p.type}${toolMode === 'native' ? ` (tool ${p.tool})` : ''}: ${p.description}${p.content && toolMode !== 'native' ? ` Tag body: ${p.target}:${p.content}.` : ''}${p.prompt ? ` ${p.prompt}` : ''}${p.auto ? ' It usually runs without asking the user.' : ' The user must approve it.'}`).join('\n')}`
+    : '';
+  const notes = caseNotes
+    ? `\n\nCASE NOTES (summary of the earlier part of this conversation, which is no longer shown):\n${caseNotes}`
+    : '';
   return `You are DoctorClaw, an expert system diagnostics and troubleshooting assistant. ${openclawContext}
 
 ENVIRONMENT:
@@ -885,21 +1288,19 @@ ENVIRONMENT:
 - Config file location: ${CONFIG_PATH}
 - Readable paths: ${SAFE_READ_PATHS.join(', ')}
 - Writable paths: ${SAFE_WRITE_PATHS.join(', ')}
+- Denied paths (never readable or writable, even inside the paths above): ${DENY_PATHS.join(', ')}
+- Paths are checked after resolving symlinks and "..", so a link inside an allowed directory cannot reach a file outside it.
+- Commands are parsed and checked by a command policy (${COMMAND_POLICY.mode === 'allowlist' ? 'allowlist-only: commands not on the allowlist are refused' : 'destructive commands are refused'}). Some commands (service restarts, killing processes, package changes) need an extra confirmation from the user. Output redirections (>) must target writable paths.
 - The user can add more paths by editing doctorclaw.config.json (read_paths and write_paths arrays).
-- IMPORTANT: There is a Settings panel in the DoctorClaw UI — the user can click the gear icon (⚙) in the top-right header to open it. The Settings panel lets the user configure: Ollama URL, model, port, OpenClaw directory, and all readable/writable paths. All changes are saved to doctorclaw.config.json automatically. Path changes take effect immediately without a restart. If a user asks how to configure paths or settings, ALWAYS direct them to the Settings panel (gear icon) first — do NOT tell them to manually edit the JSON file.
+- IMPORTANT: There is a Settings panel in the DoctorClaw UI — the user can click the gear icon (⚙) in the top-right header to open it. The Settings panel lets the user configure: LLM provider and URL, model, port, OpenClaw directory, and all readable/writable paths. All changes are saved to doctorclaw.config.json automatically and take effect immediately without a restart. If a user asks how to configure paths or settings, ALWAYS direct them to the Settings panel (gear icon) first — do NOT tell them to manually edit the JSON file.
 
 RULES:
 1. You can REQUEST actions (reading files, running commands, writing files) but you CANNOT execute them yourself. The user must approve each action.
-2. When you need to perform an action, output it in EXACTLY this format on its own line:
-   [ACTION:READ_FILE:/path/to/file[/ACTION]
-   [ACTION:RUN_CMD:command here[/ACTION]
-   [ACTION:RUN_SCRIPT:/path/to/script.sh[/ACTION]
-   [ACTION:RUN_SCRIPT:/path/to/script.sh:arg1 arg2[/ACTION]
-   [ACTION:WRITE_FILE:/path/to/file:content here[/ACTION]
+2. ${toolMode === 'native' ? actionRuleNative : actionRuleText}
 3. ALWAYS use absolute paths (starting with / on linux/mac, or drive letter on windows). Never use relative paths.
 4. RUN_SCRIPT can execute .sh, .bash, .bat, .cmd, and .ps1 scripts from any readable directory. The correct shell is chosen automatically based on the file extension and configured OS. Use RUN_SCRIPT instead of RUN_CMD when executing existing scripts.
 5. Use commands and paths appropriate for the configured operating system (${OS_TYPE}). For example, use ls on linux/mac and dir on windows.
-6. Only request ONE action at a time. Wait for the result before requesting the next.
+6. Only request ONE action at a time. Wait for the result before requesting the next. The exception is a fix that needs several dependent steps (e.g. edit a config, check its syntax, reload the service): propose them together as one treatment plan (${toolMode === 'native' ? 'the propose_plan tool' : 'a PLAN tag whose body is the title, a colon and a JSON list of steps'}), each step with its type, target, content where needed and the reason for it. The user approves the plan once, its steps run in order and stop at the first failure, and you get all results together, with the steps as the user approved them (they may edit or drop some). WRITE_FILE steps back up the file themselves. Use plans for treatment, not for gathering information.
 7. NEVER suggest actions that could damage the system — no destructive commands, no formatting disks, no deleting critical system files.
 8. Always explain WHY you want to perform each action before requesting it.
 9. When proposing a fix that writes to a file, show the user what you plan to write and explain the change.
@@ -907,151 +1308,415 @@ RULES:
 11. If you are unsure, ask clarifying questions before taking action.
 12. When you have enough information, provide a clear diagnosis and treatment plan.
 13. If an action FAILS or is DENIED, explain to the user what went wrong in plain language, suggest an alternative approach, and continue troubleshooting. Do NOT stop or get stuck — always keep the conversation moving forward.
-14. If a path is denied due to access restrictions, tell the user which paths are currently writable, and let them know they can add more paths by clicking the gear icon (⚙) in the top-right corner to open Settings.
-15. Only write to paths listed in the writable paths above. If you need to write somewhere else, tell the user to add it to the config first.
-16. If the user sends a casual greeting (like "hi", "hello", "hey", etc.) or a non-technical message, respond warmly and briefly. Introduce yourself as DoctorClaw, a system diagnostics assistant, and ask how you can help. Do NOT ignore greetings or return an empty response.`;
+14. If a command is blocked by the command policy, the result lists the reasons. Explain them and propose a safer, read-only alternative — never try to disguise the same command (quoting tricks, bash -c, eval, $(...)); disguised commands are detected and refused.
+15. If a path is denied due to access restrictions, tell the user which paths are currently writable, and let them know they can add more paths by clicking the gear icon (⚙) in the top-right corner to open Settings.
+16. Only write to paths listed in the writable paths above. If you need to write somewhere else, tell the user to add it to the config first.
+17. If the user sends a casual greeting (like "hi", "hello", "hey", etc.) or a non-technical message, respond warmly and briefly. Introduce yourself as DoctorClaw, a system diagnostics assistant, and ask how you can help. Do NOT ignore greetings or return an empty response.
+18. Long action results are shortened to excerpts that name an output id (out_...). If you need lines that were left out, request EXPAND_OUTPUT with that id and a line range instead of running the action again. It runs without asking the user.
+19. Use LIST_DIR, TAIL_FILE and SEARCH_FILE instead of RUN_CMD with ls, tail or grep. READ_FILE refuses files larger than ${MAX_READ_KB} KB: read the end of a log with TAIL_FILE, find lines with SEARCH_FILE${toolMode === 'native' ? '' : ' (grep-style options -i, -C n and -m n before the pattern)'}, or read a line range. Binary files are described with a hexdump instead of their text.${openclawRule}${pluginDocs}${notes}`;
 }
 
-app.post('/api/chat', async (req, res) => {
-  const { messages } = req.body;
+// openclaw_status is only offered when an OpenClaw directory is configured
+function actionTools() {
+  return HAS_OPENCLAW ? ACTION_TOOLS : ACTION_TOOLS.filter(tool => tool.function.name !== 'openclaw_status');
+}
+
+/**
+ * Start a chat completion and wait for its first chunk, so a rejected request
+ * (e.g. a model without tool support) surfaces before any SSE is written.
+ * @returns {Promise<{ stream: AsyncGenerator<object>, first: IteratorResult<object> }>}
+ */
+async function startChat(provider, model, options, messages, caseNotes, toolMode, signal) {
+  const stream = provider.chat({
+    model,
+    options,
+    messages: [
+      { role: 'system', content: buildSystemPrompt(toolMode, caseNotes) },
+      ...(toolMode === 'native' ? messages : toTextProtocol(messages)),
+    ],
+    tools: toolMode === 'native' ? actionTools() : undefined,
+    signal,
+  });
+  return { stream, first: await stream.next() };
+}
 
-  const ollamaMessages = [
-    { role: 'system', content: buildSystemPrompt() },
-    ...messages,
-  ];
+// Installed models, cached briefly so per-session models are not looked up on every turn
+const MODEL_CACHE_MS = 30000;
+let modelCache = { provider: null, models: [], at: 0 };
 
-  try {
-    const resp = await fetch(`${OLLAMA_URL}/api/chat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: MODEL,
-        messages: ollamaMessages,
-        stream: true,
-      }),
-    });
+async function installedModels(provider) {
+  if (modelCache.provider === provider && Date.now() - modelCache.at < MODEL_CACHE_MS) return modelCache.models;
+  const models = await provider.listModels({ signal: AbortSignal.timeout(PROVIDER_CHECK_TIMEOUT_MS) });
+  modelCache = { provider, models, at: Date.now() };
+  return models;
+}
+
+/**
+ * Ask the model for a complete reply, without tools.
+ * @returns {Promise<string>}
+ */
+async function complete(provider, model, options, messages, signal) {
+  let text = '';
+  for await (const chunk of provider.chat({ model, options, messages, signal })) text += chunk.message?.content || '';
+  return text;
+}
 
-    if (!resp.ok) {
-      const errText = await resp.text();
-      return res.status(502).json({ error: 'Ollama error', detail: errText });
+/**
+ * Fit a conversation into the context window: shorten large action results
+ * and, when the rest still nears the window, fold the oldest turns into case
+ * notes. The browser keeps the whole conversation and sends the notes back
+ * with later turns, so each stretch is only summarized once.
+ * @param {object} req
+ * @param {object[]} req.messages - The whole conversation
+ * @param {{ up_to: number, text: string }} [req.caseNotes] - Earlier notes, covering messages before up_to
+ * @param {number} req.window - Context window in tokens
+ * @returns {Promise<{ messages: object[], notes: string, context: object }>}
+ */
+async function fitContext({ provider, model, options, messages, caseNotes, window, signal }) {
+  let upTo = caseNotes ? caseNotes.up_to : 0;
+  let notes = caseNotes ? caseNotes.text : '';
+  let { messages: fitted, collapsed } = collapseOutputs(messages.slice(upTo), outputs, { window });
+  // Counted as if tools were sent, since the protocol is only settled when the request starts
+  const overhead = () => estimateTokens(buildSystemPrompt('native', notes)) + estimateTokens(JSON.stringify(actionTools()));
+
+  let summarized = null;
+  if (overhead() + estimateMessages(fitted) > window * SUMMARIZE_AT) {
+    const cut = findSummaryCut(fitted, window * KEEP_RECENT);
+    if (cut > 0) {
+      try {
+        notes = await summarize({
+          complete: msgs => complete(provider, model, options, msgs, signal),
+          messages: toTextProtocol(fitted.slice(0, cut)),
+          notes,
+          window,
+        });
+        upTo += cut;
+        summarized = { up_to: upTo, text: notes, messages: cut };
+        ({ messages: fitted, collapsed } = collapseOutputs(messages.slice(upTo), outputs, { window }));
+      } catch (err) {
+        if (signal.aborted) throw err;
+        // Send the turns unsummarized; the model may still cope, and a provider problem surfaces on the real request
+        console.warn(`  ⚠ Could not summarize the conversation: ${err.message}`);
+      }
     }
+  }
+
+  return {
+    messages: fitted,
+    notes,
+    context: {
+      tokens: overhead() + estimateMessages(fitted),
+      window,
+      summarized,
+      collapsed: collapsed.map(c => ({ ...c, index: c.index + upTo })),
+    },
+  };
+}
+
+// A chat request that cannot be served as sent; status and body are what /api/chat answers
+class ChatRequestError extends Error {
+  constructor(status, error, detail) {
+    super(detail);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+/**
+ * Start a model reply for a session's conversation. Shared by /api/chat and the terminal client.
+ * @param {object} req
+ * @param {object[]} req.messages - The whole conversation
+ * @param {string} [req.model] - Session model; the configured model when empty
+ * @param {object} [req.options] - Session generation options
+ * @param {{ up_to: number, text: string }} [req.caseNotes] - Case notes returned by an earlier reply
+ * @param {AbortSignal} req.signal
+ * @returns {Promise<{ provider: object, toolMode: 'native'|'text', context: object, chunks: AsyncGenerator<object> }>}
+ *   chunks are provider chunks; those with tool calls also carry the parsed `actions`
+ * @throws {ChatRequestError} When the request is invalid; ProviderError when the LLM server refuses it
+ */
+async function openChat({ messages, model: sessionModel, options: sessionOptions, caseNotes, signal }) {
+  if (!Array.isArray(messages)) throw new ChatRequestError(400, 'Invalid messages', 'messages must be an array');
+  const { options, error: optionsError } = normalizeChatOptions(sessionOptions);
+  if (optionsError) throw new ChatRequestError(400, 'Invalid options', optionsError);
+  if (caseNotes != null && !(Number.isInteger(caseNotes.up_to) && caseNotes.up_to >= 0 && caseNotes.up_to <= messages.length && typeof caseNotes.text === 'string')) {
+    throw new ChatRequestError(400, 'Invalid case_notes', 'case_notes must be { up_to, text } with up_to within the conversation');
+  }
+  if (sessionModel != null && typeof sessionModel !== 'string') {
+    throw new ChatRequestError(400, 'Invalid model', 'model must be a string');
+  }
+
+  // Settings can be reloaded mid-stream; this request keeps the provider and model it started with
+  const provider = PROVIDER;
+  const model = sessionModel || MODEL;
+  if (model !== MODEL) {
+    let models;
+    try {
+      models = await installedModels(provider);
+    } catch (err) {
+      throw new ChatRequestError(502, `${provider.label} error`, `Cannot list models: ${err.cause?.message || err.message}`);
+    }
+    if (!hasModel(models, model)) {
+      throw new ChatRequestError(400, 'Unknown model', `Model "${model}" is not installed on ${provider.label}. Available: ${models.join(', ') || '(none)'}.`);
+    }
+  }
+
+  const toolKey = `${provider.type} ${provider.url} ${model}`;
+  // Ollama is told the window explicitly so the estimate below matches what the model gets
+  const window = options.num_ctx || CONTEXT_WINDOW;
+  const chatOptions = provider.type === 'ollama' ? { ...options, num_ctx: window } : options;
+
+  const fit = await fitContext({ provider, model, options: chatOptions, messages, caseNotes, window, signal });
+  let toolMode = TOOL_CALLING === 'auto'
+    ? (toolSupport.get(toolKey) === false ? 'text' : 'native')
+    : TOOL_CALLING;
+  let chat;
+  try {
+    chat = await startChat(provider, model, chatOptions, fit.messages, fit.notes, toolMode, signal);
+  } catch (err) {
+    // Ollama answers 400 "<model> does not support tools"; OpenAI-compatible servers have their own wording
+    if (!(err instanceof ProviderError && err.toolsUnsupported && TOOL_CALLING === 'auto' && toolMode === 'native')) throw err;
+    toolSupport.set(toolKey, false);
+    toolMode = 'text';
+    chat = await startChat(provider, model, chatOptions, fit.messages, fit.notes, toolMode, signal);
+  }
+  if (TOOL_CALLING === 'auto' && toolMode === 'native') toolSupport.set(toolKey, true);
+
+  async function* chunks() {
+    const withActions = chunk => {
+      if (chunk.message?.tool_calls?.length) {
+        chunk.actions = chunk.message.tool_calls.map(toolCallToAction).filter(Boolean);
+      }
+      return chunk;
+    };
+    if (!chat.first.done) yield withActions(chat.first.value);
+    for await (const chunk of chat.stream) yield withActions(chunk);
+  }
+
+  return { provider, toolMode, context: fit.context, chunks: chunks() };
+}
+
+app.post('/api/chat', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableFinished) controller.abort(); });
+  let provider = PROVIDER;
+
+  try {
+    // model and options come from the session; without them the configured model and its defaults are used
+    const { messages, model, options, case_notes: caseNotes } = req.body;
+    const chat = await openChat({ messages, model, options, caseNotes, signal: controller.signal });
+    provider = chat.provider;
 
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
+    // Tells the client whether to expect structured tool calls or [ACTION:...] tags, and what was summarized or shortened
+    res.write(`data: ${JSON.stringify({ meta: { tool_mode: chat.toolMode, context: chat.context } })}\n\n`);
 
-    const reader = resp.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let clientClosed = false;
-
-    req.on('close', () => { clientClosed = true; reader.cancel().catch(() => {}); });
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done || clientClosed) break;
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-      for (const line of lines) {
-        if (!line.trim()) continue;
-        try {
-          const parsed = JSON.parse(line);
-          res.write(`data: ${JSON.stringify(parsed)}\n\n`);
-          if (parsed.done) {
-            res.write('data: [DONE]\n\n');
-          }
-        } catch { /* skip malformed */ }
-      }
+    for await (const chunk of chat.chunks) {
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      if (chunk.done) res.write('data: [DONE]\n\n');
     }
-    if (!clientClosed) res.end();
+    res.end();
   } catch (err) {
+    if (controller.signal.aborted) return;
+    if (res.headersSent) return res.end();
+    if (err instanceof ChatRequestError) return res.status(err.status).json({ error: err.error, detail: err.message });
+    if (err instanceof ProviderError) return res.status(502).json({ error: `${provider.label} error`, detail: err.detail || err.message });
     res.status(500).json({ error: 'Server error', detail: err.message });
   }
 });
 
 // ── Action execution ────────────────────────────────────────────────────────
 
-app.post('/api/execute', (req, res) => {
-  let { type, target, content } = req.body;
+/**
+ * Fingerprint of a file's current content, used to detect changes between a
+ * WRITE_FILE preview and its approval. Missing files get the fixed value "absent".
+ */
+function fileFingerprint(filepath) {
+  return existsSync(filepath) ? sha256(readFileSync(filepath)) : 'absent';
+}
 
-  // Resolve relative paths to absolute (only for file-based actions)
-  if (type !== 'RUN_CMD' && target && !target.startsWith('/')) {
-    target = join(process.cwd(), target);
+// Spawn a command under the timeout and output cap configured for its action type
+async function runLimited(type, command, cwd, options) {
+  const limits = ACTION_LIMITS[type];
+  const run = await runProcess(command, {
+    cwd,
+    timeoutSeconds: limits.timeout_seconds,
+    maxOutputKb: limits.max_output_kb,
+    signal: options.signal,
+    onOutput: options.onOutput,
+  });
+  const result = describeRun(run, { timeoutSeconds: limits.timeout_seconds, maxOutputKb: limits.max_output_kb });
+  return { success: run.success, result, ...(run.stopped === 'cancelled' ? { cancelled: true } : {}) };
+}
+
+// Types that can be dry-run in the sandbox before they are approved
+const DRY_RUN_TYPES = ['RUN_CMD', 'RUN_SCRIPT'];
+
+// Runs a command line in the sandbox, under the same time and output limits as the real run
+async function dryRun(type, command, cwd, options) {
+  if (!SANDBOX.enabled) return { success: false, dry_run: true, result: 'Dry runs are turned off (sandbox.enabled in the config).' };
+  const limits = ACTION_LIMITS[type];
+  const shown = { timeoutSeconds: limits.timeout_seconds, maxOutputKb: limits.max_output_kb };
+  try {
+    const sandboxed = await runSandboxed(command, { cwd, settings: SANDBOX, ...shown, signal: options.signal, onOutput: options.onOutput });
+    return {
+      success: sandboxed.run.success,
+      dry_run: true,
+      result: formatSandboxRun(sandboxed, shown),
+      changes: sandboxed.changes,
+      ...(sandboxed.run.stopped === 'cancelled' ? { cancelled: true } : {}),
+    };
+  } catch (err) {
+    if (err instanceof SandboxError) return { success: false, dry_run: true, result: err.message };
+    throw err;
+  }
+}
+
+// Command line that runs a script, picking the interpreter from the file extension
+function scriptCommand(script, scriptArgs) {
+  const ext = script.split('.').pop().toLowerCase();
+  let shell;
+  if (ext === 'ps1') shell = `powershell -ExecutionPolicy Bypass -File "${script}"`;
+  else if (['bat', 'cmd'].includes(ext)) shell = `cmd /c "${script}"`;
+  else shell = `bash "${script}"`;
+  return scriptArgs ? `${shell} ${scriptArgs}` : shell;
+}
+
+// What runbook conditions see, and what placeholders like {{openclaw_dir}} stand for (unset values stay as written)
+function runbookEnv() {
+  return { os: OS_TYPE, openclaw: HAS_OPENCLAW, vars: { os: OS_TYPE, ...(OPENCLAW_DIR ? { openclaw_dir: OPENCLAW_DIR } : {}) } };
+}
+
+/**
+ * Review a runbook before it runs: every step with how the path and command policies judge it.
+ * @param {object} runbook - From loadRunbook
+ * @returns {ReturnType<typeof planRunbook>}
+ */
+function reviewRunbook(runbook) {
+  return planRunbook(runbook, {
+    env: runbookEnv(),
+    check: step => {
+      if (step.type === 'RUN_CMD') return checkCommand(step.target);
+      const policy = checkPath(step.target, 'read');
+      if (!policy.allowed) return { decision: 'deny', reasons: [policy.reason] };
+      return step.type === 'RUN_SCRIPT' ? checkCommand(scriptCommand(policy.path, step.content)) : { decision: 'allow', reasons: [] };
+    },
+  });
+}
+
+/**
+ * Review a treatment plan before it runs: every step with how the path, command and plugin
+ * policies judge it, and a diff for each file it writes. Only the first write to a file gets
+ * a fingerprint, since a later write in the same plan sees the file as changed by the plan.
+ * @param {object[]} steps - From parsePlan
+ * @returns {ReturnType<typeof reviewPlan>}
+ */
+function reviewPlanSteps(steps) {
+  const review = reviewPlan(steps, step => {
+    if (step.type === 'WRITE_FILE') {
+      const policy = checkPath(step.target, 'write');
+      return policy.allowed ? { decision: 'allow', reasons: [] } : { decision: 'deny', reasons: [policy.reason] };
+    }
+    if (PATH_TYPES.includes(step.type)) {
+      const policy = checkPath(step.target, 'read');
+      if (!policy.allowed) return { decision: 'deny', reasons: [policy.reason] };
+    }
+    return policyVerdict(step);
+  });
+  const written = new Set();
+  for (const step of review.steps) {
+    if (step.type !== 'WRITE_FILE' || step.policy.decision === 'deny') continue;
+    const preview = previewWrite(step.target, step.content);
+    if (!preview.success) continue;
+    const path = checkPath(step.target, 'write').path;
+    Object.assign(step, { diff: preview.diff, exists: preview.exists, fingerprint: written.has(path) ? undefined : preview.fingerprint });
+    written.add(path);
   }
+  return review;
+}
 
+/**
+ * Run one approved action and report its outcome.
+ * @param {object} [options]
+ * @param {string} [options.expected_fingerprint] - WRITE_FILE only: refuse if the file no longer matches the previewed version
+ * @param {boolean} [options.confirmed] - RUN_CMD/RUN_SCRIPT/RUNBOOK/PLAN: the user explicitly confirmed a command the policy flags for confirmation
+ * @param {string} [options.session_id] - RUNBOOK/PLAN: each step is audited under this session
+ * @param {AbortSignal} [options.signal] - RUN_CMD/RUN_SCRIPT: aborting kills the process group
+ * @param {(stream: 'stdout'|'stderr', text: string) => void} [options.onOutput] - RUN_CMD/RUN_SCRIPT: live output
+ * @returns {Promise<{ success: boolean, result: string, backup?: string|null, conflict?: boolean, needs_confirmation?: boolean }>}
+ */
+async function executeAction(type, target, content, options = {}) {
   try {
     switch (type) {
-      case 'READ_FILE': {
-        if (!isPathReadable(target)) {
-          return res.json({ success: false, result: `Access denied: "${target}" is outside allowed read paths.` });
+      case 'READ_FILE':
+      case 'LIST_DIR':
+      case 'TAIL_FILE':
+      case 'SEARCH_FILE': {
+        // target = path; content = READ_FILE range, TAIL_FILE line count or SEARCH_FILE query
+        const policy = checkPath(target, 'read');
+        if (!policy.allowed) {
+          return { success: false, result: `Access denied: ${policy.reason}.` };
         }
+        target = policy.path;
         if (!existsSync(target)) {
-          return res.json({ success: false, result: `File not found: ${target}` });
+          return { success: false, result: `${type === 'LIST_DIR' ? 'Directory' : 'File'} not found: ${target}` };
         }
-        const data = readFileSync(target, 'utf-8');
-        return res.json({ success: true, result: data });
+        const maxBytes = MAX_READ_KB * 1024;
+        if (type === 'LIST_DIR') return listDir(target, { canRead: path => checkPath(path, 'read').allowed });
+        if (type === 'TAIL_FILE') return tailFile(target, content, { maxBytes });
+        if (type === 'SEARCH_FILE') return await searchFile(target, content, { maxBytes, signal: options.signal });
+        return await readFileRange(target, content, { maxBytes });
+      }
+
+      case 'EXPAND_OUTPUT':
+        // target = output id, content = optional line range "start-end"
+        return expandOutput(outputs, target, content);
+
+      case 'OPENCLAW_STATUS': {
+        // target = section to detail
+        if (!HAS_OPENCLAW) return { success: false, result: 'OpenClaw is not configured. The user can set the OpenClaw directory in Settings.' };
+        const section = STATUS_SECTIONS.includes(target) ? target : 'all';
+        return { success: true, result: formatOpenclawStatus(currentOpenclawStatus(), section) };
       }
 
       case 'RUN_CMD': {
-        if (isCommandBlocked(target)) {
-          return res.json({ success: false, result: `Blocked: "${target}" matches a dangerous command pattern. DoctorClaw refuses to run it.` });
-        }
-        try {
-          const output = execSync(target, {
-            timeout: 30000,
-            maxBuffer: 1024 * 1024,
-            encoding: 'utf-8',
-          });
-          return res.json({ success: true, result: output || '(no output)' });
-        } catch (execErr) {
-          return res.json({
-            success: false,
-            result: execErr.stderr || execErr.stdout || execErr.message,
-          });
-        }
+        // A dry run changes nothing, so only refused commands are kept out of the sandbox
+        const refusal = commandRefusal(target, `"${target}"`, options.confirmed || options.dry_run);
+        if (refusal) return refusal;
+        if (options.dry_run) return await dryRun('RUN_CMD', target, undefined, options);
+        return await runLimited('RUN_CMD', target, undefined, options);
       }
 
       case 'RUN_SCRIPT': {
         // target = path to script, content = optional arguments
-        if (!isPathReadable(target)) {
-          return res.json({ success: false, result: `Access denied: "${target}" is outside allowed read paths.` });
+        const policy = checkPath(target, 'read');
+        if (!policy.allowed) {
+          return { success: false, result: `Access denied: ${policy.reason}.` };
         }
+        target = policy.path;
         if (!existsSync(target)) {
-          return res.json({ success: false, result: `Script not found: ${target}` });
-        }
-        // Determine shell based on OS and file extension
-        let shell;
-        const ext = target.split('.').pop().toLowerCase();
-        if (['bat', 'cmd', 'ps1'].includes(ext)) {
-          if (ext === 'ps1') shell = `powershell -ExecutionPolicy Bypass -File "${target}"`;
-          else shell = `cmd /c "${target}"`;
-        } else {
-          shell = `bash "${target}"`;
-        }
-        const fullCmd = content ? `${shell} ${content}` : shell;
-        if (isCommandBlocked(fullCmd)) {
-          return res.json({ success: false, result: `Blocked: script execution matches a dangerous command pattern.` });
-        }
-        try {
-          const output = execSync(fullCmd, {
-            timeout: 60000,
-            maxBuffer: 1024 * 1024 * 2,
-            encoding: 'utf-8',
-            cwd: dirname(target),
-          });
-          return res.json({ success: true, result: output || '(no output)' });
-        } catch (execErr) {
-          return res.json({
-            success: false,
-            result: execErr.stderr || execErr.stdout || execErr.message,
-          });
+          return { success: false, result: `Script not found: ${target}` };
         }
+        const fullCmd = scriptCommand(target, content);
+        const refusal = commandRefusal(fullCmd, 'the script invocation', options.confirmed || options.dry_run);
+        if (refusal) return refusal;
+        if (options.dry_run) return await dryRun('RUN_SCRIPT', fullCmd, dirname(target), options);
+        return await runLimited('RUN_SCRIPT', fullCmd, dirname(target), options);
       }
 
       case 'WRITE_FILE': {
-        if (!isPathWritable(target)) {
-          return res.json({ success: false, result: `Access denied: "${target}" is outside allowed write paths.` });
+        const policy = checkPath(target, 'write');
+        if (!policy.allowed) {
+          return { success: false, result: `Access denied: ${policy.reason}.` };
+        }
+        target = policy.path;
+        if (options.expected_fingerprint && fileFingerprint(target) !== options.expected_fingerprint) {
+          return {
+            success: false,
+            conflict: true,
+            result: `Refused: "${target}" changed after the diff preview was generated. Review the updated diff before approving again.`,
+          };
         }
         const dir = dirname(target);
         if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
@@ -1060,30 +1725,508 @@ app.post('/api/execute', (req, res) => {
         const msg = backup
           ? `File written. Backup saved to: ${backup}`
           : `File created at: ${target}`;
-        return res.json({ success: true, result: msg });
+        return { success: true, result: msg, backup };
       }
 
-      default:
-        return res.json({ success: false, result: `Unknown action type: ${type}` });
+      case 'RUNBOOK': {
+        // target = runbook name. One approval covers all steps, so confirmation is asked for up front
+        let runbook;
+        try {
+          runbook = loadRunbook(target);
+        } catch (err) {
+          if (err instanceof RunbookError) return { success: false, result: err.message };
+          throw err;
+        }
+        const plan = reviewRunbook(runbook);
+        if (plan.policy.decision === 'confirm' && !options.confirmed) {
+          return { success: false, needs_confirmation: true, result: `Needs confirmation: runbook "${target}" has steps that require explicit approval:\n- ${plan.policy.reasons.join('\n- ')}` };
+        }
+        const report = await runRunbook(runbook, {
+          env: runbookEnv(),
+          signal: options.signal,
+          onOutput: options.onOutput,
+          execute: async (step, { signal, onOutput }) => {
+            const outcome = await executeAction(step.type, step.target, step.content, { confirmed: options.confirmed, signal, onOutput });
+            if (!outcome.needs_confirmation) auditOutcome(options.session_id, step.type, step.target, step.content, outcome);
+            return outcome;
+          },
+        });
+        return {
+          success: report.summary.failed === 0 && !report.cancelled,
+          result: formatReport(report),
+          ...(report.cancelled ? { cancelled: true } : {}),
+        };
+      }
+
+      case 'PLAN': {
+        // target = plan title, content = JSON list of steps. A refused step refuses the whole plan,
+        // so the steps before it never run without the ones they prepare for
+        let steps;
+        try {
+          steps = parsePlan(content);
+        } catch (err) {
+          if (err instanceof PlanError) return { success: false, result: err.message };
+          throw err;
+        }
+        const review = reviewPlanSteps(steps);
+        if (review.blocked.length) {
+          return { success: false, result: `Blocked: the plan was not run because steps would be refused:\n- ${review.blocked.join('\n- ')}` };
+        }
+        if (review.policy.decision === 'confirm' && !options.confirmed) {
+          return { success: false, needs_confirmation: true, result: `Needs confirmation: the plan has steps that require explicit approval:\n- ${review.policy.reasons.join('\n- ')}` };
+        }
+        const report = await runPlan(steps, {
+          signal: options.signal,
+          onOutput: options.onOutput,
+          execute: async (step, { signal, onOutput }) => {
+            const outcome = await executeAction(step.type, step.target, step.content, {
+              confirmed: options.confirmed,
+              expected_fingerprint: step.fingerprint,
+              session_id: options.session_id,
+              signal,
+              onOutput,
+            });
+            if (!outcome.needs_confirmation) auditOutcome(options.session_id, step.type, step.target, step.content, outcome);
+            return outcome;
+          },
+        });
+        return {
+          success: report.summary.succeeded === steps.length,
+          result: formatPlanReport(target, report),
+          ...(report.cancelled ? { cancelled: true } : {}),
+        };
+      }
+
+      default: {
+        const plugin = PLUGINS.get(type);
+        if (!plugin) return { success: false, result: `Unknown action type: ${type}` };
+        const ctx = pluginContext(options);
+        const verdict = checkPluginAction(plugin, { target, content }, ctx);
+        if (verdict.decision === 'deny') {
+          return { success: false, result: `Blocked: the ${plugin.label} action was refused:\n- ${verdict.reasons.join('\n- ')}` };
+        }
+        if (verdict.decision === 'confirm' && !options.confirmed) {
+          return { success: false, needs_confirmation: true, result: `Needs confirmation: the ${plugin.label} action requires explicit approval:\n- ${verdict.reasons.join('\n- ')}` };
+        }
+        const outcome = await plugin.execute({ target, content }, ctx);
+        return { success: !!outcome?.success, result: String(outcome?.result ?? '') };
+      }
     }
   } catch (err) {
-    res.json({ success: false, result: `Error: ${err.message}` });
+    return { success: false, result: `Error: ${err.message}` };
   }
+}
+
+function auditOutcome(session_id, type, target, content, outcome, auto_rule) {
+  try {
+    appendAudit({ session_id, type, target, content, success: outcome.success, output: outcome.result, backup: outcome.backup, auto_rule, dry_run: outcome.dry_run });
+  } catch (err) {
+    console.warn(`  ⚠  Could not write audit log: ${err.message}`);
+  }
+}
+
+function outcomeBody(outcome) {
+  return {
+    success: outcome.success,
+    result: outcome.result,
+    ...(outcome.conflict ? { conflict: true } : {}),
+    ...(outcome.needs_confirmation ? { needs_confirmation: true } : {}),
+    ...(outcome.cancelled ? { cancelled: true } : {}),
+    ...(outcome.dry_run ? { dry_run: true, changes: outcome.changes } : {}),
+  };
+}
+
+// ── Jobs ────────────────────────────────────────────────────────────────────
+
+const jobs = createJobQueue({
+  concurrency: config.max_concurrent_jobs || DEFAULT_CONCURRENCY,
+  run: async ({ type, target, content, session_id, auto_rule, options }, { signal, onOutput }) => {
+    const outcome = await executeAction(type, target, content, { ...options, session_id, signal, onOutput });
+    // Refusals of a dry run are logged as part of it too
+    if (options.dry_run) outcome.dry_run = true;
+    // Nothing ran yet, so there is nothing to audit until the user confirms
+    if (!outcome.needs_confirmation) auditOutcome(session_id, type, target, content, outcome, auto_rule);
+    return outcomeBody(outcome);
+  },
 });
 
-// ── Start ───────────────────────────────────────────────────────────────────
+/**
+ * @param {object} body - { type, target, content, session_id, expected_fingerprint, confirmed, dry_run }
+ * @param {string} [autoRule] - The rule that approved the action, when nobody clicked Approve
+ */
+function submitJob(body, autoRule) {
+  let { type, target, content, session_id, expected_fingerprint, confirmed, dry_run } = body;
+  // Resolve relative paths to absolute (only for file-based actions)
+  if (['READ_FILE', 'LIST_DIR', 'TAIL_FILE', 'SEARCH_FILE', 'RUN_SCRIPT', 'WRITE_FILE'].includes(type) && target && !target.startsWith('/')) {
+    target = join(process.cwd(), target);
+  }
+  return jobs.submit({ type, target, content, session_id, auto_rule: autoRule, options: { expected_fingerprint, confirmed: confirmed === true, dry_run: dry_run === true } });
+}
+
+// How the command, script and plugin policies judge an action; paths are checked by evaluateAutoApproval
+function policyVerdict({ type, target, content }) {
+  if (type === 'RUN_CMD') return checkCommand(target);
+  if (type === 'RUN_SCRIPT') {
+    const policy = checkPath(target, 'read');
+    return policy.allowed ? checkCommand(scriptCommand(policy.path, content)) : { decision: 'deny', reasons: [policy.reason] };
+  }
+  const plugin = PLUGINS.get(type);
+  if (plugin) return checkPluginAction(plugin, { target, content }, pluginContext());
+  return { decision: 'allow', reasons: [] };
+}
 
-const server = app.listen(PORT, () => {
-  console.log(`\n  [+] DoctorClaw v${getVersion()} is running at http://localhost:${PORT}\n`);
-  console.log(`  Ollama endpoint: ${OLLAMA_URL}`);
-  console.log(`  Model: ${MODEL}`);
-  console.log(`  OS: ${OS_TYPE}`);
-  console.log(`  OpenClaw: ${HAS_OPENCLAW ? OPENCLAW_DIR : '(not configured)'}`);
-  console.log(`  Config: ${CONFIG_PATH}`);
-  console.log(`\n  Tip: Run with -i to reconfigure, -y to skip setup, or -v for version.\n`);
+/**
+ * Whether an action may run without asking, under the global rules and the session's own.
+ * @param {{ type: string, target: string, content?: string|null }} action
+ * @param {string} [sessionId]
+ * @returns {ReturnType<typeof evaluateAutoApproval>}
+ */
+function autoApproval(action, sessionId) {
+  if (typeof action.type !== 'string' || typeof action.target !== 'string') return { auto: false, reason: 'type and target are required' };
+  let sessionRules = [];
+  try {
+    if (sessionId && isValidSessionId(sessionId)) sessionRules = getSession(sessionId)?.auto_approve_rules || [];
+  } catch {}
+  const pluginAuto = [...PLUGINS.values()].filter(p => p.auto).map(p => p.type);
+  return evaluateAutoApproval(action, { settings: AUTO_APPROVE, sessionRules, checkPath: path => checkPath(path, 'read'), checkPolicy: policyVerdict, pluginAuto });
+}
+
+// A job submitted with approval "auto" is queued only when the rules cover it; otherwise the card waits for the user
+function submitRequestedJob(req, res) {
+  // A dry run needs no approval: it runs in the sandbox, where it cannot change the host
+  if (req.body.dry_run === true && !DRY_RUN_TYPES.includes(req.body.type)) {
+    res.status(400).json({ error: `Only ${DRY_RUN_TYPES.join(' and ')} can be dry-run` });
+    return null;
+  }
+  if (req.body.approval !== 'auto' || req.body.dry_run === true) return submitJob(req.body);
+  const verdict = autoApproval(req.body, req.body.session_id);
+  if (!verdict.auto) {
+    res.status(409).json({ error: verdict.reason, auto_approval: verdict });
+    return null;
+  }
+  return submitJob(req.body, verdict.rule);
+}
+
+// SSE feed of one job: a "job" snapshot, the output so far, then live "output" events and a final "done"
+function streamJob(res, id) {
+  const job = jobs.get(id, true);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  const send = event => { if (!res.writableEnded) res.write(`data: ${JSON.stringify(event)}\n\n`); };
+  const { output, ...snapshot } = job;
+  send({ type: 'job', job: snapshot });
+  if (output) send({ type: 'output', stream: 'replay', data: output });
+  if (job.finished_at) {
+    send({ type: 'done', job: snapshot });
+    return res.end();
+  }
+  const unsubscribe = jobs.subscribe(id, event => {
+    send(event);
+    if (event.type === 'done') res.end();
+  });
+  res.on('close', unsubscribe);
+}
+
+app.get('/api/jobs', (req, res) => {
+  const { session_id, status } = req.query;
+  res.json({ jobs: jobs.list({ session_id, status }), ...jobs.stats() });
+});
+
+app.post('/api/jobs', (req, res) => {
+  if (!req.body.type || !req.body.target) return res.status(400).json({ error: 'type and target are required' });
+  const job = submitRequestedJob(req, res);
+  if (job) res.status(202).json({ job });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id, true);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json({ job });
+});
+
+app.get('/api/jobs/:id/stream', (req, res) => {
+  if (!jobs.get(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+  streamJob(res, req.params.id);
 });
 
-server.on('error', (err) => {
+app.post('/api/jobs/:id/kill', (req, res) => {
+  const job = jobs.kill(req.params.id);
+  if (!job) return res.status(404).json({ success: false, result: 'Job not found' });
+  res.json({ success: true, job });
+});
+
+// Submit a job and wait for it: JSON by default, or the job's SSE feed with `stream: true`
+app.post('/api/execute', async (req, res) => {
+  const job = submitRequestedJob(req, res);
+  if (!job) return;
+  if (req.body.stream === true) return streamJob(res, job.id);
+  res.json({ job_id: job.id, ...(await jobs.wait(job.id)) });
+});
+
+// Explain how the command policy (or a plugin's own check) judges an action without running it
+app.post('/api/policy/check', (req, res) => {
+  const { command, type = 'RUN_CMD', target, content = null } = req.body;
+  const plugin = PLUGINS.get(type);
+  if (plugin) {
+    if (typeof target !== 'string' || !target.trim()) return res.status(400).json({ error: 'No target provided' });
+    return res.json(checkPluginAction(plugin, { target, content }, pluginContext()));
+  }
+  if (typeof command !== 'string' || !command.trim()) {
+    return res.status(400).json({ error: 'No command provided' });
+  }
+  if (type !== 'RUN_CMD') return res.status(400).json({ error: `Unsupported action type: ${type}` });
+  res.json({ mode: COMMAND_POLICY.mode, ...checkCommand(command) });
+});
+
+// Whether cards can offer a dry run: the sandbox works on this host and is not turned off
+app.get('/api/sandbox', (_req, res) => {
+  res.json({ ...sandboxSupport(), enabled: SANDBOX.enabled, types: DRY_RUN_TYPES, limits: SANDBOX });
+});
+
+// Action types added by plugins, so the browser can parse their tags and draw their cards
+app.get('/api/actions/plugins', (_req, res) => {
+  res.json({
+    plugins: [...PLUGINS.values()].map(describePlugin),
+    errors: pluginErrors.map(({ file, error }) => ({ file: file.slice(__dirname.length + 1), error })),
+  });
+});
+
+/**
+ * Dry run of a WRITE_FILE: diff the current file against the proposed content without touching disk.
+ * @returns {{ success: boolean, result?: string, exists?: boolean, diff?: string, fingerprint?: string }}
+ */
+function previewWrite(target, content) {
+  if (!target.startsWith('/')) target = join(process.cwd(), target);
+  const policy = checkPath(target, 'write');
+  if (!policy.allowed) {
+    return { success: false, result: `Access denied: ${policy.reason}.` };
+  }
+  target = policy.path;
+  try {
+    const exists = existsSync(target);
+    const current = exists ? readFileSync(target, 'utf-8') : '';
+    const diff = unifiedDiff(current, content || '', {
+      oldLabel: exists ? `${target} (current)` : '/dev/null',
+      newLabel: `${target} (proposed)`,
+    });
+    return { success: true, exists, diff, fingerprint: fileFingerprint(target) };
+  } catch (err) {
+    return { success: false, result: `Error: ${err.message}` };
+  }
+}
+
+app.post('/api/preview', (req, res) => {
+  const { target, content } = req.body;
+  if (!target) return res.status(400).json({ success: false, result: 'No target provided' });
+  res.json(previewWrite(target, content));
+});
+
+// Plan cards and terminal mode review a treatment plan before its single approval, and again after each edit
+app.post('/api/plans/review', (req, res) => {
+  try {
+    res.json(reviewPlanSteps(parsePlan(req.body.content)));
+  } catch (err) {
+    if (err instanceof PlanError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to review plan: ' + err.message });
+  }
+});
+
+// ── Runbooks API ────────────────────────────────────────────────────────────
+// Runbooks run as a RUNBOOK job through /api/jobs; these routes only list and review them
+
+app.get('/api/runbooks', (_req, res) => {
+  try {
+    res.json({ runbooks: listRunbooks() });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to list runbooks: ' + err.message });
+  }
+});
+
+app.get('/api/runbooks/:name', (req, res) => {
+  try {
+    res.json(reviewRunbook(loadRunbook(req.params.name)));
+  } catch (err) {
+    if (err instanceof RunbookError) return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to load runbook: ' + err.message });
+  }
+});
+
+// ── OpenClaw API ────────────────────────────────────────────────────────────
+// The same check the model gets from OPENCLAW_STATUS, for the OpenClaw panel
+
+// Config and log files are read under the read path policy, like READ_FILE
+function currentOpenclawStatus() {
+  return openclawStatus({ dir: OPENCLAW_DIR, canRead: path => checkPath(path, 'read') });
+}
+
+app.get('/api/openclaw/status', (_req, res) => {
+  if (!HAS_OPENCLAW) return res.json({ configured: false });
+  try {
+    const status = currentOpenclawStatus();
+    res.json({ configured: true, ...status, text: formatOpenclawStatus(status) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to check OpenClaw: ' + err.message });
+  }
+});
+
+// ── Snapshot API ────────────────────────────────────────────────────────────
+// Read-only system facts gathered natively (see snapshot.mjs); the browser attaches `message` to a new session
+
+app.get('/api/snapshot', async (_req, res) => {
+  try {
+    const snapshot = await collectSnapshot();
+    res.json({ snapshot, text: formatSnapshot(snapshot), message: snapshotMessage(snapshot) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to collect snapshot: ' + err.message });
+  }
+});
+
+// ── Backups API ─────────────────────────────────────────────────────────────
+
+app.get('/api/backups', (_req, res) => {
+  try {
+    res.json({ files: listBackups(), retention: BACKUP_RETENTION });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to list backups: ' + err.message });
+  }
+});
+
+app.get('/api/backups/:name/diff', (req, res) => {
+  const source = backupPath(req.params.name);
+  if (!source || !existsSync(source)) return res.status(404).json({ error: 'Backup not found' });
+  // The backup holds the file's old content, so it is only shown where the file itself may be read
+  const policy = checkPath(parseBackupName(req.params.name).path, 'read');
+  if (!policy.allowed) return res.status(403).json({ error: `Access denied: ${policy.reason}.` });
+  const { path } = policy;
+  try {
+    const backupText = readFileSync(source, 'utf-8');
+    const currentText = existsSync(path) ? readFileSync(path, 'utf-8') : '';
+    const diff = unifiedDiff(backupText, currentText, { oldLabel: `${path} (backup)`, newLabel: `${path} (current)` });
+    res.json({ path, exists: existsSync(path), diff });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to diff backup: ' + err.message });
+  }
+});
+
+app.post('/api/backups/:name/restore', (req, res) => {
+  const source = backupPath(req.params.name);
+  if (!source || !existsSync(source)) return res.status(404).json({ success: false, result: 'Backup not found' });
+  const policy = checkPath(parseBackupName(req.params.name).path, 'write');
+  if (!policy.allowed) {
+    return res.json({ success: false, result: `Access denied: ${policy.reason}.` });
+  }
+  const { path } = policy;
+
+  let outcome;
+  let restored = null;
+  try {
+    restored = readFileSync(source, 'utf-8');
+    if (!existsSync(dirname(path))) throw new Error(`${dirname(path)} no longer exists; restore into an existing directory only`);
+    // Back up the current version first so a restore can itself be rolled back
+    const backup = backupFile(path);
+    copyFileSync(source, path);
+    outcome = {
+      success: true,
+      result: backup ? `Restored ${path} from ${source}. Previous version backed up to: ${backup}` : `Restored ${path} from ${source}.`,
+      backup,
+    };
+  } catch (err) {
+    outcome = { success: false, result: `Error: ${err.message}` };
+  }
+
+  try {
+    appendAudit({ session_id: req.body?.session_id, type: 'RESTORE_BACKUP', target: path, content: restored, success: outcome.success, output: outcome.result, backup: outcome.backup });
+  } catch (err) {
+    console.warn(`  ⚠  Could not write audit log: ${err.message}`);
+  }
+  res.json({ success: outcome.success, result: outcome.result });
+});
+
+// ── Audit API ───────────────────────────────────────────────────────────────
+
+app.get('/api/audit', (req, res) => {
+  try {
+    const { since, until, type, path, session_id, limit } = req.query;
+    res.json({ entries: queryAudit({ since, until, type, path, session_id, limit }) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to read audit log: ' + err.message });
+  }
+});
+
+app.get('/api/audit/verify', (_req, res) => {
+  try {
+    res.json(verifyAudit());
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to verify audit log: ' + err.message });
+  }
+});
+
+// ── CLI mode ────────────────────────────────────────────────────────────────
+// --cli and --runbook talk to the model and run actions in-process; no port is opened
+
+if (CLI_MODE) {
+  try {
+    await runCli({
+      openChat,
+      previewWrite,
+      checkCommand,
+      checkPlugin: action => (PLUGINS.has(action.type) ? checkPluginAction(PLUGINS.get(action.type), action, pluginContext()) : null),
+      autoApprove: (action, sessionId) => autoApproval(action, sessionId),
+      planRunbook: name => reviewRunbook(loadRunbook(name)),
+      reviewPlan: content => reviewPlanSteps(parsePlan(content)),
+      canDryRun: type => DRY_RUN_TYPES.includes(type) && SANDBOX.enabled && sandboxSupport().available,
+      model: MODEL,
+      sessionId: CLI_SESSION,
+      runbook: CLI_RUNBOOK,
+      interactive: FLAG_CLI,
+      // Actions still go through the job queue, so they are limited, audited and backed up as in the browser
+      execute: async (action, { signal, onOutput }) => {
+        const job = submitJob(action, action.auto_rule);
+        // A runbook job may have printed its first progress line already
+        const { output } = jobs.get(job.id, true);
+        if (output) onOutput(output);
+        const unsubscribe = jobs.subscribe(job.id, event => { if (event.type === 'output') onOutput(event.data); });
+        // The signal outlives this action, so the listener goes when the job settles
+        const onAbort = () => jobs.kill(job.id);
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+        try {
+          return await jobs.wait(job.id);
+        } finally {
+          signal.removeEventListener('abort', onAbort);
+          unsubscribe();
+        }
+      },
+    });
+  } catch (err) {
+    console.error(`  ✗ ${err.message}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+// ── Start ───────────────────────────────────────────────────────────────────
+
+// How long a replaced listener keeps serving open requests (chat and job streams) after a port change
+const LISTENER_DRAIN_MS = 60000;
+
+function listen(port, host) {
+  return new Promise((resolve, reject) => {
+    const srv = createServer(app);
+    srv.once('error', reject);
+    srv.listen(port, host, () => {
+      srv.off('error', reject);
+      srv.on('upgrade', onUpgrade);
+      resolve(srv);
+    });
+  });
+}
+
+let server;
+try {
+  server = await listen(PORT, BIND_ADDRESS);
+} catch (err) {
   if (err.code === 'EADDRINUSE') {
     console.error(`\n  ❌ Port ${PORT} is already in use.`);
     console.error(`  Try: PORT=4000 npm start\n`);
@@ -1091,14 +2234,75 @@ server.on('error', (err) => {
     console.error(`\n  ❌ Server error: ${err.message}\n`);
   }
   process.exit(1);
+}
+
+console.log(`\n  [+] DoctorClaw v${getVersion()} is running at http://localhost:${PORT}\n`);
+console.log(`  Listening on: ${BIND_ADDRESS}${isLoopback(BIND_ADDRESS) ? ' (this machine only)' : ''}`);
+console.log(`  LLM provider: ${PROVIDER.label} at ${PROVIDER.url}`);
+console.log(`  Model: ${MODEL}`);
+console.log(`  OS: ${OS_TYPE}`);
+console.log(`  OpenClaw: ${HAS_OPENCLAW ? OPENCLAW_DIR : '(not configured)'}`);
+console.log(`  Config: ${CONFIG_PATH} (watched for changes)`);
+if (!AUTH_ENABLED) console.log('  Auth: disabled');
+if (newAccessToken) {
+  console.log(`\n  🔑 Access token: ${newAccessToken}`);
+  console.log(`     Sign in at:   http://localhost:${PORT}/?token=${newAccessToken}`);
+  console.log('     It is shown only once; run with --reset-token to generate a new one.');
+}
+console.log(`\n  Tip: Run with -i to reconfigure, -y to skip setup, or -v for version.\n`);
+
+/**
+ * Move to a new port or address. The new listener is bound first; the old one
+ * stops accepting connections but finishes the requests it is serving, and
+ * is closed for good after LISTENER_DRAIN_MS.
+ * @throws {Error} When the new address cannot be bound; the old listener is kept
+ */
+async function rebind(port, host) {
+  const next = await listen(port, host);
+  const old = server;
+  server = next;
+  PORT = port;
+  BIND_ADDRESS = host;
+  old.close();
+  old.closeIdleConnections();
+  setTimeout(() => old.closeAllConnections(), LISTENER_DRAIN_MS).unref();
+  console.log(`  ↻ Now listening on ${host}:${port}`);
+}
+
+// Polling survives editors that save by replacing the file
+watchFile(CONFIG_PATH, { interval: 1000 }, () => {
+  let text;
+  try { text = readFileSync(CONFIG_PATH, 'utf-8'); } catch { return; }
+  if (text === lastConfigText) return;
+  lastConfigText = text;
+  let cfg;
+  try {
+    cfg = JSON.parse(text);
+  } catch (err) {
+    console.warn(`  ⚠  Ignoring edit to ${CONFIG_PATH}: ${err.message}`);
+    return;
+  }
+  applyConfig(cfg).then(result => {
+    if (result.ok) console.log(`  ↻ Reloaded ${CONFIG_PATH}`);
+    else console.warn(`  ⚠  Edit to ${CONFIG_PATH} not applied: ${result.error}`);
+  });
 });
 
 // ── WebSocket: Realtime STT Proxy (ElevenLabs Scribe v2 Realtime) ────────────
 
 const wss = new WebSocketServer({ noServer: true });
 
-server.on('upgrade', (request, socket, head) => {
+function onUpgrade(request, socket, head) {
   const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
+  // Browsers send cookies on cross-site WebSocket handshakes, so the origin must match as well
+  const origin = request.headers.origin;
+  let sameOrigin = !origin;
+  try { sameOrigin = sameOrigin || new URL(origin).host === request.headers.host; } catch {}
+  if (AUTH_ENABLED && (!sameOrigin || !sessionFor(request))) {
+    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return;
+  }
   if (pathname === '/ws/stt') {
     wss.handleUpgrade(request, socket, head, (ws) => {
       wss.emit('connection', ws, request);
@@ -1106,7 +2310,7 @@ server.on('upgrade', (request, socket, head) => {
   } else {
     socket.destroy();
   }
-});
+}
 
 wss.on('connection', (clientWs) => {
   let current = {};
@@ -0,0 +1,270 @@
+import { ACTION_LABELS, ACTION_CONTENT_LABELS, stripActionTags } from './actions.mjs';
+
+// ── Session Export ───────────────────────────────────────────────────────────
+// Turns a saved session into an incident report (Markdown or HTML) for tickets
+// and post-mortems, or into a JSON bundle that imports back as a new tab. The
+// report's timeline and file changes come from the audit log when it has
+// entries for the session; older sessions fall back to the action cards.
+
+export const EXPORT_FORMATS = ['markdown', 'html', 'json'];
+export const BUNDLE_FORMAT = 'doctorclaw-session';
+export const BUNDLE_VERSION = 1;
+
+// Outputs longer than this are cut in reports; the JSON bundle keeps them whole
+const MAX_REPORT_LINES = 200;
+
+export class SessionImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionImportError';
+  }
+}
+
+function actStatus(act) {
+  const edited = act.original ? ` (edited before approval; proposed: ${act.original.target})` : '';
+  if (act.status === 'approved') return (act.resultSuccess ? 'succeeded' : 'failed') + (act.auto ? ` (auto-approved by rule "${act.auto}")` : '') + edited;
+  if (act.status === 'denied') return 'denied' + (act.denyReason ? `: ${act.denyReason}` : '');
+  if (act.status === 'running') return 'still running when exported';
+  return 'not answered';
+}
+
+function clipLines(text) {
+  const lines = String(text ?? '').replace(/\n+$/, '').split('\n');
+  if (lines.length <= MAX_REPORT_LINES) return lines.join('\n');
+  return [...lines.slice(0, MAX_REPORT_LINES), `[… ${lines.length - MAX_REPORT_LINES} more lines; the JSON export has the full output …]`].join('\n');
+}
+
+// Older results only mention the backup in their text
+function backupFromResult(result) {
+  return String(result || '').match(/^File written\. Backup saved to: (.+)$/m)?.[1] || null;
+}
+
+/**
+ * Collect what a report shows, independent of its output format.
+ * @param {object} session
+ * @param {object} [options]
+ * @param {object[]} [options.audit] - Audit entries of this session, oldest first
+ * @param {Date} [options.now]
+ * @returns {object}
+ */
+export function buildReport(session, { audit = [], now = new Date() } = {}) {
+  const rendered = Array.isArray(session.rendered) ? session.rendered : [];
+  const actions = [];
+  const transcript = [];
+  for (const entry of rendered) {
+    if (entry.role === 'notice') {
+      transcript.push({ role: 'notice', text: entry.content || '' });
+      continue;
+    }
+    const text = entry.role === 'assistant' ? stripActionTags(entry.content || '').trim() : (entry.content || '').trim();
+    const acts = (entry.actions || []).map(act => {
+      actions.push(act);
+      return { number: actions.length, label: ACTION_LABELS[act.type] || act.type, target: act.target, status: actStatus(act) };
+    });
+    if (text || acts.length) transcript.push({ role: entry.role, text, actions: acts });
+  }
+
+  const diagnosis = [...transcript].reverse().find(t => t.role === 'assistant' && t.text)?.text || '';
+
+  const timeline = audit.length
+    ? audit.map(e => ({
+      time: e.ts,
+      label: ACTION_LABELS[e.type] || (e.type === 'RESTORE_BACKUP' ? 'Restore Backup' : e.type),
+      target: e.target,
+      status: (e.dry_run ? 'dry run, ' : '') + (e.success ? 'succeeded' : 'failed') + (e.auto_rule ? ` (auto-approved by rule "${e.auto_rule}")` : ''),
+      backup: e.backup || null,
+    }))
+    : actions.filter(a => a.status === 'approved').map(a => ({
+      time: null,
+      label: ACTION_LABELS[a.type] || a.type,
+      target: a.target,
+      status: actStatus(a),
+      backup: a.type === 'WRITE_FILE' ? backupFromResult(a.result) : null,
+    }));
+
+  const files = audit.length
+    ? audit.filter(e => e.success && (e.type === 'WRITE_FILE' || e.type === 'RESTORE_BACKUP'))
+      .map(e => ({ path: e.target, time: e.ts, change: e.type === 'WRITE_FILE' ? 'written' : 'restored from backup', backup: e.backup || null }))
+    : actions.filter(a => a.type === 'WRITE_FILE' && a.status === 'approved' && a.resultSuccess)
+      .map(a => ({ path: a.target, time: null, change: 'written', backup: backupFromResult(a.result) }));
+
+  return {
+    title: session.label || session.id,
+    meta: [
+      ['Session', session.id],
+      ['Started', session.createdAt || ''],
+      ['Last updated', session.updatedAt || ''],
+      ['Exported', now.toISOString()],
+      ['Model', session.model || ''],
+    ].filter(([, value]) => value),
+    diagnosis,
+    caseNotes: session.caseNotes?.text || '',
+    timeline,
+    actions: actions.map((a, i) => ({
+      number: i + 1,
+      label: ACTION_LABELS[a.type] || a.type,
+      target: a.target,
+      contentLabel: ACTION_CONTENT_LABELS[a.type] || 'Content',
+      content: a.content ? clipLines(a.content) : '',
+      status: actStatus(a),
+      // A denial has no output worth repeating
+      result: a.result && a.status === 'approved' ? clipLines(a.result) : '',
+    })),
+    files,
+    transcript,
+  };
+}
+
+// ── Markdown ──
+
+// A code fence longer than any backtick run inside the text
+function fence(text) {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(longest + 1);
+  return `${ticks}\n${text}\n${ticks}`;
+}
+
+function toMarkdown(report) {
+  const out = [`# Incident report: ${report.title}`, ''];
+  for (const [key, value] of report.meta) out.push(`- **${key}:** ${value}`);
+  out.push('', '## Diagnosis', '', report.diagnosis || '_No reply from DoctorClaw yet._');
+  if (report.caseNotes) out.push('', '## Case notes', '', report.caseNotes);
+
+  out.push('', '## Timeline', '');
+  if (!report.timeline.length) out.push('_No actions were run._');
+  for (const t of report.timeline) {
+    out.push(`- ${t.time ? `\`${t.time}\` ` : ''}${t.label} \`${t.target}\` — ${t.status}${t.backup ? ` (backup: \`${t.backup}\`)` : ''}`);
+  }
+
+  out.push('', '## Files changed', '');
+  if (!report.files.length) out.push('_No files were changed._');
+  for (const f of report.files) {
+    out.push(`- \`${f.path}\` — ${f.change}${f.time ? ` at ${f.time}` : ''}${f.backup ? `; previous version backed up to \`${f.backup}\`` : ''}`);
+  }
+
+  out.push('', '## Actions', '');
+  if (!report.actions.length) out.push('_DoctorClaw did not propose any actions._');
+  for (const a of report.actions) {
+    out.push(`### ${a.number}. ${a.label}: ${a.target}`, '', `Status: ${a.status}`, '');
+    if (a.content) out.push(`${a.contentLabel}:`, '', fence(a.content), '');
+    if (a.result) out.push('Output:', '', fence(a.result), '');
+  }
+
+  out.push('', '## Conversation', '');
+  for (const t of report.transcript) {
+    if (t.role === 'notice') {
+      out.push(`> _${t.text}_`, '');
+      continue;
+    }
+    out.push(`**${t.role === 'user' ? 'You' : 'DoctorClaw'}:**`, '');
+    if (t.text) out.push(t.text, '');
+    for (const a of t.actions) out.push(`- Action ${a.number}: ${a.label} \`${a.target}\` — ${a.status}`);
+    if (t.actions.length) out.push('');
+  }
+  // Sections each start with a blank line; keep one where they meet (never touching blank lines inside outputs)
+  return out.filter((line, i) => line !== '' || out[i - 1] !== '').join('\n').trimEnd() + '\n';
+}
+
+// ── HTML ──
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const REPORT_CSS = `body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;max-width:900px;margin:32px auto;padding:0 20px;color:#1f2328;line-height:1.5}
+h1{font-size:24px}h2{font-size:18px;border-bottom:1px solid #d0d7de;padding-bottom:4px;margin-top:32px}h3{font-size:15px;margin-bottom:4px}
+pre{background:#f6f8fa;border:1px solid #d0d7de;border-radius:6px;padding:10px 12px;overflow:auto;font-size:12.5px;white-space:pre-wrap}
+code{font-family:ui-monospace,SFMono-Regular,Menlo,monospace;font-size:12.5px}
+.meta{color:#59636e}.status{font-size:12px;font-weight:600;text-transform:uppercase}.succeeded{color:#1a7f37}.failed,.denied{color:#cf222e}
+.diagnosis{white-space:pre-wrap}.msg{margin:12px 0}.msg .who{font-weight:600}.msg .text{white-space:pre-wrap}.notice{color:#59636e;font-style:italic}`;
+
+function toHtml(report) {
+  const e = escapeHtml;
+  const status = s => `<span class="status ${s.split(' ')[0]}">${e(s)}</span>`;
+  const list = (items, empty, item) => items.length ? `<ul>${items.map(x => `<li>${item(x)}</li>`).join('')}</ul>` : `<p class="meta">${empty}</p>`;
+  const parts = [
+    `<h1>Incident report: ${e(report.title)}</h1>`,
+    `<ul class="meta">${report.meta.map(([k, v]) => `<li><strong>${e(k)}:</strong> ${e(v)}</li>`).join('')}</ul>`,
+    '<h2>Diagnosis</h2>',
+    report.diagnosis ? `<div class="diagnosis">${e(report.diagnosis)}</div>` : '<p class="meta">No reply from DoctorClaw yet.</p>',
+  ];
+  if (report.caseNotes) parts.push('<h2>Case notes</h2>', `<pre>${e(report.caseNotes)}</pre>`);
+  parts.push('<h2>Timeline</h2>', list(report.timeline, 'No actions were run.', t =>
+    `${t.time ? `<code>${e(t.time)}</code> ` : ''}${e(t.label)} <code>${e(t.target)}</code> ${status(t.status)}${t.backup ? ` (backup: <code>${e(t.backup)}</code>)` : ''}`));
+  parts.push('<h2>Files changed</h2>', list(report.files, 'No files were changed.', f =>
+    `<code>${e(f.path)}</code> — ${e(f.change)}${f.time ? ` at ${e(f.time)}` : ''}${f.backup ? `; previous version backed up to <code>${e(f.backup)}</code>` : ''}`));
+  parts.push('<h2>Actions</h2>');
+  if (!report.actions.length) parts.push('<p class="meta">DoctorClaw did not propose any actions.</p>');
+  for (const a of report.actions) {
+    parts.push(`<h3>${a.number}. ${e(a.label)}: <code>${e(a.target)}</code></h3>`, status(a.status));
+    if (a.content) parts.push(`<p>${e(a.contentLabel)}:</p><pre>${e(a.content)}</pre>`);
+    if (a.result) parts.push(`<p>Output:</p><pre>${e(a.result)}</pre>`);
+  }
+  parts.push('<h2>Conversation</h2>');
+  for (const t of report.transcript) {
+    if (t.role === 'notice') {
+      parts.push(`<p class="notice">${e(t.text)}</p>`);
+      continue;
+    }
+    parts.push(`<div class="msg"><div class="who">${t.role === 'user' ? 'You' : 'DoctorClaw'}</div>${t.text ? `<div class="text">${e(t.text)}</div>` : ''}${t.actions.length ? `<ul>${t.actions.map(a => `<li>Action ${a.number}: ${e(a.label)} <code>${e(a.target)}</code> ${status(a.status)}</li>`).join('')}</ul>` : ''}</div>`);
+  }
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Incident report: ${e(report.title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export a session.
+ * @param {object} session
+ * @param {'markdown'|'html'|'json'} format
+ * @param {object} [options]
+ * @param {object[]} [options.audit] - Audit entries of this session, for the report's timeline and file changes
+ * @param {Date} [options.now]
+ * @returns {{ body: string, contentType: string, filename: string }}
+ */
+export function exportSession(session, format, { audit = [], now = new Date() } = {}) {
+  const base = `doctorclaw-${session.id}`;
+  if (format === 'json') {
+    const bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exported_at: now.toISOString(), session };
+    return { body: JSON.stringify(bundle, null, 2) + '\n', contentType: 'application/json', filename: `${base}.json` };
+  }
+  const report = buildReport(session, { audit, now });
+  if (format === 'html') return { body: toHtml(report), contentType: 'text/html; charset=utf-8', filename: `${base}.html` };
+  if (format === 'markdown') return { body: toMarkdown(report), contentType: 'text/markdown; charset=utf-8', filename: `${base}.md` };
+  throw new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+}
+
+/**
+ * Turn an exported JSON bundle back into a session. It gets a new id, so
+ * importing never overwrites a tab, and importing twice gives two tabs.
+ * @param {object} bundle
+ * @returns {object} The session, not yet saved
+ * @throws {SessionImportError}
+ */
+export function importSession(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    throw new SessionImportError('Not a DoctorClaw session export (expected a JSON bundle with "format": "doctorclaw-session")');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new SessionImportError(`This export is from a newer DoctorClaw (bundle version ${bundle.version}); update to import it`);
+  }
+  const session = bundle.session;
+  if (!session || typeof session !== 'object' || !Array.isArray(session.conversation) || !Array.isArray(session.rendered)) {
+    throw new SessionImportError('The bundle has no valid session (conversation and rendered must be lists)');
+  }
+  return {
+    ...session,
+    id: 's_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+    label: `${session.label || 'Session'} (imported)`,
+    importedFrom: session.id,
+  };
+}
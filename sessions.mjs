@@ -0,0 +1,103 @@
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync, unlinkSync, renameSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const SESSIONS_DIR = join(__dirname, '.doctorclaw-sessions');
+
+// Session ids become file names, so only allow the characters the frontend generates
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Check whether a session id is safe to use as a file name.
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_RE.test(id);
+}
+
+function sessionPath(id) {
+  if (!isValidSessionId(id)) throw new Error(`Invalid session id: "${id}"`);
+  return join(SESSIONS_DIR, `${id}.json`);
+}
+
+/**
+ * Load every stored session, oldest first.
+ * Files that fail to parse are skipped rather than breaking the whole list.
+ * @returns {object[]}
+ */
+export function listSessions() {
+  if (!existsSync(SESSIONS_DIR)) return [];
+  const sessions = [];
+  for (const file of readdirSync(SESSIONS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      sessions.push(JSON.parse(readFileSync(join(SESSIONS_DIR, file), 'utf-8')));
+    } catch {}
+  }
+  return sessions.sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+}
+
+/**
+ * Load a single session.
+ * @param {string} id
+ * @returns {object|null} The session, or null if it does not exist
+ */
+export function getSession(id) {
+  const file = sessionPath(id);
+  if (!existsSync(file)) return null;
+  return JSON.parse(readFileSync(file, 'utf-8'));
+}
+
+// Fields only the server sets (the session's auto-approval rules). A client
+// saving or importing a session cannot change them; the stored values are kept.
+const SERVER_FIELDS = ['auto_approve_rules'];
+
+/**
+ * Create or replace a session. Writes go through a temp file so a crash
+ * mid-write never leaves a truncated session behind.
+ * @param {object} session - Must carry a valid `id`
+ * @param {object} [options]
+ * @param {boolean} [options.serverFields=false] - Take the server-only fields from `session` instead of the stored file
+ * @returns {object} The stored session
+ */
+export function saveSession(session, { serverFields = false } = {}) {
+  if (!session || typeof session !== 'object') throw new Error('Session must be an object');
+  const file = sessionPath(session.id);
+  if (!existsSync(SESSIONS_DIR)) mkdirSync(SESSIONS_DIR, { recursive: true });
+  let kept = {};
+  if (!serverFields) {
+    session = Object.fromEntries(Object.entries(session).filter(([key]) => !SERVER_FIELDS.includes(key)));
+    if (existsSync(file)) {
+      try {
+        const current = JSON.parse(readFileSync(file, 'utf-8'));
+        kept = Object.fromEntries(SERVER_FIELDS.filter(key => key in current).map(key => [key, current[key]]));
+      } catch {}
+    }
+  }
+  const stored = {
+    ...session,
+    ...kept,
+    conversation: Array.isArray(session.conversation) ? session.conversation : [],
+    rendered: Array.isArray(session.rendered) ? session.rendered : [],
+    createdAt: session.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  const tmp = `${file}.tmp`;
+  writeFileSync(tmp, JSON.stringify(stored), 'utf-8');
+  renameSync(tmp, file);
+  return stored;
+}
+
+/**
+ * Delete a session.
+ * @param {string} id
+ * @returns {boolean} True if a session was removed
+ */
+export function deleteSession(id) {
+  const file = sessionPath(id);
+  if (!existsSync(file)) return false;
+  unlinkSync(file);
+  return true;
+}
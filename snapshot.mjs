@@ -0,0 +1,453 @@
+import { readFileSync, readdirSync, readlinkSync, existsSync, statfsSync } from 'fs';
+import { callMethod } from './dbus.mjs';
+import { parse } from 'path';
+import os from 'os';
+
+// ── System Snapshot ──────────────────────────────────────────────────────────
+// A read-only picture of the machine, gathered natively from os and /proc
+// instead of by running commands, so it needs no approval and works the same
+// whatever is installed. The user can attach it to a new session so the model
+// starts from the facts instead of asking for them one command at a time.
+// No process is started: failed systemd units are asked of systemd over D-Bus.
+
+// CPU time is sampled twice this far apart to get current usage
+const SAMPLE_MS = 250;
+// Processes listed per ranking
+const TOP_PROCESSES = 8;
+// Sockets listed, after which the rest are counted
+const MAX_LISTENING = 40;
+// Clock ticks per second in /proc/[pid]/stat; USER_HZ is 100 on every Linux architecture Node runs on
+const CLOCK_TICKS = 100;
+const DBUS_TIMEOUT_MS = 3000;
+const MAX_COMMAND_CHARS = 120;
+
+// Filesystems that hold no data of their own; they are left out of mounts and disk usage
+const PSEUDO_FILESYSTEMS = new Set([
+  'proc', 'sysfs', 'devpts', 'devtmpfs', 'cgroup', 'cgroup2', 'securityfs', 'pstore', 'debugfs', 'tracefs',
+  'configfs', 'fusectl', 'mqueue', 'hugetlbfs', 'bpf', 'autofs', 'binfmt_misc', 'rpc_pipefs', 'nsfs',
+  'selinuxfs', 'efivarfs', 'ramfs', 'squashfs', 'overlay', 'nfsd',
+]);
+// Memory-backed filesystems are listed as mounts but not as disks
+const MEMORY_FILESYSTEMS = new Set(['tmpfs']);
+
+const TCP_LISTEN = '0A';
+const UDP_UNCONNECTED = '07';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function readText(file) {
+  try {
+    return readFileSync(file, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+// ── CPU and memory ───────────────────────────────────────────────────────────
+
+function cpuTimes() {
+  let busy = 0, total = 0;
+  for (const { times } of os.cpus()) {
+    const sum = times.user + times.nice + times.sys + times.idle + times.irq;
+    total += sum;
+    busy += sum - times.idle;
+  }
+  return { busy, total };
+}
+
+function memory() {
+  const meminfo = readText('/proc/meminfo');
+  if (!meminfo) {
+    const total = os.totalmem(), free = os.freemem();
+    return { total, available: free, used: total - free, swap_total: null, swap_used: null };
+  }
+  const kb = {};
+  for (const line of meminfo.split('\n')) {
+    const m = line.match(/^(\w+):\s+(\d+)/);
+    if (m) kb[m[1]] = parseInt(m[2], 10) * 1024;
+  }
+  // MemAvailable is missing before Linux 3.14
+  const available = kb.MemAvailable ?? (kb.MemFree + (kb.Buffers || 0) + (kb.Cached || 0));
+  return {
+    total: kb.MemTotal,
+    available,
+    used: kb.MemTotal - available,
+    swap_total: kb.SwapTotal ?? null,
+    swap_used: kb.SwapTotal != null ? kb.SwapTotal - (kb.SwapFree || 0) : null,
+  };
+}
+
+// ── Filesystems ──────────────────────────────────────────────────────────────
+
+// /proc/mounts escapes spaces, tabs, newlines and backslashes as octal
+const unescapeMount = value => value.replace(/\\([0-7]{3})/g, (_, oct) => String.fromCharCode(parseInt(oct, 8)));
+
+function diskUsage(path) {
+  const st = statfsSync(path);
+  const size = st.blocks * st.bsize;
+  const free = st.bfree * st.bsize;
+  const available = st.bavail * st.bsize;
+  const used = size - free;
+  // Like df, the blocks reserved for root count as neither used nor available
+  const percent = used + available > 0 ? Math.round(used / (used + available) * 100) : 0;
+  return { size, used, available, percent };
+}
+
+function filesystems() {
+  const text = readText('/proc/mounts');
+  if (!text) {
+    const root = parse(process.cwd()).root;
+    return { mounts: [{ device: null, mountpoint: root, fstype: null, options: [] }], disks: [{ device: null, mountpoint: root, fstype: null, ...diskUsage(root) }] };
+  }
+  // A path mounted twice shows only the later mount, so that is the one kept
+  const byPath = new Map();
+  for (const line of text.split('\n')) {
+    const [device, mountpoint, fstype, options] = line.split(' ');
+    if (!mountpoint || PSEUDO_FILESYSTEMS.has(fstype)) continue;
+    const path = unescapeMount(mountpoint);
+    byPath.delete(path);
+    byPath.set(path, { device: unescapeMount(device), mountpoint: path, fstype, options: options.split(',') });
+  }
+  const mounts = [...byPath.values()];
+  const disks = [];
+  const seen = new Set();
+  for (const mount of mounts) {
+    if (MEMORY_FILESYSTEMS.has(mount.fstype)) continue;
+    // Bind mounts and btrfs subvolumes show the same device more than once
+    if (seen.has(mount.device)) continue;
+    seen.add(mount.device);
+    try {
+      disks.push({ device: mount.device, mountpoint: mount.mountpoint, fstype: mount.fstype, ...diskUsage(mount.mountpoint) });
+    } catch {
+      // Unreachable network shares and mounts we may not stat are left out
+    }
+  }
+  return { mounts, disks };
+}
+
+// ── Network ──────────────────────────────────────────────────────────────────
+
+function interfaces() {
+  const traffic = {};
+  const dev = readText('/proc/net/dev');
+  for (const line of (dev || '').split('\n').slice(2)) {
+    const m = line.match(/^\s*([^:]+):\s*(.*)$/);
+    if (!m) continue;
+    const fields = m[2].trim().split(/\s+/).map(Number);
+    traffic[m[1]] = { rx_bytes: fields[0], tx_bytes: fields[8] };
+  }
+  return Object.entries(os.networkInterfaces()).map(([name, addresses]) => ({
+    name,
+    addresses: addresses.map(a => ({ family: a.family, address: a.address, cidr: a.cidr, internal: a.internal })),
+    rx_bytes: traffic[name]?.rx_bytes ?? null,
+    tx_bytes: traffic[name]?.tx_bytes ?? null,
+  }));
+}
+
+// Addresses in /proc/net are hex, in host byte order per 32-bit word
+function decodeAddress(hex) {
+  const [addr, port] = hex.split(':');
+  const words = addr.match(/.{8}/g).map(w => w.match(/../g).reverse().join(''));
+  if (words.length === 1) return { address: words[0].match(/../g).map(b => parseInt(b, 16)).join('.'), port: parseInt(port, 16) };
+  const groups = words.join('').match(/.{4}/g).map(g => parseInt(g, 16).toString(16));
+  const address = groups.join(':').replace(/(^|:)0(:0)+(:|$)/, '::').replace(/:{3,}/, '::');
+  return { address, port: parseInt(port, 16) };
+}
+
+function sockets(protocol) {
+  const text = readText('/proc/net/' + protocol);
+  if (!text) return [];
+  const out = [];
+  for (const line of text.split('\n').slice(1)) {
+    const f = line.trim().split(/\s+/);
+    if (f.length < 10) continue;
+    const state = f[3];
+    if (protocol.startsWith('tcp') ? state !== TCP_LISTEN : state !== UDP_UNCONNECTED) continue;
+    out.push({ protocol, ...decodeAddress(f[1]), inode: f[9] });
+  }
+  return out;
+}
+
+// Which process owns each socket, from the socket links in /proc/[pid]/fd.
+// Other users' processes can only be seen as root, so this is best effort.
+function socketOwners(inodes) {
+  const owners = new Map();
+  for (const pid of pids()) {
+    let fds;
+    try {
+      fds = readdirSync(`/proc/${pid}/fd`);
+    } catch {
+      continue;
+    }
+    for (const fd of fds) {
+      let link;
+      try {
+        link = readlinkSync(`/proc/${pid}/fd/${fd}`);
+      } catch {
+        continue;
+      }
+      const m = link.match(/^socket:\[(\d+)\]$/);
+      if (m && inodes.has(m[1]) && !owners.has(m[1])) {
+        owners.set(m[1], { pid: Number(pid), name: (readText(`/proc/${pid}/comm`) || '').trim() });
+      }
+    }
+    if (owners.size === inodes.size) break;
+  }
+  return owners;
+}
+
+/**
+ * Listening TCP sockets and unconnected UDP sockets, with the owning process when it can be seen.
+ * @returns {{ protocol: string, address: string, port: number, pid: number|null, process: string|null }[]}
+ */
+export function listeningSockets() {
+  const all = ['tcp', 'tcp6', 'udp', 'udp6'].flatMap(sockets);
+  const owners = socketOwners(new Set(all.map(s => s.inode)));
+  const seen = new Set();
+  const out = [];
+  for (const { protocol, address, port, inode } of all.sort((a, b) => a.port - b.port)) {
+    const key = `${protocol}|${address}|${port}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const owner = owners.get(inode);
+    out.push({ protocol, address, port, pid: owner?.pid ?? null, process: owner?.name ?? null });
+  }
+  return out;
+}
+
+// ── Processes ────────────────────────────────────────────────────────────────
+
+function pids() {
+  try {
+    return readdirSync('/proc').filter(name => /^\d+$/.test(name));
+  } catch {
+    return [];
+  }
+}
+
+function processTimes() {
+  const times = new Map();
+  for (const pid of pids()) {
+    const stat = readText(`/proc/${pid}/stat`);
+    if (!stat) continue;
+    // The command name is in parentheses and may itself contain spaces or parentheses
+    const close = stat.lastIndexOf(')');
+    const f = stat.slice(close + 2).split(' ');
+    times.set(pid, { name: stat.slice(stat.indexOf('(') + 1, close), state: f[0], ticks: Number(f[11]) + Number(f[12]) });
+  }
+  return times;
+}
+
+function processDetails(pid) {
+  const status = readText(`/proc/${pid}/status`) || '';
+  const rss = status.match(/^VmRSS:\s+(\d+)/m);
+  const uid = status.match(/^Uid:\s+(\d+)/m);
+  const cmdline = (readText(`/proc/${pid}/cmdline`) || '').replace(/\0+$/, '').replace(/\0/g, ' ');
+  return {
+    rss: rss ? parseInt(rss[1], 10) * 1024 : 0,
+    uid: uid ? Number(uid[1]) : null,
+    command: cmdline.length > MAX_COMMAND_CHARS ? cmdline.slice(0, MAX_COMMAND_CHARS) + '…' : cmdline,
+  };
+}
+
+function processes(before, after, elapsedMs) {
+  const list = [];
+  for (const [pid, now] of after) {
+    const then = before.get(pid);
+    const cpu = then ? (now.ticks - then.ticks) / CLOCK_TICKS / (elapsedMs / 1000) * 100 : 0;
+    list.push({ pid: Number(pid), name: now.name, state: now.state, cpu: Math.round(cpu * 10) / 10, ...processDetails(pid) });
+  }
+  // Kernel threads have no command line and no memory of their own
+  const user = list.filter(p => p.command);
+  return {
+    total: list.length,
+    by_cpu: [...user].sort((a, b) => b.cpu - a.cpu || b.rss - a.rss).slice(0, TOP_PROCESSES),
+    by_memory: [...user].sort((a, b) => b.rss - a.rss).slice(0, TOP_PROCESSES),
+    zombies: list.filter(p => p.state === 'Z').length,
+  };
+}
+
+// ── systemd ──────────────────────────────────────────────────────────────────
+
+// What `systemctl --failed` shows, from the Manager's ListUnitsFiltered on the system bus
+async function failedUnits() {
+  if (!existsSync('/run/systemd/system')) throw new Error('systemd is not running');
+  const [units] = await callMethod({
+    destination: 'org.freedesktop.systemd1',
+    path: '/org/freedesktop/systemd1',
+    interface: 'org.freedesktop.systemd1.Manager',
+    member: 'ListUnitsFiltered',
+    signature: 'as',
+    body: [['failed']],
+  }, { timeoutMs: DBUS_TIMEOUT_MS });
+  return units
+    .map(([unit, description, load, active, sub]) => ({ unit, load, active, sub, description }))
+    .sort((a, b) => a.unit.localeCompare(b.unit));
+}
+
+// ── Snapshot ─────────────────────────────────────────────────────────────────
+
+/**
+ * Gather the snapshot. Each part that cannot be read on this system is null,
+ * with the reason in `unavailable`.
+ * @returns {Promise<object>}
+ */
+export async function collectSnapshot() {
+  const unavailable = {};
+  const attempt = (part, fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      unavailable[part] = err.message;
+      return null;
+    }
+  };
+  const linux = process.platform === 'linux';
+
+  const cpuBefore = cpuTimes();
+  const procBefore = linux ? attempt('processes', processTimes) : null;
+  const started = Date.now();
+  let unitsError = null;
+  const units = failedUnits().catch(err => {
+    unitsError = err.message;
+    return null;
+  });
+  await sleep(SAMPLE_MS);
+  const cpuAfter = cpuTimes();
+  const procAfter = linux ? attempt('processes', processTimes) : null;
+  const elapsed = Date.now() - started;
+
+  const cpus = os.cpus();
+  const snapshot = {
+    collected_at: new Date().toISOString(),
+    host: {
+      hostname: os.hostname(),
+      platform: process.platform,
+      release: os.release(),
+      arch: os.arch(),
+      uptime: Math.round(os.uptime()),
+    },
+    cpu: {
+      model: cpus[0]?.model?.trim() || null,
+      cores: cpus.length,
+      usage: cpuAfter.total > cpuBefore.total ? Math.round((cpuAfter.busy - cpuBefore.busy) / (cpuAfter.total - cpuBefore.total) * 1000) / 10 : null,
+      // Windows has no load average and reports zeros
+      load: process.platform === 'win32' ? null : os.loadavg().map(n => Math.round(n * 100) / 100),
+    },
+    memory: attempt('memory', memory),
+    ...(attempt('filesystems', filesystems) || { mounts: null, disks: null }),
+    interfaces: attempt('interfaces', interfaces),
+    listening: linux ? attempt('listening', listeningSockets) : null,
+    processes: procBefore && procAfter ? attempt('processes', () => processes(procBefore, procAfter, elapsed)) : null,
+    failed_units: await units,
+    unavailable,
+  };
+  if (!linux) {
+    for (const part of ['listening', 'processes']) unavailable[part] = 'read from /proc, which only Linux has';
+  }
+  if (snapshot.failed_units === null && linux) unavailable.failed_units = unitsError;
+  return snapshot;
+}
+
+// ── Text form ────────────────────────────────────────────────────────────────
+
+/**
+ * Human-readable size, in binary units.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes == null) return '?';
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return (i && bytes < 10 ? bytes.toFixed(1) : Math.round(bytes)) + ' ' + units[i];
+}
+
+function formatUptime(seconds) {
+  const d = Math.floor(seconds / 86400), h = Math.floor(seconds % 86400 / 3600), m = Math.floor(seconds % 3600 / 60);
+  return d ? `${d}d ${h}h` : h ? `${h}h ${m}m` : `${m}m`;
+}
+
+const pad = (value, width) => String(value).padEnd(width);
+
+/**
+ * The snapshot as compact plain text, the form the model reads.
+ * @param {object} snap - From collectSnapshot
+ * @returns {string}
+ */
+export function formatSnapshot(snap) {
+  const lines = [];
+  const { host, cpu, memory: mem } = snap;
+  lines.push(`Host: ${host.hostname} (${host.platform} ${host.release}, ${host.arch}), up ${formatUptime(host.uptime)}`);
+  const usage = cpu.usage != null ? `, ${cpu.usage}% busy` : '';
+  const load = cpu.load ? `; load average ${cpu.load.join(' ')}` : '';
+  lines.push(`CPU: ${cpu.cores} × ${cpu.model || 'unknown'}${usage}${load}`);
+  if (mem) {
+    const swap = mem.swap_total ? `; swap ${formatBytes(mem.swap_used)} used of ${formatBytes(mem.swap_total)}` : mem.swap_total === 0 ? '; no swap' : '';
+    lines.push(`Memory: ${formatBytes(mem.used)} used of ${formatBytes(mem.total)} (${formatBytes(mem.available)} available)${swap}`);
+  }
+
+  if (snap.disks?.length) {
+    lines.push('', 'Disks:');
+    const width = Math.max(...snap.disks.map(d => d.mountpoint.length));
+    for (const d of snap.disks) {
+      lines.push(`  ${pad(d.mountpoint, width)}  ${pad(d.percent + '%', 4)} ${formatBytes(d.used)} used of ${formatBytes(d.size)}, ${formatBytes(d.available)} free  ${[d.fstype, d.device].filter(Boolean).join(' on ')}`);
+    }
+  }
+  const other = (snap.mounts || []).filter(m => !snap.disks?.some(d => d.mountpoint === m.mountpoint));
+  if (other.length) lines.push('', 'Other mounts: ' + other.map(m => `${m.mountpoint} (${m.fstype}${m.options.includes('ro') ? ', ro' : ''})`).join(', '));
+  const readOnly = (snap.disks || []).filter(d => snap.mounts?.some(m => m.mountpoint === d.mountpoint && m.options.includes('ro')));
+  if (readOnly.length) lines.push('Mounted read-only: ' + readOnly.map(d => d.mountpoint).join(', '));
+
+  if (snap.interfaces?.length) {
+    lines.push('', 'Network interfaces:');
+    for (const i of snap.interfaces) {
+      const traffic = i.rx_bytes != null ? `  rx ${formatBytes(i.rx_bytes)}, tx ${formatBytes(i.tx_bytes)}` : '';
+      lines.push(`  ${i.name}: ${i.addresses.map(a => a.cidr || a.address).join(', ') || 'no address'}${traffic}`);
+    }
+  }
+
+  if (snap.listening) {
+    lines.push('', snap.listening.length ? 'Listening sockets:' : 'Listening sockets: none');
+    for (const s of snap.listening.slice(0, MAX_LISTENING)) {
+      const owner = s.process ? `${s.process} (pid ${s.pid})` : 'owner not visible';
+      lines.push(`  ${pad(s.protocol, 5)} ${pad((s.address.includes(':') ? `[${s.address}]` : s.address) + ':' + s.port, 28)} ${owner}`);
+    }
+    if (snap.listening.length > MAX_LISTENING) lines.push(`  … and ${snap.listening.length - MAX_LISTENING} more`);
+  }
+
+  if (snap.processes) {
+    const { total, zombies, by_cpu, by_memory } = snap.processes;
+    const row = p => `  ${pad(p.pid, 7)} ${pad(p.cpu + '%', 6)} ${pad(formatBytes(p.rss), 9)} ${p.command || p.name}`;
+    lines.push('', `Processes: ${total}${zombies ? `, ${zombies} zombie` : ''}`);
+    lines.push('Top by CPU (pid, cpu, rss, command):', ...by_cpu.map(row));
+    lines.push('Top by memory:', ...by_memory.map(row));
+  }
+
+  if (snap.failed_units) {
+    lines.push('', snap.failed_units.length
+      ? 'Failed systemd units:\n' + snap.failed_units.map(u => `  ${u.unit} (${u.active}/${u.sub}) ${u.description}`).join('\n')
+      : 'Failed systemd units: none');
+  }
+
+  const missing = Object.entries(snap.unavailable || {});
+  if (missing.length) lines.push('', 'Not available: ' + missing.map(([part, reason]) => `${part.replace('_', ' ')} (${reason})`).join('; '));
+  return lines.join('\n');
+}
+
+/**
+ * The conversation message that attaches a snapshot to a session. It goes
+ * first, before the user describes the problem.
+ * @param {object} snap - From collectSnapshot
+ * @returns {{ role: string, content: string }}
+ */
+export function snapshotMessage(snap) {
+  return {
+    role: 'user',
+    content: `[System snapshot collected by DoctorClaw at ${snap.collected_at}, before the user described the problem. Background only: it was read directly from the system, not through actions.]\n${formatSnapshot(snap)}`,
+  };
+}
@@ -0,0 +1,32 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { denialMessage, resultMessage } from '../actions.mjs';
+
+describe('action result messages', () => {
+  test('answer tool calls as role "tool" and text tags as a user message', () => {
+    const tag = { type: 'READ_FILE', target: '/etc/hosts', content: null };
+    assert.deepEqual(resultMessage(tag, { success: true, result: '127.0.0.1 localhost' }), {
+      role: 'user',
+      content: '[Result of READ_FILE on "/etc/hosts"]: SUCCESS\n127.0.0.1 localhost',
+    });
+    assert.deepEqual(resultMessage({ ...tag, tool: 'read_file' }, { success: false, result: 'No such file' }), {
+      role: 'tool',
+      tool_name: 'read_file',
+      content: '[Result of READ_FILE on "/etc/hosts"]: FAILED\nNo such file',
+    });
+  });
+
+  test('include the reason for a denial', () => {
+    const act = { type: 'RUN_CMD', target: 'reboot', tool: 'run_command' };
+    assert.equal(denialMessage(act).content, '[User DENIED the action: RUN_CMD on "reboot"]');
+    assert.equal(denialMessage(act, 'not now').content, '[User DENIED the action: RUN_CMD on "reboot". Reason: not now]');
+    assert.equal(denialMessage(act).role, 'tool');
+  });
+
+  test('tell the model what it proposed before the user edited it', () => {
+    const edited = { type: 'RUN_CMD', target: 'systemctl restart nginx', content: null, original: { target: 'reboot', content: null } };
+    assert.match(resultMessage(edited, { success: true, result: '' }).content, /^\[The user edited this action before approving it\. You proposed RUN_CMD with target "reboot"\.\]\n\[Result of RUN_CMD/);
+    const write = { type: 'WRITE_FILE', target: '/tmp/a', content: 'new', original: { target: '/tmp/a', content: 'old' } };
+    assert.match(resultMessage(write, { success: true, result: 'Written' }).content, /You proposed WRITE_FILE with different file content\./);
+  });
+});
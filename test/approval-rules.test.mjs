@@ -0,0 +1,43 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateAutoApproval } from '../approval-rules.mjs';
+
+const ctx = (settings, extra = {}) => ({
+  settings,
+  checkPath: path => ({ allowed: path.startsWith('/var/log/'), path }),
+  checkPolicy: () => ({ decision: 'allow', reasons: [] }),
+  ...extra,
+});
+const dns = { type: 'DNS_LOOKUP', target: 'example.com', content: null };
+
+describe('auto-approval of plugins marked auto', () => {
+  test('treats the plugin as one more allow rule', () => {
+    const verdict = evaluateAutoApproval(dns, ctx({ enabled: true, rules: [] }, { pluginAuto: ['DNS_LOOKUP'] }));
+    assert.equal(verdict.auto, true);
+    assert.equal(verdict.scope, 'plugin');
+  });
+
+  test('needs approval when the plugin is not marked auto', () => {
+    assert.equal(evaluateAutoApproval(dns, ctx({ enabled: true, rules: [] })).auto, false);
+  });
+
+  test('is stopped by the kill switch', () => {
+    assert.equal(evaluateAutoApproval(dns, ctx({ enabled: false, rules: [] }, { pluginAuto: ['DNS_LOOKUP'] })).auto, false);
+  });
+
+  test('is stopped by global and session "never" rules', () => {
+    assert.equal(evaluateAutoApproval(dns, ctx({ enabled: true, rules: ['never DNS_LOOKUP'] }, { pluginAuto: ['DNS_LOOKUP'] })).auto, false);
+    assert.equal(evaluateAutoApproval(dns, ctx({ enabled: true, rules: [] }, { pluginAuto: ['DNS_LOOKUP'], sessionRules: ['never DNS_LOOKUP *.example.com', 'never DNS_LOOKUP example.com'] })).auto, false);
+  });
+
+  test('still needs the plugin\'s own policy to allow the action', () => {
+    const verdict = evaluateAutoApproval(dns, ctx({ enabled: true, rules: [] }, { pluginAuto: ['DNS_LOOKUP'], checkPolicy: () => ({ decision: 'confirm', reasons: ['x'] }) }));
+    assert.equal(verdict.auto, false);
+  });
+
+  test('prefers a matching rule of the user\'s', () => {
+    const verdict = evaluateAutoApproval(dns, ctx({ enabled: true, rules: ['DNS_LOOKUP *.com'] }, { pluginAuto: ['DNS_LOOKUP'] }));
+    assert.equal(verdict.rule, 'DNS_LOOKUP *.com');
+    assert.equal(verdict.scope, 'global');
+  });
+});
@@ -0,0 +1,41 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashSecret, verifySecret, createAuthSessions } from '../auth.mjs';
+
+describe('authentication', () => {
+  const token = 'correct-horse-battery-staple';
+  const stored = hashSecret(token);
+
+  test('verifies secrets without blocking the event loop', async () => {
+    let ticked = false;
+    setImmediate(() => { ticked = true; });
+    const pending = verifySecret('wrong', stored);
+    assert.ok(pending instanceof Promise);
+    assert.equal(await pending, false);
+    assert.ok(ticked);
+    assert.equal(await verifySecret(token, stored), true);
+    assert.equal(await verifySecret('', stored), false);
+  });
+
+  test('locks out bearer guesses, also when they arrive in parallel', async () => {
+    const auth = createAuthSessions();
+    const guess = () => auth.attempt('10.0.0.9', () => auth.checkBearer('guess', stored));
+    const results = await Promise.all(Array.from({ length: 20 }, guess));
+    assert.equal(results.filter(r => !r.ok && !r.wait).length, 5);
+    assert.ok(results.slice(5).every(r => r.wait > 0));
+    // The right token is refused as well until the lockout ends, and nothing is hashed
+    let checked = false;
+    const locked = await auth.attempt('10.0.0.9', () => { checked = true; return auth.checkBearer(token, stored); });
+    assert.equal(locked.ok, false);
+    assert.equal(checked, false);
+    // Other addresses are not affected
+    assert.deepEqual(await auth.attempt('10.0.0.10', () => auth.checkBearer(token, stored)), { ok: true, wait: 0 });
+  });
+
+  test('a successful check clears earlier failures', async () => {
+    const auth = createAuthSessions();
+    for (let i = 0; i < 4; i++) await auth.attempt('10.0.0.11', () => auth.checkBearer('guess', stored));
+    assert.equal((await auth.attempt('10.0.0.11', () => auth.checkBearer(token, stored))).ok, true);
+    assert.equal(auth.lockedFor('10.0.0.11'), 0);
+  });
+});
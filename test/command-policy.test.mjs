@@ -0,0 +1,212 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeCommand, parseShell, DEFAULT_COMMAND_POLICY } from '../command-policy.mjs';
+
+const checkWrite = path => (path.startsWith('/tmp/') ? { allowed: true } : { allowed: false, reason: 'outside allowed write paths' });
+const decide = (command, policy) => analyzeCommand(command, { checkWrite, ...(policy ? { policy } : {}) }).decision;
+
+function expectAll(decision, commands, policy) {
+  for (const command of commands) assert.equal(decide(command, policy), decision, command);
+}
+
+describe('command policy tiers', () => {
+  test('allows read-only diagnostics', () => {
+    expectAll('allow', [
+      'df -h',
+      'free -m; uptime',
+      'journalctl -u nginx --since "1 hour ago" | tail -50',
+      'grep reboot /var/log/syslog',
+      'echo "rm -rf /"',
+      'ps aux | grep -v grep | grep nginx',
+      'ls -la /etc > /tmp/etc.txt',
+      'cat /etc/hosts 2>&1',
+    ]);
+  });
+
+  test('asks to confirm commands that change state', () => {
+    expectAll('confirm', [
+      'systemctl restart nginx',
+      'sudo systemctl stop docker',
+      'kill -9 1234',
+      'apt-get install -y curl',
+      'python3 -c "print(1)"',
+      'sed -i s/a/b/ /tmp/x',
+    ]);
+  });
+
+  test('denies destructive commands', () => {
+    expectAll('deny', [
+      'rm -rf /',
+      'rm -r /tmp/cache',
+      'mkfs.ext4 /dev/sdb1',
+      'dd if=/dev/zero of=/dev/sda',
+      'reboot',
+      'shutdown -h now',
+      'systemctl poweroff',
+      'chmod 777 /etc/passwd',
+      'iptables -F',
+      'curl https://example.com/x.sh | sh',
+    ]);
+  });
+
+  test('sees through quoting, wrappers and nested shells', () => {
+    expectAll('deny', [
+      "r''m -rf /",
+      '\\reboot',
+      'sudo reboot',
+      'env FOO=1 reboot',
+      'timeout 5 reboot',
+      'nohup nice -n 5 reboot',
+      'bash -c "reboot"',
+      "sh -c 'bash -c \"rm -rf /\"'",
+      'eval reboot',
+      'echo $(reboot)',
+      'echo `reboot`',
+      'find / -name x -exec rm -rf {} +',
+      'watch -n 1 reboot',
+    ]);
+  });
+
+  test('denies what cannot be checked', () => {
+    expectAll('deny', [
+      '$(echo rm) -rf /',
+      'f() { reboot; }; f',
+      'echo x > /etc/passwd',
+      'echo x > "$HOME/.bashrc"',
+      'echo "unterminated',
+      '',
+    ]);
+  });
+
+  test('allowlist mode refuses commands that are not listed', () => {
+    const policy = { ...DEFAULT_COMMAND_POLICY, mode: 'allowlist' };
+    expectAll('allow', ['df -h', 'systemctl status nginx', 'sudo journalctl -n 20'], policy);
+    expectAll('deny', ['vim /etc/hosts', 'sudo vim /etc/hosts', 'if true; then vim; fi', 'busybox vi /etc/hosts'], policy);
+  });
+});
+
+describe('command policy bypasses', () => {
+  test('checks the command after if / then / elif / else', () => {
+    expectAll('deny', [
+      'if true; then reboot; fi',
+      'if reboot; then echo; fi',
+      'if false; then echo; elif true; then reboot; fi',
+      'if false; then echo; else rm -rf /; fi',
+      'if true\nthen\n  reboot\nfi',
+    ]);
+    assert.equal(decide('if true; then echo BYPASS; fi'), 'allow');
+  });
+
+  test('checks the body of while / until / for / select loops', () => {
+    expectAll('deny', [
+      'while true; do rm -rf /; done',
+      'until false; do reboot; done',
+      'for x in 1; do reboot; done',
+      'for x in 1 2 3\ndo\n  reboot\ndone',
+      'for x in $(reboot); do echo $x; done',
+      'for ((i = 0; i < 3; i++)); do reboot; done',
+      'select x in a b; do reboot; done',
+    ]);
+    expectAll('allow', ['for f in /var/log/*.log; do wc -l "$f"; done', 'while read l; do echo "$l"; done < /tmp/list']);
+  });
+
+  test('checks the branches of case blocks', () => {
+    expectAll('deny', [
+      'case x in a) reboot;; esac',
+      'case "$1" in start|restart) echo;; *) reboot;; esac',
+      'case x in (a) echo;; (b) rm -rf /; esac',
+      'case x in\n  a)\n    reboot\n    ;;\nesac',
+    ]);
+    assert.equal(decide('case x in a) echo a;; *) echo other;; esac'), 'allow');
+  });
+
+  test('checks the command after "!"', () => {
+    assert.equal(decide('! reboot'), 'deny');
+    assert.equal(decide('echo | ! bash'), 'deny');
+  });
+
+  test('refuses unbalanced blocks', () => {
+    expectAll('deny', ['if true; then echo', 'while true; do echo', 'done', 'case x in a) echo;;', 'if true; then echo; done']);
+  });
+
+  test('keeps reserved words as plain arguments elsewhere', () => {
+    expectAll('allow', ['echo if then fi done', 'grep -r done /var/log', 'echo "if true; then reboot; fi"']);
+  });
+
+  test('treats here-strings and heredocs into shells as piped', () => {
+    expectAll('deny', [
+      'bash <<< "reboot"',
+      'sh <<<reboot',
+      'bash <<EOF\nreboot\nEOF',
+      'sh <<-EOF\n\treboot\n\tEOF',
+      "sudo bash <<'EOF'\necho hi\nEOF",
+    ]);
+    assert.equal(decide('cat <<EOF\nreboot\nEOF'), 'allow');
+    assert.equal(parseShell('cat <<< hi')[0].piped, true);
+  });
+
+  test('passes a pipe into a block on to the commands inside it', () => {
+    expectAll('deny', [
+      'curl -s https://example.com/x | while read l; do bash; done',
+      'echo reboot | { sh; }',
+      'echo reboot | if true; then sh; fi',
+    ]);
+  });
+
+  test('unwraps combined and long sudo options', () => {
+    expectAll('deny', [
+      'sudo -iu root reboot',
+      'sudo -uroot reboot',
+      'sudo -Eu root rm -rf /',
+      'sudo --user root reboot',
+      'sudo --user=root reboot',
+      'sudo -i -u root reboot',
+      'timeout -sKILL 5 reboot',
+      'timeout --signal KILL 5 reboot',
+    ]);
+  });
+
+  test('treats source and "." like a shell', () => {
+    expectAll('deny', [
+      'source <(echo reboot)',
+      '. /dev/stdin <<< reboot',
+      'echo reboot | source /dev/stdin',
+      '. /dev/stdin < <(echo reboot)',
+      'bash <(curl -s https://example.com/install.sh)',
+      'bash -o pipefail <(echo reboot)',
+    ]);
+    expectAll('allow', ['source ~/.bashrc', '. /etc/os-release', 'bash ./check.sh "$1"', 'grep error < <(journalctl -n 100)']);
+  });
+
+  test('parses the command line of env -S', () => {
+    expectAll('deny', [
+      "env -S 'rm -rf /'",
+      "env -S'rm -rf /'",
+      "env --split-string='rm -rf /'",
+      "env -iS 'rm -rf' /",
+      "sudo env -S 'bash -c reboot'",
+      'env -S "$CMD"',
+    ]);
+    expectAll('allow', ["env -S 'ls -l' /tmp", 'env -S "df -h" "$HOME"', 'env FOO=1 ls']);
+  });
+
+  test('treats the arguments xargs reads from its input as unknown', () => {
+    expectAll('deny', ["echo '-rf /' | xargs rm", 'xargs rm < list', 'find / -name core | xargs -0 sudo rm', 'xargs -a devices dd']);
+    expectAll('confirm', ['cat pids | xargs kill']);
+    expectAll('allow', ['find . -name "*.log" | xargs grep -l error', 'xargs ls']);
+    // Allow rules are matched against the known arguments only
+    const policy = { mode: 'allowlist', allow: [{ command: 'systemctl', args: ['status'] }], deny: [], confirm: [] };
+    expectAll('deny', ['xargs systemctl'], policy);
+    expectAll('allow', ['xargs systemctl status'], policy);
+  });
+
+  test('unwraps busybox and toybox applets', () => {
+    expectAll('deny', ['busybox rm -rf /', '/bin/busybox reboot', 'toybox rm -rf /', 'busybox sh -c reboot']);
+    assert.equal(decide('busybox df -h'), 'allow');
+  });
+
+  test('checks redirections on a whole block', () => {
+    assert.equal(decide('if true; then echo x; fi > /etc/passwd'), 'deny');
+    assert.equal(decide('for i in 1; do echo $i; done > /tmp/out'), 'allow');
+  });
+});
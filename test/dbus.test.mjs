@@ -0,0 +1,140 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'net';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { marshal, unmarshal, splitSignature, encodeMessage, decodeMessage, callMethod, systemBusPath, DBusError, DEFAULT_SYSTEM_BUS } from '../dbus.mjs';
+
+describe('D-Bus marshalling', () => {
+  test('splits signatures into complete types', () => {
+    assert.deepEqual(splitSignature('sa(su)a{sv}y'), ['s', 'a(su)', 'a{sv}', 'y']);
+    assert.throws(() => splitSignature('(su'), DBusError);
+    assert.throws(() => splitSignature('z'), DBusError);
+  });
+
+  test('pads values to their alignment', () => {
+    // y, 3 bytes of padding, u
+    assert.deepEqual([...marshal('yu', [1, 2])], [1, 0, 0, 0, 2, 0, 0, 0]);
+    // string: length, bytes, NUL
+    assert.deepEqual([...marshal('s', ['ab'])], [2, 0, 0, 0, 0x61, 0x62, 0]);
+    // array of structs: length, padding to 8, then the elements
+    assert.deepEqual([...marshal('a(y)', [[[7]]])], [1, 0, 0, 0, 0, 0, 0, 0, 7]);
+  });
+
+  test('round-trips the types systemd uses', () => {
+    const units = [
+      ['nginx.service', 'A high performance web server', 'loaded', 'failed', 'failed', '', '/org/freedesktop/systemd1/unit/nginx_2eservice', 0, '', '/'],
+      ['backup.timer', 'Nächtliches Backup', 'loaded', 'failed', 'failed', '', '/org/freedesktop/systemd1/unit/backup_2etimer', 7, 'start', '/org/freedesktop/systemd1/job/7'],
+    ];
+    assert.deepEqual(unmarshal('a(ssssssouso)', marshal('a(ssssssouso)', [units])), [units]);
+    assert.deepEqual(unmarshal('a{sv}bxd', marshal('a{sv}bxd', [{ a: ['s', 'x'], b: ['u', 5] }, true, -3n, 1.5])), [{ a: 'x', b: 5 }, true, -3n, 1.5]);
+    assert.deepEqual(unmarshal('as', marshal('as', [[]])), [[]]);
+  });
+
+  test('encodes and decodes whole messages', () => {
+    const buf = encodeMessage({ type: 'method_call', serial: 9, fields: { path: '/a', interface: 'x.y', member: 'Z', destination: 'x.z' }, signature: 'as', body: [['failed']] });
+    const msg = decodeMessage(buf);
+    assert.equal(msg.type, 'method_call');
+    assert.equal(msg.serial, 9);
+    assert.deepEqual(msg.fields, { path: '/a', interface: 'x.y', member: 'Z', destination: 'x.z', signature: 'as' });
+    assert.deepEqual(msg.body, [['failed']]);
+  });
+
+  test('refuses truncated bodies', () => {
+    assert.throws(() => unmarshal('s', Buffer.from([9, 0, 0, 0, 0x61])), DBusError);
+  });
+});
+
+describe('D-Bus calls', () => {
+  let dir, socketPath, server, reply;
+
+  // A bus that accepts EXTERNAL auth, answers Hello and answers the call with `reply`
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'doctorclaw-dbus-'));
+    socketPath = join(dir, 'bus.sock');
+    server = createServer(socket => {
+      let buffer = Buffer.alloc(0);
+      let authed = false;
+      socket.on('data', data => {
+        buffer = Buffer.concat([buffer, data]);
+        if (!authed) {
+          const text = buffer.toString('latin1');
+          if (text.includes('AUTH EXTERNAL ') && text.endsWith('\r\n') && !text.includes('BEGIN')) {
+            socket.write('OK 1234deadbeef\r\n');
+            return;
+          }
+          const begin = buffer.indexOf('BEGIN\r\n');
+          if (begin === -1) return;
+          buffer = buffer.subarray(begin + 7);
+          authed = true;
+        }
+        while (buffer.length >= 16) {
+          const fieldsLength = buffer.readUInt32LE(12);
+          const total = 16 + fieldsLength + ((8 - (fieldsLength % 8)) % 8) + buffer.readUInt32LE(4);
+          if (buffer.length < total) return;
+          const msg = decodeMessage(buffer.subarray(0, total));
+          buffer = buffer.subarray(total);
+          if (msg.fields.member === 'Hello') {
+            socket.write(encodeMessage({ type: 'method_return', serial: 1, fields: { reply_serial: msg.serial, destination: ':1.5' }, signature: 's', body: [':1.5'] }));
+            // A signal in between must be skipped
+            socket.write(encodeMessage({ type: 'signal', serial: 2, fields: { path: '/org/freedesktop/DBus', interface: 'org.freedesktop.DBus', member: 'NameAcquired' }, signature: 's', body: [':1.5'] }));
+          } else {
+            const answer = reply(msg);
+            // Split the reply to check that partial messages are buffered
+            const bytes = encodeMessage({ serial: 3, ...answer, fields: { reply_serial: msg.serial, ...answer.fields } });
+            socket.write(bytes.subarray(0, 10));
+            setTimeout(() => socket.write(bytes.subarray(10)), 10);
+          }
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(socketPath, resolve));
+  });
+
+  after(() => {
+    server.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const listFailed = options => callMethod({
+    destination: 'org.freedesktop.systemd1',
+    path: '/org/freedesktop/systemd1',
+    interface: 'org.freedesktop.systemd1.Manager',
+    member: 'ListUnitsFiltered',
+    signature: 'as',
+    body: [['failed']],
+  }, { socketPath, ...options });
+
+  test('returns the body of the reply', async () => {
+    let seen;
+    reply = msg => {
+      seen = msg;
+      return { type: 'method_return', signature: 'a(ssssssouso)', body: [[['nginx.service', 'web', 'loaded', 'failed', 'failed', '', '/u', 0, '', '/']]] };
+    };
+    const [units] = await listFailed();
+    assert.equal(units[0][0], 'nginx.service');
+    assert.equal(seen.fields.member, 'ListUnitsFiltered');
+    assert.deepEqual(seen.body, [['failed']]);
+  });
+
+  test('turns error replies into a DBusError', async () => {
+    reply = () => ({ type: 'error', fields: { error_name: 'org.freedesktop.DBus.Error.AccessDenied' }, signature: 's', body: ['not allowed'] });
+    await assert.rejects(listFailed(), err => err instanceof DBusError && err.dbusName === 'org.freedesktop.DBus.Error.AccessDenied' && /not allowed/.test(err.message));
+  });
+
+  test('gives up after the timeout', async () => {
+    reply = () => ({ type: 'method_return', serial: 3, fields: { reply_serial: 999 } });
+    await assert.rejects(listFailed({ timeoutMs: 200 }), /no answer from the bus within 200 ms/);
+  });
+
+  test('fails when there is no bus', async () => {
+    await assert.rejects(callMethod({ destination: 'x', path: '/', interface: 'x.y', member: 'Z' }, { socketPath: join(dir, 'missing.sock') }), DBusError);
+  });
+
+  test('finds the system bus from the environment', () => {
+    assert.equal(systemBusPath({}), DEFAULT_SYSTEM_BUS);
+    assert.equal(systemBusPath({ DBUS_SYSTEM_BUS_ADDRESS: 'unix:path=/var/run/dbus/system_bus_socket' }), '/var/run/dbus/system_bus_socket');
+    assert.equal(systemBusPath({ DBUS_SYSTEM_BUS_ADDRESS: 'tcp:host=x;unix:guid=1,path=/tmp/bus' }), '/tmp/bus');
+  });
+});
@@ -0,0 +1,72 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readFileRange, searchFile } from '../files.mjs';
+
+let dir;
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'doctorclaw-files-'));
+});
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('SEARCH_FILE', () => {
+  test('finds matching lines with context', async () => {
+    const path = join(dir, 'log.txt');
+    writeFileSync(path, 'one\ntwo\nerror: three\nfour\r\nfive\n');
+    const { success, result } = await searchFile(path, '-C 1 error', { maxBytes: 65536 });
+    assert.equal(success, true);
+    assert.match(result, /^1 match for \/error\/ in /);
+    assert.match(result, /\n2-two\n3:error: three\n4-four$/);
+  });
+
+  test('stops a catastrophic pattern without blocking the event loop', async () => {
+    const path = join(dir, 'redos.txt');
+    writeFileSync(path, `${'a'.repeat(40)}!\n`);
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 20);
+    const started = Date.now();
+    const { success, result } = await searchFile(path, '(a+)+$', { maxBytes: 65536, timeoutMs: 500 });
+    clearInterval(timer);
+    assert.equal(success, false);
+    assert.match(result, /stopped after 0\.5 s/);
+    assert.ok(Date.now() - started < 5000);
+    assert.ok(ticks >= 10, `the event loop ran only ${ticks} timer ticks`);
+  });
+
+  test('is cancelled by the abort signal', async () => {
+    const path = join(dir, 'redos.txt');
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    const outcome = await searchFile(path, '(a+)+$', { maxBytes: 65536, signal: controller.signal, timeoutMs: 10000 });
+    assert.deepEqual(outcome, { success: false, cancelled: true, result: 'Search cancelled.' });
+  });
+
+  test('only searches the start of very long lines', async () => {
+    const path = join(dir, 'long.txt');
+    writeFileSync(path, `${'x'.repeat(200000)}needle\nneedle\n`);
+    const { result } = await searchFile(path, 'needle', { maxBytes: 65536 });
+    assert.match(result, /^1 match .*Only the first 64 KB of 1 longer line was searched\./);
+    assert.match(result, /\n2:needle$/);
+  });
+});
+
+describe('READ_FILE line ranges', () => {
+  test('cut a single huge line at the read limit', async () => {
+    const path = join(dir, 'huge-line.txt');
+    writeFileSync(path, `first\n${'y'.repeat(3 * 1024 * 1024)}\nlast\n`);
+    const { success, result } = await readFileRange(path, '2-2', { maxBytes: 4096 });
+    assert.equal(success, true);
+    assert.ok(result.length < 8192, `returned ${result.length} characters`);
+    assert.match(result, new RegExp(`y… \\[${3 * 1024 * 1024 - 4096} more bytes\\]`));
+  });
+
+  test('keep multi-byte text and CRLF endings intact', async () => {
+    const path = join(dir, 'crlf.txt');
+    writeFileSync(path, 'größe\r\nzwei\r\n');
+    const { result } = await readFileRange(path, '1-2', { maxBytes: 65536 });
+    assert.match(result, /größe\nzwei/);
+    assert.doesNotMatch(result, /\r/);
+  });
+});
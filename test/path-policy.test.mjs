@@ -0,0 +1,133 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { evaluatePath, canonicalize, matchesRule, globToRegExp, DEFAULT_DENY_PATHS } from '../path-policy.mjs';
+
+// Known ways around a path policy; each must stay closed.
+
+describe('path policy', () => {
+  let root, allowed, outside;
+  const policy = () => ({ allow: [allowed + '/'], deny: DEFAULT_DENY_PATHS, label: 'read' });
+
+  before(() => {
+    root = realpathSync(mkdtempSync(join(tmpdir(), 'doctorclaw-paths-')));
+    allowed = join(root, 'allowed');
+    outside = join(root, 'outside');
+    mkdirSync(join(allowed, 'sub'), { recursive: true });
+    mkdirSync(outside);
+    writeFileSync(join(allowed, 'ok.txt'), 'ok');
+    writeFileSync(join(outside, 'secret.txt'), 'secret');
+    symlinkSync(outside, join(allowed, 'escape'));
+    symlinkSync(join(outside, 'secret.txt'), join(allowed, 'secret-link.txt'));
+    // A ".." after a symlink climbs out of the link's target, not the link's parent
+    symlinkSync(join(outside, 'deep'), join(allowed, 'sub', 'deep-link'));
+    mkdirSync(join(outside, 'deep'));
+  });
+
+  after(() => rmSync(root, { recursive: true, force: true }));
+
+  test('allows files inside an allowed directory', () => {
+    const verdict = evaluatePath(join(allowed, 'ok.txt'), policy());
+    assert.equal(verdict.allowed, true);
+    assert.equal(verdict.path, join(allowed, 'ok.txt'));
+  });
+
+  test('allows paths that do not exist yet', () => {
+    assert.equal(evaluatePath(join(allowed, 'new', 'file.txt'), policy()).allowed, true);
+  });
+
+  test('refuses ".." traversal out of an allowed directory', () => {
+    const verdict = evaluatePath(`${allowed}/../outside/secret.txt`, policy());
+    assert.equal(verdict.allowed, false);
+    assert.equal(verdict.path, join(outside, 'secret.txt'));
+    assert.equal(evaluatePath(`${allowed}/sub/../../outside/secret.txt`, policy()).allowed, false);
+  });
+
+  test('refuses ".." traversal that only exists after a missing component', () => {
+    assert.equal(evaluatePath(`${allowed}/missing/../../outside/secret.txt`, policy()).allowed, false);
+  });
+
+  test('follows a symlink reached through ".." after a missing component', () => {
+    const result = evaluatePath(`${allowed}/missing/../escape/secret.txt`, policy());
+    assert.equal(result.allowed, false);
+    assert.equal(result.path, join(outside, 'secret.txt'));
+    assert.equal(canonicalize(`${allowed}/missing/deeper/../../escape/new.txt`), join(outside, 'new.txt'));
+    assert.equal(evaluatePath(`${allowed}/missing/../sub/new.txt`, policy()).allowed, true);
+  });
+
+  test('matches whole segments, so a shared prefix is not enough', () => {
+    assert.equal(evaluatePath(`${allowed}foo/file.txt`, policy()).allowed, false);
+    assert.equal(matchesRule('/etcfoo', '/etc'), false);
+    assert.equal(matchesRule('/etcfoo/passwd', '/etc/'), false);
+    assert.equal(matchesRule('/etc/passwd', '/etc'), true);
+  });
+
+  test('treats rules with and without a trailing slash alike', () => {
+    assert.equal(evaluatePath(join(allowed, 'ok.txt'), { allow: [allowed] }).allowed, true);
+    assert.equal(evaluatePath(join(allowed, 'ok.txt'), { allow: [allowed + '///'] }).allowed, true);
+    assert.equal(evaluatePath(allowed + '/', { allow: [allowed + '/'] }).allowed, true);
+    assert.equal(evaluatePath(`${allowed}//sub//`, { allow: [allowed] }).allowed, true);
+  });
+
+  test('refuses symlinked directories that point outside', () => {
+    const verdict = evaluatePath(join(allowed, 'escape', 'secret.txt'), policy());
+    assert.equal(verdict.allowed, false);
+    assert.equal(verdict.path, join(outside, 'secret.txt'));
+    assert.match(verdict.reason, /resolves to/);
+  });
+
+  test('refuses symlinked files that point outside', () => {
+    assert.equal(evaluatePath(join(allowed, 'secret-link.txt'), policy()).allowed, false);
+  });
+
+  test('follows ".." from a symlink\'s target the way the kernel does', () => {
+    // join() would apply the ".." itself, so the path is built by hand
+    assert.equal(canonicalize(`${allowed}/sub/deep-link/../secret.txt`), join(outside, 'secret.txt'));
+    assert.equal(evaluatePath(`${allowed}/sub/deep-link/../secret.txt`, policy()).allowed, false);
+  });
+
+  test('refuses NUL bytes and empty paths', () => {
+    assert.equal(evaluatePath(`${allowed}/ok.txt\0.png`, policy()).allowed, false);
+    assert.equal(evaluatePath('', policy()).allowed, false);
+    assert.equal(evaluatePath('   ', policy()).allowed, false);
+  });
+
+  test('denies private keys at any depth', () => {
+    for (const path of [join(allowed, 'server.key'), join(allowed, 'sub', 'tls', 'server.key')]) {
+      const verdict = evaluatePath(path, policy());
+      assert.equal(verdict.allowed, false, path);
+      assert.equal(verdict.rule, '**/*.key');
+    }
+    assert.equal(evaluatePath(join(allowed, 'server.keys'), policy()).allowed, true);
+  });
+
+  test('denies SSH identities at any depth', () => {
+    for (const name of ['id_rsa', 'id_ed25519', 'id_ed25519.pub']) {
+      const verdict = evaluatePath(join(allowed, 'home', '.ssh', name), policy());
+      assert.equal(verdict.allowed, false, name);
+      assert.equal(verdict.rule, '**/.ssh/id_*');
+    }
+    assert.equal(evaluatePath(join(allowed, 'home', '.ssh', 'known_hosts'), policy()).allowed, true);
+  });
+
+  test('applies deny rules to the requested path as well as the canonical one', () => {
+    symlinkSync(join(allowed, 'ok.txt'), join(allowed, 'link.key'));
+    assert.equal(evaluatePath(join(allowed, 'link.key'), policy()).allowed, false);
+  });
+
+  test('deny rules win over allow rules', () => {
+    assert.equal(evaluatePath('/etc/shadow', { allow: ['/'], deny: DEFAULT_DENY_PATHS }).allowed, false);
+    assert.equal(evaluatePath('/etc/../etc/./shadow', { allow: ['/'], deny: DEFAULT_DENY_PATHS }).allowed, false);
+    assert.equal(evaluatePath('/etc//gshadow', { allow: ['/'], deny: DEFAULT_DENY_PATHS }).allowed, false);
+  });
+
+  test('globs keep * and ? within one segment', () => {
+    assert.equal(globToRegExp('/var/log/*.log').test('/var/log/syslog.log'), true);
+    assert.equal(globToRegExp('/var/log/*.log').test('/var/log/nginx/error.log'), false);
+    assert.equal(globToRegExp('/var/log/**/*.log').test('/var/log/nginx/error.log'), true);
+    assert.equal(globToRegExp('/tmp/?.txt').test('/tmp/a/b.txt'), false);
+    assert.equal(globToRegExp('/tmp/[!a]*').test('/tmp/apple'), false);
+  });
+});
@@ -0,0 +1,218 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createProvider, ProviderError, toOpenAIMessages } from '../providers.mjs';
+
+// A local LLM server: each test sets `route` to answer the next request, and
+// `requests` records what the provider sent.
+let server, baseUrl, route, requests;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      route(req, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function reset(handler) {
+  requests = [];
+  route = handler;
+}
+
+// Writes the pieces with a pause in between, so lines arrive split across reads
+function streamPieces(res, type, pieces) {
+  res.writeHead(200, { 'Content-Type': type });
+  let i = 0;
+  const next = () => {
+    if (i >= pieces.length) return res.end();
+    res.write(pieces[i++]);
+    setTimeout(next, 5);
+  };
+  next();
+}
+
+function json(res, status, value) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+}
+
+const text = chunks => chunks.map(c => c.message?.content || '').join('');
+
+describe('Ollama provider', () => {
+  test('lists models', async () => {
+    reset((req, res) => json(res, 200, { models: [{ name: 'llama3:8b' }, { name: 'qwen2.5:7b' }] }));
+    const provider = createProvider({ type: 'ollama', url: baseUrl + '/' });
+    assert.deepEqual(await provider.listModels(), ['llama3:8b', 'qwen2.5:7b']);
+    assert.equal(requests[0].url, '/api/tags');
+  });
+
+  test('streams NDJSON chunks, whole or split across reads', async () => {
+    reset((req, res) => streamPieces(res, 'application/x-ndjson', [
+      '{"message":{"role":"assistant","content":"Hel"},"done":false}\n{"message":{"role":"assi',
+      'stant","content":"lo"},"done":false}\nnot json\n',
+      '{"message":{"role":"assistant","content":""},"done":true,"done_reason":"stop"}',
+    ]));
+    const provider = createProvider({ type: 'ollama', url: baseUrl });
+    const chunks = await collect(provider.chat({ model: 'm', messages: [{ role: 'user', content: 'hi' }], options: { temperature: 0.2 } }));
+    assert.equal(text(chunks), 'Hello');
+    assert.equal(chunks.length, 3);
+    assert.equal(chunks.at(-1).done, true);
+    assert.equal(requests[0].url, '/api/chat');
+    assert.deepEqual(requests[0].body, { model: 'm', messages: [{ role: 'user', content: 'hi' }], stream: true, options: { temperature: 0.2 } });
+  });
+
+  test('passes tool calls through unchanged', async () => {
+    const call = { function: { name: 'read_file', arguments: { path: '/var/log/syslog' } } };
+    reset((req, res) => streamPieces(res, 'application/x-ndjson', [
+      JSON.stringify({ message: { role: 'assistant', content: '', tool_calls: [call] }, done: false }) + '\n',
+      JSON.stringify({ message: { role: 'assistant', content: '' }, done: true }) + '\n',
+    ]));
+    const tools = [{ type: 'function', function: { name: 'read_file', parameters: {} } }];
+    const chunks = await collect(createProvider({ url: baseUrl }).chat({ model: 'm', messages: [], tools }));
+    assert.deepEqual(chunks[0].message.tool_calls, [call]);
+    assert.deepEqual(requests[0].body.tools, tools);
+  });
+
+  test('turns error responses into a ProviderError', async () => {
+    reset((req, res) => json(res, 400, { error: 'registry.ollama.ai/library/gemma:2b does not support tools' }));
+    const provider = createProvider({ type: 'ollama', url: baseUrl });
+    await assert.rejects(collect(provider.chat({ model: 'gemma:2b', messages: [], tools: [] })), err => {
+      assert.ok(err instanceof ProviderError);
+      assert.equal(err.status, 400);
+      assert.match(err.detail, /does not support tools/);
+      assert.equal(err.toolsUnsupported, true);
+      return true;
+    });
+    reset((req, res) => json(res, 404, { error: 'model "nope" not found' }));
+    await assert.rejects(collect(provider.chat({ model: 'nope', messages: [] })), err => err.status === 404 && !err.toolsUnsupported);
+    reset((req, res) => json(res, 500, 'boom'));
+    await assert.rejects(provider.listModels(), err => err instanceof ProviderError && err.status === 500 && err.detail === 'boom');
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  const sse = events => events.map(e => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join('');
+  const delta = (d, finish = null) => ({ choices: [{ index: 0, delta: d, finish_reason: finish }] });
+
+  test('lists models with the API key, with or without /v1 in the URL', async () => {
+    reset((req, res) => json(res, 200, { data: [{ id: 'qwen2.5-7b-instruct' }] }));
+    for (const url of [baseUrl, baseUrl + '/v1', baseUrl + '/v1/']) {
+      const provider = createProvider({ type: 'openai', url, apiKey: 'sk-test' });
+      assert.deepEqual(await provider.listModels(), ['qwen2.5-7b-instruct']);
+    }
+    assert.ok(requests.every(r => r.url === '/v1/models' && r.headers.authorization === 'Bearer sk-test'));
+  });
+
+  test('normalizes SSE deltas to Ollama-style chunks', async () => {
+    const body = sse([
+      { choices: [{ index: 0, delta: { role: 'assistant' }, finish_reason: null }] },
+      delta({ content: 'Disk ' }),
+      delta({ content: 'is full.' }),
+      delta({}, 'stop'),
+      '[DONE]',
+    ]);
+    // Cut the stream mid-event to check buffering
+    reset((req, res) => streamPieces(res, 'text/event-stream', [body.slice(0, 50), body.slice(50, 120), body.slice(120)]));
+    const provider = createProvider({ type: 'openai', url: baseUrl });
+    const chunks = await collect(provider.chat({ model: 'm', messages: [{ role: 'user', content: 'df?' }], options: { temperature: 0.5, seed: 7, num_ctx: 4096 } }));
+    assert.equal(text(chunks), 'Disk is full.');
+    assert.ok(chunks.every(c => c.message.role === 'assistant'));
+    assert.deepEqual(chunks.at(-1), { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop' });
+    assert.equal(chunks.filter(c => c.done).length, 1);
+    const sent = requests[0].body;
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(sent.stream, true);
+    assert.equal(sent.temperature, 0.5);
+    assert.equal(sent.seed, 7);
+    assert.equal(sent.num_ctx, undefined);
+  });
+
+  test('assembles tool call fragments into whole calls', async () => {
+    reset((req, res) => streamPieces(res, 'text/event-stream', [sse([
+      delta({ content: 'Checking.' }),
+      delta({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'run_', arguments: '' } }] }),
+      delta({ tool_calls: [{ index: 0, function: { name: 'command', arguments: '{"comm' } }] }),
+      delta({ tool_calls: [{ index: 1, id: 'call_2', function: { name: 'read_file', arguments: '{"path":"/etc/hosts"}' } }] }),
+      delta({ tool_calls: [{ index: 0, function: { arguments: 'and":"df -h"}' } }] }),
+      delta({}, 'tool_calls'),
+      '[DONE]',
+    ])]));
+    const chunks = await collect(createProvider({ type: 'openai', url: baseUrl }).chat({ model: 'm', messages: [], tools: [] }));
+    const calls = chunks.flatMap(c => c.message.tool_calls || []);
+    assert.deepEqual(calls, [
+      { id: 'call_1', function: { name: 'run_command', arguments: { command: 'df -h' } } },
+      { id: 'call_2', function: { name: 'read_file', arguments: { path: '/etc/hosts' } } },
+    ]);
+    assert.equal(text(chunks), 'Checking.');
+    assert.equal(chunks.at(-1).done_reason, 'tool_calls');
+  });
+
+  test('finishes streams that end without a finish_reason', async () => {
+    reset((req, res) => streamPieces(res, 'text/event-stream', [sse([
+      delta({ content: 'ok' }),
+      delta({ tool_calls: [{ index: 0, id: 'c', function: { name: 'list_dir', arguments: '{"path":"/tmp"}' } }] }),
+    ])]));
+    const chunks = await collect(createProvider({ type: 'openai', url: baseUrl }).chat({ model: 'm', messages: [] }));
+    assert.deepEqual(chunks.flatMap(c => c.message.tool_calls || []), [{ id: 'c', function: { name: 'list_dir', arguments: { path: '/tmp' } } }]);
+    assert.equal(chunks.at(-1).done, true);
+  });
+
+  test('sends the conversation in the OpenAI format', async () => {
+    reset((req, res) => streamPieces(res, 'text/event-stream', [sse([delta({}, 'stop'), '[DONE]'])]));
+    await collect(createProvider({ type: 'openai', url: baseUrl }).chat({
+      model: 'm',
+      messages: [
+        { role: 'user', content: 'check disk' },
+        { role: 'assistant', content: '', tool_calls: [{ function: { name: 'run_command', arguments: { command: 'df -h' } } }] },
+        { role: 'tool', tool_name: 'run_command', content: '/dev/sda1 100%' },
+      ],
+    }));
+    assert.deepEqual(requests[0].body.messages, toOpenAIMessages([
+      { role: 'user', content: 'check disk' },
+      { role: 'assistant', content: '', tool_calls: [{ function: { name: 'run_command', arguments: { command: 'df -h' } } }] },
+      { role: 'tool', tool_name: 'run_command', content: '/dev/sda1 100%' },
+    ]));
+    const [, assistant, tool] = requests[0].body.messages;
+    assert.equal(assistant.tool_calls[0].function.arguments, '{"command":"df -h"}');
+    assert.equal(tool.tool_call_id, assistant.tool_calls[0].id);
+  });
+
+  test('turns error responses into a ProviderError', async () => {
+    reset((req, res) => json(res, 500, { error: { message: 'tools param requires --jinja flag' } }));
+    const provider = createProvider({ type: 'openai', url: baseUrl });
+    await assert.rejects(collect(provider.chat({ model: 'm', messages: [], tools: [] })), err => {
+      assert.ok(err instanceof ProviderError);
+      assert.equal(err.status, 500);
+      assert.equal(err.toolsUnsupported, true);
+      return true;
+    });
+    reset((req, res) => json(res, 401, { error: { message: 'Invalid API key' } }));
+    await assert.rejects(provider.listModels(), err => err.status === 401 && /Invalid API key/.test(err.detail) && !err.toolsUnsupported);
+  });
+});
+
+describe('toOpenAIMessages', () => {
+  test('gives calls without a result a placeholder answer', () => {
+    const out = toOpenAIMessages([
+      { role: 'assistant', content: 'x', tool_calls: [{ function: { name: 'a', arguments: {} } }, { function: { name: 'b', arguments: {} } }] },
+      { role: 'tool', tool_name: 'b', content: 'B' },
+      { role: 'user', content: 'next' },
+    ]);
+    assert.deepEqual(out.slice(1).map(m => [m.role, m.content]), [['tool', 'B'], ['tool', '(no result)'], ['user', 'next']]);
+    assert.equal(out[1].tool_call_id, out[0].tool_calls[1].id);
+  });
+});